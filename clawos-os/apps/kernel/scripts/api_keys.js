@@ -0,0 +1,63 @@
+/**
+ * API key admin — manage kernel API clients directly in the kernel DB.
+ *
+ *   node scripts/api_keys.js list
+ *   node scripts/api_keys.js create <name> <operator|bridge|ui|read-only>
+ *   node scripts/api_keys.js revoke <client_id>
+ *
+ * For bootstrapping and recovery on the kernel host (e.g. a lost operator
+ * key); everything else should go through /kernel/api_clients. Uses DB_PATH
+ * like the kernel, and needs a DB the kernel has started on at least once.
+ */
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { ROLES, createApiClient, getApiClient, listApiClients, revokeApiClient } from "../src/auth/service.js";
+import { logAudit } from "../src/audit/service.js";
+
+const DB_PATH = process.env.DB_PATH || "./kernel.db";
+const [cmd, ...args] = process.argv.slice(2);
+
+function usage() {
+  process.stderr.write(
+    "usage: node scripts/api_keys.js list\n" +
+    `       node scripts/api_keys.js create <name> <${ROLES.join("|")}>\n` +
+    "       node scripts/api_keys.js revoke <client_id>\n",
+  );
+  process.exit(2);
+}
+
+const db = new Database(DB_PATH, { fileMustExist: true });
+const hasTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='api_clients'`).get();
+if (!hasTable) {
+  process.stderr.write(`${DB_PATH}: no api_clients table — start the kernel once to create it\n`);
+  process.exit(1);
+}
+
+if (cmd === "list") {
+  for (const c of listApiClients(db, { include_revoked: true })) {
+    const state = c.revoked_at ? `revoked ${c.revoked_at}` : `last used ${c.last_used_at ?? "never"}`;
+    process.stdout.write(`${c.client_id}  ${c.role.padEnd(9)}  ${c.name}  (${state})\n`);
+  }
+} else if (cmd === "create") {
+  const [name, role] = args;
+  if (!name || !ROLES.includes(role)) {usage();}
+  const client = createApiClient(db, { name, role });
+  logAudit(db, {
+    event: "api_client_created", actor: "cli", subject_type: "api_client", subject_id: client.client_id,
+    data:  { name: client.name, role: client.role },
+  });
+  process.stdout.write(`${client.client_id} (${client.role})\n${client.api_key}\n`);
+  process.stderr.write("Store this key now — it cannot be shown again.\n");
+} else if (cmd === "revoke") {
+  const [clientId] = args;
+  if (!clientId) {usage();}
+  if (!revokeApiClient(db, clientId)) {
+    process.stderr.write(`${clientId}: not found or already revoked\n`);
+    process.exit(1);
+  }
+  const { name, role } = getApiClient(db, clientId);
+  logAudit(db, { event: "api_client_revoked", actor: "cli", subject_type: "api_client", subject_id: clientId, data: { name, role } });
+  process.stdout.write(`revoked ${clientId}\n`);
+} else {
+  usage();
+}
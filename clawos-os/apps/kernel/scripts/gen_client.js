@@ -0,0 +1,286 @@
+/**
+ * Generate the bridge's kernel client from the kernel's OpenAPI document.
+ *
+ *   node scripts/gen_client.js            write clawos/bridge/src/kernel_client.js
+ *   node scripts/gen_client.js --check    exit 1 if that file is out of date
+ *   node scripts/gen_client.js --out F    write somewhere else
+ *
+ * The document is built in-process (buildApp over an in-memory DB, then
+ * app.openapiSpec()) — no running kernel needed. The output has one method per
+ * operation, named by its operationId, with JSDoc typedefs for request bodies
+ * and query strings taken from the routes' zod schemas. Re-run after changing
+ * a route; --check is meant for CI.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Database from "better-sqlite3";
+import { loadMigrations, runMigrations } from "../src/db/migrate.js";
+import { buildApp } from "../src/app.js";
+
+const DEFAULT_OUT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../../../clawos/bridge/src/kernel_client.js",
+);
+
+const args = process.argv.slice(2);
+const check = args.includes("--check");
+const outIdx = args.indexOf("--out");
+const out = outIdx !== -1 ? args[outIdx + 1] : DEFAULT_OUT;
+if ((outIdx !== -1 && !out) || args.some((a, i) => a !== "--check" && a !== "--out" && i !== outIdx + 1)) {
+  process.stderr.write("usage: node scripts/gen_client.js [--check] [--out FILE]\n");
+  process.exit(2);
+}
+
+// ── JSON Schema → JSDoc type ─────────────────────────────────────────────────
+
+function pascal(s) { return s[0].toUpperCase() + s.slice(1); }
+
+const IDENT = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function jsdocType(s) {
+  if (!s || !Object.keys(s).length) {return "any";}
+  if ("const" in s) {return JSON.stringify(s.const);}
+  if (s.enum) {return s.enum.map((v) => JSON.stringify(v)).join("|");}
+  if (s.anyOf) {return s.anyOf.map(jsdocType).join("|");}
+  if (Array.isArray(s.type)) {return s.type.map((type) => jsdocType({ ...s, type })).join("|");}
+  switch (s.type) {
+    case "string":  return "string";
+    case "integer":
+    case "number":  return "number";
+    case "boolean": return "boolean";
+    case "null":    return "null";
+    case "array":   return `Array<${jsdocType(s.items)}>`;
+    case "object": {
+      if (s.properties) {
+        const required = new Set(s.required ?? []);
+        const fields = Object.entries(s.properties).map(([k, v]) =>
+          `${IDENT.test(k) ? k : JSON.stringify(k)}${required.has(k) ? "" : "?"}: ${jsdocType(v)}`);
+        return `{ ${fields.join(", ")} }`;
+      }
+      if (s.additionalProperties && typeof s.additionalProperties === "object") {
+        return `Record<string, ${jsdocType(s.additionalProperties)}>`;
+      }
+      return "Record<string, any>";
+    }
+    default: return "any";
+  }
+}
+
+/** @typedef block for an object schema (body) or a parameter list (query). */
+function typedef(name, description, props) {
+  const lines = [`/**`, ` * ${description}`, ` * @typedef {object} ${name}`];
+  for (const p of props) {
+    const field = p.required ? p.name : `[${p.name}]`;
+    lines.push(` * @property {${jsdocType(p.schema)}} ${field}${p.description ? ` ${p.description}` : ""}`);
+  }
+  lines.push(" */");
+  return lines.join("\n");
+}
+
+// ── Operations ───────────────────────────────────────────────────────────────
+
+function operations(spec) {
+  const ops = [];
+  for (const [oasPath, item] of Object.entries(spec.paths)) {
+    for (const [method, op] of Object.entries(item)) {
+      const route = oasPath.replace(/\{([^}]+)\}/g, ":$1");
+      const params = (op.parameters ?? []).filter((p) => p.in === "path");
+      const query = (op.parameters ?? []).filter((p) => p.in === "query");
+      const bodySchema = op.requestBody?.content?.["application/json"]?.schema ?? null;
+      const content = Object.keys(op.responses?.["200"]?.content ?? { "application/json": {} })[0];
+      ops.push({ id: op.operationId, method: method.toUpperCase(), route, summary: op.summary, params, query, bodySchema, content });
+    }
+  }
+  return ops;
+}
+
+function renderOperation(op, typeNames) {
+  const fields = [];
+  if (op.params.length) {fields.push(`params: { ${op.params.map((p) => `${p.name}: string`).join(", ")} }`);}
+  if (typeNames.query) {
+    fields.push(`query${op.query.some((p) => p.required) ? "" : "?"}: ${typeNames.query}`);
+  } else {
+    fields.push("query?: Record<string, string|number|boolean|undefined>");
+  }
+  if (typeNames.body) {fields.push(`body${op.bodySchema.required?.length ? "" : "?"}: ${typeNames.body}`);}
+  const reqOptional = !op.params.length && !op.query.some((p) => p.required) && !op.bodySchema?.required?.length;
+  const returns = op.content === "application/x-ndjson"
+    ? "AsyncGenerator<any>"
+    : op.content.startsWith("text/") ? "Promise<string>" : "Promise<any>";
+  const kind = op.content === "application/x-ndjson" ? "ndjson" : op.content.startsWith("text/") ? "text" : "json";
+
+  return [
+    "    /**",
+    `     * ${op.summary}`,
+    "     *",
+    `     * \`${op.method} ${op.route}\``,
+    `     * @param {{ ${fields.join(", ")} } & CallOptions} ${reqOptional ? "[req]" : "req"}`,
+    `     * @returns {${returns}}`,
+    "     */",
+    `    ${op.id}: (req) => ${kind}("${op.id}", "${op.method}", "${op.route}", req),`,
+  ].join("\n");
+}
+
+// ── Output ───────────────────────────────────────────────────────────────────
+
+const RUNTIME = `/**
+ * @typedef {object} CallOptions
+ * @property {string} [apiKey]  API key for this call instead of the client's (e.g. the operator key)
+ * @property {AbortSignal} [signal]
+ * @property {Record<string, string>} [attributes]  handed to fetch in its third argument (span attributes)
+ */
+
+/**
+ * The fetch a client uses: WHATWG fetch plus a third argument describing the
+ * operation, so a wrapper can trace and measure calls by route template
+ * rather than by concrete URL.
+ *
+ * @typedef {(url: string, init: RequestInit, op: { operationId: string, method: string, route: string, attributes: Record<string, string> }) => Promise<Response>} KernelFetch
+ */
+
+/**
+ * Create a kernel client. Every method takes one object —
+ * { params?, query?, body?, apiKey?, signal?, attributes? } — and throws on a
+ * non-2xx response with the status and response body in the message (and the
+ * status as err.status).
+ *
+ * @param {{ baseUrl?: string, apiKey?: string, fetch?: KernelFetch }} [opts]
+ */
+export function createKernelClient({
+  baseUrl = "http://localhost:18888",
+  apiKey = "",
+  fetch = (url, init) => globalThis.fetch(url, init),
+} = {}) {
+  async function send(operationId, method, route, req = {}) {
+    const { params = {}, query, body, signal, attributes = {} } = req;
+    const key = req.apiKey ?? apiKey;
+    const path = route.replace(/:([A-Za-z0-9_]+)/g, (_, name) => encodeURIComponent(params[name]));
+    const qs = new URLSearchParams(
+      Object.entries(query ?? {})
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => [k, String(v)]),
+    ).toString();
+    const res = await fetch(
+      \`\${baseUrl}\${path}\${qs ? \`?\${qs}\` : ""}\`,
+      {
+        method,
+        headers: {
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...(key ? { Authorization: \`Bearer \${key}\` } : {}),
+        },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+        ...(signal ? { signal } : {}),
+      },
+      { operationId, method, route, attributes },
+    );
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw Object.assign(new Error(\`Kernel \${method} \${path} → \${res.status}: \${text}\`), {
+        status: res.status,
+      });
+    }
+    return res;
+  }
+
+  async function json(...args) {
+    const res = await send(...args);
+    return res.json().catch(() => ({}));
+  }
+
+  async function text(...args) {
+    const res = await send(...args);
+    return res.text();
+  }
+
+  /** NDJSON response — yields each line parsed, as it arrives. */
+  async function* ndjson(...args) {
+    const res = await send(...args);
+    const decoder = new TextDecoder();
+    let buf = "";
+    for await (const chunk of res.body) {
+      buf += decoder.decode(chunk, { stream: true });
+      let idx;
+      while ((idx = buf.indexOf("\\n")) !== -1) {
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 1);
+        if (line.trim()) {
+          yield JSON.parse(line);
+        }
+      }
+    }
+    if (buf.trim()) {
+      yield JSON.parse(buf);
+    }
+  }
+
+  return {
+`;
+
+function render(spec) {
+  const ops = operations(spec);
+  const typedefs = [];
+  const methods = [];
+  for (const op of ops) {
+    const typeNames = {};
+    if (op.bodySchema?.properties) {
+      typeNames.body = `${pascal(op.id)}Body`;
+      const required = new Set(op.bodySchema.required ?? []);
+      typedefs.push(typedef(typeNames.body, `Request body of ${op.id} (${op.method} ${op.route}).`,
+        Object.entries(op.bodySchema.properties).map(([name, schema]) => ({
+          name, schema, required: required.has(name), description: schema.description,
+        }))));
+    } else if (op.bodySchema) {
+      typeNames.body = jsdocType(op.bodySchema);
+    }
+    if (op.query.length) {
+      typeNames.query = `${pascal(op.id)}Query`;
+      typedefs.push(typedef(typeNames.query, `Query string of ${op.id} (${op.method} ${op.route}).`, op.query));
+    }
+    methods.push(renderOperation(op, typeNames));
+  }
+
+  return [
+    "/**",
+    ` * ${spec.info.title} client (v${spec.info.version}) — ${ops.length} operations.`,
+    " *",
+    " * GENERATED by clawos-os/apps/kernel/scripts/gen_client.js from the kernel's",
+    " * OpenAPI document (GET /kernel/openapi.json). Do not edit: change the kernel",
+    " * route (and its doc() options) and re-run the generator.",
+    " */",
+    "",
+    "// ── Types ────────────────────────────────────────────────────────────────────",
+    "",
+    typedefs.join("\n\n"),
+    "",
+    "// ── Client ───────────────────────────────────────────────────────────────────",
+    "",
+    RUNTIME + methods.join("\n\n"),
+    "  };",
+    "}",
+    "",
+  ].join("\n");
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+const db = new Database(":memory:");
+runMigrations(db, await loadMigrations());
+const app = buildApp(db, { logger: false });
+await app.ready();
+const source = render(app.openapiSpec());
+await app.close();
+db.close();
+
+if (check) {
+  const current = fs.existsSync(out) ? fs.readFileSync(out, "utf8") : "";
+  if (current !== source) {
+    process.stderr.write(`${out} is out of date — run node scripts/gen_client.js\n`);
+    process.exit(1);
+  }
+  process.stdout.write(`${out}: up to date\n`);
+} else {
+  fs.writeFileSync(out, source);
+  process.stdout.write(`wrote ${out}\n`);
+}
+process.exit(0);
@@ -0,0 +1,78 @@
+/**
+ * Schema migrations — inspect and apply src/db/migrations against the kernel DB.
+ *
+ *   node scripts/migrate.js status          applied and pending migrations (default)
+ *   node scripts/migrate.js pending         pending only; exit code 3 when there are any
+ *   node scripts/migrate.js up [--dry-run]  apply pending (or run them and roll back)
+ *
+ * The kernel applies pending migrations itself at startup; this is for
+ * checking what a new version will do before deploying it, and for migrating
+ * a stopped kernel's DB by hand. Uses DB_PATH like the kernel.
+ */
+import "dotenv/config";
+import fs from "node:fs";
+import Database from "better-sqlite3";
+import { loadMigrations, migrationStatus, runMigrations } from "../src/db/migrate.js";
+
+const DB_PATH = process.env.DB_PATH || "./kernel.db";
+const [cmd = "status", ...args] = process.argv.slice(2);
+
+function usage() {
+  process.stderr.write(
+    "usage: node scripts/migrate.js status\n" +
+    "       node scripts/migrate.js pending\n" +
+    "       node scripts/migrate.js up [--dry-run]\n",
+  );
+  process.exit(2);
+}
+
+if (!["status", "pending", "up"].includes(cmd) || args.some((a) => a !== "--dry-run") || (args.length && cmd !== "up")) {
+  usage();
+}
+
+const migrations = await loadMigrations();
+const exists = fs.existsSync(DB_PATH);
+if (!exists && cmd !== "up") {
+  process.stdout.write(`${DB_PATH}: no database yet — all ${migrations.length} migration(s) pending\n`);
+  for (const m of migrations) {process.stdout.write(`  pending  ${String(m.version).padStart(4, "0")} ${m.name}\n`);}
+  process.exit(cmd === "pending" && migrations.length ? 3 : 0);
+}
+
+const dryRun = args.includes("--dry-run");
+// A dry run against a DB that does not exist yet runs in memory rather than creating the file
+const db = cmd !== "up"
+  ? new Database(DB_PATH, { readonly: true })
+  : new Database(dryRun && !exists ? ":memory:" : DB_PATH);
+const pad = (v) => String(v).padStart(4, "0");
+
+try {
+  if (cmd === "up") {
+    const { applied } = runMigrations(db, migrations, { dryRun });
+    if (!applied.length) {
+      process.stdout.write(`${DB_PATH}: up to date\n`);
+    }
+    for (const m of applied) {
+      process.stdout.write(`${dryRun ? "would apply" : "applied"}  ${pad(m.version)} ${m.name}\n`);
+    }
+    if (dryRun && applied.length) {process.stdout.write("dry run — all statements succeeded and were rolled back\n");}
+  } else {
+    const status = migrationStatus(db, migrations);
+    if (cmd === "status") {
+      process.stdout.write(`${DB_PATH}: schema version ${status.current}\n`);
+      for (const m of status.applied) {
+        process.stdout.write(`  applied  ${pad(m.version)} ${m.name}  ${m.applied_at}${m.modified ? "  (file changed since)" : ""}\n`);
+      }
+      for (const m of status.unknown) {
+        process.stdout.write(`  unknown  ${pad(m.version)} ${m.name}  (no file — DB is from a newer kernel)\n`);
+      }
+    }
+    for (const m of status.pending) {process.stdout.write(`  pending  ${pad(m.version)} ${m.name}\n`);}
+    if (cmd === "pending" && !status.pending.length) {process.stdout.write("no pending migrations\n");}
+    if (cmd === "pending" && status.pending.length) {process.exitCode = 3;}
+  }
+} catch (e) {
+  process.stderr.write(`${e.code ?? "error"}: ${e.message}\n`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,459 @@
+/**
+ * Mock provider server — scripted stand-ins for every external service the
+ * kernel talks to, so the full bridge → kernel → provider path runs offline.
+ *
+ *   node scripts/mock_providers.js [rules.json]
+ *
+ * One HTTP port serves all HTTP providers under a path prefix, plus an SMTP
+ * port. Point the kernel at it with:
+ *
+ *   XAI_BASE_URL=http://127.0.0.1:18900/xai/v1
+ *   ANTHROPIC_BASE_URL=http://127.0.0.1:18900/anthropic/v1
+ *   OPENAI_BASE_URL=http://127.0.0.1:18900/openai/v1
+ *   BRAVE_BASE_URL=http://127.0.0.1:18900/brave/res/v1
+ *   SMTP_HOST=127.0.0.1 SMTP_PORT=2525
+ *
+ * and the bridge's outgoing WhatsApp messages at it with
+ *
+ *   BRIDGE_SEND_URL=http://127.0.0.1:18900/whatsapp/send
+ *
+ * and, to see shipped kernel logs and spans, LOG_OTLP_ENDPOINT=http://127.0.0.1:18900/otlp/v1/logs
+ * and TRACE_OTLP_ENDPOINT=http://127.0.0.1:18900/otlp/v1/traces (same for the bridge).
+ *
+ * The kernel still needs a connection per provider (any api_key will do) so
+ * the provider counts as configured.
+ *
+ * Endpoints:
+ *   POST /{xai,openai}/v1/chat/completions   OpenAI chat completions (+ SSE stream, tools)
+ *   POST /anthropic/v1/messages              Anthropic messages (+ SSE stream, tool_use)
+ *   GET  /{xai,openai,anthropic}/v1/models   connection test
+ *   GET  /brave/res/v1/web/search?q=         Brave web search
+ *   POST /whatsapp/send, /whatsapp/typing    the bridge's send server ({ to, text })
+ *   POST /otlp/v1/logs                       OTLP/JSON log collector (records flattened)
+ *   POST /otlp/v1/traces                     OTLP/JSON span collector (spans flattened)
+ *   GET  /_mock/log                          received requests, emails, WhatsApp sends, OTLP logs and spans
+ *   POST /_mock/rules                        replace the scripted rules { rules: [...] }
+ *   POST /_mock/reset                        clear the log, restore the startup rules
+ *
+ * Rules (from the JSON file given on the command line or MOCK_SCRIPT, or
+ * POST /_mock/rules) are tried in order; the first match answers:
+ *
+ *   { service?: "xai"|"anthropic"|"openai"|"brave",
+ *     match?:   "<regex on the last user message, or the search query>",
+ *     system?:  "<regex on the system prompt>",
+ *     times?:   <answer this many times, then stop matching>,
+ *     reply?:   "<assistant text>",
+ *     tool_calls?: [{ name, input }],
+ *     results?: [{ title, url, description }],     // brave
+ *     status?:  <HTTP status>, error?: "<error body>" }
+ *
+ * Without a matching rule, built-in defaults apply: JSON answers for the
+ * kernel's router / planner / objective prompts, an echo reply otherwise,
+ * three canned search results, and two policy-block triggers —
+ *   POLICY-BLOCK-403   xAI refuses with 403 (chat_llm's rephrase retry strips
+ *                      code-like tokens, so the retry then succeeds)
+ *   MOCK_POLICY_BLOCK  every LLM provider refuses on content policy
+ *
+ * Env: MOCK_HTTP_PORT (default 18900), MOCK_SMTP_PORT (default 2525), MOCK_SCRIPT.
+ */
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+
+const HTTP_PORT = Number(process.env.MOCK_HTTP_PORT) || 18900;
+const SMTP_PORT = Number(process.env.MOCK_SMTP_PORT) || 2525;
+const SCRIPT    = process.argv[2] || process.env.MOCK_SCRIPT || null;
+
+function loadRules(file) {
+  if (!file) {return [];}
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data) ? data : (data.rules ?? []);
+}
+
+const startupRules = loadRules(SCRIPT);
+let rules = structuredClone(startupRules);
+const log = { requests: [], emails: [], whatsapp: [], otlp: [], spans: [] };
+
+// ── Built-in behaviour ────────────────────────────────────────────────────────
+
+const POLICY_ERRORS = {
+  xai: {
+    status: 403,
+    error:  JSON.stringify({
+      code:  "The caller does not have permission to execute the specified operation",
+      error: "Content violates usage guidelines. Failed check: SAFETY_CHECK_TYPE_MOCK",
+    }),
+  },
+  anthropic: {
+    status: 400,
+    error:  JSON.stringify({ type: "error", error: { type: "content_policy_violation", message: "mock refusal" } }),
+  },
+  openai: {
+    status: 400,
+    error:  JSON.stringify({ error: { code: "content_filter", message: "mock refusal" } }),
+  },
+};
+
+const DEFAULT_RULES = [
+  { match: "MOCK_POLICY_BLOCK", policy: true },
+  { service: "xai", match: "POLICY-BLOCK-403", policy: true },
+  {
+    system: "^You are a command router",
+    reply:  JSON.stringify({ action_type: "none", params: {}, confidence: 0.6, reasoning: "mock router" }),
+  },
+  {
+    system: "^You are a task planner",
+    reply:  (text) => JSON.stringify([{ type: "chat", args: { text }, priority: 1, can_run_in_background: false }]),
+  },
+  {
+    system: "^You extract a structured objective",
+    reply:  (text) => JSON.stringify({
+      title: text.slice(0, 50), goal: text, constraints: {},
+      required_deliverable: { type: "answer", description: "direct answer" },
+    }),
+  },
+  {
+    system: "^You decide if a user message continues",
+    reply:  JSON.stringify({ decision: "continue", confidence: 0.8, reason: "mock follow-up" }),
+  },
+];
+
+function findRule(service, text, system) {
+  const hit = (r) =>
+    (!r.service || r.service === service) &&
+    (!r.match || new RegExp(r.match, "i").test(text)) &&
+    (!r.system || new RegExp(r.system, "i").test(system)) &&
+    (r.times == null || r.times > 0);
+  const scripted = rules.find(hit);
+  if (scripted) {
+    if (scripted.times != null) {scripted.times--;}
+    return scripted;
+  }
+  const builtin = DEFAULT_RULES.find(hit);
+  if (builtin?.policy) {return POLICY_ERRORS[service] ?? { status: 403, error: "policy" };}
+  return builtin ?? null;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function contentText(content) {
+  if (typeof content === "string") {return content;}
+  if (Array.isArray(content)) {
+    return content.map((b) => b.text ?? (typeof b.content === "string" ? b.content : "")).join("\n");
+  }
+  return "";
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      try { resolve(body ? JSON.parse(body) : {}); } catch { resolve({}); }
+    });
+  });
+}
+
+function sendJson(res, status, value) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(typeof value === "string" ? value : JSON.stringify(value));
+}
+
+function sse(res, events) {
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+  for (const ev of events) {res.write(`data: ${typeof ev === "string" ? ev : JSON.stringify(ev)}\n\n`);}
+  res.end();
+}
+
+/** Split a reply into a few word-sized stream chunks. */
+function chunks(text) {
+  return text.match(/\S+\s*|\s+/g) ?? [];
+}
+
+function tokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/** Resolve a rule (or the echo default) into { status, error } or { text, tool_calls }. */
+function answer(service, text, system) {
+  const rule = findRule(service, text, system);
+  if (rule?.status && rule.status >= 400) {return { status: rule.status, error: rule.error ?? "mock error" };}
+  const reply = typeof rule?.reply === "function" ? rule.reply(text) : rule?.reply;
+  return {
+    text:       reply ?? (rule?.tool_calls ? "" : `[mock ${service}] ${text.slice(0, 200)}`),
+    tool_calls: (rule?.tool_calls ?? []).map((c, i) => ({ id: `call_mock_${Date.now()}_${i}`, name: c.name, input: c.input ?? {} })),
+  };
+}
+
+// ── OpenAI-compatible (xAI, OpenAI) ───────────────────────────────────────────
+
+function openAiChat(service, body, res) {
+  const messages = body.messages ?? [];
+  const system   = contentText(messages.find((m) => m.role === "system")?.content);
+  const lastUser = contentText(messages.findLast((m) => m.role === "user")?.content);
+  const out      = answer(service, lastUser, system);
+  const entry    = { service, model: body.model, system: system.slice(0, 80), last_user: lastUser.slice(0, 200) };
+
+  if (out.status) {
+    log.requests.push({ ...entry, status: out.status });
+    return sendJson(res, out.status, out.error);
+  }
+  log.requests.push({ ...entry, status: 200, reply: out.text.slice(0, 200), tool_calls: out.tool_calls.map((c) => c.name) });
+
+  const usage = { prompt_tokens: tokens(JSON.stringify(messages)), completion_tokens: tokens(out.text) };
+  if (body.stream) {
+    return sse(res, [
+      ...chunks(out.text).map((c) => ({ choices: [{ index: 0, delta: { content: c } }] })),
+      { choices: [], usage },
+      "[DONE]",
+    ]);
+  }
+  const message = { role: "assistant", content: out.text };
+  if (out.tool_calls.length) {
+    message.tool_calls = out.tool_calls.map((c) => ({
+      id: c.id, type: "function", function: { name: c.name, arguments: JSON.stringify(c.input) },
+    }));
+  }
+  return sendJson(res, 200, {
+    id:      `chatcmpl_mock_${Date.now()}`,
+    object:  "chat.completion",
+    model:   body.model,
+    choices: [{ index: 0, message, finish_reason: out.tool_calls.length ? "tool_calls" : "stop" }],
+    usage,
+  });
+}
+
+// ── Anthropic messages ────────────────────────────────────────────────────────
+
+function anthropicMessages(body, res) {
+  const messages = body.messages ?? [];
+  const system   = contentText(body.system);
+  const lastUser = contentText(messages.findLast((m) => m.role === "user")?.content);
+  const out      = answer("anthropic", lastUser, system);
+  const entry    = { service: "anthropic", model: body.model, system: system.slice(0, 80), last_user: lastUser.slice(0, 200) };
+
+  if (out.status) {
+    log.requests.push({ ...entry, status: out.status });
+    return sendJson(res, out.status, out.error);
+  }
+  log.requests.push({ ...entry, status: 200, reply: out.text.slice(0, 200), tool_calls: out.tool_calls.map((c) => c.name) });
+
+  const usage = { input_tokens: tokens(JSON.stringify(messages) + system), output_tokens: tokens(out.text) };
+  if (body.stream) {
+    return sse(res, [
+      { type: "message_start", message: { model: body.model, usage: { input_tokens: usage.input_tokens } } },
+      { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+      ...chunks(out.text).map((c) => ({ type: "content_block_delta", index: 0, delta: { type: "text_delta", text: c } })),
+      { type: "content_block_stop", index: 0 },
+      { type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: usage.output_tokens } },
+      { type: "message_stop" },
+    ]);
+  }
+  return sendJson(res, 200, {
+    id:          `msg_mock_${Date.now()}`,
+    type:        "message",
+    role:        "assistant",
+    model:       body.model,
+    content:     [
+      ...(out.text ? [{ type: "text", text: out.text }] : []),
+      ...out.tool_calls.map((c) => ({ type: "tool_use", id: c.id, name: c.name, input: c.input })),
+    ],
+    stop_reason: out.tool_calls.length ? "tool_use" : "end_turn",
+    usage,
+  });
+}
+
+// ── Brave search ──────────────────────────────────────────────────────────────
+
+function braveSearch(url, res) {
+  const q    = url.searchParams.get("q") ?? "";
+  const rule = findRule("brave", q, "");
+  if (rule?.status && rule.status >= 400) {
+    log.requests.push({ service: "brave", q, status: rule.status });
+    return sendJson(res, rule.status, rule.error ?? "mock error");
+  }
+  const results = rule?.results ?? [1, 2, 3].map((n) => ({
+    title:       `Mock result ${n} for "${q}"`,
+    url:         `https://example.com/mock/${n}?q=${encodeURIComponent(q)}`,
+    description: `Scripted search snippet ${n} about ${q}.`,
+  }));
+  log.requests.push({ service: "brave", q, status: 200, results: results.length });
+  return sendJson(res, 200, { type: "search", query: { original: q }, web: { results } });
+}
+
+// ── HTTP server ───────────────────────────────────────────────────────────────
+
+http.createServer(async (req, res) => {
+  const url  = new URL(req.url, `http://127.0.0.1:${HTTP_PORT}`);
+  const path = url.pathname.replace(/\/+$/, "");
+
+  if (req.method === "POST" && /^\/(xai|openai)\/v1\/chat\/completions$/.test(path)) {
+    return openAiChat(path.split("/")[1], await readBody(req), res);
+  }
+  if (req.method === "POST" && path === "/anthropic/v1/messages") {
+    return anthropicMessages(await readBody(req), res);
+  }
+  if (req.method === "GET" && /^\/(xai|openai|anthropic)\/v1\/models$/.test(path)) {
+    return sendJson(res, 200, { object: "list", data: [{ id: "mock-model", object: "model" }] });
+  }
+  if (req.method === "GET" && path === "/brave/res/v1/web/search") {
+    return braveSearch(url, res);
+  }
+  if (req.method === "POST" && path === "/whatsapp/send") {
+    const { to, text } = await readBody(req);
+    log.whatsapp.push({ to, text });
+    console.log(`[mock] whatsapp to ${to}: ${String(text ?? "").slice(0, 120)}`);
+    return sendJson(res, 200, { ok: true });
+  }
+  if (req.method === "POST" && path === "/whatsapp/typing") {
+    return sendJson(res, 200, { ok: true });
+  }
+  if (req.method === "POST" && path === "/otlp/v1/logs") {
+    const body = await readBody(req);
+    for (const rl of body.resourceLogs ?? []) {
+      for (const sl of rl.scopeLogs ?? []) {
+        for (const r of sl.logRecords ?? []) {
+          log.otlp.push({ scope: sl.scope?.name, severity: r.severityText, body: r.body?.stringValue, attributes: r.attributes?.length ?? 0 });
+        }
+      }
+    }
+    return sendJson(res, 200, {});
+  }
+  if (req.method === "POST" && path === "/otlp/v1/traces") {
+    const body = await readBody(req);
+    for (const rs of body.resourceSpans ?? []) {
+      const service = rs.resource?.attributes?.find((a) => a.key === "service.name")?.value?.stringValue;
+      for (const ss of rs.scopeSpans ?? []) {
+        for (const sp of ss.spans ?? []) {
+          log.spans.push({
+            service,
+            name:      sp.name,
+            trace_id:  sp.traceId,
+            span_id:   sp.spanId,
+            parent_id: sp.parentSpanId ?? null,
+            ms:        Number(BigInt(sp.endTimeUnixNano) - BigInt(sp.startTimeUnixNano)) / 1e6,
+            status:    sp.status?.code === 2 ? "error" : "ok",
+          });
+        }
+      }
+    }
+    return sendJson(res, 200, {});
+  }
+  if (req.method === "GET" && path === "/_mock/log") {
+    return sendJson(res, 200, { ok: true, ...log, rules });
+  }
+  if (req.method === "POST" && path === "/_mock/rules") {
+    const body = await readBody(req);
+    rules = Array.isArray(body) ? body : (body.rules ?? []);
+    return sendJson(res, 200, { ok: true, rules: rules.length });
+  }
+  if (req.method === "POST" && path === "/_mock/reset") {
+    rules = structuredClone(startupRules);
+    log.requests.length = 0;
+    log.emails.length = 0;
+    log.whatsapp.length = 0;
+    log.otlp.length = 0;
+    log.spans.length = 0;
+    return sendJson(res, 200, { ok: true });
+  }
+  return sendJson(res, 404, { ok: false, error: "not_found", path });
+}).listen(HTTP_PORT, "127.0.0.1", () => {
+  console.log(`[mock] HTTP providers on http://127.0.0.1:${HTTP_PORT} (${rules.length} scripted rule(s))`);
+});
+
+// ── SMTP server ───────────────────────────────────────────────────────────────
+// Just enough ESMTP for nodemailer: EHLO, AUTH PLAIN/LOGIN (any credentials),
+// MAIL, RCPT, DATA, RSET, NOOP, QUIT. No STARTTLS, so clients send in plain text.
+
+net.createServer((socket) => {
+  let buf = "";
+  let mail = { from: null, to: [] };
+  let inData = false;
+  let data = "";
+  let authStep = null; // "plain" | "login_user" | "login_pass"
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply("220 mock.smtp ESMTP ready");
+
+  socket.on("data", (chunk) => {
+    buf += chunk.toString("utf8");
+    let idx;
+    while ((idx = buf.indexOf("\r\n")) !== -1) {
+      const line = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          const subject = data.match(/^Subject:\s*(.*)$/im)?.[1] ?? "";
+          log.emails.push({ from: mail.from, to: mail.to, subject, data });
+          console.log(`[mock] email to ${mail.to.join(", ")}: ${subject}`);
+          mail = { from: null, to: [] };
+          data = "";
+          reply("250 2.0.0 OK queued");
+        } else {
+          data += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+        }
+        continue;
+      }
+
+      if (authStep) {
+        authStep = authStep === "login_user" ? "login_pass" : null;
+        reply(authStep ? "334 UGFzc3dvcmQ6" : "235 2.7.0 Authentication successful");
+        continue;
+      }
+
+      const [verb, ...rest] = line.split(" ");
+      const arg = rest.join(" ");
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          socket.write("250-mock.smtp\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n");
+          break;
+        case "HELO":
+          reply("250 mock.smtp");
+          break;
+        case "AUTH": {
+          const [mech, initial] = arg.split(" ");
+          if (/^PLAIN$/i.test(mech)) {
+            if (initial) {reply("235 2.7.0 Authentication successful");}
+            else { authStep = "plain"; reply("334 "); }
+          } else if (/^LOGIN$/i.test(mech)) {
+            authStep = "login_user";
+            reply("334 VXNlcm5hbWU6");
+          } else {
+            reply("504 5.5.4 Unrecognized authentication type");
+          }
+          break;
+        }
+        case "MAIL":
+          mail.from = arg.match(/<([^>]*)>/)?.[1] ?? arg;
+          reply("250 2.1.0 OK");
+          break;
+        case "RCPT":
+          mail.to.push(arg.match(/<([^>]*)>/)?.[1] ?? arg);
+          reply("250 2.1.5 OK");
+          break;
+        case "DATA":
+          inData = true;
+          reply("354 End data with <CR><LF>.<CR><LF>");
+          break;
+        case "RSET":
+          mail = { from: null, to: [] };
+          reply("250 2.0.0 OK");
+          break;
+        case "NOOP":
+          reply("250 2.0.0 OK");
+          break;
+        case "QUIT":
+          reply("221 2.0.0 Bye");
+          socket.end();
+          break;
+        default:
+          reply("502 5.5.2 Command not implemented");
+      }
+    }
+  });
+  socket.on("error", () => { /* client went away */ });
+}).listen(SMTP_PORT, "127.0.0.1", () => {
+  console.log(`[mock] SMTP on 127.0.0.1:${SMTP_PORT}`);
+});
@@ -0,0 +1,220 @@
+/**
+ * Action request routes — the kernel's main entry point. Registered by apps/kernel/src/app.js.
+ *
+ * POST /kernel/action_requests          — record, dispatch (orchestrator/index.js) and audit one action
+ * POST /kernel/action_requests/stream   — same body, NDJSON response (see below)
+ * GET  /kernel/action_requests/:id      — stored request with payload and result
+ *
+ * A request_id makes submission idempotent: the same id with the same payload
+ * re-dispatches, with a different payload it is rejected 409 conflict. When
+ * dispatch answers approval_required, a pending approval is created at once
+ * and its approval_id returned with the result.
+ */
+import crypto from "crypto";
+import { z } from "zod";
+import { dispatch as orchestratorDispatch, actionTypeLabel } from "../orchestrator/index.js";
+import { createApproval } from "../approvals/service.js";
+import { isLocked } from "../keyring/service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { counter } from "../metrics/registry.js";
+import { doc } from "../openapi/spec.js";
+
+const ActionRequestSchema = z.object({
+  workspace_id: z.string(),
+  agent_id: z.string(),
+  action_type: z.string(),
+  destination: z.string().optional().nullable(),
+  payload: z.any().optional().default({}),
+  request_id: z.string().optional(),
+  approval_token: z.string().optional(),
+});
+const ActionRequestParams = z.object({ id: z.string() });
+
+const actionRequestsTotal = counter(
+  "clawos_action_requests_total", "Action requests recorded, by action type and final status",
+  ["action_type", "status"],
+);
+
+function nowIso() { return new Date().toISOString(); }
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerActionRequestRoutes(app, db) {
+
+  /**
+   * Persist, dispatch and audit one action request. Shared by the plain and
+   * streaming routes; returns the HTTP status and JSON body to send.
+   *
+   * @param {z.infer<typeof ActionRequestSchema>} body
+   * @param {{ onDelta?: (text: string) => void; actor?: string|null }} [opts]  actor: API client_id, for the audit log
+   * @returns {Promise<{ status: number; payload: object }>}
+   */
+  async function processActionRequest(body, { onDelta, actor = null } = {}) {
+    const action_request_id = body.request_id ?? `ar_${crypto.randomBytes(12).toString("hex")}`;
+    const requestStart = Date.now(); // Phase 3: audit log timing
+
+    // Phase 3: workspace isolation — workspace_id must exist in DB
+    // (prevents workspace_id path-injection into getWorkspaceRoot)
+    const wsRow = db
+      .prepare(`SELECT workspace_id FROM workspaces WHERE workspace_id=?`)
+      .get(body.workspace_id);
+    if (!wsRow) {
+      return { status: 404, payload: { ok: false, error: "workspace_not_found" } };
+    }
+
+    // Fix #5: payload immutability — same request_id + different payload → 409
+    const incomingPayload = JSON.stringify(body.payload ?? {});
+    const existingRow = db
+      .prepare(`SELECT payload_json FROM action_requests WHERE action_request_id=?`)
+      .get(action_request_id);
+
+    if (existingRow) {
+      if (existingRow.payload_json !== incomingPayload) {
+        return {
+          status: 409,
+          payload: { ok: false, error: "conflict", message: "Same request_id submitted with different payload" },
+        };
+      }
+      // Same payload — idempotent retry, fall through to dispatch
+    } else {
+      db.prepare(`
+        INSERT INTO action_requests (
+          action_request_id, workspace_id, agent_id, action_type, destination,
+          payload_json, created_at, status, approval_required, result_json
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', 0, NULL)
+      `).run(
+        action_request_id,
+        body.workspace_id,
+        body.agent_id,
+        body.action_type,
+        body.destination ?? null,
+        incomingPayload,
+        nowIso()
+      );
+    }
+
+    // Fix #2: pass db so dispatch/isApproved can query tool_tokens
+    const result = await orchestratorDispatch({
+      request_id: action_request_id,
+      workspace_id: body.workspace_id,
+      agent_id: body.agent_id,
+      action_type: body.action_type,
+      destination: body.destination ?? null,
+      payload: body.payload ?? {},
+      approval_token: body.approval_token,
+    }, { db, onDelta });
+
+    const status =
+      result?.ok ? "completed" : (result?.approval_required ? "approval_required" : "failed");
+
+    db.prepare(`
+      UPDATE action_requests
+      SET status = ?, approval_required = ?, result_json = ?
+      WHERE action_request_id = ?
+    `).run(
+      status,
+      result?.approval_required ? 1 : 0,
+      JSON.stringify(result ?? {}),
+      action_request_id
+    );
+
+    actionRequestsTotal.inc({ action_type: actionTypeLabel(body.action_type), status });
+
+    // Phase 3: audit log entry for every action request
+    logAudit(db, {
+      event:        "action_request",
+      actor,
+      workspace_id: body.workspace_id,
+      subject_type: "action_request",
+      subject_id:   action_request_id,
+      data:         { agent_id: body.agent_id, action_type: body.action_type, status, ms: Date.now() - requestStart },
+    });
+
+    if (result?.approval_required) {
+      // Fix #3: auto-create the approval record so the client gets approval_id immediately
+      const approval = createApproval(db, {
+        workspace_id: body.workspace_id,
+        action_request_id,
+        requested_by: body.agent_id,
+        actor,
+      });
+      return {
+        status: 200,
+        payload: {
+          ...result,
+          action_request_id,
+          approval_id: approval.approval_id,
+          approval_expires_at: approval.expires_at,
+        },
+      };
+    }
+    return {
+      status: 200,
+      payload: {
+        ok: true,
+        action_request_id,
+        exec: result,
+      },
+    };
+  }
+
+  // ── POST /kernel/action_requests ───────────────────────────────────────────
+  app.post("/kernel/action_requests", doc("Submit an action request", { body: ActionRequestSchema }), async (req, reply) => {
+    const body = ActionRequestSchema.parse(req.body ?? {});
+    const { status, payload } = await processActionRequest(body, { actor: auditActor(req) });
+    reply.code(status);
+    return payload;
+  });
+
+  // ── POST /kernel/action_requests/stream ────────────────────────────────────
+  // Streaming variant — same body, response is NDJSON (one JSON object per line):
+  //   { type: "delta",  text }                 — zero or more, as the action produces text
+  //   { type: "result", status, ...payload }   — exactly one, same payload as the plain route
+  //   { type: "error",  error }                — instead of "result" on an unexpected failure
+  // Only actions that honour ctx.onDelta (chat_llm) emit deltas; others just send the result.
+  app.post("/kernel/action_requests/stream", doc("Submit an action request, streaming NDJSON deltas and the result", {
+    body:    ActionRequestSchema,
+    content: "application/x-ndjson",
+  }), async (req, reply) => {
+    const body = ActionRequestSchema.parse(req.body ?? {});
+
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-cache",
+      "X-Accel-Buffering": "no",
+    });
+    const send = (obj) => { if (!reply.raw.writableEnded) {reply.raw.write(`${JSON.stringify(obj)}\n`);} };
+
+    try {
+      const { status, payload } = await processActionRequest(body, {
+        onDelta: (text) => send({ type: "delta", text }),
+        actor:   auditActor(req),
+      });
+      send({ type: "result", status, ...payload });
+    } catch (e) {
+      req.log.error({ err: e }, "action_requests/stream failed");
+      send({ type: "error", error: e?.message ?? String(e) });
+    }
+    reply.raw.end();
+  });
+
+  // ── GET /kernel/action_requests/:id ────────────────────────────────────────
+  app.get("/kernel/action_requests/:id", doc("Get an action request with its payload and result", { params: ActionRequestParams }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const params = ActionRequestParams.parse(req.params ?? {});
+    const row = db.prepare(`SELECT * FROM action_requests WHERE action_request_id=?`).get(params.id);
+    if (!row) {
+      reply.code(404);
+      return { ok: false, error: "not_found" };
+    }
+    return {
+      ...row,
+      payload: JSON.parse(row.payload_json),
+      result: row.result_json ? JSON.parse(row.result_json) : null
+    };
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * Action registry routes — registered by apps/kernel/src/app.js.
+ *
+ * GET    /kernel/actions         — every action dispatch() can run: builtin, plugin and api
+ * GET    /kernel/actions/:name   — one action, with its input_schema and output_schema
+ * POST   /kernel/actions         — register (or replace) a webhook action (operator)
+ * DELETE /kernel/actions/:name   — remove a webhook action (operator)
+ *
+ * Only "api" actions can be added or removed here; builtins are fixed and
+ * plugins come from ACTION_PLUGIN_DIR at startup (orchestrator/registry.js).
+ * New actions have no risk policy row, so they default to "ask" when
+ * writes is true (the default) — set one with PUT /kernel/risk_policies/:action_type.
+ */
+import { z } from "zod";
+import { listActions, describeAction, ACTION_NAME_RE, RISK_LEVELS } from "../orchestrator/registry.js";
+import { saveRegisteredAction, deleteRegisteredAction } from "./service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const RegisterActionBody = z.object({
+  name:          z.string().regex(ACTION_NAME_RE, "lower_snake_case, at most 64 characters"),
+  description:   z.string().min(1).max(1000),
+  endpoint:      z.string().url().refine((u) => /^https?:\/\//.test(u), "must be an http(s) URL"),
+  writes:        z.boolean().default(true),
+  risk_level:    z.enum(RISK_LEVELS).optional(),
+  reversible:    z.boolean().optional(),
+  input_schema:  z.record(z.unknown()).optional().describe("JSON Schema (type: object) for the payload"),
+  output_schema: z.record(z.unknown()).optional().describe("JSON Schema (type: object) for the endpoint's reply"),
+  tool:          z.boolean().optional().describe("false keeps an action with an input_schema out of agent_run and plan_message"),
+  timeout_ms:    z.number().int().positive().max(300_000).default(30_000),
+});
+const ActionParams = z.object({ name: z.string() });
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerActionRoutes(app, db) {
+
+  // ── GET /kernel/actions ────────────────────────────────────────────────────
+  app.get("/kernel/actions", doc("List registered actions"), async () => {
+    return { ok: true, actions: listActions() };
+  });
+
+  // ── GET /kernel/actions/:name ──────────────────────────────────────────────
+  app.get("/kernel/actions/:name", doc("Get one action", { params: ActionParams }), async (req, reply) => {
+    const action = describeAction(req.params.name);
+    if (!action) { reply.code(404); return { ok: false, error: "action_not_found" }; }
+    return { ok: true, action };
+  });
+
+  // ── POST /kernel/actions ───────────────────────────────────────────────────
+  app.post("/kernel/actions", doc("Register a webhook action (operator)", { body: RegisterActionBody }), async (req, reply) => {
+    let body;
+    try { body = RegisterActionBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    let saved;
+    try {
+      saved = saveRegisteredAction(db, body);
+    } catch (e) {
+      if (e.code === "action_exists") { reply.code(409); return { ok: false, error: "action_exists", message: e.message }; }
+      if (e.code === "invalid_action") { reply.code(400); return { ok: false, error: "invalid_action", message: e.message }; }
+      throw e;
+    }
+    logAudit(db, {
+      event: "action_registered", actor: auditActor(req), subject_type: "action", subject_id: body.name,
+      data:  { endpoint: body.endpoint, writes: body.writes, replaced: saved.replaced },
+    });
+    return { ok: true, replaced: saved.replaced, action: saved.action };
+  });
+
+  // ── DELETE /kernel/actions/:name ───────────────────────────────────────────
+  app.delete("/kernel/actions/:name", doc("Remove a webhook action (operator)", { params: ActionParams }), async (req, reply) => {
+    const { name } = req.params;
+    const existing = describeAction(name);
+    if (!existing) { reply.code(404); return { ok: false, error: "action_not_found" }; }
+    if (existing.source !== "api") {
+      reply.code(409);
+      return { ok: false, error: "action_not_removable", source: existing.source };
+    }
+    deleteRegisteredAction(db, name);
+    logAudit(db, { event: "action_unregistered", actor: auditActor(req), subject_type: "action", subject_id: name });
+    return { ok: true };
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Registered actions — third-party actions added through the kernel API.
+ *
+ * POST /kernel/actions stores a definition in registered_actions and adds a
+ * webhook action to the registry (orchestrator/registry.js, source "api").
+ * Its run() POSTs
+ *
+ *   { request_id, workspace_id, agent_id, action_type, payload }
+ *
+ * to the definition's endpoint and returns the JSON reply as the action's
+ * result; a non-2xx reply, a non-JSON body or the timeout fails the action.
+ * Like any other action it goes through the payload schema check and the
+ * risk policy gate first, and its reply is checked against output_schema. Definitions are reloaded at startup by
+ * loadRegisteredActions(), and after a backup import by reloadRegisteredActions().
+ */
+import { registerAction, unregisterAction, describeAction, listActions } from "../orchestrator/registry.js";
+import { tracedFetch } from "../orchestrator/tracing.js";
+
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Registry action for a stored definition.
+ *
+ * @param {{ name: string; description: string; endpoint: string; writes: boolean; risk_level?: string;
+ *           reversible?: boolean; input_schema?: object; output_schema?: object; tool?: boolean;
+ *           timeout_ms?: number }} def
+ */
+export function webhookAction(def) {
+  const timeoutMs = def.timeout_ms ?? 30_000;
+  return {
+    name:        def.name,
+    description: def.description,
+    writes:      def.writes,
+    ...(def.risk_level !== undefined ? { risk_level: def.risk_level } : {}),
+    ...(def.reversible !== undefined ? { reversible: def.reversible } : {}),
+    ...(def.input_schema ? { input_schema: def.input_schema } : {}),
+    ...(def.output_schema ? { output_schema: def.output_schema } : {}),
+    ...(def.tool !== undefined ? { tool: def.tool } : {}),
+    endpoint:    def.endpoint,
+
+    async run(req) {
+      const res = await tracedFetch(def.endpoint, {
+        method:  "POST",
+        headers: { "Content-Type": "application/json" },
+        body:    JSON.stringify({
+          request_id:   req.request_id,
+          workspace_id: req.workspace_id,
+          agent_id:     req.agent_id,
+          action_type:  req.action_type,
+          payload:      req.payload,
+        }),
+        signal:  AbortSignal.timeout(timeoutMs),
+      }, { name: `webhook ${def.name}` });
+      const text = await res.text();
+      if (!res.ok) {throw new Error(`${def.name} endpoint answered ${res.status}: ${text.slice(0, 300)}`);}
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw new Error(`${def.name} endpoint returned invalid JSON`);
+      }
+    },
+  };
+}
+
+/**
+ * Register (or replace) a webhook action and store its definition.
+ * Throws invalid_action / action_exists from the registry.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {Parameters<typeof webhookAction>[0]} def
+ * @returns {{ action: ReturnType<typeof describeAction>; replaced: boolean }}
+ */
+export function saveRegisteredAction(db, def) {
+  const { replaced } = registerAction(webhookAction(def), { source: "api" });
+  const ts = now();
+  db.prepare(`
+    INSERT INTO registered_actions (name, definition_json, created_at, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET definition_json=excluded.definition_json, updated_at=excluded.updated_at
+  `).run(def.name, JSON.stringify(def), ts, ts);
+  return { action: describeAction(def.name), replaced };
+}
+
+/**
+ * Unregister a webhook action and delete its definition.
+ * False when no API-registered action has that name.
+ */
+export function deleteRegisteredAction(db, name) {
+  if (!unregisterAction(name, "api")) {return false;}
+  db.prepare(`DELETE FROM registered_actions WHERE name=?`).run(name);
+  return true;
+}
+
+/**
+ * Register every stored definition — called once at startup, after plugins
+ * are loaded. A definition that no longer registers (e.g. a plugin now
+ * owns the name) is reported and left in the table.
+ *
+ * @returns {{ loaded: string[]; failed: { name: string; error: string }[] }}
+ */
+export function loadRegisteredActions(db) {
+  const loaded = [];
+  const failed = [];
+  for (const row of db.prepare(`SELECT name, definition_json FROM registered_actions ORDER BY created_at`).all()) {
+    try {
+      registerAction(webhookAction(JSON.parse(row.definition_json)), { source: "api" });
+      loaded.push(row.name);
+    } catch (e) {
+      failed.push({ name: row.name, error: e?.message ?? String(e) });
+    }
+  }
+  return { loaded, failed };
+}
+
+/**
+ * Replace every "api" action in the registry with the stored definitions —
+ * after a backup import has swapped the registered_actions table.
+ *
+ * @returns {{ loaded: string[]; failed: { name: string; error: string }[] }}
+ */
+export function reloadRegisteredActions(db) {
+  for (const { name, source } of listActions()) {
+    if (source === "api") {unregisterAction(name, "api");}
+  }
+  return loadRegisteredActions(db);
+}
@@ -0,0 +1,39 @@
+/**
+ * Agent run REST routes — read-only views of agent_run loops.
+ *
+ * GET /kernel/agent_runs?workspace_id=&limit=   — recent runs for a workspace
+ * GET /kernel/agent_runs/:run_id?workspace_id=  — one run, including its transcript
+ *
+ * Runs are started and resumed through POST /kernel/action_requests
+ * (action_type "agent_run"), never here.
+ */
+import { getRun, listRuns } from "./service.js";
+import { doc } from "../openapi/spec.js";
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerAgentRunRoutes(app, db) {
+
+  // ── GET /kernel/agent_runs ─────────────────────────────────────────────────
+  app.get("/kernel/agent_runs", doc("Recent agent runs for a workspace"), async (req, reply) => {
+    const { workspace_id, limit } = req.query ?? {};
+    if (!workspace_id) { reply.code(400); return { ok: false, error: "workspace_id_required" }; }
+    const runs = listRuns(db, workspace_id, Math.min(Number(limit) || 20, 100))
+      .map(({ messages: _messages, ...run }) => run);
+    return { ok: true, runs };
+  });
+
+  // ── GET /kernel/agent_runs/:run_id ─────────────────────────────────────────
+  app.get("/kernel/agent_runs/:run_id", doc("Get an agent run with its transcript"), async (req, reply) => {
+    const { workspace_id } = req.query ?? {};
+    const run = getRun(db, req.params.run_id);
+    if (!run) { reply.code(404); return { ok: false, error: "run_not_found" }; }
+    if (workspace_id && run.workspace_id !== workspace_id) {
+      reply.code(403);
+      return { ok: false, error: "workspace_mismatch" };
+    }
+    return { ok: true, run };
+  });
+}
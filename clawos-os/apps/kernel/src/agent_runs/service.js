@@ -0,0 +1,78 @@
+/**
+ * Agent runs service — persisted state of agent_run tool-calling loops.
+ *
+ * A run is the whole conversation between the model and the tools for one
+ * objective. It is saved after every step so that a run paused on a tool
+ * approval (status "approval_required") can be resumed by a later agent_run
+ * request carrying { run_id } and the approval token.
+ */
+import crypto from "node:crypto";
+
+function runId() {
+  return `run_${crypto.randomBytes(10).toString("hex")}`;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function rowToRun(row) {
+  if (!row) {return null;}
+  return {
+    run_id:       row.run_id,
+    workspace_id: row.workspace_id,
+    agent_id:     row.agent_id,
+    session_id:   row.session_id,
+    objective:    row.objective,
+    status:       row.status,
+    steps:        row.steps,
+    max_steps:    row.max_steps,
+    tools:        JSON.parse(row.tools_json),
+    messages:     JSON.parse(row.messages_json),
+    pending:      row.pending_json ? JSON.parse(row.pending_json) : null,
+    reply:        row.reply,
+    created_at:   row.created_at,
+    updated_at:   row.updated_at,
+  };
+}
+
+/**
+ * Start a new run.
+ *
+ * @param {object} db
+ * @param {{ workspace_id, agent_id, session_id?, objective, max_steps, tools, messages }} opts
+ */
+export function createRun(db, { workspace_id, agent_id, session_id = null, objective, max_steps, tools, messages }) {
+  const run_id = runId();
+  const ts     = now();
+  db.prepare(`
+    INSERT INTO agent_runs (run_id, workspace_id, agent_id, session_id, objective, status,
+                            steps, max_steps, tools_json, messages_json, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 'running', 0, ?, ?, ?, ?, ?)
+  `).run(run_id, workspace_id, agent_id, session_id, objective, max_steps,
+    JSON.stringify(tools), JSON.stringify(messages), ts, ts);
+  return getRun(db, run_id);
+}
+
+export function getRun(db, run_id) {
+  return rowToRun(db.prepare(`SELECT * FROM agent_runs WHERE run_id = ?`).get(run_id));
+}
+
+export function listRuns(db, workspace_id, limit = 20) {
+  return db.prepare(`
+    SELECT * FROM agent_runs WHERE workspace_id = ? ORDER BY created_at DESC LIMIT ?
+  `).all(workspace_id, limit).map(rowToRun);
+}
+
+/** Persist the mutable parts of a run (status, steps, messages, pending, reply). */
+export function saveRun(db, run) {
+  db.prepare(`
+    UPDATE agent_runs
+    SET status = ?, steps = ?, messages_json = ?, pending_json = ?, reply = ?, updated_at = ?
+    WHERE run_id = ?
+  `).run(
+    run.status, run.steps, JSON.stringify(run.messages),
+    run.pending ? JSON.stringify(run.pending) : null,
+    run.reply ?? null, now(), run.run_id,
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * Agent routes — registered by apps/kernel/src/app.js.
+ *
+ * POST /kernel/agents             — register (or upsert) an AGENT in a workspace
+ * GET  /kernel/agents/:agent_id
+ *
+ * Only agents can create tasks, request approvals, and mint delegation tokens.
+ * Both need the kernel unlocked (403 kernel_locked).
+ */
+import { z } from "zod";
+import { createAgent, getAgent } from "./service.js";
+import { emitEvent } from "../events/service.js";
+import { isLocked } from "../keyring/service.js";
+import { doc } from "../openapi/spec.js";
+
+const CreateAgentBody = z.object({
+  workspace_id:     z.string(),
+  agent_id:         z.string().min(1),
+  role:             z.string().optional().default("orchestrator"),
+  policy_profile_id: z.string().optional().nullable(),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerAgentRoutes(app, db) {
+
+  // ── POST /kernel/agents ────────────────────────────────────────────────────
+  app.post("/kernel/agents", doc("Register an agent", { body: CreateAgentBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = CreateAgentBody.parse(req.body ?? {});
+
+    // Workspace must exist
+    const wsRow = db.prepare(`SELECT workspace_id FROM workspaces WHERE workspace_id=?`).get(body.workspace_id);
+    if (!wsRow) { reply.code(404); return { ok: false, error: "workspace_not_found" }; }
+
+    const agent = createAgent(db, body);
+
+    emitEvent(db, {
+      workspace_id: body.workspace_id,
+      task_id:      "system",
+      actor_kind:   "system",
+      actor_id:     "kernel",
+      type:         "agent.registered",
+      data:         { agent_id: body.agent_id, role: body.role },
+    });
+
+    return { ok: true, agent };
+  });
+
+  // ── GET /kernel/agents/:agent_id ───────────────────────────────────────────
+  app.get("/kernel/agents/:agent_id", doc("Get an agent"), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+    const agent = getAgent(db, req.params.agent_id);
+    if (!agent) { reply.code(404); return { ok: false, error: "agent_not_found" }; }
+    return { ok: true, agent };
+  });
+}
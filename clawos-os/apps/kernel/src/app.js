@@ -0,0 +1,160 @@
+/**
+ * Kernel HTTP app — request hooks and every route module, in one place.
+ *
+ * buildApp() only registers; it neither listens nor touches the DB until a
+ * request comes in. index.js builds it after migrating and seeding the DB;
+ * scripts/gen_client.js builds it over an in-memory DB to read the OpenAPI
+ * document (app.openapiSpec()).
+ *
+ * Each area of the API lives in <area>/routes.js as registerXRoutes(app, db).
+ * Hook order matters: the OpenAPI hook must see every route, and tracing,
+ * metrics and auth run before any handler.
+ */
+import Fastify from "fastify";
+import { installOpenApiHook, registerOpenApiRoutes } from "./openapi/routes.js";
+import { installTracingHook }            from "./orchestrator/tracing.js";
+import { installMetricsHook, registerMetricsRoutes } from "./metrics/routes.js";
+import { installAuthHook, registerAuthRoutes } from "./auth/routes.js";
+import { noteActivity }                  from "./keyring/service.js";
+import { registerKeyringRoutes }         from "./keyring/routes.js";
+import { registerHealthRoutes }          from "./health/routes.js";
+import { registerWorkspaceRoutes }       from "./workspaces/routes.js";
+import { registerActionRequestRoutes }   from "./action_requests/routes.js";
+import { registerApprovalRoutes }        from "./approvals/routes.js";
+import { registerTokenRoutes }           from "./tokens/routes.js";
+import { registerConnectionRoutes }      from "./connections/routes.js";
+import { registerRiskPolicyRoutes }      from "./policy/routes.js";
+import { registerActionRoutes }          from "./actions/routes.js";
+import { registerSandboxRoutes }         from "./sandbox/routes.js";
+import { registerShellSessionRoutes }    from "./shell_sessions/routes.js";
+import { registerAgentRoutes }           from "./agents/routes.js";
+import { registerTaskRoutes }            from "./tasks/routes.js";
+import { registerSubagentRoutes }        from "./subagents/routes.js";
+import { registerClawhubRoutes }         from "./clawhub/routes.js";
+import { registerSessionRoutes }         from "./sessions/routes.js";
+import { registerObjectiveRoutes }       from "./objectives/routes.js";
+import { registerJobRoutes }             from "./jobs/routes.js";
+import { registerLlmRoutes }             from "./llm/routes.js";
+import { registerUsageRoutes }           from "./usage/routes.js";
+import { registerAgentRunRoutes }        from "./agent_runs/routes.js";
+import { registerPromptRoutes }          from "./prompts/routes.js";
+import { registerBackupRoutes }          from "./backup/routes.js";
+import { registerAuditRoutes }           from "./audit/routes.js";
+
+/**
+ * @param {import('better-sqlite3').Database} db  migrated kernel DB
+ * @param {{ logger?: boolean }} [opts]
+ * @returns {import('fastify').FastifyInstance}
+ */
+export function buildApp(db, { logger = true } = {}) {
+  const app = Fastify({ logger });
+
+  // Records each route for GET /kernel/openapi.json — before any route
+  installOpenApiHook(app);
+
+  // Server span per request (continues the caller's traceparent) and HTTP
+  // request metrics — before auth, so rejected requests are traced and counted too
+  installTracingHook(app);
+  installMetricsHook(app);
+
+  // API key + role check on every /kernel/* request — installed before any route
+  installAuthHook(app, db);
+
+  // Any API call except health checks counts as activity for the idle auto-lock
+  app.addHook("onRequest", async (req) => {
+    if (req.url.startsWith("/kernel/") && !req.url.startsWith("/kernel/health")) {noteActivity();}
+  });
+
+  // --------------------
+  // Health, lock / setup, keyring (key IDs, rotation, recovery phrase)
+  // --------------------
+  registerHealthRoutes(app, db);
+  registerKeyringRoutes(app, db);
+
+  // --------------------
+  // Workspaces, action requests, approvals, tool + delegation tokens
+  // --------------------
+  registerWorkspaceRoutes(app, db);
+  registerActionRequestRoutes(app, db);
+  registerApprovalRoutes(app, db);
+  registerTokenRoutes(app, db);
+
+  // --------------------
+  // Connections, risk policies, action registry, run_shell sandbox and sessions
+  // --------------------
+  registerConnectionRoutes(app, db);
+  registerRiskPolicyRoutes(app, db);
+  registerActionRoutes(app, db);
+  registerSandboxRoutes(app, db);
+  registerShellSessionRoutes(app, db);
+
+  // --------------------
+  // Agents, tasks, subagents
+  // --------------------
+  registerAgentRoutes(app, db);
+  registerTaskRoutes(app, db);
+  registerSubagentRoutes(app, db);
+
+  // --------------------
+  // ClaWHub Skills Marketplace routes
+  // --------------------
+  registerClawhubRoutes(app, db);
+
+  // --------------------
+  // Session routes
+  // --------------------
+  registerSessionRoutes(app, db);
+
+  // --------------------
+  // Cognitive Objective routes
+  // --------------------
+  registerObjectiveRoutes(app, db);
+
+  // --------------------
+  // Jobs routes
+  // --------------------
+  registerJobRoutes(app, db);
+
+  // --------------------
+  // LLM routing routes
+  // --------------------
+  registerLlmRoutes(app, db);
+
+  // --------------------
+  // LLM usage + budget routes
+  // --------------------
+  registerUsageRoutes(app, db);
+
+  // --------------------
+  // Agent loop run routes
+  // --------------------
+  registerAgentRunRoutes(app, db);
+
+  // --------------------
+  // Prompt registry routes
+  // --------------------
+  registerPromptRoutes(app, db);
+
+  // --------------------
+  // API client (auth) routes
+  // --------------------
+  registerAuthRoutes(app, db);
+
+  // --------------------
+  // Backup routes (encrypted export / import)
+  // --------------------
+  registerBackupRoutes(app, db);
+
+  // --------------------
+  // Audit log routes (query, chain verification)
+  // --------------------
+  registerAuditRoutes(app, db);
+
+  // --------------------
+  // Prometheus metrics, OpenAPI document
+  // --------------------
+  registerMetricsRoutes(app, db);
+  registerOpenApiRoutes(app);
+
+  return app;
+}
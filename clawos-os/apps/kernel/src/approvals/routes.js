@@ -0,0 +1,84 @@
+/**
+ * Approval routes — registered by apps/kernel/src/app.js.
+ *
+ * POST /kernel/approvals                — create a pending approval { workspace_id, action_request_id, requested_by?, ttl_seconds? }
+ * GET  /kernel/approvals                — all approvals, newest expiry first
+ * POST /kernel/approvals/:id/approve    — operator only (see auth/service.js ROUTE_ROLES)
+ * POST /kernel/approvals/:id/reject
+ *
+ * All need the kernel unlocked (403 kernel_locked). Decisions are recorded in
+ * the audit log with the approval's previous status.
+ */
+import { z } from "zod";
+import { createApproval } from "./service.js";
+import { isLocked } from "../keyring/service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const CreateApprovalBody = z.object({
+  workspace_id:      z.string(),
+  action_request_id: z.string(),
+  requested_by:      z.string().default("openclaw"),
+  ttl_seconds:       z.number().int().positive().max(3600).default(600),
+});
+const ApprovalParams = z.object({ id: z.string() });
+
+function nowIso() { return new Date().toISOString(); }
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerApprovalRoutes(app, db) {
+
+  // ── POST /kernel/approvals ─────────────────────────────────────────────────
+  app.post("/kernel/approvals", doc("Create a pending approval for an action request", { body: CreateApprovalBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = CreateApprovalBody.parse(req.body ?? {});
+    const { approval_id, status, expires_at } = createApproval(db, { ...body, actor: auditActor(req) });
+    return { approval_id, status, expires_at };
+  });
+
+  // ── GET /kernel/approvals ──────────────────────────────────────────────────
+  app.get("/kernel/approvals", doc("List approvals"), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const rows = db.prepare(`SELECT * FROM approvals ORDER BY expires_at DESC`).all();
+    return { approvals: rows };
+  });
+
+  /** Shared by approve / reject: record the decision and audit it. */
+  function decide(req, reply, status, reason) {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const params = ApprovalParams.parse(req.params ?? {});
+    const row = db.prepare(`SELECT * FROM approvals WHERE approval_id=?`).get(params.id);
+    if (!row) {
+      reply.code(404);
+      return { ok: false, error: "not_found" };
+    }
+    db.prepare(`UPDATE approvals SET status=?, decision_reason=?, decided_at=? WHERE approval_id=?`).run(
+      status,
+      reason,
+      nowIso(),
+      params.id
+    );
+    logAudit(db, {
+      event: `approval_${status}`, actor: auditActor(req), workspace_id: row.workspace_id,
+      subject_type: "approval", subject_id: params.id,
+      data:  { action_request_id: row.action_request_id, previous_status: row.status },
+    });
+    return { ok: true, status };
+  }
+
+  // ── POST /kernel/approvals/:id/approve ─────────────────────────────────────
+  app.post("/kernel/approvals/:id/approve", doc("Approve a pending approval (operator)", { params: ApprovalParams }), async (req, reply) => {
+    return decide(req, reply, "approved", "ok");
+  });
+
+  // ── POST /kernel/approvals/:id/reject ──────────────────────────────────────
+  app.post("/kernel/approvals/:id/reject", doc("Reject a pending approval", { params: ApprovalParams }), async (req, reply) => {
+    return decide(req, reply, "rejected", "rejected");
+  });
+}
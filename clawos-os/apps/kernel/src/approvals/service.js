@@ -0,0 +1,34 @@
+/**
+ * Approval Service — pending human decisions on action requests.
+ *
+ * An approval is created when dispatch answers approval_required (by the
+ * action request routes) or explicitly via POST /kernel/approvals, and is
+ * decided by the operator (approvals/routes.js). A granted approval is what
+ * POST /kernel/tokens/issue exchanges for a tool token.
+ */
+import crypto from "crypto";
+import { logAudit } from "../audit/service.js";
+
+/**
+ * Insert a pending approval for an action request and audit it.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ workspace_id: string; action_request_id: string; requested_by?: string;
+ *           ttl_seconds?: number; actor?: string|null }} input  actor: API client_id, for the audit log
+ * @returns {{ approval_id: string; expires_at: string; status: "pending" }}
+ */
+export function createApproval(db, { workspace_id, action_request_id, requested_by = "local-dev", ttl_seconds = 600, actor = null }) {
+  const approval_id = `ap_${crypto.randomBytes(12).toString("hex")}`;
+  const expires_at = new Date(Date.now() + ttl_seconds * 1000).toISOString();
+
+  db.prepare(
+    `INSERT INTO approvals (approval_id, workspace_id, status, action_request_id, requested_by, expires_at)
+     VALUES (?, ?, 'pending', ?, ?, ?)`
+  ).run(approval_id, workspace_id, action_request_id, requested_by, expires_at);
+  logAudit(db, {
+    event: "approval_requested", actor, workspace_id, subject_type: "approval", subject_id: approval_id,
+    data:  { action_request_id, requested_by, expires_at },
+  });
+
+  return { approval_id, expires_at, status: "pending" };
+}
@@ -0,0 +1,66 @@
+/**
+ * Audit log routes — registered by apps/kernel/src/app.js.
+ *
+ * GET /kernel/audit          — newest first; filters: event (comma-separated), actor,
+ *                              workspace_id, subject_type, subject_id, since, until (ISO),
+ *                              before_seq (paging), after_seq (tailing), limit (≤ 1000)
+ * GET /kernel/audit/verify   — walk the hash chain; { valid, checked, head, break }
+ *                              anchor_seq + anchor_hash: a head recorded earlier (outside
+ *                              the DB) that the log must still contain — the chain alone
+ *                              is unkeyed and cannot show a rewrite (see audit/service.js)
+ *
+ * Readable by every role (see auth/service.js); nothing here writes.
+ */
+import { z } from "zod";
+import { queryAudit, verifyAuditChain } from "./service.js";
+import { doc } from "../openapi/spec.js";
+
+const QuerySchema = z.object({
+  event:        z.string().optional().transform((v) => (v ? v.split(",").map((s) => s.trim()).filter(Boolean) : undefined)),
+  actor:        z.string().optional(),
+  workspace_id: z.string().optional(),
+  subject_type: z.string().optional(),
+  subject_id:   z.string().optional(),
+  since:        z.string().datetime().optional(),
+  until:        z.string().datetime().optional(),
+  before_seq:   z.coerce.number().int().positive().optional(),
+  after_seq:    z.coerce.number().int().nonnegative().optional(),
+  limit:        z.coerce.number().int().positive().max(1000).optional(),
+});
+
+const VerifyQuerySchema = z.object({
+  anchor_seq:  z.coerce.number().int().positive().optional(),
+  anchor_hash: z.string().regex(/^[0-9a-f]{64}$/).optional(),
+}).refine((q) => (q.anchor_seq === undefined) === (q.anchor_hash === undefined), {
+  message: "anchor_seq and anchor_hash go together",
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerAuditRoutes(app, db) {
+
+  // ── GET /kernel/audit ──────────────────────────────────────────────────────
+  app.get("/kernel/audit", doc("Query the audit log", { query: QuerySchema }), async (req, reply) => {
+    let filters;
+    try { filters = QuerySchema.parse(req.query ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    return { ok: true, ...queryAudit(db, filters) };
+  });
+
+  // ── GET /kernel/audit/verify ───────────────────────────────────────────────
+  app.get("/kernel/audit/verify", doc("Verify the audit log hash chain", { query: VerifyQuerySchema }), async (req, reply) => {
+    let query;
+    try { query = VerifyQuerySchema.parse(req.query ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const anchor = query.anchor_seq ? { seq: query.anchor_seq, hash: query.anchor_hash } : null;
+    const result = verifyAuditChain(db, { anchor });
+    if (!result.valid) {
+      req.log.error({ break: result.break }, "audit chain broken");
+    }
+    return { ok: true, ...result };
+  });
+}
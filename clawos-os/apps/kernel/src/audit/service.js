@@ -0,0 +1,192 @@
+/**
+ * Audit log — append-only, hash-chained record of security-relevant events.
+ *
+ * Each audit_log row stores the hash of the row before it; its own hash is
+ * SHA-256 over its seq, fields and that previous hash, so editing, deleting
+ * or reordering any entry breaks the chain from that point on (verifyAuditChain).
+ * Triggers reject UPDATE and DELETE through the kernel.
+ *
+ * The chain is not keyed: anyone who can write the DB file can rewrite or
+ * truncate the log and recompute every hash after it, and the chain alone
+ * still verifies. Tampering is only detectable against a head kept outside
+ * the DB — the hashes shipped to the OTLP collector with every entry, or a
+ * { seq, hash } an operator recorded from GET /kernel/audit/verify and passes
+ * back as its anchor. (Keying the hashes with a keyring key would not help
+ * more: entries are written while the kernel is locked.)
+ *
+ * Events (subject_type in brackets):
+ *   action_request                                      [action_request]
+ *   approval_requested / approval_approved / approval_rejected  [approval]
+ *   token_issued                                        [tool_token]
+ *   dct_approval_requested / dct_approval_granted / dct_approval_denied  [dct_approval]
+ *   dct_minted / dct_revoked                            [dct]
+ *   connection_updated / connection_deleted             [connection]
+ *   skill_key_updated / skill_key_deleted               [skill_key]
+ *   risk_policy_updated                                 [risk_policy]
+ *   sandbox_policy_updated / sandbox_policy_deleted     [sandbox_policy]
+ *   shell_session_input / shell_session_killed          [shell_session]
+ *   action_registered / action_unregistered             [action]
+ *   api_client_created / api_client_revoked             [api_client]
+ *   kernel_setup / kernel_unlocked / unlock_failed / kernel_locked
+ *   keys_rotated / recovery_phrase_changed / backup_exported / backup_restored
+ *
+ * Entries are also shipped to the OTLP collector when one is configured
+ * (orchestrator/logger.js exportLog).
+ *
+ * actor is the API client_id that made the request ("system" for the kernel
+ * itself, "cli" for scripts/api_keys.js, null with KERNEL_AUTH=off or on the
+ * public setup / unlock routes). data never contains secrets.
+ */
+import crypto from "node:crypto";
+import { exportLog } from "../orchestrator/logger.js";
+
+export const GENESIS_HASH = "0".repeat(64);
+const MAX_QUERY_LIMIT = 1000;
+
+function now() {
+  return new Date().toISOString();
+}
+
+function entryHash(e) {
+  const material = JSON.stringify([
+    e.seq, e.ts, e.event, e.actor, e.workspace_id, e.subject_type, e.subject_id, e.data_json, e.prev_hash,
+  ]);
+  return crypto.createHash("sha256").update(material, "utf8").digest("hex");
+}
+
+/** Create the append-only triggers (idempotent). Called at startup after the schema. */
+export function installAuditTriggers(db) {
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+}
+
+/** The API client behind a request, for the actor field. */
+export function auditActor(req) {
+  return req?.apiClient?.client_id ?? null;
+}
+
+/**
+ * Append one entry. Never throws — a failed audit write is logged to stderr
+ * rather than failing the request that already happened.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ event: string; actor?: string|null; workspace_id?: string|null;
+ *           subject_type?: string|null; subject_id?: string|null; data?: object }} entry
+ * @returns {{ seq: number; hash: string } | null}
+ */
+export function logAudit(db, { event, actor = null, workspace_id = null, subject_type = null, subject_id = null, data = {} }) {
+  try {
+    const written = db.transaction(() => {
+      const last = db.prepare(`SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1`).get();
+      const entry = {
+        seq:          (last?.seq ?? 0) + 1,
+        ts:           now(),
+        event,
+        actor,
+        workspace_id,
+        subject_type,
+        subject_id,
+        data_json:    JSON.stringify(data ?? {}),
+        prev_hash:    last?.hash ?? GENESIS_HASH,
+      };
+      entry.hash = entryHash(entry);
+      db.prepare(`
+        INSERT INTO audit_log (seq, ts, event, actor, workspace_id, subject_type, subject_id, data_json, prev_hash, hash)
+        VALUES (@seq, @ts, @event, @actor, @workspace_id, @subject_type, @subject_id, @data_json, @prev_hash, @hash)
+      `).run(entry);
+      return entry;
+    })();
+    const { data_json, ...shipped } = written;
+    exportLog("clawos.audit", { ...shipped, data: data_json });
+    return { seq: written.seq, hash: written.hash };
+  } catch (e) {
+    console.error(`[audit] failed to record ${event}:`, e.message);
+    return null;
+  }
+}
+
+function toEntry(row) {
+  const { data_json, ...rest } = row;
+  return { ...rest, data: JSON.parse(data_json) };
+}
+
+/**
+ * Filtered, newest-first page of the log.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ event?: string[]; actor?: string; workspace_id?: string; subject_type?: string;
+ *           subject_id?: string; since?: string; until?: string; before_seq?: number;
+ *           after_seq?: number; limit?: number }} [filters]
+ */
+export function queryAudit(db, filters = {}) {
+  const where = [];
+  const args = [];
+  if (filters.event?.length) {
+    where.push(`event IN (${filters.event.map(() => "?").join(", ")})`);
+    args.push(...filters.event);
+  }
+  for (const col of ["actor", "workspace_id", "subject_type", "subject_id"]) {
+    if (filters[col]) { where.push(`${col} = ?`); args.push(filters[col]); }
+  }
+  if (filters.since)      { where.push(`ts >= ?`);  args.push(filters.since); }
+  if (filters.until)      { where.push(`ts < ?`);   args.push(filters.until); }
+  if (filters.before_seq) { where.push(`seq < ?`);  args.push(filters.before_seq); }
+  if (filters.after_seq)  { where.push(`seq > ?`);  args.push(filters.after_seq); }
+  const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), MAX_QUERY_LIMIT);
+
+  const rows = db.prepare(`
+    SELECT * FROM audit_log
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY seq DESC
+    LIMIT ?
+  `).all(...args, limit);
+  const entries = rows.map(toEntry);
+  return {
+    entries,
+    next_before_seq: entries.length === limit ? entries[entries.length - 1].seq : null,
+  };
+}
+
+/**
+ * Walk the whole chain from the first entry.
+ *
+ * anchor is a { seq, hash } recorded earlier outside the DB (see the header):
+ * the entry at anchor.seq must still carry that hash. Without one, a log
+ * rewritten from scratch verifies as long as it is consistent.
+ *
+ * break.reason:
+ *   missing_entries     a seq is skipped (or the log does not start at 1) — rows were deleted
+ *   prev_hash_mismatch  an entry does not point at the one before it — rows deleted or reordered
+ *   hash_mismatch       an entry's contents no longer match its hash — the row was edited
+ *   anchor_mismatch     the entry at anchor.seq has another hash — the log was rewritten
+ *   anchor_missing      the log ends before anchor.seq — it was truncated
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ anchor?: { seq: number; hash: string } | null }} [opts]
+ * @returns {{ valid: boolean; checked: number; head: { seq: number; hash: string } | null;
+ *             break: { seq: number; reason: string } | null }}
+ */
+export function verifyAuditChain(db, { anchor = null } = {}) {
+  let prev = { seq: 0, hash: GENESIS_HASH };
+  let checked = 0;
+  for (const row of db.prepare(`SELECT * FROM audit_log ORDER BY seq`).iterate()) {
+    let reason = null;
+    if (row.seq !== prev.seq + 1) {reason = "missing_entries";}
+    else if (row.prev_hash !== prev.hash) {reason = "prev_hash_mismatch";}
+    else if (entryHash(row) !== row.hash) {reason = "hash_mismatch";}
+    else if (anchor && row.seq === anchor.seq && row.hash !== anchor.hash) {reason = "anchor_mismatch";}
+    if (reason) {
+      return { valid: false, checked, head: checked ? prev : null, break: { seq: row.seq, reason } };
+    }
+    prev = { seq: row.seq, hash: row.hash };
+    checked++;
+  }
+  if (anchor && prev.seq < anchor.seq) {
+    return { valid: false, checked, head: checked ? prev : null, break: { seq: anchor.seq, reason: "anchor_missing" } };
+  }
+  return { valid: true, checked, head: checked ? prev : null, break: null };
+}
@@ -0,0 +1,113 @@
+/**
+ * API auth — the request hook that enforces roles, and key management routes.
+ * Registered by apps/kernel/src/app.js.
+ *
+ * installAuthHook(app, db) must run before any route is registered.
+ *
+ * GET    /kernel/auth/whoami              — the calling client (any role)
+ * GET    /kernel/api_clients              — list clients (?include_revoked=1)
+ * POST   /kernel/api_clients              — create { name, role } → api_key (shown once)
+ * DELETE /kernel/api_clients/:client_id   — revoke
+ *
+ * Errors: 401 { ok:false, error:"unauthorized" } without a valid key,
+ *         403 { ok:false, error:"forbidden", role, allowed_roles } for the wrong role.
+ */
+import { z } from "zod";
+import {
+  ROLES, authMode, isProtectedPath, isPublicRoute, rolesFor, authenticate, bearerToken,
+  createApiClient, getApiClient, listApiClients, revokeApiClient, countActiveClients,
+} from "./service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const CreateClientBody = z.object({
+  name: z.string().min(1).max(100),
+  role: z.enum(ROLES),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function installAuthHook(app, db) {
+  app.decorateRequest("apiClient", null);
+
+  app.addHook("onRequest", async (req, reply) => {
+    if (authMode() === "off") {return;}
+    // Roles are matched against the route Fastify picked (/kernel/approvals/:id/approve),
+    // not the raw URL — that is still percent-encoded, and /kernel/approvals/x/%61pprove
+    // would otherwise miss the narrow rule and fall through to a broader one.
+    // Unrouted requests (404s) keep their raw path.
+    const path = req.routeOptions?.url ?? req.url.split("?")[0];
+    if (!isProtectedPath(path) || isPublicRoute(req.method, path)) {return;}
+
+    const client = authenticate(db, bearerToken(req.headers.authorization));
+    if (!client) {
+      return reply.code(401).send({ ok: false, error: "unauthorized" });
+    }
+    const allowed = rolesFor(req.method, path);
+    if (!allowed.includes(client.role)) {
+      req.log.warn({ client_id: client.client_id, role: client.role, method: req.method, path }, "auth: forbidden");
+      return reply.code(403).send({ ok: false, error: "forbidden", role: client.role, allowed_roles: allowed });
+    }
+    req.apiClient = client;
+  });
+}
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerAuthRoutes(app, db) {
+
+  // ── GET /kernel/auth/whoami ────────────────────────────────────────────────
+  app.get("/kernel/auth/whoami", doc("The calling API client"), async (req) => {
+    return { ok: true, auth: authMode(), client: req.apiClient };
+  });
+
+  // ── GET /kernel/api_clients ────────────────────────────────────────────────
+  app.get("/kernel/api_clients", doc("List API clients"), async (req) => {
+    const include_revoked = ["1", "true"].includes(String(req.query?.include_revoked ?? ""));
+    return { ok: true, roles: ROLES, clients: listApiClients(db, { include_revoked }) };
+  });
+
+  // ── POST /kernel/api_clients ───────────────────────────────────────────────
+  app.post("/kernel/api_clients", doc("Create an API client (the key is shown once)", { body: CreateClientBody }), async (req, reply) => {
+    let body;
+    try { body = CreateClientBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const client = createApiClient(db, body);
+    req.log.info({ client_id: client.client_id, role: client.role, by: req.apiClient?.client_id ?? null }, "api client created");
+    logAudit(db, {
+      event: "api_client_created", actor: auditActor(req), subject_type: "api_client", subject_id: client.client_id,
+      data:  { name: client.name, role: client.role },
+    });
+    return { ok: true, ...client };
+  });
+
+  // ── DELETE /kernel/api_clients/:client_id ──────────────────────────────────
+  app.delete("/kernel/api_clients/:client_id", doc("Revoke an API client"), async (req, reply) => {
+    const { client_id } = req.params;
+    const target = getApiClient(db, client_id);
+    if (!target || target.revoked_at) {
+      reply.code(404);
+      return { ok: false, error: "not_found" };
+    }
+    // Revoking the last operator key would leave nobody able to grant approvals
+    if (target.role === "operator" && countActiveClients(db, "operator") <= 1) {
+      reply.code(409);
+      return { ok: false, error: "last_operator" };
+    }
+    if (!revokeApiClient(db, client_id)) {
+      reply.code(404);
+      return { ok: false, error: "not_found" };
+    }
+    req.log.info({ client_id, by: req.apiClient?.client_id ?? null }, "api client revoked");
+    logAudit(db, {
+      event: "api_client_revoked", actor: auditActor(req), subject_type: "api_client", subject_id: client_id,
+      data:  { name: target.name, role: target.role },
+    });
+    return { ok: true, client_id, revoked: true };
+  });
+}
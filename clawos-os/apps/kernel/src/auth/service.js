@@ -0,0 +1,172 @@
+/**
+ * API auth service — per-client API keys and role-based route access.
+ *
+ * Every caller of /kernel/* and /metrics presents `Authorization: Bearer <api_key>`. Keys
+ * belong to an api_clients row with one role:
+ *
+ *   operator   everything, and the only role that can grant approvals
+ *              (approvals/:id/approve, dct_approvals/:id/grant), manage API keys
+ *              or see and rotate the keyring
+ *   bridge     the WhatsApp message pipeline — action requests, sessions,
+ *              objectives, jobs, tasks, tokens — and the only role that can
+ *              export decrypted skill env vars
+ *   ui         the dashboard — reads plus configuration writes
+ *              (connections, risk policies, routing, prompts, budgets, skills)
+ *   read-only  GET requests only
+ *
+ * Only a SHA-256 hash of each key is stored; the key itself is returned once,
+ * when the client is created. The first operator key comes from POST
+ * /kernel/setup (see index.js) or `node scripts/api_keys.js create`.
+ *
+ * KERNEL_AUTH=off disables enforcement (local development and test runs).
+ */
+import crypto from "node:crypto";
+
+export const ROLES = ["operator", "bridge", "ui", "read-only"];
+
+/** Reachable without a key: liveness and the recovery-phrase endpoints. */
+const PUBLIC_ROUTES = [
+  ["GET",  /^\/kernel\/health$/],
+  ["POST", /^\/kernel\/setup$/],
+  ["POST", /^\/kernel\/unlock$/],
+];
+
+// First match wins; a request matching no rule needs the operator role.
+const ROUTE_ROLES = [
+  // Human decisions — never delegated to a client
+  ["POST",  /^\/kernel\/approvals\/[^/]+\/approve$/,  ["operator"]],
+  ["POST",  /^\/kernel\/dct_approvals\/[^/]+\/grant$/, ["operator"]],
+  ["*",     /^\/kernel\/api_clients(\/|$)/,            ["operator"]],
+  ["*",     /^\/kernel\/keys(\/|$)/,                   ["operator"]],
+  // Decrypted secrets — injected by the bridge into skill runs, nobody else needs them
+  ["GET",   /^\/kernel\/clawhub\/skill_env_export$/,   ["bridge"]],
+  // Message pipeline
+  ["POST",  /^\/kernel\/(action_requests|workspaces|approvals|agents|subagents|tasks|tokens|sessions|objectives|jobs|shell_sessions)(\/|$)/,
+    ["operator", "bridge"]],
+  ["POST",  /^\/kernel\/dct_approvals\/[^/]+\/deny$/,  ["operator", "bridge"]],
+  ["PATCH", /^\/kernel\/(sessions|objectives|jobs)\//, ["operator", "bridge"]],
+  // Configuration
+  ["*",     /^\/kernel\/(connections|risk_policies|llm_routing|prompts|prompt_variables|usage\/budgets|clawhub)(\/|$)/,
+    ["operator", "ui"]],
+  // Reads
+  ["GET",   /^\/kernel\//,                             ROLES],
+  ["GET",   /^\/metrics$/,                              ROLES],
+];
+
+function now() {
+  return new Date().toISOString();
+}
+
+function hashKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey, "utf8").digest("hex");
+}
+
+/** @returns {"required"|"off"} */
+export function authMode() {
+  return String(process.env.KERNEL_AUTH ?? "").toLowerCase() === "off" ? "off" : "required";
+}
+
+/** True for paths the auth hook guards at all — the API and the metrics endpoint. */
+export function isProtectedPath(path) {
+  return path.startsWith("/kernel/") || path === "/metrics";
+}
+
+/** True when the route needs no API key. */
+export function isPublicRoute(method, path) {
+  return PUBLIC_ROUTES.some(([m, re]) => m === method && re.test(path));
+}
+
+/**
+ * Roles allowed to call method + path — the route pattern the request was
+ * routed to (/kernel/approvals/:id/approve), or a plain path with the
+ * query string stripped. HEAD is treated as GET.
+ */
+export function rolesFor(method, path) {
+  const m = method === "HEAD" ? "GET" : method;
+  const rule = ROUTE_ROLES.find(([rm, re]) => (rm === "*" || rm === m) && re.test(path));
+  return rule ? rule[2] : ["operator"];
+}
+
+export function isAllowed(role, method, path) {
+  return rolesFor(method, path).includes(role);
+}
+
+/** Public shape — never includes the key hash. */
+function toClient(row) {
+  if (!row) {return null;}
+  return {
+    client_id:    row.client_id,
+    name:         row.name,
+    role:         row.role,
+    created_at:   row.created_at,
+    last_used_at: row.last_used_at ?? null,
+    revoked_at:   row.revoked_at ?? null,
+  };
+}
+
+/**
+ * Create a client and its API key. The key is only ever returned here.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ name: string; role: string }} input
+ * @returns {ReturnType<typeof toClient> & { api_key: string }}
+ */
+export function createApiClient(db, { name, role }) {
+  if (!ROLES.includes(role)) {
+    throw Object.assign(new Error(`unknown role: ${role}`), { code: "invalid_role" });
+  }
+  const client_id = `cli_${crypto.randomBytes(8).toString("hex")}`;
+  const api_key   = `ck_${crypto.randomBytes(24).toString("base64url")}`;
+  db.prepare(`
+    INSERT INTO api_clients (client_id, name, role, key_hash, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(client_id, name, role, hashKey(api_key), now());
+  return { ...getApiClient(db, client_id), api_key };
+}
+
+export function getApiClient(db, client_id) {
+  return toClient(db.prepare(`SELECT * FROM api_clients WHERE client_id=?`).get(client_id));
+}
+
+export function listApiClients(db, { include_revoked = false } = {}) {
+  const rows = db.prepare(`
+    SELECT * FROM api_clients
+    ${include_revoked ? "" : "WHERE revoked_at IS NULL"}
+    ORDER BY created_at
+  `).all();
+  return rows.map(toClient);
+}
+
+/** @returns {boolean} false when the client does not exist or was already revoked */
+export function revokeApiClient(db, client_id) {
+  const info = db.prepare(`UPDATE api_clients SET revoked_at=? WHERE client_id=? AND revoked_at IS NULL`)
+    .run(now(), client_id);
+  return info.changes > 0;
+}
+
+export function countActiveClients(db, role = null) {
+  const row = role
+    ? db.prepare(`SELECT COUNT(*) AS n FROM api_clients WHERE revoked_at IS NULL AND role=?`).get(role)
+    : db.prepare(`SELECT COUNT(*) AS n FROM api_clients WHERE revoked_at IS NULL`).get();
+  return row.n;
+}
+
+/**
+ * Resolve an API key to its active client, or null. Touches last_used_at.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string|null|undefined} apiKey
+ */
+export function authenticate(db, apiKey) {
+  if (!apiKey) {return null;}
+  const row = db.prepare(`SELECT * FROM api_clients WHERE key_hash=? AND revoked_at IS NULL`).get(hashKey(apiKey));
+  if (!row) {return null;}
+  db.prepare(`UPDATE api_clients SET last_used_at=? WHERE client_id=?`).run(now(), row.client_id);
+  return toClient(row);
+}
+
+/** Bearer token from an Authorization header value, or null. */
+export function bearerToken(header) {
+  const m = /^Bearer\s+(\S+)$/i.exec(String(header ?? "").trim());
+  return m ? m[1] : null;
+}
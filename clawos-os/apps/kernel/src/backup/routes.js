@@ -0,0 +1,148 @@
+/**
+ * Backup routes — encrypted export / import of the whole kernel DB.
+ * Registered by apps/kernel/src/app.js. Operator only (the default for
+ * unlisted routes in auth/service.js).
+ *
+ * POST /kernel/backup/export  { recovery_phrase }          → backup file (JSON, see backup/service.js)
+ * POST /kernel/backup/import  { recovery_phrase, current_recovery_phrase?, backup }
+ *                                                          → restore, then unlock with the backup's keyring
+ *
+ * Import replaces the keyring, so on an initialised kernel it also needs that
+ * kernel's own recovery phrase (current_recovery_phrase; it defaults to
+ * recovery_phrase for a backup taken under the same phrase) — an operator key
+ * alone cannot swap in a keyring the caller controls.
+ *
+ * Moving a kernel to a new host: export on the old one, POST /kernel/setup on
+ * the new one, then import with the new operator key, the old recovery phrase
+ * and the new one as current_recovery_phrase. Neither route needs the kernel
+ * unlocked.
+ *
+ * After a restore the webhook actions in the registry are replaced with the
+ * restored registered_actions (reported as registered_actions: { loaded,
+ * failed }), and clawhub skill scripts are fetched again in the background.
+ * Installed skills need nothing more — they are read from the DB when used.
+ * Plugins come from ACTION_PLUGIN_DIR, not the DB, and are left as they are.
+ *
+ * Errors: 403 bad_recovery_phrase (backup) / bad_current_recovery_phrase,
+ * 400 invalid_backup, 409 legacy_keyring.
+ */
+import { z } from "zod";
+import { BackupFileSchema, exportBackup, openBackup, restoreBackup } from "./service.js";
+import { verifyRecoveryPhrase, lockKeyring, unlockKeyring, isInitialized } from "../keyring/service.js";
+import { downloadSkillScripts } from "../clawhub/service.js";
+import { reloadRegisteredActions } from "../actions/service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const IMPORT_BODY_LIMIT = 256 * 1024 * 1024;
+
+const ExportBackupBody = z.object({ recovery_phrase: z.string().min(8) });
+
+const ImportBackupBody = z.object({
+  recovery_phrase:         z.string().min(8),
+  current_recovery_phrase: z.string().min(8).optional(),
+  backup:                  BackupFileSchema,
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerBackupRoutes(app, db) {
+
+  // ── POST /kernel/backup/export ─────────────────────────────────────────────
+  app.post("/kernel/backup/export", doc("Export an encrypted backup of the kernel", { body: ExportBackupBody }), async (req, reply) => {
+    let body;
+    try { body = ExportBackupBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    if (!(await verifyRecoveryPhrase(db, body.recovery_phrase))) {
+      reply.code(403);
+      return { ok: false, error: "bad_recovery_phrase" };
+    }
+
+    let backup;
+    try {
+      backup = await exportBackup(db, body.recovery_phrase);
+    } catch (e) {
+      if (e.code !== "legacy_keyring") {throw e;}
+      reply.code(409);
+      return { ok: false, error: "legacy_keyring" };
+    }
+
+    logAudit(db, { event: "backup_exported", actor: auditActor(req), data: { tables: backup.counts } });
+    const stamp = backup.file.created_at.replace(/[:.]/g, "-");
+    reply.header("content-disposition", `attachment; filename="clawos-kernel-${stamp}.json"`);
+    return backup.file;
+  });
+
+  // ── POST /kernel/backup/import ─────────────────────────────────────────────
+  app.post("/kernel/backup/import", {
+    bodyLimit: IMPORT_BODY_LIMIT,
+    ...doc("Restore the kernel from an encrypted backup", { body: ImportBackupBody }),
+  }, async (req, reply) => {
+    let body;
+    try { body = ImportBackupBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    if (isInitialized(db) && !(await verifyRecoveryPhrase(db, body.current_recovery_phrase ?? body.recovery_phrase))) {
+      reply.code(403);
+      return { ok: false, error: "bad_current_recovery_phrase" };
+    }
+
+    let payload;
+    try {
+      payload = await openBackup(body.backup, body.recovery_phrase);
+    } catch (e) {
+      if (e.code === "bad_recovery_phrase") {
+        reply.code(403);
+        return { ok: false, error: "bad_recovery_phrase" };
+      }
+      if (e.code === "invalid_backup") {
+        reply.code(400);
+        return { ok: false, error: "invalid_backup", detail: e.message };
+      }
+      throw e;
+    }
+
+    let result;
+    try {
+      result = restoreBackup(db, payload, { keepClientId: req.apiClient?.client_id ?? null });
+    } catch (e) {
+      // Rolled back — the kernel is unchanged
+      reply.code(400);
+      return { ok: false, error: "invalid_backup", detail: e.message };
+    }
+
+    // kernel_state now holds the backup's keyring
+    lockKeyring("restore");
+    const unlocked = await unlockKeyring(db, body.recovery_phrase);
+
+    const registered_actions = reloadRegisteredActions(db);
+    for (const f of registered_actions.failed) {
+      req.log.warn({ action: f.name, err: f.error }, "registered action not loaded after restore");
+    }
+
+    // Skill scripts live outside the DB — fetch them again (non-fatal)
+    const skills = db.prepare(`SELECT slug, skill_md FROM installed_skills WHERE source='clawhub'`).all();
+    for (const { slug, skill_md } of skills) {
+      downloadSkillScripts(slug, skill_md).catch((e) =>
+        req.log.warn({ slug, err: e.message }, "skill scripts not downloaded after restore"),
+      );
+    }
+
+    // Chained onto this kernel's own log, which the restore left in place
+    logAudit(db, {
+      event: "backup_restored",
+      actor: auditActor(req),
+      data:  {
+        backup_created_at: payload.created_at,
+        backup_audit_head: result.backup_audit_head,
+        tables:            result.restored,
+        skipped:           result.skipped,
+      },
+    });
+    req.log.info({ backup_created_at: payload.created_at, skipped: result.skipped }, "kernel restored from backup");
+    return { ok: true, backup_created_at: payload.created_at, ...result, registered_actions, locked: !unlocked };
+  });
+}
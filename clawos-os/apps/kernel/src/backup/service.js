@@ -0,0 +1,175 @@
+/**
+ * Kernel backup — the whole kernel DB as one encrypted file.
+ *
+ * A backup holds every table (workspaces, agents, policies, routing, prompts,
+ * connections, installed skills and their env vars, sessions, objectives, API
+ * clients, …) plus kernel_state, which carries the keyring. Connection and
+ * skill secrets stay encrypted under the connections key inside it, and the
+ * whole payload is gzipped and sealed under a key derived from the recovery
+ * phrase (keyring sealWithPhrase), so restoring needs the phrase that was
+ * current when the backup was taken — and that phrase then unlocks the
+ * restored keyring.
+ *
+ * File format (JSON):
+ *   { format: "clawos-kernel-backup", version: 1, created_at, kdf, ciphertext }
+ *   ciphertext → gzip → { format, version, created_at, tables: { [table]: rows[] } }
+ *
+ * Restoring replaces the contents of every table in the backup except the
+ * audit log: that stays append-only, so the kernel keeps its own log and the
+ * route appends a backup_restored entry naming the backup's audit head (the
+ * backup's entries remain readable in the file). Tables the backup does not
+ * know (a newer schema) are left alone, as are columns it lacks (they take
+ * their defaults). Skill scripts downloaded under ~/.codex/skills are not part
+ * of the DB and are fetched again by the route.
+ */
+import zlib from "node:zlib";
+import { z } from "zod";
+import { sealWithPhrase, openWithPhrase } from "../keyring/service.js";
+
+export const BACKUP_FORMAT = "clawos-kernel-backup";
+const BACKUP_VERSION = 1;
+
+// Exported for the record, never written back (see the header)
+const KEPT_TABLES = new Set(["audit_log"]);
+
+export const BackupFileSchema = z.object({
+  format:     z.literal(BACKUP_FORMAT),
+  version:    z.literal(BACKUP_VERSION),
+  created_at: z.string(),
+  kdf:        z.object({
+    alg:  z.literal("scrypt"),
+    salt: z.string().regex(/^[0-9a-f]{32}$/),
+    N:    z.number().int().min(2 ** 14).max(2 ** 16),
+    r:    z.number().int().min(1).max(16),
+    p:    z.number().int().min(1).max(4),
+  }),
+  ciphertext: z.string().min(1),
+});
+
+const PayloadSchema = z.object({
+  format:     z.literal(BACKUP_FORMAT),
+  version:    z.literal(BACKUP_VERSION),
+  created_at: z.string(),
+  tables:     z.record(z.array(z.record(z.unknown()))),
+});
+
+// schema_version describes this kernel's schema (db/migrate.js), not data — never exported or replaced
+function kernelTables(db) {
+  return db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'
+    ORDER BY name
+  `)
+    .all()
+    .map((r) => r.name);
+}
+
+function tableColumns(db, table) {
+  return db.prepare(`SELECT name FROM pragma_table_info(?)`).all(table).map((r) => r.name);
+}
+
+/**
+ * Snapshot every table and seal it with the recovery phrase.
+ * The caller checks the phrase first (verifyRecoveryPhrase) — a backup sealed
+ * with any other phrase could never be restored.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} phrase
+ */
+export async function exportBackup(db, phrase) {
+  const created_at = new Date().toISOString();
+  // One read transaction, so the snapshot is consistent across tables
+  const tables = db.transaction(() => {
+    const out = {};
+    for (const table of kernelTables(db)) {
+      out[table] = db.prepare(`SELECT * FROM "${table}"`).all();
+    }
+    return out;
+  })();
+  if (!tables.kernel_state?.some((r) => r.key === "keyring")) {
+    throw Object.assign(new Error("keyring not migrated yet — unlock the kernel once first"), { code: "legacy_keyring" });
+  }
+
+  const payload = zlib.gzipSync(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, created_at, tables }));
+  const sealed = await sealWithPhrase(phrase, "backup", payload);
+  return {
+    file:   { format: BACKUP_FORMAT, version: BACKUP_VERSION, created_at, ...sealed },
+    counts: Object.fromEntries(Object.entries(tables).map(([t, rows]) => [t, rows.length])),
+  };
+}
+
+/**
+ * Decrypt and check a backup file (already parsed with BackupFileSchema).
+ * Throws Error{code:"bad_recovery_phrase"} when it does not open with the
+ * phrase, Error{code:"invalid_backup"} when the contents are not a kernel backup.
+ */
+export async function openBackup(file, phrase) {
+  const data = await openWithPhrase(phrase, "backup", file);
+  if (!data) {
+    throw Object.assign(new Error("backup does not open with this recovery phrase"), { code: "bad_recovery_phrase" });
+  }
+  let payload;
+  try {
+    payload = PayloadSchema.parse(JSON.parse(zlib.gunzipSync(data).toString("utf8")));
+  } catch (e) {
+    throw Object.assign(new Error(`invalid backup contents: ${e.message}`), { code: "invalid_backup" });
+  }
+  if (!payload.tables.kernel_state?.some((r) => r.key === "keyring")) {
+    throw Object.assign(new Error("backup has no keyring"), { code: "invalid_backup" });
+  }
+  return payload;
+}
+
+/**
+ * Replace the kernel's tables with an opened backup, in one transaction.
+ * The keepClientId API client survives the restore even when the backup does
+ * not contain it, so the operator restoring onto a fresh kernel keeps the key
+ * they restored with.
+ *
+ * The caller must reload the keyring afterwards (lock + unlock): kernel_state
+ * now holds the backup's keys. backup_audit_head is the last audit entry in
+ * the backup (null when it has none), for the caller's backup_restored entry.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ tables: Record<string, Record<string, unknown>[]> }} payload
+ * @param {{ keepClientId?: string | null }} [opts]
+ * @returns {{ restored: Record<string, number>; skipped: string[];
+ *             backup_audit_head: { seq: number; hash: string } | null }}
+ */
+export function restoreBackup(db, payload, { keepClientId = null } = {}) {
+  const local = new Set(kernelTables(db));
+  const restored = {};
+  const skipped = [];
+
+  db.transaction(() => {
+    const keepClient = keepClientId && local.has("api_clients")
+      ? db.prepare(`SELECT * FROM api_clients WHERE client_id=?`).get(keepClientId)
+      : null;
+
+    for (const [table, rows] of Object.entries(payload.tables)) {
+      if (KEPT_TABLES.has(table)) {continue;}
+      if (!local.has(table)) {
+        skipped.push(table);
+        continue;
+      }
+      const columns = new Set(tableColumns(db, table));
+      db.prepare(`DELETE FROM "${table}"`).run();
+      for (const row of rows) {
+        const cols = Object.keys(row).filter((c) => columns.has(c));
+        if (cols.length === 0) {continue;}
+        db.prepare(`INSERT INTO "${table}" (${cols.map((c) => `"${c}"`).join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`)
+          .run(...cols.map((c) => row[c]));
+      }
+      restored[table] = rows.length;
+    }
+
+    if (keepClient) {
+      const cols = Object.keys(keepClient);
+      db.prepare(`INSERT OR IGNORE INTO api_clients (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`)
+        .run(...cols.map((c) => keepClient[c]));
+    }
+  })();
+
+  const head = (payload.tables.audit_log ?? []).reduce((a, r) => (!a || r.seq > a.seq ? r : a), null);
+  return { restored, skipped, backup_audit_head: head ? { seq: head.seq, hash: head.hash } : null };
+}
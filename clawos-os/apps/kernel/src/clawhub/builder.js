@@ -1,11 +1,10 @@
 /**
- * Skill generator using the Anthropic API.
+ * Skill generator using the kernel LLM client (action_type "skill_build",
+ * Claude Sonnet first by default — override with LLM_ACTION_SKILL_BUILD).
  * buildSkill(description, db) → { slug, displayName, skillMd, scriptContent, scriptFilename }
  */
 
-import { getSecret } from "../orchestrator/connections.js";
-
-const MODEL = "claude-sonnet-4-6";
+import { complete } from "../llm/client.js";
 
 const SYSTEM_PROMPT = `You are a skill builder for ClawOS, an AI orchestration system.
 Given a description of a skill, generate a SKILL.md file and a shell script that implements it.
@@ -55,34 +54,22 @@ set -euo pipefail
  * @returns {Promise<{ slug: string; displayName: string; skillMd: string; scriptContent: string; scriptFilename: string }>}
  */
 export async function buildSkill(description, db) {
-  const secrets = getSecret(db, "anthropic");
-  if (!secrets?.api_key) {
-    throw new Error("Anthropic API key not configured. Add it in Settings → Connections.");
+  let text;
+  try {
+    const res = await complete(db, {
+      action_type: "skill_build",
+      system:      SYSTEM_PROMPT,
+      prompt:      `Build a skill: ${description}`,
+      max_tokens:  4096,
+    });
+    text = res.text;
+  } catch (e) {
+    if (e.code === "no_provider") {
+      throw new Error("No LLM provider configured. Add one in Settings → Connections.", { cause: e });
+    }
+    throw new Error(`LLM API error: ${e.message}`, { cause: e });
   }
 
-  const res = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": secrets.api_key,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      max_tokens: 4096,
-      system: SYSTEM_PROMPT,
-      messages: [{ role: "user", content: `Build a skill: ${description}` }],
-    }),
-  });
-
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(`Anthropic API error ${res.status}: ${err.error?.message ?? "unknown"}`);
-  }
-
-  const data = await res.json();
-  const text = data.content?.[0]?.text ?? "";
-
   // Parse XML tags
   const slug        = text.match(/<slug>([\s\S]*?)<\/slug>/)?.[1]?.trim()               ?? "custom-skill";
   const displayName = text.match(/<displayName>([\s\S]*?)<\/displayName>/)?.[1]?.trim() ?? "Custom Skill";
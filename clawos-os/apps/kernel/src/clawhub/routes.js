@@ -1,6 +1,6 @@
 /**
  * ClaWHub Skills Marketplace — Fastify route handlers.
- * Registered by apps/kernel/src/index.js via registerClawhubRoutes(app, db).
+ * Registered by apps/kernel/src/app.js via registerClawhubRoutes(app, db).
  */
 
 import { searchSkills, exploreSkills, getSkill as hubGetSkill, getSkillFile, downloadSkillScripts } from "./service.js";
@@ -8,6 +8,9 @@ import { vetSkillMd } from "./vetting.js";
 import { buildSkill } from "./builder.js";
 import { getKeyLinks, KEY_LINKS } from "./api_keys.js";
 import { encryptSecret, decryptSecret } from "../orchestrator/connections.js";
+import { isLocked } from "../keyring/service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
 
 function nowIso() {
   return new Date().toISOString();
@@ -54,7 +57,7 @@ function _saveEnvVars(db, envVars) {
         VALUES (?, ?, ?)
         ON CONFLICT(env_var) DO UPDATE SET encrypted=excluded.encrypted, updated_at=excluded.updated_at
       `).run(envVar, encrypted, nowIso());
-    } catch { /* non-fatal — key wasn't initialised yet */ }
+    } catch { /* non-fatal — kernel locked */ }
   }
 }
 
@@ -65,7 +68,7 @@ function _saveEnvVars(db, envVars) {
 export function registerClawhubRoutes(app, db) {
 
   // ── GET /kernel/clawhub/explore?sort=trending&limit=24 ─────────────────────
-  app.get("/kernel/clawhub/explore", async (req, reply) => {
+  app.get("/kernel/clawhub/explore", doc("Browse ClawHub skills"), async (req, reply) => {
     const sort  = req.query.sort  || "trending";
     const limit = Math.min(Number(req.query.limit) || 24, 100);
     try {
@@ -80,7 +83,7 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── GET /kernel/clawhub/search?q=...&limit=20 ──────────────────────────────
-  app.get("/kernel/clawhub/search", async (req, reply) => {
+  app.get("/kernel/clawhub/search", doc("Search ClawHub skills"), async (req, reply) => {
     const q     = (req.query.q || "").trim();
     const limit = Math.min(Number(req.query.limit) || 20, 100);
     if (!q) { reply.code(400); return { ok: false, error: "q_required" }; }
@@ -96,7 +99,7 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── GET /kernel/clawhub/skill/:slug ────────────────────────────────────────
-  app.get("/kernel/clawhub/skill/:slug", async (req, reply) => {
+  app.get("/kernel/clawhub/skill/:slug", doc("Get a ClawHub skill"), async (req, reply) => {
     try {
       const raw = await hubGetSkill(req.params.slug);
       // ClaWHub returns { skill: {slug, displayName, stats, ...}, latestVersion, owner, moderation }
@@ -116,7 +119,7 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── POST /kernel/clawhub/install ───────────────────────────────────────────
-  app.post("/kernel/clawhub/install", async (req, reply) => {
+  app.post("/kernel/clawhub/install", doc("Vet and install a skill"), async (req, reply) => {
     const { slug, acceptDisclaimer, envVars = {} } = req.body ?? {};
     if (!slug)             { reply.code(400); return { ok: false, error: "slug_required" }; }
     if (!acceptDisclaimer) { reply.code(400); return { ok: false, error: "must_accept_disclaimer" }; }
@@ -171,14 +174,14 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── DELETE /kernel/clawhub/install/:slug ───────────────────────────────────
-  app.delete("/kernel/clawhub/install/:slug", async (req, reply) => {
+  app.delete("/kernel/clawhub/install/:slug", doc("Uninstall a skill"), async (req, reply) => {
     const { changes } = db.prepare(`DELETE FROM installed_skills WHERE slug=?`).run(req.params.slug);
     if (changes === 0) { reply.code(404); return { ok: false, error: "not_found" }; }
     return { ok: true, slug: req.params.slug };
   });
 
   // ── GET /kernel/clawhub/installed ──────────────────────────────────────────
-  app.get("/kernel/clawhub/installed", async (req) => {
+  app.get("/kernel/clawhub/installed", doc("List installed skills"), async (req) => {
     const includeMd = req.query.include_md === "1";
     const cols = includeMd
       ? "slug, display_name, version, installed_at, enabled, source, build_prompt, skill_md"
@@ -190,7 +193,8 @@ export function registerClawhubRoutes(app, db) {
   // ── GET /kernel/clawhub/skill_env_export ───────────────────────────────────
   // Returns decrypted skill env vars for trusted local callers (bridge).
   // Never expose this to external networks.
-  app.get("/kernel/clawhub/skill_env_export", async () => {
+  app.get("/kernel/clawhub/skill_env_export", doc("Decrypted skill env vars (bridge only)"), async (_req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
     const rows = db.prepare(`SELECT env_var, encrypted FROM skill_env_vars`).all();
     const env = {};
     for (const row of rows) {
@@ -203,7 +207,7 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── PATCH /kernel/clawhub/installed/:slug { enabled: bool } ────────────────
-  app.patch("/kernel/clawhub/installed/:slug", async (req, reply) => {
+  app.patch("/kernel/clawhub/installed/:slug", doc("Enable or disable an installed skill"), async (req, reply) => {
     const { enabled } = req.body ?? {};
     if (typeof enabled !== "boolean") {
       reply.code(400);
@@ -217,7 +221,7 @@ export function registerClawhubRoutes(app, db) {
 
   // ── GET /kernel/clawhub/skill_keys ────────────────────────────────────────
   // Returns all env vars required by installed skills, with configured status.
-  app.get("/kernel/clawhub/skill_keys", async () => {
+  app.get("/kernel/clawhub/skill_keys", doc("Env vars the installed skills need"), async () => {
     // Gather required vars from all installed skill_mds
     const skills = db.prepare(`SELECT slug, display_name, skill_md FROM installed_skills WHERE enabled=1`).all();
     const varMeta = new Map(); // envVar → { label, url, requiredBy: [] }
@@ -271,13 +275,14 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── PATCH /kernel/clawhub/skill_keys/:varName { value } ───────────────────
-  app.patch("/kernel/clawhub/skill_keys/:varName", async (req, reply) => {
+  app.patch("/kernel/clawhub/skill_keys/:varName", doc("Set a skill env var"), async (req, reply) => {
     const { varName } = req.params;
     const { value } = req.body ?? {};
     if (typeof value !== "string" || !value.trim()) {
       reply.code(400);
       return { ok: false, error: "value_required" };
     }
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
     try {
       const encrypted = encryptSecret(db, { value: value.trim() });
       db.prepare(`
@@ -285,6 +290,7 @@ export function registerClawhubRoutes(app, db) {
         VALUES (?, ?, ?)
         ON CONFLICT(env_var) DO UPDATE SET encrypted=excluded.encrypted, updated_at=excluded.updated_at
       `).run(varName, encrypted, nowIso());
+      logAudit(db, { event: "skill_key_updated", actor: auditActor(req), subject_type: "skill_key", subject_id: varName });
       return { ok: true, envVar: varName };
     } catch (e) {
       reply.code(500);
@@ -293,14 +299,15 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── DELETE /kernel/clawhub/skill_keys/:varName ─────────────────────────────
-  app.delete("/kernel/clawhub/skill_keys/:varName", async (req, reply) => {
+  app.delete("/kernel/clawhub/skill_keys/:varName", doc("Remove a skill env var"), async (req, reply) => {
     const { changes } = db.prepare(`DELETE FROM skill_env_vars WHERE env_var=?`).run(req.params.varName);
     if (changes === 0) { reply.code(404); return { ok: false, error: "not_found" }; }
+    logAudit(db, { event: "skill_key_deleted", actor: auditActor(req), subject_type: "skill_key", subject_id: req.params.varName });
     return { ok: true, envVar: req.params.varName };
   });
 
   // ── POST /kernel/clawhub/build { description } ─────────────────────────────
-  app.post("/kernel/clawhub/build", async (req, reply) => {
+  app.post("/kernel/clawhub/build", doc("Build a skill from a description"), async (req, reply) => {
     const { description } = req.body ?? {};
     if (!description || !description.trim()) {
       reply.code(400);
@@ -316,7 +323,7 @@ export function registerClawhubRoutes(app, db) {
   });
 
   // ── POST /kernel/clawhub/activate — save a built skill to installed_skills ─
-  app.post("/kernel/clawhub/activate", async (req, reply) => {
+  app.post("/kernel/clawhub/activate", doc("Activate a built skill"), async (req, reply) => {
     const { slug, displayName, skillMd, description } = req.body ?? {};
     if (!slug || !skillMd) {
       reply.code(400);
@@ -0,0 +1,250 @@
+/**
+ * Connection routes — encrypted provider credentials. Registered by apps/kernel/src/app.js.
+ *
+ * GET    /kernel/connections                   — every known provider, masked secrets and last test result
+ * PUT    /kernel/connections/:provider         — set (or partially update) a provider's fields
+ * POST   /kernel/connections/:provider/test    — live check with the stored secrets
+ * DELETE /kernel/connections/:provider
+ *
+ * Secrets are encrypted with the keyring's connections key (orchestrator/
+ * connections.js), so PUT and test need the kernel unlocked (403 kernel_locked).
+ * Actions read them back with getSecret(). Operator / ui roles only.
+ */
+import net from "node:net";
+import { braveBaseUrl, smtpEndpoint, encryptSecret, decryptSecret } from "../orchestrator/connections.js";
+import { providerBaseUrl } from "../llm/providers.js";
+import { tracedFetch } from "../orchestrator/tracing.js";
+import { isLocked } from "../keyring/service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+function nowIso() { return new Date().toISOString(); }
+
+function maskStr(s, prefixLen = 4, suffixLen = 4) {
+  if (!s || s.length <= prefixLen + suffixLen) {return s ? "•••" : null;}
+  return `${s.slice(0, prefixLen)}...${s.slice(-suffixLen)}`;
+}
+
+function testSmtp(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port: Number(port) || 25, timeout: 5000 });
+    let responded = false;
+    socket.once("data", (data) => {
+      responded = true;
+      socket.destroy();
+      const banner = data.toString();
+      if (banner.startsWith("220")) {resolve(true);}
+      else {reject(new Error(`Unexpected SMTP banner: ${banner.slice(0, 80).trim()}`));}
+    });
+    socket.once("error", reject);
+    socket.once("timeout", () => { socket.destroy(); reject(new Error("SMTP connect timeout")); });
+    // fallback if no data arrives
+    socket.once("connect", () => {
+      setTimeout(() => { if (!responded) { socket.destroy(); reject(new Error("SMTP no banner")); } }, 3000);
+    });
+  });
+}
+
+const PROVIDERS = {
+  brave: {
+    label: "Brave Search",
+    fields: ["api_key"],
+    mask: (s) => ({ api_key: maskStr(s.api_key) }),
+    test: async (s) => {
+      if (!s.api_key) {throw new Error("api_key is required");}
+      const r = await tracedFetch(`${braveBaseUrl()}/web/search?q=test&count=1`, {
+        headers: { "Accept": "application/json", "X-Subscription-Token": s.api_key },
+      });
+      if (!r.ok) {throw new Error(`Brave API returned HTTP ${r.status}`);}
+      return true;
+    },
+  },
+  openai: {
+    label: "OpenAI",
+    fields: ["api_key"],
+    mask: (s) => ({ api_key: maskStr(s.api_key, 7, 4) }),
+    test: async (s) => {
+      if (!s.api_key) {throw new Error("api_key is required");}
+      const r = await tracedFetch(`${providerBaseUrl("openai", s)}/models`, {
+        headers: { "Authorization": `Bearer ${s.api_key}` },
+      });
+      if (!r.ok) {throw new Error(`OpenAI API returned HTTP ${r.status}`);}
+      return true;
+    },
+  },
+  anthropic: {
+    label: "Anthropic",
+    fields: ["api_key"],
+    mask: (s) => ({ api_key: maskStr(s.api_key, 7, 4) }),
+    test: async (s) => {
+      if (!s.api_key) {throw new Error("api_key is required");}
+      const r = await tracedFetch(`${providerBaseUrl("anthropic", s)}/models`, {
+        headers: { "x-api-key": s.api_key, "anthropic-version": "2023-06-01" },
+      });
+      if (!r.ok) {throw new Error(`Anthropic API returned HTTP ${r.status}`);}
+      return true;
+    },
+  },
+  xai: {
+    label: "xAI (Grok)",
+    fields: ["api_key"],
+    mask: (s) => ({ api_key: maskStr(s.api_key, 7, 4) }),
+    test: async (s) => {
+      if (!s.api_key) {throw new Error("api_key is required");}
+      const r = await tracedFetch(`${providerBaseUrl("xai", s)}/models`, {
+        headers: { "Authorization": `Bearer ${s.api_key}` },
+      });
+      if (!r.ok) {throw new Error(`xAI API returned HTTP ${r.status}`);}
+      return true;
+    },
+  },
+  local: {
+    label: "Local LLM (OpenAI-compatible)",
+    fields: ["base_url", "api_key", "model", "context_tokens"],
+    mask: (s) => ({
+      base_url:       s.base_url || null,
+      api_key:        s.api_key ? maskStr(s.api_key) : null,
+      model:          s.model || null,
+      context_tokens: s.context_tokens || null,
+    }),
+    test: async (s) => {
+      if (!s.base_url) {throw new Error("base_url is required");}
+      const r = await tracedFetch(`${s.base_url.replace(/\/+$/, "")}/models`, {
+        headers: s.api_key ? { "Authorization": `Bearer ${s.api_key}` } : {},
+      });
+      if (!r.ok) {throw new Error(`Local LLM endpoint returned HTTP ${r.status}`);}
+      return true;
+    },
+  },
+  smtp: {
+    label: "SMTP",
+    fields: ["host", "port", "user", "password"],
+    mask: (s) => ({ host: s.host || null, port: s.port || null, user: s.user || null, password: s.password ? "•••••••" : null }),
+    test: async (s) => {
+      if (!s.host) {throw new Error("host is required");}
+      const { host, port } = smtpEndpoint(s);
+      await testSmtp(host, port);
+      return true;
+    },
+  },
+};
+
+const PUT_DESCRIPTION = "Body: any of the provider's fields (GET /kernel/connections lists them), as strings. "
+  + "Fields not given keep their stored value.";
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerConnectionRoutes(app, db) {
+
+  // ── GET /kernel/connections ────────────────────────────────────────────────
+  app.get("/kernel/connections", doc("List provider connections with masked secrets"), async () => {
+    const rows = db.prepare(`SELECT * FROM connections`).all();
+    const connections = {};
+    for (const [provider, def] of Object.entries(PROVIDERS)) {
+      const row = rows.find((r) => r.provider === provider);
+      if (!row) {
+        connections[provider] = { status: "missing", label: def.label, fields: def.fields };
+        continue;
+      }
+      let masked = {};
+      try {
+        masked = def.mask(decryptSecret(db, row.encrypted_json));
+      } catch { /* corrupt entry — show empty masked */ }
+      connections[provider] = {
+        status: row.status,
+        label: def.label,
+        fields: def.fields,
+        masked,
+        last_tested_at: row.last_tested_at,
+        last_error: row.last_error,
+        updated_at: row.updated_at,
+      };
+    }
+    return { ok: true, connections };
+  });
+
+  // ── PUT /kernel/connections/:provider ──────────────────────────────────────
+  app.put("/kernel/connections/:provider", doc("Set a provider's credentials", { description: PUT_DESCRIPTION }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+    const { provider } = req.params;
+    const def = PROVIDERS[provider];
+    if (!def) { reply.code(400); return { ok: false, error: "unknown_provider" }; }
+
+    const body = req.body ?? {};
+    const incoming = {};
+    for (const field of def.fields) {
+      if (body[field] !== undefined && body[field] !== "") {incoming[field] = String(body[field]);}
+    }
+    if (Object.keys(incoming).length === 0) {
+      reply.code(400); return { ok: false, error: "no_fields_provided" };
+    }
+
+    // Merge with existing secrets (supports partial updates)
+    const existingRow = db.prepare(`SELECT encrypted_json FROM connections WHERE provider=?`).get(provider);
+    let existing = {};
+    if (existingRow) {
+      try { existing = decryptSecret(db, existingRow.encrypted_json); } catch { /* start fresh */ }
+    }
+    const merged = { ...existing, ...incoming };
+
+    db.prepare(`
+      INSERT INTO connections (provider, encrypted_json, status, updated_at)
+      VALUES (?, ?, 'unknown', ?)
+      ON CONFLICT(provider) DO UPDATE SET
+        encrypted_json = excluded.encrypted_json,
+        status = 'unknown',
+        last_error = NULL,
+        updated_at = excluded.updated_at
+    `).run(provider, encryptSecret(db, merged), nowIso());
+    logAudit(db, {
+      event: "connection_updated", actor: auditActor(req), subject_type: "connection", subject_id: provider,
+      data:  { fields: Object.keys(incoming), created: !existingRow },
+    });
+
+    return { ok: true, provider };
+  });
+
+  // ── POST /kernel/connections/:provider/test ────────────────────────────────
+  app.post("/kernel/connections/:provider/test", doc("Test a provider's stored credentials"), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+    const { provider } = req.params;
+    const def = PROVIDERS[provider];
+    if (!def) { reply.code(400); return { ok: false, error: "unknown_provider" }; }
+
+    const row = db.prepare(`SELECT encrypted_json FROM connections WHERE provider=?`).get(provider);
+    if (!row) { reply.code(404); return { ok: false, error: "not_configured" }; }
+
+    let secrets;
+    try { secrets = decryptSecret(db, row.encrypted_json); }
+    catch { reply.code(500); return { ok: false, error: "decrypt_failed" }; }
+
+    let testOk = false;
+    let errorMsg = null;
+    try {
+      await def.test(secrets);
+      testOk = true;
+    } catch (e) {
+      errorMsg = e.message;
+    }
+
+    const now = nowIso();
+    db.prepare(`UPDATE connections SET status=?, last_tested_at=?, last_error=? WHERE provider=?`)
+      .run(testOk ? "connected" : "error", now, errorMsg, provider);
+
+    return { ok: testOk, provider, tested_at: now, ...(errorMsg ? { error: errorMsg } : {}) };
+  });
+
+  // ── DELETE /kernel/connections/:provider ───────────────────────────────────
+  app.delete("/kernel/connections/:provider", doc("Delete a provider's credentials"), async (req, reply) => {
+    const { provider } = req.params;
+    if (!PROVIDERS[provider]) { reply.code(400); return { ok: false, error: "unknown_provider" }; }
+
+    const { changes } = db.prepare(`DELETE FROM connections WHERE provider=?`).run(provider);
+    if (changes === 0) { reply.code(404); return { ok: false, error: "not_found" }; }
+    logAudit(db, { event: "connection_deleted", actor: auditActor(req), subject_type: "connection", subject_id: provider });
+
+    return { ok: true, provider };
+  });
+}
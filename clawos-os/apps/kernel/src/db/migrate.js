@@ -0,0 +1,164 @@
+/**
+ * Versioned schema migrations for kernel.db.
+ *
+ * Migrations are numbered files in src/db/migrations — NNNN_snake_name.js —
+ * each exporting a synchronous up(db). The schema_version table records every
+ * applied version with its file's SHA-256, so each migration runs exactly once:
+ *
+ *   CREATE TABLE schema_version (version, name, checksum, applied_at)
+ *
+ * runMigrations() applies all pending versions in ascending order inside one
+ * IMMEDIATE transaction — either the DB ends on the newest version or, if any
+ * step throws, it is left exactly as it was. With dryRun the same statements
+ * run (so they are checked against the real schema) and are rolled back.
+ *
+ * The kernel migrates at startup (index.js); scripts/migrate.js prints the
+ * status / pending list and applies or dry-runs migrations by hand.
+ *
+ * Adding a migration: copy the highest-numbered file, bump the number, write
+ * up(). Never edit a migration that has shipped — add a new one; status reports
+ * applied files whose checksum has changed.
+ *
+ * Errors (Error.code):
+ *   schema_too_new     the DB has versions this kernel has no file for (downgrade)
+ *   bad_migration      a migration file is misnamed, duplicated or has no up()
+ *   migration_failed   up() threw — nothing was applied; .version says which
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.js$/;
+const ROLLBACK = Symbol("dry-run rollback");
+
+function now() {
+  return new Date().toISOString();
+}
+
+/** True when table has a column named column (for migrations that must tolerate older DBs). */
+export function hasColumn(db, table, column) {
+  return db.prepare(`SELECT 1 FROM pragma_table_info(?) WHERE name=?`).get(table, column) !== undefined;
+}
+
+/**
+ * Every migration on disk, ascending.
+ *
+ * @param {string} [dir]
+ * @returns {Promise<{ version: number; name: string; file: string; checksum: string;
+ *                     up: (db: import('better-sqlite3').Database) => void }[]>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".js")).toSorted()) {
+    const m = FILE_RE.exec(file);
+    if (!m) {
+      throw Object.assign(new Error(`${file}: migration files are named NNNN_snake_name.js`), { code: "bad_migration" });
+    }
+    const full = path.join(dir, file);
+    const mod = await import(pathToFileURL(full).href);
+    if (typeof mod.up !== "function") {
+      throw Object.assign(new Error(`${file}: no exported up(db)`), { code: "bad_migration" });
+    }
+    const version = Number(m[1]);
+    if (migrations.some((x) => x.version === version)) {
+      throw Object.assign(new Error(`${file}: duplicate migration version ${version}`), { code: "bad_migration" });
+    }
+    migrations.push({
+      version,
+      name:     m[2],
+      file,
+      checksum: crypto.createHash("sha256").update(fs.readFileSync(full)).digest("hex"),
+      up:       mod.up,
+    });
+  }
+  return migrations;
+}
+
+function appliedRows(db) {
+  const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='schema_version'`).get();
+  return exists ? db.prepare(`SELECT * FROM schema_version ORDER BY version`).all() : [];
+}
+
+/**
+ * Where the DB stands relative to the migrations on disk. Read-only.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {Awaited<ReturnType<typeof loadMigrations>>} migrations
+ * @returns {{ current: number;
+ *             applied: { version: number; name: string; applied_at: string; modified: boolean }[];
+ *             pending: { version: number; name: string }[];
+ *             unknown: { version: number; name: string }[] }}
+ *   modified: the file changed after it was applied; unknown: applied versions with no file
+ */
+export function migrationStatus(db, migrations) {
+  const rows = appliedRows(db);
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  const appliedSet = new Set(rows.map((r) => r.version));
+  return {
+    current: rows.length ? rows[rows.length - 1].version : 0,
+    applied: rows.filter((r) => byVersion.has(r.version)).map((r) => ({
+      version:    r.version,
+      name:       r.name,
+      applied_at: r.applied_at,
+      modified:   byVersion.get(r.version).checksum !== r.checksum,
+    })),
+    pending: migrations.filter((m) => !appliedSet.has(m.version)).map(({ version, name }) => ({ version, name })),
+    unknown: rows.filter((r) => !byVersion.has(r.version)).map(({ version, name }) => ({ version, name })),
+  };
+}
+
+/**
+ * Apply every pending migration in one transaction.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {Awaited<ReturnType<typeof loadMigrations>>} migrations
+ * @param {{ dryRun?: boolean }} [opts]
+ * @returns {{ applied: { version: number; name: string }[]; dry_run: boolean }}
+ *   applied: what ran (with dryRun: what would run — and was rolled back)
+ */
+export function runMigrations(db, migrations, { dryRun = false } = {}) {
+  const status = migrationStatus(db, migrations);
+  if (status.unknown.length) {
+    const versions = status.unknown.map((u) => `${u.version} ${u.name}`).join(", ");
+    throw Object.assign(
+      new Error(`kernel.db has migrations this kernel does not know (${versions}) — it was used by a newer kernel`),
+      { code: "schema_too_new" },
+    );
+  }
+  const pending = migrations.filter((m) => status.pending.some((p) => p.version === m.version));
+  if (!pending.length) {return { applied: [], dry_run: dryRun };}
+
+  const apply = db.transaction(() => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version     INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        checksum    TEXT NOT NULL,
+        applied_at  TEXT NOT NULL
+      )
+    `);
+    const record = db.prepare(`INSERT INTO schema_version (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)`);
+    for (const m of pending) {
+      try {
+        const ret = m.up(db);
+        if (typeof ret?.then === "function") {throw new Error("up() must be synchronous");}
+      } catch (e) {
+        throw Object.assign(new Error(`migration ${m.file} failed: ${e.message}`), {
+          code: "migration_failed", version: m.version, cause: e,
+        });
+      }
+      record.run(m.version, m.name, m.checksum, now());
+    }
+    if (dryRun) {throw ROLLBACK;}
+  });
+
+  try {
+    apply.immediate();
+  } catch (e) {
+    if (e !== ROLLBACK) {throw e;}
+  }
+  return { applied: pending.map(({ version, name }) => ({ version, name })), dry_run: dryRun };
+}
@@ -0,0 +1,393 @@
+/**
+ * 0001 — baseline: the kernel schema as it stood when versioned migrations
+ * were introduced (v0.1 security core through the audit log).
+ *
+ * Every statement is IF NOT EXISTS, so on a kernel.db created before
+ * schema_version existed this only adds whatever tables it lacked.
+ */
+
+/** @param {import('better-sqlite3').Database} db */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kernel_state (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS workspaces (
+      workspace_id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS action_requests (
+      action_request_id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      action_type TEXT NOT NULL,
+      destination TEXT,
+      payload_json TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      result_json TEXT,
+      approval_required INTEGER DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS approvals (
+      approval_id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      action_request_id TEXT NOT NULL,
+      requested_by TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      decision_reason TEXT,
+      decided_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS tool_tokens (
+      token_id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      tool_name TEXT NOT NULL,
+      action_request_id TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS connections (
+      provider TEXT PRIMARY KEY,
+      encrypted_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'unknown',
+      last_tested_at TEXT,
+      last_error TEXT,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS risk_policies (
+      action_type TEXT NOT NULL,
+      workspace_id TEXT NOT NULL DEFAULT '*',
+      mode TEXT NOT NULL DEFAULT 'ask',
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (action_type, workspace_id)
+    );
+
+    -- Per-workspace LLM provider/model chain (see src/llm/routing.js).
+    -- '*' in either key column is a wildcard; chain_json = [{provider, model|null}, …]
+    CREATE TABLE IF NOT EXISTS llm_routing (
+      workspace_id TEXT NOT NULL DEFAULT '*',
+      action_type TEXT NOT NULL DEFAULT '*',
+      chain_json TEXT NOT NULL,
+      temperature REAL,
+      max_tokens INTEGER,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (workspace_id, action_type)
+    );
+
+    -- ── Agent / Subagent / Task infrastructure (v2) ─────────────────────────────
+
+    -- AGENT: durable, user-facing actor with stable identity and authority
+    CREATE TABLE IF NOT EXISTS agents (
+      agent_id          TEXT PRIMARY KEY,
+      kind              TEXT NOT NULL DEFAULT 'agent',     -- always 'agent'
+      workspace_id      TEXT NOT NULL,
+      role              TEXT NOT NULL DEFAULT 'orchestrator',
+      policy_profile_id TEXT,
+      created_at        TEXT NOT NULL
+    );
+
+    -- SUBAGENT: ephemeral delegate, always bound to a parent agent + task
+    CREATE TABLE IF NOT EXISTS subagents (
+      subagent_id      TEXT PRIMARY KEY,
+      kind             TEXT NOT NULL DEFAULT 'subagent',   -- always 'subagent'
+      parent_agent_id  TEXT NOT NULL,                      -- MUST reference an agent
+      workspace_id     TEXT NOT NULL,
+      task_id          TEXT NOT NULL,                      -- MUST reference a task
+      step_id          TEXT,
+      worker_type      TEXT NOT NULL,
+      status           TEXT NOT NULL DEFAULT 'created',    -- created/running/finished/failed
+      created_at       TEXT NOT NULL,
+      finished_at      TEXT
+    );
+
+    -- TASK: contract-first unit of work
+    CREATE TABLE IF NOT EXISTS tasks (
+      task_id              TEXT PRIMARY KEY,
+      workspace_id         TEXT NOT NULL,
+      created_by_agent_id  TEXT NOT NULL,                  -- AGENT only
+      title                TEXT NOT NULL,
+      intent               TEXT NOT NULL DEFAULT '',
+      contract_json        TEXT NOT NULL,                  -- { objective, scope, deliverables, acceptance_checks }
+      plan_json            TEXT,                           -- { steps[], delegation_plan{} }
+      status               TEXT NOT NULL DEFAULT 'queued', -- queued/running/blocked/needs_approval/failed/succeeded
+      created_at           TEXT NOT NULL,
+      updated_at           TEXT NOT NULL
+    );
+
+    -- DCT: Delegation Capability Token — the ONLY way subagents get authority
+    CREATE TABLE IF NOT EXISTS dct_tokens (
+      token_id         TEXT PRIMARY KEY,
+      workspace_id     TEXT NOT NULL,
+      issued_to_kind   TEXT NOT NULL,   -- 'agent' | 'subagent'
+      issued_to_id     TEXT NOT NULL,
+      parent_agent_id  TEXT,            -- required when issued_to_kind='subagent'
+      task_id          TEXT,
+      scope_json       TEXT NOT NULL,   -- { allowed_tools[], operations[], resource_constraints{} }
+      ttl_seconds      INTEGER NOT NULL DEFAULT 600,
+      expires_at       TEXT NOT NULL,
+      created_at       TEXT NOT NULL,
+      revoked          INTEGER NOT NULL DEFAULT 0
+    );
+
+    -- DCT Approval Requests — separate from action-request approvals
+    -- Only agents may request these; subagents cannot.
+    CREATE TABLE IF NOT EXISTS dct_approval_requests (
+      dar_id                TEXT PRIMARY KEY,
+      workspace_id          TEXT NOT NULL,
+      requested_by_agent_id TEXT NOT NULL,
+      issue_to_kind         TEXT NOT NULL,
+      issue_to_id           TEXT NOT NULL,
+      task_id               TEXT,
+      scope_json            TEXT NOT NULL,
+      ttl_seconds           INTEGER NOT NULL DEFAULT 600,
+      risk_level            TEXT NOT NULL,
+      status                TEXT NOT NULL DEFAULT 'pending',  -- pending/granted/denied
+      expires_at            TEXT NOT NULL,
+      created_at            TEXT NOT NULL,
+      decided_at            TEXT
+    );
+
+    -- ARTIFACTS: verifiable outputs from agents/subagents
+    CREATE TABLE IF NOT EXISTS artifacts (
+      artifact_id   TEXT PRIMARY KEY,
+      task_id       TEXT NOT NULL,
+      workspace_id  TEXT NOT NULL,
+      actor_kind    TEXT NOT NULL,    -- 'agent' | 'subagent' | 'system'
+      actor_id      TEXT NOT NULL,
+      type          TEXT NOT NULL,
+      content       TEXT,
+      uri           TEXT,
+      metadata_json TEXT,
+      created_at    TEXT NOT NULL
+    );
+
+    -- EVENTS: structured event stream per task
+    CREATE TABLE IF NOT EXISTS task_events (
+      event_id      TEXT PRIMARY KEY,
+      workspace_id  TEXT NOT NULL,
+      task_id       TEXT NOT NULL,
+      actor_kind    TEXT NOT NULL,    -- 'agent' | 'subagent' | 'system'
+      actor_id      TEXT NOT NULL,
+      type          TEXT NOT NULL,
+      ts            TEXT NOT NULL,
+      data_json     TEXT NOT NULL
+    );
+
+    -- ── Conversation Sessions ─────────────────────────────────────────────────────
+    -- One session = one coherent conversation thread (multi-turn).
+    -- The bridge resolves / creates a session on every inbound message.
+    CREATE TABLE IF NOT EXISTS sessions (
+      session_id      TEXT PRIMARY KEY,
+      workspace_id    TEXT NOT NULL,
+      channel         TEXT NOT NULL DEFAULT 'whatsapp',
+      remote_jid      TEXT NOT NULL,
+      status          TEXT NOT NULL DEFAULT 'active',   -- active | closed
+      context_summary TEXT NOT NULL DEFAULT '',
+      active_agent_id TEXT,
+      last_message_at TEXT NOT NULL,
+      created_at      TEXT NOT NULL,
+      closed_at       TEXT,
+      turn_count      INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_ws_jid
+      ON sessions(workspace_id, channel, remote_jid, status);
+
+    -- ── Skills Marketplace ────────────────────────────────────────────────────────
+    CREATE TABLE IF NOT EXISTS installed_skills (
+      slug           TEXT PRIMARY KEY,
+      display_name   TEXT NOT NULL,
+      version        TEXT NOT NULL,
+      installed_at   TEXT NOT NULL,
+      skill_md       TEXT NOT NULL,
+      vetting_json   TEXT NOT NULL,        -- { safe, issues[], score }
+      enabled        INTEGER NOT NULL DEFAULT 1,
+      source         TEXT NOT NULL DEFAULT 'clawhub',  -- 'clawhub' | 'built'
+      build_prompt   TEXT
+    );
+
+    -- Global env var store for skill API keys (one row per env var name).
+    -- Values encrypted with AES-256-GCM under the keyring's connections key.
+    CREATE TABLE IF NOT EXISTS skill_env_vars (
+      env_var     TEXT PRIMARY KEY,
+      encrypted   TEXT NOT NULL,
+      updated_at  TEXT NOT NULL
+    );
+
+    -- ── Cognitive Objectives ───────────────────────────────────────────────────────
+    -- One objective = one bounded goal within a session.
+    -- Persists across follow-up messages so the agent doesn't lose context.
+    CREATE TABLE IF NOT EXISTS objectives (
+      objective_id              TEXT PRIMARY KEY,
+      session_id                TEXT NOT NULL,
+      workspace_id              TEXT NOT NULL,
+      agent_id                  TEXT NOT NULL,
+      title                     TEXT NOT NULL DEFAULT '',
+      goal                      TEXT NOT NULL DEFAULT '',
+      constraints_json          TEXT NOT NULL DEFAULT '{}',
+      required_deliverable_json TEXT NOT NULL DEFAULT 'null',
+      status                    TEXT NOT NULL DEFAULT 'in_progress',  -- in_progress|completed|failed
+      result_summary            TEXT NOT NULL DEFAULT '',
+      last_tool_evidence_json   TEXT NOT NULL DEFAULT '[]',
+      created_at                TEXT NOT NULL,
+      updated_at                TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_objectives_session
+      ON objectives(session_id, status);
+
+    -- Tool evidence: records of actual tool calls keyed by objective.
+    -- Used to enforce "no fake tool claims" rule.
+    CREATE TABLE IF NOT EXISTS tool_evidence (
+      evidence_id    TEXT PRIMARY KEY,
+      objective_id   TEXT NOT NULL,
+      session_id     TEXT NOT NULL,
+      action_type    TEXT NOT NULL,
+      query_text     TEXT NOT NULL DEFAULT '',
+      result_summary TEXT NOT NULL DEFAULT '',
+      created_at     TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_tool_evidence_objective
+      ON tool_evidence(objective_id);
+
+    -- Session turns: stores last N turns per session for working-memory injection.
+    CREATE TABLE IF NOT EXISTS session_turns (
+      turn_id            TEXT PRIMARY KEY,
+      session_id         TEXT NOT NULL,
+      user_message       TEXT NOT NULL DEFAULT '',
+      assistant_response TEXT NOT NULL DEFAULT '',
+      action_type        TEXT NOT NULL DEFAULT '',
+      objective_id       TEXT,
+      created_at         TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_turns
+      ON session_turns(session_id, created_at DESC);
+
+    -- ── Background Jobs ─────────────────────────────────────────────────────────
+    -- Long-running tasks spawned asynchronously; results posted back via WhatsApp.
+    CREATE TABLE IF NOT EXISTS jobs (
+      job_id       TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      remote_jid   TEXT NOT NULL,
+      objective    TEXT NOT NULL,
+      status       TEXT NOT NULL DEFAULT 'queued',  -- queued/running/done/failed
+      progress     TEXT NOT NULL DEFAULT '',
+      result       TEXT NOT NULL DEFAULT '',
+      error        TEXT NOT NULL DEFAULT '',
+      plan_json    TEXT NOT NULL DEFAULT '[]',
+      created_at   TEXT NOT NULL,
+      updated_at   TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_jobs_jid_status
+      ON jobs(workspace_id, remote_jid, status);
+
+    -- ── LLM usage ledger ────────────────────────────────────────────────────────
+    -- One row per provider call (success or error). cost_usd is an estimate from
+    -- src/llm/pricing.js; NULL when the model has no known price.
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      usage_id      TEXT PRIMARY KEY,
+      created_at    TEXT NOT NULL,
+      workspace_id  TEXT,
+      session_id    TEXT,
+      action_type   TEXT NOT NULL,
+      provider      TEXT NOT NULL,
+      model         TEXT NOT NULL,
+      input_tokens  INTEGER,
+      output_tokens INTEGER,
+      latency_ms    INTEGER NOT NULL,
+      cost_usd      REAL,
+      outcome       TEXT NOT NULL,                   -- success/error
+      error         TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_llm_usage_ws_created
+      ON llm_usage(workspace_id, created_at);
+
+    -- Per-workspace monthly LLM spend cap (calendar month, UTC).
+    CREATE TABLE IF NOT EXISTS llm_budgets (
+      workspace_id TEXT PRIMARY KEY,
+      monthly_usd  REAL NOT NULL,
+      updated_at   TEXT NOT NULL
+    );
+
+    -- ── Agent loop runs (agent_run action) ──────────────────────────────────────
+    -- Conversation state of a tool-calling loop, persisted so a run paused on a
+    -- tool approval can resume. messages_json uses the provider-neutral format
+    -- from src/llm/providers.js; pending_json holds the tool calls still to run.
+    CREATE TABLE IF NOT EXISTS agent_runs (
+      run_id        TEXT PRIMARY KEY,
+      workspace_id  TEXT NOT NULL,
+      agent_id      TEXT NOT NULL,
+      session_id    TEXT,
+      objective     TEXT NOT NULL,
+      status        TEXT NOT NULL,                   -- running/approval_required/completed/failed/step_limit
+      steps         INTEGER NOT NULL DEFAULT 0,
+      max_steps     INTEGER NOT NULL,
+      tools_json    TEXT NOT NULL DEFAULT '[]',
+      messages_json TEXT NOT NULL DEFAULT '[]',
+      pending_json  TEXT,
+      reply         TEXT,
+      created_at    TEXT NOT NULL,
+      updated_at    TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_agent_runs_ws
+      ON agent_runs(workspace_id, created_at);
+
+    -- ── Prompt registry ─────────────────────────────────────────────────────────
+    -- Versioned system prompts (src/prompts). workspace_id '*' is the global
+    -- template; a workspace row overrides it. One active version per scope.
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      name          TEXT NOT NULL,                   -- e.g. chat_llm.system
+      workspace_id  TEXT NOT NULL DEFAULT '*',
+      version       INTEGER NOT NULL,
+      body          TEXT NOT NULL,
+      note          TEXT NOT NULL DEFAULT '',
+      source        TEXT NOT NULL,                   -- builtin/operator
+      active        INTEGER NOT NULL DEFAULT 0,
+      created_at    TEXT NOT NULL,
+      PRIMARY KEY (name, workspace_id, version)
+    );
+
+    -- {{variable}} values for prompt templates (persona, language, tone, …).
+    CREATE TABLE IF NOT EXISTS prompt_variables (
+      workspace_id  TEXT NOT NULL DEFAULT '*',
+      key           TEXT NOT NULL,
+      value         TEXT NOT NULL,
+      updated_at    TEXT NOT NULL,
+      PRIMARY KEY (workspace_id, key)
+    );
+
+    -- API clients: one key per caller (bridge, UI, operator, …), stored as a SHA-256 hash
+    CREATE TABLE IF NOT EXISTS api_clients (
+      client_id     TEXT PRIMARY KEY,
+      name          TEXT NOT NULL,
+      role          TEXT NOT NULL,
+      key_hash      TEXT NOT NULL UNIQUE,
+      created_at    TEXT NOT NULL,
+      last_used_at  TEXT,
+      revoked_at    TEXT
+    );
+
+    -- Append-only, hash-chained audit log (audit/service.js). UPDATE / DELETE are
+    -- rejected by triggers installed at startup.
+    CREATE TABLE IF NOT EXISTS audit_log (
+      seq           INTEGER PRIMARY KEY,
+      ts            TEXT NOT NULL,
+      event         TEXT NOT NULL,
+      actor         TEXT,
+      workspace_id  TEXT,
+      subject_type  TEXT,
+      subject_id    TEXT,
+      data_json     TEXT NOT NULL DEFAULT '{}',
+      prev_hash     TEXT NOT NULL,
+      hash          TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_event   ON audit_log(event, seq);
+    CREATE INDEX IF NOT EXISTS idx_audit_subject ON audit_log(subject_type, subject_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_ws      ON audit_log(workspace_id, seq);
+  `);
+}
@@ -0,0 +1,24 @@
+/**
+ * 0002 — session binding columns: session_id on action_requests,
+ * dct_approval_requests and approvals; active_objective_id on sessions.
+ *
+ * These used to be ALTER TABLEs run on every start with the "column already
+ * exists" error swallowed, so kernels from before schema_version may have
+ * them already — hence the hasColumn() checks. New migrations can ALTER
+ * unconditionally: each one runs exactly once.
+ */
+import { hasColumn } from "../migrate.js";
+
+const COLUMNS = [
+  ["action_requests",       "session_id"],
+  ["dct_approval_requests", "session_id"],
+  ["approvals",             "session_id"],
+  ["sessions",              "active_objective_id"],
+];
+
+/** @param {import('better-sqlite3').Database} db */
+export function up(db) {
+  for (const [table, column] of COLUMNS) {
+    if (!hasColumn(db, table, column)) {db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`);}
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * 0003 — registered_actions: webhook actions added with POST /kernel/actions,
+ * reloaded into the action registry at startup (actions/service.js).
+ */
+
+/** @param {import('better-sqlite3').Database} db */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE registered_actions (
+      name TEXT PRIMARY KEY,
+      definition_json TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+}
@@ -0,0 +1,21 @@
+/**
+ * 0004 — sandbox_policies: per-workspace run_shell sandbox settings
+ * (sandbox/service.js); workspace_id '*' is the default for every workspace.
+ */
+
+/** @param {import('better-sqlite3').Database} db */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE sandbox_policies (
+      workspace_id TEXT PRIMARY KEY,
+      mode TEXT NOT NULL,
+      network INTEGER NOT NULL DEFAULT 0,
+      cpu_seconds INTEGER NOT NULL,
+      memory_mb INTEGER NOT NULL,
+      timeout_ms INTEGER NOT NULL,
+      allow_bins_json TEXT NOT NULL DEFAULT '[]',
+      deny_bins_json TEXT NOT NULL DEFAULT '[]',
+      updated_at TEXT NOT NULL
+    );
+  `);
+}
@@ -0,0 +1,26 @@
+/**
+ * 0005 — shell_sessions: long-running run_shell commands (shell_sessions/service.js)
+ * whose output is logged to a file artifact.
+ */
+
+/** @param {import('better-sqlite3').Database} db */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE shell_sessions (
+      session_id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      command TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      isolation TEXT NOT NULL,
+      status TEXT NOT NULL,
+      pid INTEGER,
+      exit_code INTEGER,
+      log_path TEXT NOT NULL,
+      artifact_id TEXT,
+      created_at TEXT NOT NULL,
+      ended_at TEXT
+    );
+    CREATE INDEX idx_shell_sessions_ws ON shell_sessions(workspace_id, created_at);
+  `);
+}
@@ -0,0 +1,46 @@
+/**
+ * Health route — registered by apps/kernel/src/app.js.
+ *
+ * GET /kernel/health — public (no API key): liveness, DB check, auth mode, lock
+ *                      state, and the cassette / log / trace exporter stats
+ *                      when those are enabled. Polled by the bridge and by
+ *                      Docker health checks, so it does not count as activity
+ *                      for the idle auto-lock.
+ */
+import { cassetteStats }    from "../llm/cassette.js";
+import { authMode }         from "../auth/service.js";
+import { isLocked }         from "../keyring/service.js";
+import { logExportStats }   from "../orchestrator/logger.js";
+import { traceExportStats } from "../orchestrator/tracing.js";
+import { doc, KERNEL_VERSION } from "../openapi/spec.js";
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerHealthRoutes(app, db) {
+
+  // ── GET /kernel/health ─────────────────────────────────────────────────────
+  app.get("/kernel/health", doc("Kernel health"), async () => {
+    let dbStatus = "ok";
+    try {
+      db.prepare(`SELECT 1`).get();
+    } catch {
+      dbStatus = "error";
+    }
+    const cassette = cassetteStats();
+    const logExport = logExportStats();
+    const traceExport = traceExportStats();
+    return {
+      ok: true,
+      uptime_ms: Math.round(process.uptime() * 1000),
+      db: dbStatus,
+      version: KERNEL_VERSION,
+      auth: authMode(),
+      locked: isLocked(),
+      ...(cassette ? { llm_cassette: cassette } : {}),
+      ...(logExport ? { log_export: logExport } : {}),
+      ...(traceExport ? { trace_export: traceExport } : {}),
+    };
+  });
+}
@@ -7,11 +7,12 @@
  * GET  /kernel/jobs?workspace_id=&remote_jid=  — list jobs for a sender
  */
 import { createJob, getJob, updateJob, listJobs } from "./service.js";
+import { doc } from "../openapi/spec.js";
 
 export function registerJobRoutes(app, db) {
 
   // ── POST /kernel/jobs ──────────────────────────────────────────────────────
-  app.post("/kernel/jobs", async (req, reply) => {
+  app.post("/kernel/jobs", doc("Create a background job"), async (req, reply) => {
     const { workspace_id, remote_jid, objective, plan } = req.body ?? {};
     if (!workspace_id || !remote_jid || !objective) {
       return reply.code(400).send({ error: "workspace_id, remote_jid, objective required" });
@@ -21,7 +22,7 @@ export function registerJobRoutes(app, db) {
   });
 
   // ── GET /kernel/jobs/:job_id ───────────────────────────────────────────────
-  app.get("/kernel/jobs/:job_id", async (req, reply) => {
+  app.get("/kernel/jobs/:job_id", doc("Get a job's status and result"), async (req, reply) => {
     const { workspace_id } = req.query ?? {};
     const job = getJob(db, req.params.job_id);
     if (!job) {return reply.code(404).send({ error: "job_not_found" });}
@@ -32,7 +33,7 @@ export function registerJobRoutes(app, db) {
   });
 
   // ── PATCH /kernel/jobs/:job_id ─────────────────────────────────────────────
-  app.patch("/kernel/jobs/:job_id", async (req, reply) => {
+  app.patch("/kernel/jobs/:job_id", doc("Update a job's progress, result or status"), async (req, reply) => {
     const { status, progress, result, error, workspace_id } = req.body ?? {};
     const job = getJob(db, req.params.job_id);
     if (!job) {return reply.code(404).send({ error: "job_not_found" });}
@@ -44,7 +45,7 @@ export function registerJobRoutes(app, db) {
   });
 
   // ── GET /kernel/jobs ───────────────────────────────────────────────────────
-  app.get("/kernel/jobs", async (req, reply) => {
+  app.get("/kernel/jobs", doc("List a sender's jobs"), async (req, reply) => {
     const { workspace_id, remote_jid, limit } = req.query ?? {};
     if (!workspace_id || !remote_jid) {
       return reply.code(400).send({ error: "workspace_id and remote_jid required" });
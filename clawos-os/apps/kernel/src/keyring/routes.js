@@ -0,0 +1,238 @@
+/**
+ * Keyring routes — lock state, key IDs, key rotation and the recovery phrase.
+ * Registered by apps/kernel/src/app.js.
+ *
+ * POST /kernel/setup             — { recovery_phrase } first-time setup (public; idempotent)
+ * POST /kernel/unlock            — { recovery_phrase } (public)
+ * POST /kernel/lock              — drop the keys from memory
+ * GET  /kernel/lock              — keyringStatus()
+ * GET  /kernel/keys              — active and retired key IDs per purpose (no key material)
+ * POST /kernel/keys/rotate       — { keys?: ["connections","signing"] } (default both)
+ * POST /kernel/recovery/change   — { recovery_phrase, new_recovery_phrase }
+ *
+ * The kernel starts locked: the keys that decrypt connection secrets and sign
+ * tokens exist only wrapped by the recovery phrase (see service.js) until
+ * /kernel/unlock (or first-time /kernel/setup) unwraps them into memory.
+ *
+ * The first operator API key is issued by /kernel/setup, once: on first setup,
+ * or to the holder of the recovery phrase while no operator key exists (e.g.
+ * after upgrading a kernel that predates API keys). It is not shown again.
+ *
+ * /kernel/keys* is operator only (see auth/service.js ROUTE_ROLES).
+ * Rotation needs the kernel unlocked (403 kernel_locked) and is recorded in the
+ * audit log as event "keys_rotated". A stored secret that cannot be decrypted
+ * aborts it with 409 reencrypt_failed and nothing changed.
+ *
+ * Changing the phrase re-wraps the keys (nothing else is re-encrypted) and
+ * works locked or unlocked. Backups taken before the change still need the
+ * old phrase (see backup/service.js).
+ *
+ * Every phrase check costs a scrypt derivation, and setup and unlock are
+ * public, so both answer 429 { error, retry_after_seconds } (and Retry-After):
+ *   too_many_attempts   the client IP gave FREE_PHRASE_ATTEMPTS wrong phrases and
+ *                       must wait 2, 4, 8 … seconds (up to 15 minutes) per
+ *                       further wrong phrase; a right one clears it
+ *   phrase_check_busy   another derivation is running — they run one at a time
+ */
+import { z } from "zod";
+import {
+  KEY_PURPOSES, isInitialized, isLocked, keyringStatus, initializeKeyring, unlockKeyring, verifyRecoveryPhrase,
+  lockKeyring, keyInfo, rotateKeys, changeRecoveryPhrase, kdfBusy,
+} from "./service.js";
+import { createApiClient, countActiveClients } from "../auth/service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const RecoveryPhraseSchema = z.object({ recovery_phrase: z.string().min(8) });
+
+const RotateKeysBody = z.object({
+  keys: z.array(z.enum(KEY_PURPOSES)).min(1).default([...KEY_PURPOSES]),
+});
+
+const ChangeRecoveryBody = z.object({
+  recovery_phrase:     z.string().min(8),
+  new_recovery_phrase: z.string().min(8),
+});
+
+const FREE_PHRASE_ATTEMPTS = 3;
+const MAX_PHRASE_BACKOFF_MS = 15 * 60_000;
+const MAX_TRACKED_IPS = 10_000;
+
+/** Wrong recovery phrases per client IP: ip → { count, until } */
+const phraseFailures = new Map();
+
+/** Seconds ip must still wait before its next phrase attempt (0 = none). */
+function phraseRetryAfter(ip) {
+  const until = phraseFailures.get(ip)?.until ?? 0;
+  return until > Date.now() ? Math.ceil((until - Date.now()) / 1000) : 0;
+}
+
+function notePhraseFailure(ip) {
+  const count = (phraseFailures.get(ip)?.count ?? 0) + 1;
+  const wait = count >= FREE_PHRASE_ATTEMPTS
+    ? Math.min(MAX_PHRASE_BACKOFF_MS, 1000 * 2 ** (count - FREE_PHRASE_ATTEMPTS + 1))
+    : 0;
+  // Re-inserted so the Map stays in least-recently-failed order for pruning
+  phraseFailures.delete(ip);
+  phraseFailures.set(ip, { count, until: Date.now() + wait });
+  if (phraseFailures.size > MAX_TRACKED_IPS) {phraseFailures.delete(phraseFailures.keys().next().value);}
+}
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerKeyringRoutes(app, db) {
+
+  /** The 429 body when req's IP must wait or a derivation is running, else null. */
+  function phraseAttemptRefused(req, reply) {
+    const wait = phraseRetryAfter(req.ip);
+    if (wait) {
+      reply.code(429).header("retry-after", String(wait));
+      return { ok: false, error: "too_many_attempts", retry_after_seconds: wait };
+    }
+    if (kdfBusy()) {
+      reply.code(429).header("retry-after", "1");
+      return { ok: false, error: "phrase_check_busy", retry_after_seconds: 1 };
+    }
+    return null;
+  }
+
+  function issueOperatorKey() {
+    if (countActiveClients(db, "operator") > 0) {return {};}
+    const { api_key, client_id } = createApiClient(db, { name: "operator", role: "operator" });
+    return { operator_key: api_key, operator_client_id: client_id };
+  }
+
+  // ── POST /kernel/setup ─────────────────────────────────────────────────────
+  app.post("/kernel/setup", doc("Initialize the keyring with a recovery phrase", { body: RecoveryPhraseSchema }), async (req, reply) => {
+    let body;
+    try { body = RecoveryPhraseSchema.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const refused = phraseAttemptRefused(req, reply);
+    if (refused) {return refused;}
+
+    if (!isInitialized(db)) {
+      await initializeKeyring(db, body.recovery_phrase);
+      const issued = issueOperatorKey();
+      logAudit(db, { event: "kernel_setup", data: { operator_client_id: issued.operator_client_id ?? null } });
+      return { ok: true, locked: false, ...issued };
+    }
+    // idempotent
+    const matches = await verifyRecoveryPhrase(db, body.recovery_phrase);
+    if (matches) {phraseFailures.delete(req.ip);}
+    else {notePhraseFailure(req.ip);}
+    return { ok: true, locked: isLocked(), ...(matches ? issueOperatorKey() : {}) };
+  });
+
+  // ── POST /kernel/unlock ────────────────────────────────────────────────────
+  app.post("/kernel/unlock", doc("Unlock the kernel with the recovery phrase", { body: RecoveryPhraseSchema }), async (req, reply) => {
+    let body;
+    try { body = RecoveryPhraseSchema.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    if (!isInitialized(db)) {
+      reply.code(400);
+      return { ok: false, error: "not_initialized" };
+    }
+    const refused = phraseAttemptRefused(req, reply);
+    if (refused) {return refused;}
+
+    if (!(await unlockKeyring(db, body.recovery_phrase))) {
+      notePhraseFailure(req.ip);
+      req.log.warn("unlock: bad recovery phrase");
+      logAudit(db, { event: "unlock_failed", data: { ip: req.ip } });
+      reply.code(403);
+      return { ok: false, error: "bad_recovery_phrase" };
+    }
+    phraseFailures.delete(req.ip);
+    req.log.info("kernel unlocked");
+    logAudit(db, { event: "kernel_unlocked", data: { ip: req.ip } });
+    return { ok: true, locked: false };
+  });
+
+  // ── POST /kernel/lock ──────────────────────────────────────────────────────
+  app.post("/kernel/lock", doc("Lock the kernel"), async (req) => {
+    lockKeyring("manual");
+    req.log.info({ client_id: req.apiClient?.client_id ?? null }, "kernel locked");
+    logAudit(db, { event: "kernel_locked", actor: auditActor(req), data: { reason: "manual" } });
+    return { ok: true, locked: true };
+  });
+
+  // ── GET /kernel/lock ───────────────────────────────────────────────────────
+  app.get("/kernel/lock", doc("Lock state"), async () => {
+    return { ok: true, ...keyringStatus(db) };
+  });
+
+  // ── GET /kernel/keys ───────────────────────────────────────────────────────
+  app.get("/kernel/keys", doc("Active and retired key IDs"), async (_req, reply) => {
+    const keys = keyInfo(db);
+    if (!keys) {
+      reply.code(400);
+      return { ok: false, error: "not_initialized" };
+    }
+    return { ok: true, locked: isLocked(), keys };
+  });
+
+  // ── POST /kernel/keys/rotate ───────────────────────────────────────────────
+  app.post("/kernel/keys/rotate", doc("Rotate keys and re-encrypt stored secrets", { body: RotateKeysBody }), async (req, reply) => {
+    let body;
+    try { body = RotateKeysBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    if (isLocked()) {
+      reply.code(403);
+      return { ok: false, error: "kernel_locked" };
+    }
+
+    let result;
+    try {
+      result = rotateKeys(db, body.keys);
+    } catch (e) {
+      if (e.code === "not_initialized") {
+        reply.code(400);
+        return { ok: false, error: "not_initialized" };
+      }
+      if (e.code === "reencrypt_failed") {
+        req.log.error({ table: e.table, row_id: e.row_id }, "key rotation aborted");
+        reply.code(409);
+        return { ok: false, error: "reencrypt_failed", table: e.table, row_id: e.row_id };
+      }
+      throw e;
+    }
+
+    logAudit(db, {
+      event: "keys_rotated",
+      actor: auditActor(req),
+      data:  { rotated: result.rotated, connections: result.connections ?? null, signing: result.signing ?? null },
+    });
+    req.log.info({ rotated: result.rotated, client_id: req.apiClient?.client_id ?? null }, "keys rotated");
+    return { ok: true, ...result };
+  });
+
+  // ── POST /kernel/recovery/change ───────────────────────────────────────────
+  app.post("/kernel/recovery/change", doc("Change the recovery phrase", { body: ChangeRecoveryBody }), async (req, reply) => {
+    let body;
+    try { body = ChangeRecoveryBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    let changed;
+    try {
+      changed = await changeRecoveryPhrase(db, body.recovery_phrase, body.new_recovery_phrase);
+    } catch (e) {
+      if (e.code !== "legacy_keyring" && e.code !== "keyring_changed") {throw e;}
+      reply.code(409);
+      return { ok: false, error: e.code };
+    }
+    if (!changed) {
+      req.log.warn("recovery change: bad recovery phrase");
+      reply.code(403);
+      return { ok: false, error: "bad_recovery_phrase" };
+    }
+
+    logAudit(db, { event: "recovery_phrase_changed", actor: auditActor(req) });
+    req.log.info({ client_id: req.apiClient?.client_id ?? null }, "recovery phrase changed");
+    return { ok: true };
+  });
+}
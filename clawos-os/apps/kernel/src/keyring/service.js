@@ -0,0 +1,565 @@
+/**
+ * Kernel keyring — lock state and the keys derived from the recovery phrase.
+ *
+ * The kernel holds two kinds of secret key:
+ *   connections  AES-256-GCM keys for connection / skill secrets (orchestrator/connections.js)
+ *   signing      HMAC keys for capability tokens and DCTs
+ *
+ * All keys are random and stored only wrapped (AES-256-GCM) by a key-encryption
+ * key (KEK) derived from the recovery phrase with scrypt and a per-kernel salt.
+ * The KEK and the unwrapped keys live in this module's memory while the kernel
+ * is unlocked and nowhere else; the kernel starts locked, and locks again on
+ * POST /kernel/lock or after KERNEL_IDLE_LOCK_MINUTES (default 30, 0 = never)
+ * without API calls. Changing the recovery phrase only re-wraps the keys.
+ *
+ * kernel_state.keyring = {
+ *   version: 2, kdf: { alg, salt, N, r, p }, created_at,
+ *   connections: { active: kid, keys: { [kid]: { wrapped, created_at, retired_at } } },
+ *   signing:     { active: kid, keys: { [kid]: { wrapped, created_at, retired_at } } },
+ * }
+ *
+ * Every key has an ID ("c1", "c2", … / "s1", "s2", …) that travels with what it
+ * protects, so rotateKeys() can replace keys without breaking anything in flight:
+ *   ciphertext  "<kid>:<base64>"          untagged base64 = c1
+ *   tokens      "<token_id>.<kid>.<sig>"  "<token_id>.<sig>" = s1
+ * Rotating the connections key re-encrypts every stored secret, so the old key
+ * is dropped. A rotated-out signing key is kept (retired) for SIGNING_KEY_GRACE_MS,
+ * the longest token TTL, so tokens it signed stay valid until they expire.
+ *
+ * Version 1 keyrings (one key of each kind, no IDs) read as c1 / s1 and are
+ * rewritten as version 2 on the first rotation. Kernels set up before the
+ * keyring (an unsalted SHA-256 "recovery_hash" and a plaintext
+ * "connections_key" in kernel_state) are migrated on the first successful
+ * unlock: the existing connections key is wrapped, a new signing key is
+ * generated, and both legacy rows are deleted.
+ *
+ * Key operations throw Error{code:"kernel_locked"} while locked.
+ */
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const DEFAULT_IDLE_LOCK_MINUTES = 30;
+
+export const KEY_PURPOSES = ["connections", "signing"];
+const KID_PREFIX = { connections: "c", signing: "s" };
+
+// Longest TTL of anything signed: approvals and DCTs are capped at 3600 s
+const SIGNING_KEY_GRACE_MS = 3600 * 1000;
+
+// Every table column holding sealSecret() ciphertext — rotateKeys re-encrypts all of them
+const SECRET_COLUMNS = [
+  { table: "connections",    id: "provider", column: "encrypted_json" },
+  { table: "skill_env_vars", id: "env_var",  column: "encrypted" },
+];
+
+/**
+ * @typedef {{ active: string; keys: Map<string, Buffer> }} KeySet
+ * @type {{ kek: Buffer; connections: KeySet; signing: KeySet; unlocked_at: string } | null}
+ */
+let unlocked = null;
+let lastActivity = Date.now();
+let lockReason = "startup";
+
+function now() {
+  return new Date().toISOString();
+}
+
+function readState(db, key) {
+  return db.prepare(`SELECT value FROM kernel_state WHERE key=?`).get(key)?.value ?? null;
+}
+
+function writeState(db, key, value) {
+  db.prepare(`INSERT INTO kernel_state(key,value) VALUES(?,?) ON CONFLICT(key) DO UPDATE SET value=excluded.value`)
+    .run(key, value);
+}
+
+/** The stored keyring in version 2 shape (version 1 is upgraded in memory), or null. */
+function readKeyring(db) {
+  const raw = readState(db, "keyring");
+  if (!raw) {return null;}
+  const keyring = JSON.parse(raw);
+  if (keyring.version !== 1) {return keyring;}
+  const single = (kid, wrapped) => ({
+    active: kid,
+    keys:   { [kid]: { wrapped, created_at: keyring.created_at, retired_at: null } },
+  });
+  return {
+    ...keyring,
+    version:     2,
+    connections: single(`${KID_PREFIX.connections}1`, keyring.connections),
+    signing:     single(`${KID_PREFIX.signing}1`, keyring.signing),
+  };
+}
+
+// One scrypt derivation at a time — each takes 32 MB and a burst of CPU, and
+// /kernel/setup and /kernel/unlock are public, so parallel guesses must queue
+let kdfTail = Promise.resolve();
+let kdfPending = 0;
+
+async function deriveKek(phrase, kdf) {
+  kdfPending++;
+  const turn = kdfTail;
+  let done;
+  kdfTail = new Promise((resolve) => { done = resolve; });
+  try {
+    await turn;
+    return await scrypt(phrase.normalize("NFKC"), Buffer.from(kdf.salt, "hex"), 32, {
+      N: kdf.N, r: kdf.r, p: kdf.p, maxmem: SCRYPT_MAXMEM,
+    });
+  } finally {
+    kdfPending--;
+    done();
+  }
+}
+
+/** True while a phrase derivation is running or queued. */
+export function kdfBusy() {
+  return kdfPending > 0;
+}
+
+// Layout: [12 bytes iv][16 bytes tag][ciphertext], base64; aad is authenticated but not stored
+function seal(key, aad, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  if (aad) {cipher.setAAD(Buffer.from(aad, "utf8"));}
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+/** Throws when the key is wrong or the data was tampered with. */
+function open(key, aad, b64) {
+  const buf = Buffer.from(b64, "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+  if (aad) {decipher.setAAD(Buffer.from(aad, "utf8"));}
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+// The key's purpose is bound as AAD
+function wrap(kek, purpose, key) {
+  return seal(kek, `clawos-keyring:${purpose}`, key);
+}
+
+/** @returns {Buffer|null} null when the KEK is wrong (AEAD check failed) */
+function unwrap(kek, purpose, wrapped) {
+  try {
+    return open(kek, `clawos-keyring:${purpose}`, wrapped);
+  } catch {
+    return null;
+  }
+}
+
+/** Unwrap every key of one purpose; null if any fails. */
+function unwrapSet(kek, purpose, stored) {
+  const keys = new Map();
+  for (const [kid, entry] of Object.entries(stored.keys)) {
+    const key = unwrap(kek, purpose, entry.wrapped);
+    if (!key) {return null;}
+    keys.set(kid, key);
+  }
+  return keys.has(stored.active) ? { active: stored.active, keys } : null;
+}
+
+/** Build and store a fresh keyring around the given raw keys, and hold them unlocked. */
+async function writeKeyring(db, phrase, { connections, signing }) {
+  const kdf = { alg: "scrypt", salt: crypto.randomBytes(16).toString("hex"), ...KDF_PARAMS };
+  const kek = await deriveKek(phrase, kdf);
+  const created_at = now();
+  const single = (purpose, key) => {
+    const kid = `${KID_PREFIX[purpose]}1`;
+    return {
+      stored: { active: kid, keys: { [kid]: { wrapped: wrap(kek, purpose, key), created_at, retired_at: null } } },
+      held:   { active: kid, keys: new Map([[kid, key]]) },
+    };
+  };
+  const c = single("connections", connections);
+  const s = single("signing", signing);
+  const keyring = { version: 2, kdf, connections: c.stored, signing: s.stored, created_at };
+  db.transaction(() => {
+    writeState(db, "keyring", JSON.stringify(keyring));
+    db.prepare(`DELETE FROM kernel_state WHERE key IN ('recovery_hash', 'connections_key', 'locked')`).run();
+  })();
+  setUnlocked({ kek, connections: c.held, signing: s.held });
+}
+
+function setUnlocked(keys) {
+  unlocked = { ...keys, unlocked_at: now() };
+  lastActivity = Date.now();
+  lockReason = null;
+}
+
+function legacyHash(phrase) {
+  return crypto.createHash("sha256").update(phrase, "utf8").digest("hex");
+}
+
+/** Whether phrase matches a pre-keyring recovery_hash, compared in constant time. */
+function matchesLegacyHash(phrase, legacy) {
+  if (!legacy) {return false;}
+  const a = Buffer.from(legacyHash(phrase), "utf8");
+  const b = Buffer.from(legacy, "utf8");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ── State ─────────────────────────────────────────────────────────────────────
+
+/** True once a recovery phrase has been set (keyring or legacy recovery_hash). */
+export function isInitialized(db) {
+  return Boolean(readState(db, "keyring") || readState(db, "recovery_hash"));
+}
+
+export function isLocked() {
+  return unlocked === null;
+}
+
+export function idleLockMinutes() {
+  const v = Number(process.env.KERNEL_IDLE_LOCK_MINUTES ?? DEFAULT_IDLE_LOCK_MINUTES);
+  return Number.isFinite(v) && v >= 0 ? v : DEFAULT_IDLE_LOCK_MINUTES;
+}
+
+/** For /kernel/health and the lock routes — never includes key material. */
+export function keyringStatus(db) {
+  return {
+    initialized:       isInitialized(db),
+    locked:            isLocked(),
+    lock_reason:       isLocked() ? lockReason : null,
+    unlocked_at:       unlocked?.unlocked_at ?? null,
+    idle_lock_minutes: idleLockMinutes(),
+    legacy:            !readState(db, "keyring") && Boolean(readState(db, "recovery_hash")),
+  };
+}
+
+/**
+ * Key IDs and dates per purpose, for GET /kernel/keys — never includes key
+ * material. Readable while locked; null before setup.
+ */
+export function keyInfo(db) {
+  const keyring = readKeyring(db);
+  if (!keyring) {return null;}
+  const info = {};
+  for (const purpose of KEY_PURPOSES) {
+    const set = keyring[purpose];
+    info[purpose] = {
+      active: set.active,
+      keys:   Object.entries(set.keys).map(([kid, k]) => ({
+        kid, created_at: k.created_at, retired_at: k.retired_at ?? null,
+      })),
+    };
+  }
+  return info;
+}
+
+// ── Lifecycle ─────────────────────────────────────────────────────────────────
+
+/**
+ * First-time setup: create the keyring from the recovery phrase and unlock.
+ * A connections key created before setup (legacy plaintext row) is kept.
+ * Throws Error{code:"already_initialized"}.
+ */
+export async function initializeKeyring(db, phrase) {
+  if (isInitialized(db)) {
+    throw Object.assign(new Error("kernel already initialized"), { code: "already_initialized" });
+  }
+  const legacyKey = readState(db, "connections_key");
+  await writeKeyring(db, phrase, {
+    connections: legacyKey ? Buffer.from(legacyKey, "hex") : crypto.randomBytes(32),
+    signing:     crypto.randomBytes(32),
+  });
+}
+
+/**
+ * Unwrap the keys with the recovery phrase (migrating a legacy kernel).
+ * @returns {Promise<boolean>} false for a wrong phrase or an uninitialized kernel
+ */
+export async function unlockKeyring(db, phrase) {
+  const keyring = readKeyring(db);
+  if (!keyring) {
+    const legacy = readState(db, "recovery_hash");
+    if (!matchesLegacyHash(phrase, legacy)) {return false;}
+    const legacyKey = readState(db, "connections_key");
+    await writeKeyring(db, phrase, {
+      connections: legacyKey ? Buffer.from(legacyKey, "hex") : crypto.randomBytes(32),
+      signing:     crypto.randomBytes(32),
+    });
+    return true;
+  }
+
+  const kek = await deriveKek(phrase, keyring.kdf);
+  const connections = unwrapSet(kek, "connections", keyring.connections);
+  const signing = connections && unwrapSet(kek, "signing", keyring.signing);
+  if (!connections || !signing) {return false;}
+  setUnlocked({ kek, connections, signing });
+  return true;
+}
+
+/** Check a recovery phrase without changing the lock state. */
+export async function verifyRecoveryPhrase(db, phrase) {
+  const keyring = readKeyring(db);
+  if (!keyring) {
+    const legacy = readState(db, "recovery_hash");
+    return matchesLegacyHash(phrase, legacy);
+  }
+  const kek = await deriveKek(phrase, keyring.kdf);
+  const { active, keys } = keyring.connections;
+  return unwrap(kek, "connections", keys[active].wrapped) !== null;
+}
+
+/**
+ * Re-wrap every key under a KEK derived from a new phrase (with a new salt).
+ * The keys themselves do not change, so nothing encrypted or signed with them
+ * is affected. Works locked or unlocked; an unlocked kernel stays unlocked.
+ * Throws Error{code:"legacy_keyring"} for a kernel not yet migrated (unlock it once first).
+ * @returns {Promise<boolean>} false when oldPhrase is wrong
+ */
+export async function changeRecoveryPhrase(db, oldPhrase, newPhrase) {
+  const raw = readState(db, "keyring");
+  const keyring = readKeyring(db);
+  if (!keyring) {
+    throw Object.assign(new Error("keyring not migrated yet — unlock the kernel once first"), { code: "legacy_keyring" });
+  }
+  const oldKek = await deriveKek(oldPhrase, keyring.kdf);
+  const sets = {};
+  for (const purpose of KEY_PURPOSES) {
+    sets[purpose] = unwrapSet(oldKek, purpose, keyring[purpose]);
+    if (!sets[purpose]) {return false;}
+  }
+
+  const kdf = { alg: "scrypt", salt: crypto.randomBytes(16).toString("hex"), ...KDF_PARAMS };
+  const kek = await deriveKek(newPhrase, kdf);
+  const next = { ...keyring, version: 2, kdf };
+  for (const purpose of KEY_PURPOSES) {
+    const keys = {};
+    for (const [kid, entry] of Object.entries(keyring[purpose].keys)) {
+      keys[kid] = { ...entry, wrapped: wrap(kek, purpose, sets[purpose].keys.get(kid)) };
+    }
+    next[purpose] = { active: keyring[purpose].active, keys };
+  }
+  // A rotation while scrypt ran would be lost by writing `next` — refuse instead
+  if (readState(db, "keyring") !== raw) {
+    throw Object.assign(new Error("keyring changed during the phrase change — try again"), { code: "keyring_changed" });
+  }
+  writeState(db, "keyring", JSON.stringify(next));
+
+  for (const purpose of KEY_PURPOSES) {
+    for (const key of sets[purpose].keys.values()) {key.fill(0);}
+  }
+  oldKek.fill(0);
+  if (unlocked) {
+    unlocked.kek.fill(0);
+    unlocked = { ...unlocked, kek };
+  }
+  return true;
+}
+
+/** Drop the KEK and the unwrapped keys from memory. */
+export function lockKeyring(reason = "manual") {
+  if (unlocked) {
+    unlocked.kek.fill(0);
+    for (const purpose of KEY_PURPOSES) {
+      for (const key of unlocked[purpose].keys.values()) {key.fill(0);}
+    }
+  }
+  unlocked = null;
+  lockReason = reason;
+}
+
+/** Record API activity for the idle auto-lock. */
+export function noteActivity() {
+  lastActivity = Date.now();
+}
+
+/**
+ * Start the idle auto-lock timer. onLock is called when it fires.
+ * @param {(idleMinutes: number) => void} [onLock]
+ */
+export function startIdleLock(onLock) {
+  const timer = setInterval(() => {
+    const minutes = idleLockMinutes();
+    if (!unlocked || minutes === 0) {return;}
+    if (Date.now() - lastActivity >= minutes * 60_000) {
+      lockKeyring("idle");
+      onLock?.(minutes);
+    }
+  }, 15_000);
+  timer.unref();
+  return timer;
+}
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+
+function requireUnlocked() {
+  if (!unlocked) {throw Object.assign(new Error("kernel is locked"), { code: "kernel_locked" });}
+  return unlocked;
+}
+
+/** Encrypt a UTF-8 string under the active connections key → "<kid>:<base64>". */
+export function sealSecret(plaintext) {
+  const { active, keys } = requireUnlocked().connections;
+  return `${active}:${seal(keys.get(active), null, Buffer.from(plaintext, "utf8"))}`;
+}
+
+/**
+ * Decrypt a sealSecret() blob with the key its ID names (untagged blobs: c1).
+ * Throws for an unknown key ID or a failed AEAD check.
+ */
+export function openSecret(blob) {
+  const { keys } = requireUnlocked().connections;
+  const sep = blob.indexOf(":");
+  const kid = sep > 0 ? blob.slice(0, sep) : `${KID_PREFIX.connections}1`;
+  const key = keys.get(kid);
+  if (!key) {throw Object.assign(new Error(`unknown connections key: ${kid}`), { code: "unknown_key" });}
+  return open(key, null, sep > 0 ? blob.slice(sep + 1) : blob).toString("utf8");
+}
+
+// Keyed with the hex string of the key, as tokens have been since before key IDs
+function hmac(key, token_id) {
+  return crypto.createHmac("sha256", key.toString("hex")).update(token_id, "utf8").digest("base64url");
+}
+
+/** Sign a capability token / DCT id with the active signing key → "<token_id>.<kid>.<sig>". */
+export function signToken(token_id) {
+  const { active, keys } = requireUnlocked().signing;
+  return `${token_id}.${active}.${hmac(keys.get(active), token_id)}`;
+}
+
+/**
+ * Check a signToken() token (or a pre-rotation "<token_id>.<sig>", signed by s1).
+ * Expiry and revocation are the caller's job.
+ * @returns {string|null} the token_id when the signature is valid
+ */
+export function verifyTokenSignature(token) {
+  const { keys } = requireUnlocked().signing;
+  const parts = String(token ?? "").split(".");
+  if (parts.length !== 2 && parts.length !== 3) {return null;}
+  const token_id = parts[0];
+  const kid = parts.length === 3 ? parts[1] : `${KID_PREFIX.signing}1`;
+  const sig = parts[parts.length - 1];
+  const key = keys.get(kid);
+  if (!token_id || !sig || !key) {return null;}
+
+  const a = Buffer.from(sig, "utf8");
+  const b = Buffer.from(hmac(key, token_id), "utf8");
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? token_id : null;
+}
+
+// ── Rotation ──────────────────────────────────────────────────────────────────
+
+function nextKid(purpose, stored) {
+  const prefix = KID_PREFIX[purpose];
+  const max = Math.max(0, ...Object.keys(stored.keys).map((kid) => Number(kid.slice(prefix.length)) || 0));
+  return `${prefix}${max + 1}`;
+}
+
+/**
+ * Replace the active key of each listed purpose with a new random key.
+ *
+ * connections: every row in SECRET_COLUMNS is decrypted and re-encrypted under
+ * the new key, and the old keys are dropped. signing: the old key is retired
+ * and kept for SIGNING_KEY_GRACE_MS; retired keys past that are pruned.
+ *
+ * The re-encryption and the keyring update commit in one transaction; the
+ * in-memory keys change only after it commits, so a failure leaves both the
+ * DB and the running kernel on the old keys. Needs the kernel unlocked.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {Array<"connections"|"signing">} [purposes]
+ * @returns {{ rotated: string[]; connections: { active: string; reencrypted: Record<string, number> } | undefined; signing: { active: string; retired: string|null; pruned: string[] } | undefined }}
+ */
+export function rotateKeys(db, purposes = KEY_PURPOSES) {
+  const held = requireUnlocked();
+  const keyring = readKeyring(db);
+  if (!keyring) {throw Object.assign(new Error("kernel not initialized"), { code: "not_initialized" });}
+
+  const ts = now();
+  const next = { connections: held.connections, signing: held.signing };
+  const result = { rotated: [] };
+
+  const rotate = db.transaction(() => {
+    if (purposes.includes("connections")) {
+      const kid = nextKid("connections", keyring.connections);
+      const key = crypto.randomBytes(32);
+      const reencrypted = {};
+      for (const { table, id, column } of SECRET_COLUMNS) {
+        const rows = db.prepare(`SELECT ${id} AS id, ${column} AS blob FROM ${table}`).all();
+        const update = db.prepare(`UPDATE ${table} SET ${column}=? WHERE ${id}=?`);
+        for (const row of rows) {
+          let plaintext;
+          try {
+            plaintext = openSecret(row.blob);
+          } catch (e) {
+            throw Object.assign(new Error(`cannot decrypt ${table}.${row.id}: ${e.message}`), {
+              code: "reencrypt_failed", table, row_id: row.id,
+            });
+          }
+          update.run(`${kid}:${seal(key, null, Buffer.from(plaintext, "utf8"))}`, row.id);
+        }
+        reencrypted[table] = rows.length;
+      }
+      keyring.connections = {
+        active: kid,
+        keys:   { [kid]: { wrapped: wrap(held.kek, "connections", key), created_at: ts, retired_at: null } },
+      };
+      next.connections = { active: kid, keys: new Map([[kid, key]]) };
+      result.connections = { active: kid, reencrypted };
+      result.rotated.push("connections");
+    }
+
+    if (purposes.includes("signing")) {
+      const kid = nextKid("signing", keyring.signing);
+      const key = crypto.randomBytes(32);
+      const retired = keyring.signing.active;
+      const keys = { ...keyring.signing.keys };
+      keys[retired] = { ...keys[retired], retired_at: ts };
+      const pruned = Object.keys(keys).filter((k) =>
+        keys[k].retired_at && Date.now() - new Date(keys[k].retired_at).getTime() > SIGNING_KEY_GRACE_MS);
+      for (const k of pruned) {delete keys[k];}
+      keys[kid] = { wrapped: wrap(held.kek, "signing", key), created_at: ts, retired_at: null };
+      keyring.signing = { active: kid, keys };
+
+      const heldKeys = new Map([...held.signing.keys].filter(([k]) => !pruned.includes(k)));
+      heldKeys.set(kid, key);
+      next.signing = { active: kid, keys: heldKeys };
+      result.signing = { active: kid, retired, pruned };
+      result.rotated.push("signing");
+    }
+
+    writeState(db, "keyring", JSON.stringify({ ...keyring, version: 2 }));
+  });
+  rotate();
+
+  // Committed — switch the running kernel over and wipe the keys nothing uses anymore
+  for (const purpose of KEY_PURPOSES) {
+    for (const [kid, key] of held[purpose].keys) {
+      if (!next[purpose].keys.has(kid)) {key.fill(0);}
+    }
+  }
+  unlocked = { ...held, ...next };
+  return result;
+}
+
+// ── Phrase-sealed data ────────────────────────────────────────────────────────
+
+/**
+ * Encrypt data kept outside the kernel DB (backups) under a key derived from
+ * the recovery phrase with a fresh salt. Does not need the kernel unlocked.
+ * @param {string} purpose  bound as AAD, e.g. "backup"
+ * @returns {Promise<{ kdf: object; ciphertext: string }>}
+ */
+export async function sealWithPhrase(phrase, purpose, data) {
+  const kdf = { alg: "scrypt", salt: crypto.randomBytes(16).toString("hex"), ...KDF_PARAMS };
+  const key = await deriveKek(phrase, kdf);
+  return { kdf, ciphertext: seal(key, `clawos-${purpose}`, data) };
+}
+
+/** @returns {Promise<Buffer|null>} null for a wrong phrase, bad KDF parameters or tampered data */
+export async function openWithPhrase(phrase, purpose, { kdf, ciphertext }) {
+  try {
+    const key = await deriveKek(phrase, kdf);
+    return open(key, `clawos-${purpose}`, ciphertext);
+  } catch {
+    return null;
+  }
+}
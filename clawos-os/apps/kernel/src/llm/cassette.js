@@ -0,0 +1,113 @@
+/**
+ * LLM cassettes — deterministic record / replay of provider calls.
+ *
+ *   LLM_CASSETTE=record   call the provider as usual and write every
+ *                         request/response pair to a fixture file
+ *   LLM_CASSETTE=replay   serve responses from fixtures, never touch the
+ *                         network; a missing fixture is an error
+ *   (unset / "off")       normal live calls
+ *
+ * LLM_CASSETTE_DIR sets the fixture directory (default apps/kernel/fixtures/llm).
+ *
+ * A fixture is keyed by a hash of the prompt — system text, messages and tool
+ * definitions — not by provider or model, so a recording made against xAI
+ * replays whatever the route resolves to in CI. Provider errors are recorded
+ * too (e.g. an xAI 403), so policy_block retries replay faithfully.
+ *
+ * Misses fail loudly: the error has code "cassette_miss", client.js does not
+ * fall back to another provider on it, the request is logged to stderr and
+ * written to <dir>/misses/<key>.json, and /kernel/health lists the miss keys
+ * so a test run can assert there were none.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../fixtures/llm");
+const MAX_MISS_KEYS = 50;
+
+const stats = { hits: 0, recorded: 0, misses: [] };
+
+/** @returns {"record"|"replay"|null} */
+export function cassetteMode() {
+  const mode = String(process.env.LLM_CASSETTE ?? "").toLowerCase();
+  return mode === "record" || mode === "replay" ? mode : null;
+}
+
+function cassetteDir() {
+  return process.env.LLM_CASSETTE_DIR ? path.resolve(process.env.LLM_CASSETTE_DIR) : DEFAULT_DIR;
+}
+
+/** Hash of everything that shapes the reply except provider, model and sampling. */
+export function cassetteKey({ system, messages, tools }) {
+  const canonical = JSON.stringify({ system: system ?? "", messages, tools: tools ?? null });
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 32);
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/** Counters for /kernel/health; null when cassettes are off. */
+export function cassetteStats() {
+  const mode = cassetteMode();
+  if (!mode) {return null;}
+  return { mode, dir: cassetteDir(), hits: stats.hits, recorded: stats.recorded, misses: [...stats.misses] };
+}
+
+/**
+ * Run one provider call through the cassette layer.
+ *
+ * @param {string} provider
+ * @param {{ model: string; system: string; messages: object[]; max_tokens: number;
+ *           temperature?: number; tools?: object[]; onDelta?: (text: string) => void }} request
+ * @param {() => Promise<{ text: string; usage: object; tool_calls?: object[] }>} live
+ * @returns {Promise<{ text: string; usage: object; tool_calls?: object[]; provider?: string; model?: string }>}
+ */
+export async function withCassette(provider, request, live) {
+  const mode = cassetteMode();
+  if (!mode) {return live();}
+
+  const key  = cassetteKey(request);
+  const file = path.join(cassetteDir(), `${key}.json`);
+  const { onDelta, ...recordable } = request;
+
+  if (mode === "replay") {
+    if (!fs.existsSync(file)) {
+      if (stats.misses.length < MAX_MISS_KEYS) {stats.misses.push(key);}
+      const lastUser = [...request.messages].toReversed().find((m) => m.role === "user")?.content;
+      console.error(`[llm-cassette] REPLAY MISS ${key} (${provider}) — no fixture in ${cassetteDir()}; ` +
+        `last user message: ${JSON.stringify(String(lastUser ?? "").slice(0, 160))}`);
+      try { writeJson(path.join(cassetteDir(), "misses", `${key}.json`), { key, provider, request: recordable }); }
+      catch { /* read-only fixture dir — the log line is enough */ }
+      throw Object.assign(new Error(`LLM replay miss: no fixture ${key} for ${provider}`), { code: "cassette_miss", key });
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+    stats.hits++;
+    if (fixture.error) {throw new Error(fixture.error);}
+    if (onDelta && fixture.response.text) {onDelta(fixture.response.text);}
+    return { ...fixture.response, provider: fixture.provider, model: fixture.response.model ?? fixture.request.model };
+  }
+
+  // record
+  const save = (body) => {
+    try {
+      writeJson(file, { key, recorded_at: new Date().toISOString(), provider, request: recordable, ...body });
+      stats.recorded++;
+    } catch (e) {
+      console.error(`[llm-cassette] could not write ${file}: ${e.message}`);
+    }
+  };
+  let response;
+  try {
+    response = await live();
+  } catch (e) {
+    save({ response: null, error: String(e?.message ?? e) });
+    throw e;
+  }
+  save({ response: { ...response, model: request.model }, error: null });
+  return response;
+}
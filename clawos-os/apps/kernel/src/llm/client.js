@@ -0,0 +1,212 @@
+/**
+ * Kernel-wide LLM client — the single entry point actions use to talk to a model.
+ *
+ *   chat(db, { action_type, workspace_id?, session_id?, system, messages, max_tokens?, temperature?, parse?, onDelta?, tools? })
+ *   complete(db, { action_type, workspace_id?, session_id?, system, prompt, max_tokens?, temperature?, parse?, onDelta? })
+ *
+ * Provider selection (first configured entry wins, the rest are fallbacks):
+ *   1. llm_routing table rule for the workspace / action (see routing.js) —
+ *      its temperature / max_tokens, when set, override the action's values
+ *   2. LLM_ACTION_<ACTION_TYPE> env var, e.g.
+ *        LLM_ACTION_SKILL_BUILD="anthropic:claude-sonnet-4-6,openai:gpt-4o"
+ *   3. DEFAULT_ACTION_CHAINS below
+ *   4. LLM_FALLBACK_ORDER env var (default "xai,anthropic,openai,local")
+ *
+ * Env / default chain entries are "provider" or "provider:model". Entries whose
+ * provider has no stored credentials are skipped. When `parse` is supplied and throws, the
+ * reply is treated like a provider error and the next entry is tried.
+ *
+ * With onDelta the provider streams (see providers.js). Once any delta has been
+ * emitted a failure is final — falling back would splice two replies together.
+ *
+ * Every provider call is written to the llm_usage ledger (see usage/service.js),
+ * and the workspace's monthly budget is checked before the first call.
+ *
+ * With tools (see providers.js for the tool / message shapes) the reply may be
+ * tool calls instead of text; every provider in the chain speaks the same
+ * neutral format, so a multi-turn tool conversation can still fall back.
+ *
+ * Under LLM_CASSETTE=replay (see cassette.js) every provider in the chain counts
+ * as configured — no network or keys are needed — and a replay miss is thrown
+ * straight away instead of falling back, so it can't be masked by a fallback.
+ *
+ * Returns { text, tool_calls?, parsed?, provider, model, usage, cost_usd, latency_ms, attempts }.
+ * Throws Error{code:"budget_exceeded"} when the workspace budget is spent,
+ * Error{code:"no_provider"} when nothing is configured,
+ * Error{code:"cassette_miss"} when replaying without a fixture, or
+ * Error{code:"all_failed", attempts} when every provider errored.
+ */
+import { getSecret } from "../orchestrator/connections.js";
+import { LLM_PROVIDERS, isConfigured, callProvider, resolveModel } from "./providers.js";
+import { getRoutingRule } from "./routing.js";
+import { estimateCost } from "./pricing.js";
+import { recordUsage, assertWithinBudget } from "../usage/service.js";
+import { cassetteMode } from "./cassette.js";
+
+const DEFAULT_FALLBACK_ORDER = "xai,anthropic,openai,local";
+
+// Actions whose prompts were tuned against a specific provider.
+const DEFAULT_ACTION_CHAINS = {
+  summarize_document: "anthropic,xai,openai,local",
+  session_drift:      "anthropic,xai,openai,local",
+  skill_build:        "anthropic:claude-sonnet-4-6,openai,xai,local",
+};
+
+/** Parse "anthropic:claude-sonnet-4-6, xai" → [{provider, model}]; unknown providers are dropped. */
+export function parseChainSpec(spec) {
+  return String(spec ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const i = entry.indexOf(":");
+      return i === -1
+        ? { provider: entry, model: null }
+        : { provider: entry.slice(0, i).trim(), model: entry.slice(i + 1).trim() || null };
+    })
+    .filter((e) => LLM_PROVIDERS[e.provider]);
+}
+
+function chainSpecFor(action_type) {
+  const envKey = `LLM_ACTION_${String(action_type ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+  if (process.env[envKey]) {return { spec: process.env[envKey], source: "env" };}
+  if (DEFAULT_ACTION_CHAINS[action_type]) {return { spec: DEFAULT_ACTION_CHAINS[action_type], source: "default" };}
+  return { spec: process.env.LLM_FALLBACK_ORDER || DEFAULT_FALLBACK_ORDER, source: "fallback_order" };
+}
+
+/**
+ * Effective route for an action, before credentials are checked.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} action_type
+ * @param {string|null} [workspace_id]
+ * @returns {{ chain: { provider: string; model: string|null }[];
+ *             temperature: number|null; max_tokens: number|null;
+ *             source: "routing"|"env"|"default"|"fallback_order";
+ *             rule: { workspace_id: string; action_type: string }|null }}
+ */
+export function routeFor(db, action_type, workspace_id = null) {
+  const rule = getRoutingRule(db, workspace_id, action_type);
+  if (rule) {
+    return {
+      chain:       rule.chain.filter((e) => LLM_PROVIDERS[e.provider]),
+      temperature: rule.temperature,
+      max_tokens:  rule.max_tokens,
+      source:      "routing",
+      rule:        { workspace_id: rule.workspace_id, action_type: rule.action_type },
+    };
+  }
+  const { spec, source } = chainSpecFor(action_type);
+  return { chain: parseChainSpec(spec), temperature: null, max_tokens: null, source, rule: null };
+}
+
+/**
+ * routeFor() plus the configured subset of its chain, in order, with secrets.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} action_type
+ * @param {string|null} [workspace_id]
+ * @returns {ReturnType<typeof routeFor> & {
+ *   entries: { provider: string; model: string|null; secrets: Record<string,string> }[] }}
+ */
+export function resolveRoute(db, action_type, workspace_id = null) {
+  const route = routeFor(db, action_type, workspace_id);
+  const replay = cassetteMode() === "replay";
+  const entries = [];
+  const seen = new Set();
+  for (const { provider, model } of route.chain) {
+    const key = `${provider}:${model ?? ""}`;
+    if (seen.has(key)) {continue;}
+    seen.add(key);
+    const secrets = getSecret(db, provider);
+    if (!replay && !isConfigured(provider, secrets)) {continue;}
+    entries.push({ provider, model, secrets: secrets ?? {} });
+  }
+  return { ...route, entries };
+}
+
+/**
+ * One provider call with usage accounting. A ledger row is written whether the
+ * call succeeds or throws; provider errors are rethrown unchanged.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ provider: string; model: string|null; secrets: Record<string,string> }} entry
+ * @param {{ system?: string; messages: object[]; max_tokens?: number; temperature?: number;
+ *          tools?: object[]; onDelta?: (text: string) => void }} opts
+ * @param {{ action_type: string; workspace_id?: string|null; session_id?: string|null }} meta
+ */
+export async function callEntry(db, entry, opts, meta) {
+  const started = Date.now();
+  const ledger = (row) => {
+    try {
+      recordUsage(db, {
+        workspace_id: meta.workspace_id,
+        session_id:   meta.session_id,
+        action_type:  meta.action_type,
+        provider:     entry.provider,
+        latency_ms:   Date.now() - started,
+        ...row,
+      });
+    } catch { /* accounting must never break the call */ }
+  };
+
+  let res;
+  try {
+    res = await callProvider(entry.provider, entry.secrets, { ...opts, model: entry.model });
+  } catch (e) {
+    ledger({
+      model:   resolveModel(entry.provider, entry.secrets, entry.model),
+      outcome: "error",
+      error:   String(e?.message ?? e).slice(0, 300),
+    });
+    throw e;
+  }
+  const cost_usd = estimateCost(res.provider, res.model, res.usage);
+  ledger({ model: res.model, ...res.usage, cost_usd, outcome: "success" });
+  return { ...res, cost_usd, latency_ms: Date.now() - started };
+}
+
+/** Chat completion with provider fallback. See module header for the contract. */
+export async function chat(db, {
+  action_type, workspace_id, session_id, system, messages, max_tokens, temperature, parse, onDelta, tools,
+}) {
+  assertWithinBudget(db, workspace_id);
+
+  const route = resolveRoute(db, action_type, workspace_id);
+  if (route.entries.length === 0) {
+    throw Object.assign(new Error("No LLM provider configured"), { code: "no_provider", attempts: [] });
+  }
+
+  const meta = { action_type, workspace_id, session_id };
+  const attempts = [];
+  let lastErr = null;
+  let streamed = false;
+  const emit = onDelta ? (text) => { streamed = true; onDelta(text); } : undefined;
+  for (const entry of route.entries) {
+    const { provider, model, secrets } = entry;
+    try {
+      const res = await callEntry(db, entry, {
+        system,
+        messages,
+        max_tokens:  route.max_tokens ?? max_tokens,
+        temperature: route.temperature ?? temperature,
+        tools,
+        onDelta:     emit,
+      }, meta);
+      const parsed = parse ? parse(res.text) : undefined;
+      attempts.push({ provider, model: res.model, outcome: "success" });
+      return { ...res, ...(parse ? { parsed } : {}), attempts };
+    } catch (e) {
+      if (e?.code === "cassette_miss") {throw e;}
+      lastErr = e;
+      attempts.push({ provider, model: resolveModel(provider, secrets, model), outcome: "error", error: String(e?.message ?? e).slice(0, 200) });
+      if (streamed) {break;}
+    }
+  }
+  throw Object.assign(new Error(lastErr?.message ?? "all LLM providers failed"), { code: "all_failed", attempts });
+}
+
+/** Single-prompt convenience wrapper around chat(). */
+export async function complete(db, { prompt, ...rest }) {
+  return chat(db, { ...rest, messages: [{ role: "user", content: prompt }] });
+}
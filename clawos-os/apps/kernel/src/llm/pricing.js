@@ -0,0 +1,43 @@
+/**
+ * Estimated LLM pricing — USD per 1M tokens, { input, output }.
+ *
+ * Used only for the usage ledger's cost_usd column and workspace budgets;
+ * provider invoices remain the source of truth. Models not listed here are
+ * recorded with cost_usd = NULL (and therefore don't count toward budgets),
+ * except on the "local" provider, where unpriced models cost 0.
+ *
+ * LLM_PRICES_JSON overrides / extends the table, e.g.
+ *   LLM_PRICES_JSON='{"gpt-4.1":{"input":2,"output":8}}'
+ */
+
+const MODEL_PRICES = {
+  "grok-3-mini":               { input: 0.30, output: 0.50 },
+  "grok-3":                    { input: 3.00, output: 15.00 },
+  "claude-haiku-4-5-20251001": { input: 1.00, output: 5.00 },
+  "claude-sonnet-4-6":         { input: 3.00, output: 15.00 },
+  "gpt-4o-mini":               { input: 0.15, output: 0.60 },
+  "gpt-4o":                    { input: 2.50, output: 10.00 },
+};
+
+let envPrices;
+function priceTable() {
+  if (envPrices === undefined) {
+    try { envPrices = JSON.parse(process.env.LLM_PRICES_JSON || "{}"); }
+    catch { envPrices = {}; }
+  }
+  return { ...MODEL_PRICES, ...envPrices };
+}
+
+/**
+ * @param {string} provider
+ * @param {string} model
+ * @param {{ input_tokens: number|null; output_tokens: number|null }} usage
+ * @returns {number|null}  estimated USD, or null when the model has no known price
+ */
+export function estimateCost(provider, model, usage) {
+  const price = priceTable()[model];
+  if (!price) {return provider === "local" ? 0 : null;}
+  const input  = Number(usage?.input_tokens ?? 0);
+  const output = Number(usage?.output_tokens ?? 0);
+  return (input * price.input + output * price.output) / 1_000_000;
+}
@@ -0,0 +1,388 @@
+/**
+ * LLM provider adapters — one entry per chat-capable provider.
+ *
+ * Every provider speaks one of two wire formats:
+ *   "openai"    — POST {base_url}/chat/completions  (xAI, OpenAI, local llama.cpp / Ollama)
+ *   "anthropic" — POST {base_url}/messages
+ *
+ * Credentials come from the connections table (see orchestrator/connections.js):
+ *   xai / anthropic / openai : { api_key }
+ *   local                    : { base_url, api_key?, model? }
+ *
+ * XAI_BASE_URL / ANTHROPIC_BASE_URL / OPENAI_BASE_URL replace the public
+ * endpoints, e.g. to point the kernel at scripts/mock_providers.js. A
+ * base_url stored with an xai / anthropic / openai connection is ignored.
+ *
+ * callProvider() normalizes the response to { text, provider, model, usage }
+ * and throws an Error whose message carries the HTTP status + body excerpt,
+ * so callers can pattern-match on content-policy refusals.
+ *
+ * Passing opts.onDelta switches the request to server-sent-event streaming:
+ * onDelta(textChunk) fires for every content delta and the resolved value is
+ * the same normalized object, with text = all deltas joined.
+ *
+ * Native tool calling: opts.tools = [{ name, description, input_schema }]
+ * (input_schema is JSON Schema). The result then carries
+ * tool_calls = [{ id, name, input }]. Messages use one provider-neutral shape,
+ * translated per wire format:
+ *   { role: "user"|"assistant", content }
+ *   { role: "assistant", content, tool_calls: [{ id, name, input }] }
+ *   { role: "tool", tool_call_id, content }
+ * Tool requests are never streamed; onDelta is ignored when tools are given.
+ *
+ * Every call goes through the cassette layer (cassette.js): with LLM_CASSETTE
+ * set to record or replay, requests/responses are written to or served from
+ * fixture files instead of only hitting the network.
+ *
+ * Each call is an "llm <provider>" span (model, token usage) around the HTTP
+ * request's own client span — see orchestrator/tracing.js — and is counted
+ * and timed in the clawos_llm_* metrics.
+ */
+import { withCassette } from "./cassette.js";
+import { withSpan, tracedFetch } from "../orchestrator/tracing.js";
+import { counter, histogram } from "../metrics/registry.js";
+
+const llmCalls = counter(
+  "clawos_llm_calls_total", "LLM provider calls by provider and result (ok | error)",
+  ["provider", "result"],
+);
+const llmDuration = histogram(
+  "clawos_llm_call_duration_seconds", "LLM provider call latency, including streaming",
+  ["provider", "result"],
+);
+const llmTokens = counter(
+  "clawos_llm_tokens_total", "Tokens reported by LLM providers, by direction (input | output)",
+  ["provider", "direction"],
+);
+
+export const LLM_PROVIDERS = {
+  xai: {
+    label:          "xAI",
+    api:            "openai",
+    base_url:       "https://api.x.ai/v1",
+    base_url_env:   "XAI_BASE_URL",
+    default_model:  "grok-3-mini",
+    context_tokens: 131_072,
+  },
+  anthropic: {
+    label:          "Anthropic",
+    api:            "anthropic",
+    base_url:       "https://api.anthropic.com/v1",
+    base_url_env:   "ANTHROPIC_BASE_URL",
+    default_model:  "claude-haiku-4-5-20251001",
+    context_tokens: 200_000,
+  },
+  openai: {
+    label:          "OpenAI",
+    api:            "openai",
+    base_url:       "https://api.openai.com/v1",
+    base_url_env:   "OPENAI_BASE_URL",
+    default_model:  "gpt-4o-mini",
+    context_tokens: 128_000,
+  },
+  local: {
+    label:          "Local LLM",
+    api:            "openai",
+    base_url:       null,            // always taken from the stored connection
+    default_model:  "local-model",
+    context_tokens: 4_096,           // llama.cpp's default -c; set context_tokens on the connection
+  },
+};
+
+// Models whose context window differs from their provider's default.
+const MODEL_CONTEXT_TOKENS = {
+  "grok-3":       131_072,
+  "gpt-4o":       128_000,
+  "gpt-4.1":      1_047_576,
+  "gpt-4.1-mini": 1_047_576,
+};
+
+/** Context window (tokens) for a model: connection override → model table → provider default. */
+export function contextWindow(provider, secrets, model) {
+  const override = Number(secrets?.context_tokens);
+  if (override > 0) {return override;}
+  return MODEL_CONTEXT_TOKENS[model] ?? LLM_PROVIDERS[provider]?.context_tokens ?? 8_192;
+}
+
+/** True when the stored secrets are enough to call this provider. */
+export function isConfigured(provider, secrets) {
+  if (!secrets) {return false;}
+  if (provider === "local") {return Boolean(secrets.base_url);}
+  return Boolean(secrets.api_key);
+}
+
+/** Model actually sent: explicit override → connection's stored model → provider default. */
+export function resolveModel(provider, secrets, model) {
+  return model || secrets?.model || LLM_PROVIDERS[provider]?.default_model || null;
+}
+
+/**
+ * Base URL for a provider: <PROVIDER>_BASE_URL env → built-in. Only a provider
+ * without a built-in endpoint (local) takes the connection's base_url — a
+ * stored base_url cannot send a first-party API key to another host.
+ */
+export function providerBaseUrl(provider, secrets) {
+  return baseUrlFor(LLM_PROVIDERS[provider] ?? {}, secrets);
+}
+
+function baseUrlFor(def, secrets) {
+  if (!def.base_url) {return String(secrets?.base_url || "").replace(/\/+$/, "");}
+  const envUrl = def.base_url_env ? process.env[def.base_url_env] : null;
+  return String(envUrl || def.base_url).replace(/\/+$/, "");
+}
+
+async function throwHttpError(def, r) {
+  let errBody = "";
+  try { errBody = await r.text(); } catch { /* ignore */ }
+  throw new Error(`${def.label} ${r.status}: ${errBody.slice(0, 300)}`);
+}
+
+/** Yield the data payload of each server-sent event in a fetch response body. */
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const event = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      const data = event.split("\n")
+        .filter((l) => l.startsWith("data:"))
+        .map((l) => l.slice(5).trimStart())
+        .join("\n");
+      if (data) {yield data;}
+    }
+  }
+}
+
+// ── OpenAI-compatible chat completions ────────────────────────────────────────
+function toOpenAiMessages(messages) {
+  return messages.map((m) => {
+    if (m.role === "tool") {
+      return { role: "tool", tool_call_id: m.tool_call_id, content: m.content };
+    }
+    if (m.role === "assistant" && m.tool_calls?.length) {
+      return {
+        role:       "assistant",
+        content:    m.content || null,
+        tool_calls: m.tool_calls.map((c) => ({
+          id:       c.id,
+          type:     "function",
+          function: { name: c.name, arguments: JSON.stringify(c.input ?? {}) },
+        })),
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+function parseArguments(raw) {
+  try { return JSON.parse(raw || "{}"); } catch { return { _raw: raw }; }
+}
+
+async function callOpenAiCompatible(def, secrets, { model, system, messages, max_tokens, temperature, tools, onDelta }) {
+  const headers = { "Content-Type": "application/json" };
+  if (secrets.api_key) {headers["Authorization"] = `Bearer ${secrets.api_key}`;}
+
+  const r = await tracedFetch(`${baseUrlFor(def, secrets)}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model,
+      max_tokens,
+      ...(temperature != null ? { temperature } : {}),
+      ...(onDelta ? { stream: true, stream_options: { include_usage: true } } : {}),
+      ...(tools ? {
+        tools: tools.map((t) => ({
+          type:     "function",
+          function: { name: t.name, description: t.description, parameters: t.input_schema },
+        })),
+      } : {}),
+      messages: toOpenAiMessages(system ? [{ role: "system", content: system }, ...messages] : messages),
+    }),
+  });
+
+  if (!r.ok) {await throwHttpError(def, r);}
+
+  if (onDelta) {
+    let text = "";
+    let usage = null;
+    for await (const data of sseData(r.body)) {
+      if (data === "[DONE]") {break;}
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) { text += delta; onDelta(delta); }
+      if (chunk.usage) {usage = chunk.usage;}
+    }
+    return {
+      text,
+      usage: {
+        input_tokens:  usage?.prompt_tokens ?? null,
+        output_tokens: usage?.completion_tokens ?? null,
+      },
+    };
+  }
+
+  const data = await r.json();
+  const message = data.choices?.[0]?.message;
+  return {
+    text:  message?.content ?? "",
+    usage: {
+      input_tokens:  data.usage?.prompt_tokens ?? null,
+      output_tokens: data.usage?.completion_tokens ?? null,
+    },
+    ...(tools ? {
+      tool_calls: (message?.tool_calls ?? []).map((c) => ({
+        id:    c.id,
+        name:  c.function?.name,
+        input: parseArguments(c.function?.arguments),
+      })),
+    } : {}),
+  };
+}
+
+// ── Anthropic messages ────────────────────────────────────────────────────────
+// Tool results become tool_result blocks; consecutive ones share a user turn.
+function toAnthropicMessages(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (m.role === "tool") {
+      const block = { type: "tool_result", tool_use_id: m.tool_call_id, content: m.content };
+      const last = out[out.length - 1];
+      if (last?.role === "user" && Array.isArray(last.content) && last.content[0]?.type === "tool_result") {
+        last.content.push(block);
+      } else {
+        out.push({ role: "user", content: [block] });
+      }
+    } else if (m.role === "assistant" && m.tool_calls?.length) {
+      out.push({
+        role:    "assistant",
+        content: [
+          ...(m.content ? [{ type: "text", text: m.content }] : []),
+          ...m.tool_calls.map((c) => ({ type: "tool_use", id: c.id, name: c.name, input: c.input ?? {} })),
+        ],
+      });
+    } else {
+      out.push({ role: m.role, content: m.content });
+    }
+  }
+  return out;
+}
+
+async function callAnthropic(def, secrets, { model, system, messages, max_tokens, temperature, tools, onDelta }) {
+  const r = await tracedFetch(`${baseUrlFor(def, secrets)}/messages`, {
+    method: "POST",
+    headers: {
+      "Content-Type":      "application/json",
+      "x-api-key":         secrets.api_key,
+      "anthropic-version": "2023-06-01",
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens,
+      ...(temperature != null ? { temperature } : {}),
+      ...(system ? { system } : {}),
+      ...(onDelta ? { stream: true } : {}),
+      ...(tools ? { tools } : {}),
+      messages: toAnthropicMessages(messages),
+    }),
+  });
+
+  if (!r.ok) {await throwHttpError(def, r);}
+
+  if (onDelta) {
+    let text = "";
+    const usage = { input_tokens: null, output_tokens: null };
+    for await (const data of sseData(r.body)) {
+      const ev = JSON.parse(data);
+      if (ev.type === "message_start") {
+        usage.input_tokens = ev.message?.usage?.input_tokens ?? null;
+      } else if (ev.type === "content_block_delta" && ev.delta?.type === "text_delta") {
+        text += ev.delta.text;
+        onDelta(ev.delta.text);
+      } else if (ev.type === "message_delta") {
+        usage.output_tokens = ev.usage?.output_tokens ?? usage.output_tokens;
+      } else if (ev.type === "error") {
+        throw new Error(`${def.label} stream error: ${ev.error?.message ?? "unknown"}`);
+      }
+    }
+    return { text, usage };
+  }
+
+  const data = await r.json();
+  const blocks = data.content ?? [];
+  return {
+    text:  blocks.filter((b) => b.type === "text").map((b) => b.text).join(""),
+    usage: {
+      input_tokens:  data.usage?.input_tokens ?? null,
+      output_tokens: data.usage?.output_tokens ?? null,
+    },
+    ...(tools ? {
+      tool_calls: blocks
+        .filter((b) => b.type === "tool_use")
+        .map((b) => ({ id: b.id, name: b.name, input: b.input ?? {} })),
+    } : {}),
+  };
+}
+
+/**
+ * Run one chat completion against one provider.
+ *
+ * @param {string} provider  key of LLM_PROVIDERS
+ * @param {Record<string,string>} secrets  decrypted connection secrets
+ * @param {{
+ *   model?: string;
+ *   system?: string;
+ *   messages: object[];
+ *   max_tokens?: number;
+ *   temperature?: number;
+ *   tools?: { name: string; description: string; input_schema: object }[];
+ *   onDelta?: (text: string) => void;
+ * }} opts
+ * @returns {Promise<{ text: string; provider: string; model: string;
+ *                     usage: { input_tokens: number|null; output_tokens: number|null };
+ *                     tool_calls?: { id: string; name: string; input: object }[] }>}
+ */
+export async function callProvider(provider, secrets, opts) {
+  const def = LLM_PROVIDERS[provider];
+  if (!def) {throw new Error(`unknown LLM provider: ${provider}`);}
+
+  const model   = resolveModel(provider, secrets, opts.model);
+  const call    = def.api === "anthropic" ? callAnthropic : callOpenAiCompatible;
+  const tools   = opts.tools?.length ? opts.tools : undefined;
+  const request = {
+    model,
+    system:      opts.system ?? "",
+    messages:    opts.messages,
+    max_tokens:  opts.max_tokens ?? 1024,
+    temperature: opts.temperature,
+    tools,
+    onDelta:     tools ? undefined : opts.onDelta,
+  };
+  return withSpan(`llm ${provider}`, {
+    kind:       "client",
+    attributes: { "gen_ai.system": provider, "gen_ai.request.model": model, "clawos.streaming": Boolean(request.onDelta) },
+  }, async (span) => {
+    const end = llmDuration.startTimer({ provider });
+    let out;
+    try {
+      // A replayed fixture carries the provider / model it was recorded with.
+      out = await withCassette(provider, request, () => call(def, secrets ?? {}, request));
+    } catch (e) {
+      end({ result: "error" });
+      llmCalls.inc({ provider, result: "error" });
+      throw e;
+    }
+    end({ result: "ok" });
+    llmCalls.inc({ provider, result: "ok" });
+    llmTokens.inc({ provider, direction: "input" }, out.usage?.input_tokens ?? 0);
+    llmTokens.inc({ provider, direction: "output" }, out.usage?.output_tokens ?? 0);
+    span.setAttributes({
+      "gen_ai.usage.input_tokens":  out.usage?.input_tokens,
+      "gen_ai.usage.output_tokens": out.usage?.output_tokens,
+      "clawos.tool_calls":          out.tool_calls?.length,
+    });
+    return { provider, model, ...out };
+  });
+}
@@ -0,0 +1,89 @@
+/**
+ * LLM routing REST routes — registered by apps/kernel/src/app.js.
+ *
+ * GET    /kernel/llm_routing?workspace_id=             — list rules (+ known providers)
+ * GET    /kernel/llm_routing/resolve?workspace_id=&action_type=
+ *                                                      — effective chain for one action
+ * PUT    /kernel/llm_routing/:action_type              — upsert { workspace_id?, chain, temperature?, max_tokens? }
+ * DELETE /kernel/llm_routing/:action_type?workspace_id= — remove a rule
+ *
+ * action_type and workspace_id accept '*' (all actions / all workspaces).
+ */
+import { z } from "zod";
+import { LLM_PROVIDERS } from "./providers.js";
+import { resolveRoute } from "./client.js";
+import { listRoutingRules, upsertRoutingRule, deleteRoutingRule } from "./routing.js";
+import { doc } from "../openapi/spec.js";
+
+const ChainEntry = z.object({
+  provider: z.enum(Object.keys(LLM_PROVIDERS)),
+  model:    z.string().min(1).optional().nullable(),
+});
+
+const PutRoutingBody = z.object({
+  workspace_id: z.string().min(1).optional().default("*"),
+  chain:        z.array(ChainEntry).min(1),
+  temperature:  z.number().min(0).max(2).optional().nullable(),
+  max_tokens:   z.number().int().positive().max(32000).optional().nullable(),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerLlmRoutes(app, db) {
+
+  // ── GET /kernel/llm_routing ────────────────────────────────────────────────
+  app.get("/kernel/llm_routing", doc("List LLM routing rules"), async (req) => {
+    const { workspace_id } = req.query ?? {};
+    return {
+      ok:        true,
+      rules:     listRoutingRules(db, { workspace_id }),
+      providers: Object.entries(LLM_PROVIDERS).map(([id, def]) => ({
+        id, label: def.label, default_model: def.default_model,
+      })),
+    };
+  });
+
+  // ── GET /kernel/llm_routing/resolve ────────────────────────────────────────
+  // Shows which chain an action would use right now, and which entries are
+  // actually usable (have credentials). Never returns secrets.
+  app.get("/kernel/llm_routing/resolve", doc("Effective provider chain for an action"), async (req, reply) => {
+    const { workspace_id, action_type } = req.query ?? {};
+    if (!action_type) { reply.code(400); return { ok: false, error: "action_type_required" }; }
+
+    const { entries, ...route } = resolveRoute(db, action_type, workspace_id ?? null);
+    const usable = new Set(entries.map((e) => `${e.provider}:${e.model ?? ""}`));
+    return {
+      ok: true,
+      workspace_id: workspace_id ?? null,
+      action_type,
+      ...route,
+      chain: route.chain.map((e) => ({ ...e, configured: usable.has(`${e.provider}:${e.model ?? ""}`) })),
+    };
+  });
+
+  // ── PUT /kernel/llm_routing/:action_type ───────────────────────────────────
+  app.put("/kernel/llm_routing/:action_type", doc("Set an action type's provider chain", { body: PutRoutingBody }), async (req, reply) => {
+    let body;
+    try { body = PutRoutingBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    if (body.workspace_id !== "*") {
+      const wsRow = db.prepare(`SELECT workspace_id FROM workspaces WHERE workspace_id=?`).get(body.workspace_id);
+      if (!wsRow) { reply.code(404); return { ok: false, error: "workspace_not_found" }; }
+    }
+
+    const rule = upsertRoutingRule(db, { ...body, action_type: req.params.action_type });
+    return { ok: true, rule };
+  });
+
+  // ── DELETE /kernel/llm_routing/:action_type ────────────────────────────────
+  app.delete("/kernel/llm_routing/:action_type", doc("Remove a routing rule"), async (req, reply) => {
+    const workspace_id = req.query?.workspace_id ?? "*";
+    if (!deleteRoutingRule(db, workspace_id, req.params.action_type)) {
+      reply.code(404); return { ok: false, error: "not_found" };
+    }
+    return { ok: true, workspace_id, action_type: req.params.action_type };
+  });
+}
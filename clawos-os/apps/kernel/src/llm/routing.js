@@ -0,0 +1,87 @@
+/**
+ * LLM routing rules — which provider/model chain an action uses, per workspace.
+ *
+ * Stored in the llm_routing table (next to risk_policies). workspace_id and
+ * action_type both accept '*' as a wildcard. The most specific rule wins:
+ *
+ *   (workspace, action) → (workspace, '*') → ('*', action) → ('*', '*')
+ *
+ * A rule's chain fully replaces the env / built-in chain, so a workspace pinned
+ * to [{ provider: "anthropic" }] never falls back to another provider.
+ * temperature / max_tokens are optional; null keeps the action's own default.
+ */
+
+function nowIso() { return new Date().toISOString(); }
+
+function rowToRule(row) {
+  if (!row) {return null;}
+  return {
+    workspace_id: row.workspace_id,
+    action_type:  row.action_type,
+    chain:        JSON.parse(row.chain_json),
+    temperature:  row.temperature,
+    max_tokens:   row.max_tokens,
+    updated_at:   row.updated_at,
+  };
+}
+
+/**
+ * Most specific rule for a workspace + action, or null.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string|null|undefined} workspace_id
+ * @param {string} action_type
+ */
+export function getRoutingRule(db, workspace_id, action_type) {
+  const row = db.prepare(`
+    SELECT * FROM llm_routing
+    WHERE workspace_id IN (?, '*') AND action_type IN (?, '*')
+    ORDER BY (workspace_id = '*'), (action_type = '*')
+    LIMIT 1
+  `).get(workspace_id ?? "*", action_type ?? "*");
+  return rowToRule(row);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ workspace_id?: string }} [filter]
+ */
+export function listRoutingRules(db, { workspace_id } = {}) {
+  const rows = workspace_id
+    ? db.prepare(`SELECT * FROM llm_routing WHERE workspace_id=? ORDER BY action_type`).all(workspace_id)
+    : db.prepare(`SELECT * FROM llm_routing ORDER BY workspace_id, action_type`).all();
+  return rows.map(rowToRule);
+}
+
+/**
+ * Insert or replace the rule for (workspace_id, action_type).
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{
+ *   workspace_id: string;
+ *   action_type: string;
+ *   chain: { provider: string; model?: string|null }[];
+ *   temperature?: number|null;
+ *   max_tokens?: number|null;
+ * }} rule
+ */
+export function upsertRoutingRule(db, { workspace_id, action_type, chain, temperature, max_tokens }) {
+  const chainJson = JSON.stringify(chain.map((e) => ({ provider: e.provider, model: e.model ?? null })));
+  db.prepare(`
+    INSERT INTO llm_routing (workspace_id, action_type, chain_json, temperature, max_tokens, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(workspace_id, action_type) DO UPDATE SET
+      chain_json  = excluded.chain_json,
+      temperature = excluded.temperature,
+      max_tokens  = excluded.max_tokens,
+      updated_at  = excluded.updated_at
+  `).run(workspace_id, action_type, chainJson, temperature ?? null, max_tokens ?? null, nowIso());
+  return getRoutingRule(db, workspace_id, action_type);
+}
+
+/** @returns {boolean} true when a rule was removed */
+export function deleteRoutingRule(db, workspace_id, action_type) {
+  const { changes } = db.prepare(`DELETE FROM llm_routing WHERE workspace_id=? AND action_type=?`)
+    .run(workspace_id, action_type);
+  return changes > 0;
+}
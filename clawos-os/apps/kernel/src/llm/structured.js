@@ -0,0 +1,88 @@
+/**
+ * Structured LLM output — JSON replies checked against a zod schema.
+ *
+ *   chatJson(db, { schema, ...chatOpts })  (chatOpts as for client.js chat())
+ *
+ * The reply is stripped of accidental markdown fences, parsed and validated.
+ * If it is not valid JSON or does not match the schema, the model is asked once
+ * more with its own reply and the validation errors appended to the
+ * conversation. Returns chat()'s result plus
+ *
+ *   { parsed, validation_errors }   validation_errors = 0 (first reply valid) or 1 (re-ask valid)
+ *
+ * and throws Error{code:"invalid_output", validation_errors: 2, issues} when the
+ * re-ask is invalid too. Provider errors (no_provider, all_failed,
+ * cassette_miss, …) propagate unchanged with validation_errors set to the
+ * number of invalid replies seen so far, so callers can report it from their
+ * fallback path via validationErrorsOf().
+ */
+import { chat } from "./client.js";
+
+const MAX_ISSUES = 8;
+
+/** Parse a model reply as JSON, tolerating ```json fences around it. */
+export function parseJsonReply(raw) {
+  const cleaned = String(raw ?? "").replace(/^```(?:json)?/m, "").replace(/```$/m, "").trim();
+  return JSON.parse(cleaned);
+}
+
+/** zod issues → short "path: message" lines for logs and the re-ask prompt. */
+function formatIssues(issues) {
+  return issues.slice(0, MAX_ISSUES).map((i) => `${i.path.length ? i.path.join(".") : "(root)"}: ${i.message}`);
+}
+
+/** @returns {{ ok: true; value: unknown } | { ok: false; issues: string[] }} */
+function validate(schema, raw) {
+  let data;
+  try {
+    data = parseJsonReply(raw);
+  } catch (e) {
+    return { ok: false, issues: [`invalid JSON: ${e.message}`] };
+  }
+  const result = schema.safeParse(data);
+  return result.success ? { ok: true, value: result.data } : { ok: false, issues: formatIssues(result.error.issues) };
+}
+
+function reaskMessage(issues) {
+  return `Your previous reply was rejected:\n${issues.map((i) => `- ${i}`).join("\n")}\n\n` +
+    "Reply again with ONLY the corrected JSON, in exactly the format the instructions specify — no markdown, no explanation.";
+}
+
+/** Invalid replies counted on an error thrown by chatJson (0 for anything else). */
+export function validationErrorsOf(err) {
+  return Number(err?.validation_errors ?? 0);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ schema: import('zod').ZodTypeAny; messages: object[] } & Record<string, unknown>} opts
+ */
+export async function chatJson(db, { schema, ...opts }) {
+  const first = await chat(db, opts);
+  const checked = validate(schema, first.text);
+  if (checked.ok) {return { ...first, parsed: checked.value, validation_errors: 0 };}
+
+  console.warn(`[llm] ${opts.action_type}: invalid structured output from ${first.provider} — re-asking (${checked.issues.join("; ")})`);
+  let second;
+  try {
+    second = await chat(db, {
+      ...opts,
+      messages: [
+        ...opts.messages,
+        { role: "assistant", content: first.text },
+        { role: "user",      content: reaskMessage(checked.issues) },
+      ],
+    });
+  } catch (e) {
+    throw Object.assign(e, { validation_errors: 1 });
+  }
+  const rechecked = validate(schema, second.text);
+  if (rechecked.ok) {return { ...second, parsed: rechecked.value, validation_errors: 1 };}
+
+  console.warn(`[llm] ${opts.action_type}: re-ask still invalid from ${second.provider} (${rechecked.issues.join("; ")})`);
+  throw Object.assign(new Error(`invalid structured output: ${rechecked.issues.join("; ")}`), {
+    code:              "invalid_output",
+    validation_errors: 2,
+    issues:            rechecked.issues,
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * Prometheus metrics registry — counters, gauges and histograms rendered in
+ * the text exposition format (version 0.0.4) by GET /metrics (metrics/routes.js).
+ *
+ * Modules declare their metrics once at load time and update them inline:
+ *
+ *   const requests = counter("clawos_x_total", "What is counted", ["label"]);
+ *   requests.inc({ label: "a" });
+ *
+ *   const latency = histogram("clawos_x_seconds", "How long", ["label"]);
+ *   latency.observe({ label: "a" }, seconds);
+ *
+ *   gauge("clawos_x", "Current value", ["label"], () => [{ labels: { label: "a" }, value: 1 }]);
+ *
+ * A gauge with a collect callback is evaluated on every scrape (e.g. a COUNT(*)
+ * over the DB) instead of being set. Declaring the same name twice returns the
+ * existing metric, so re-imported modules never double-register. Label values
+ * should come from small fixed sets (action types, statuses) — never ids.
+ */
+
+/** Default latency buckets (seconds): 5 ms … 60 s — LLM calls sit at the top end. */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = new Map();
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((n) => String(labels?.[n] ?? "")));
+}
+
+function formatLabels(pairs) {
+  const parts = pairs.filter(([, v]) => v !== "").map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) {return "+Inf";}
+  if (v === -Infinity) {return "-Inf";}
+  return Number.isNaN(v) ? "NaN" : String(v);
+}
+
+function register(name, metric) {
+  const existing = metrics.get(name);
+  if (existing) {
+    if (existing.type !== metric.type) {throw new Error(`metric ${name} already registered as a ${existing.type}`);}
+    return existing;
+  }
+  metrics.set(name, metric);
+  return metric;
+}
+
+/**
+ * Monotonic counter.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register(name, {
+    type: "counter",
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) ?? 0) + n);
+    },
+    render() {
+      return [...values].map(([key, v]) =>
+        `${name}${formatLabels(labelNames.map((n, i) => [n, JSON.parse(key)[i]]))} ${formatValue(v)}`);
+    },
+    help,
+  });
+}
+
+/**
+ * Gauge — set() it, or pass collect() to compute { labels, value } rows per scrape.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {() => { labels?: Record<string,string>; value: number }[]} [collect]
+ */
+export function gauge(name, help, labelNames = [], collect = null) {
+  const values = new Map();
+  return register(name, {
+    type: "gauge",
+    set(labels = {}, v = 0) {
+      values.set(labelKey(labelNames, labels), v);
+    },
+    render() {
+      const rows = collect
+        ? collect().map(({ labels = {}, value }) => [labelKey(labelNames, labels), value])
+        : [...values];
+      return rows.map(([key, v]) =>
+        `${name}${formatLabels(labelNames.map((n, i) => [n, JSON.parse(key)[i]]))} ${formatValue(v)}`);
+    },
+    help,
+  });
+}
+
+/**
+ * Histogram with cumulative buckets, _sum and _count.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets]  upper bounds, ascending
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  /** @type {Map<string, { counts: number[]; sum: number; count: number }>} */
+  const series = new Map();
+  return register(name, {
+    type: "histogram",
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      for (const [i, le] of buckets.entries()) {
+        if (value <= le) {s.counts[i]++;}
+      }
+      s.sum += value;
+      s.count++;
+    },
+    /** Returns end(); calling it observes the seconds elapsed since startTimer(). */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (more = {}) => this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render() {
+      const lines = [];
+      for (const [key, s] of series) {
+        const pairs = labelNames.map((n, i) => [n, JSON.parse(key)[i]]);
+        for (const [i, le] of buckets.entries()) {
+          lines.push(`${name}_bucket${formatLabels([...pairs, ["le", formatValue(le)]])} ${s.counts[i]}`);
+        }
+        lines.push(`${name}_bucket${formatLabels([...pairs, ["le", "+Inf"]])} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(pairs)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${formatLabels(pairs)} ${s.count}`);
+      }
+      return lines;
+    },
+    help,
+  });
+}
+
+/** Every registered metric in the Prometheus text format. A failing collect() skips that metric. */
+export function renderMetrics() {
+  const out = [];
+  for (const [name, m] of metrics) {
+    let lines;
+    try {
+      lines = m.render();
+    } catch (e) {
+      console.warn(`[metrics] collecting ${name} failed:`, e.message);
+      continue;
+    }
+    out.push(`# HELP ${name} ${m.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${name} ${m.type}`, ...lines);
+  }
+  return `${out.join("\n")}\n`;
+}
@@ -0,0 +1,72 @@
+/**
+ * Metrics routes — Prometheus scrape endpoint. Registered by apps/kernel/src/app.js.
+ *
+ * GET /metrics — text exposition format; any role may read it (auth/service.js),
+ *                so scrape with a read-only key:
+ *                  authorization: { type: Bearer, credentials: ck_… }
+ *
+ * Counters and histograms are updated where the work happens (dispatch in
+ * orchestrator/index.js, action_requests/routes.js, provider calls in
+ * llm/providers.js, chat_llm attempts); the gauges below are read from the DB
+ * on each scrape. installMetricsHook() adds per-route HTTP request metrics.
+ */
+import { counter, gauge, histogram, renderMetrics } from "./registry.js";
+import { isLocked } from "../keyring/service.js";
+import { doc } from "../openapi/spec.js";
+
+const httpRequests = counter(
+  "clawos_http_requests_total", "Kernel API requests by route and response status",
+  ["method", "route", "status_code"],
+);
+const httpDuration = histogram(
+  "clawos_http_request_duration_seconds", "Kernel API request latency by route",
+  ["method", "route"],
+);
+
+/**
+ * Count and time every request. Routes are labelled by their pattern
+ * (/kernel/jobs/:id), unmatched paths as "unmatched", so ids never become labels.
+ * Measured until the response closes, which covers hijacked (streamed) replies.
+ *
+ * @param {import('fastify').FastifyInstance} app
+ */
+export function installMetricsHook(app) {
+  app.addHook("onRequest", (req, reply, done) => {
+    const route = req.routeOptions?.url ?? "unmatched";
+    const end = httpDuration.startTimer({ method: req.method, route });
+    reply.raw.once("close", () => {
+      end();
+      httpRequests.inc({ method: req.method, route, status_code: reply.raw.statusCode });
+    });
+    done();
+  });
+}
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerMetricsRoutes(app, db) {
+  const byStatus = (table) => () =>
+    db.prepare(`SELECT status, COUNT(*) AS n FROM ${table} GROUP BY status`).all()
+      .map((r) => ({ labels: { status: r.status }, value: r.n }));
+
+  gauge("clawos_jobs", "Background jobs by status (queued = queue depth)", ["status"], byStatus("jobs"));
+  gauge("clawos_sessions", "Conversation sessions by status", ["status"], byStatus("sessions"));
+  gauge("clawos_objectives", "Cognitive objectives by status", ["status"], byStatus("objectives"));
+  gauge("clawos_approvals_pending", "Approvals waiting for a decision and not yet expired", [], () => [{
+    value: db.prepare(`SELECT COUNT(*) AS n FROM approvals WHERE status='pending' AND expires_at > ?`)
+      .get(new Date().toISOString()).n,
+  }]);
+  gauge("clawos_kernel_locked", "1 while the kernel is locked (keys not loaded)", [], () => [{ value: isLocked() ? 1 : 0 }]);
+  gauge("process_resident_memory_bytes", "Resident memory size in bytes", [], () => [{ value: process.memoryUsage().rss }]);
+  gauge("process_start_time_seconds", "Start time of the process since the Unix epoch in seconds", [], () => [{
+    value: Math.round(Date.now() / 1000 - process.uptime()),
+  }]);
+
+  // ── GET /metrics ────────────────────────────────────────────────────────────
+  app.get("/metrics", doc("Prometheus metrics", { content: "text/plain" }), async (req, reply) => {
+    reply.header("content-type", "text/plain; version=0.0.4; charset=utf-8");
+    return renderMetrics();
+  });
+}
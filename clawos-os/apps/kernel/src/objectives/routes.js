@@ -22,6 +22,37 @@ import {
   getRecentTurns,
 } from "./service.js";
 import { resolveFollowupHeuristic, extractObjective, resolveFollowup } from "../orchestrator/actions/cognitive_execute.js";
+import { doc } from "../openapi/spec.js";
+
+const ResolveObjectiveBody = z.object({
+  workspace_id:     z.string().min(1),
+  session_id:       z.string().min(1),
+  agent_id:         z.string().min(1),
+  user_message:     z.string().min(1),
+  context_summary:  z.string().optional().default(""),
+});
+
+const UpdateObjectiveBody = z.object({
+  status:         z.enum(["in_progress", "completed", "failed"]).optional(),
+  result_summary: z.string().optional().default(""),
+  required_deliverable: z.any().optional(),
+});
+
+const AddEvidenceBody = z.object({
+  session_id:     z.string().min(1),
+  action_type:    z.string().min(1),
+  query_text:     z.string().optional().default(""),
+  result_summary: z.string().optional().default(""),
+});
+
+const ListObjectivesQuery = z.object({ session_id: z.string().min(1) });
+
+const AddTurnBody = z.object({
+  session_id:         z.string().min(1),
+  user_message:       z.string().optional().default(""),
+  assistant_response: z.string().optional().default(""),
+  action_type:        z.string().optional().default(""),
+});
 
 /**
  * @param {import('fastify').FastifyInstance} app
@@ -32,16 +63,9 @@ export function registerObjectiveRoutes(app, db) {
   // ── POST /kernel/objectives/resolve ─────────────────────────────────────────
   // Main entry point: given a session + user message, determine whether to
   // continue the active objective or create a new one.
-  app.post("/kernel/objectives/resolve", async (req, reply) => {
-    const Schema = z.object({
-      workspace_id:     z.string().min(1),
-      session_id:       z.string().min(1),
-      agent_id:         z.string().min(1),
-      user_message:     z.string().min(1),
-      context_summary:  z.string().optional().default(""),
-    });
+  app.post("/kernel/objectives/resolve", doc("Resolve or create the objective for a message", { body: ResolveObjectiveBody }), async (req, reply) => {
     let body;
-    try { body = Schema.parse(req.body ?? {}); }
+    try { body = ResolveObjectiveBody.parse(req.body ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
 
     // Workspace guard
@@ -58,7 +82,9 @@ export function registerObjectiveRoutes(app, db) {
         ({ decision, confidence, reason } = heuristic);
       } else {
         // Fall back to LLM for ambiguous cases
-        const llmResult = await resolveFollowup(db, { text: body.user_message, active_objective: active });
+        const llmResult = await resolveFollowup(db, {
+          text: body.user_message, active_objective: active, workspace_id: body.workspace_id,
+        });
         ({ decision, confidence, reason } = llmResult);
       }
 
@@ -71,7 +97,7 @@ export function registerObjectiveRoutes(app, db) {
         );
       } else {
         // 2. Extract objective from user message
-        const extracted = await extractObjective(db, { text: body.user_message });
+        const extracted = await extractObjective(db, { text: body.user_message, workspace_id: body.workspace_id });
         objective = createObjective(db, {
           session_id:           body.session_id,
           workspace_id:         body.workspace_id,
@@ -104,21 +130,16 @@ export function registerObjectiveRoutes(app, db) {
   });
 
   // ── GET /kernel/objectives/:id ───────────────────────────────────────────────
-  app.get("/kernel/objectives/:id", async (req, reply) => {
+  app.get("/kernel/objectives/:id", doc("Get an objective"), async (req, reply) => {
     const obj = getObjective(db, req.params.id);
     if (!obj) { reply.code(404); return { ok: false, error: "objective_not_found" }; }
     return { ok: true, objective: obj };
   });
 
   // ── PATCH /kernel/objectives/:id ─────────────────────────────────────────────
-  app.patch("/kernel/objectives/:id", async (req, reply) => {
-    const Schema = z.object({
-      status:         z.enum(["in_progress", "completed", "failed"]).optional(),
-      result_summary: z.string().optional().default(""),
-      required_deliverable: z.any().optional(),
-    });
+  app.patch("/kernel/objectives/:id", doc("Update an objective's status or result", { body: UpdateObjectiveBody }), async (req, reply) => {
     let body;
-    try { body = Schema.parse(req.body ?? {}); }
+    try { body = UpdateObjectiveBody.parse(req.body ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
 
     const obj = getObjective(db, req.params.id);
@@ -135,15 +156,9 @@ export function registerObjectiveRoutes(app, db) {
   });
 
   // ── POST /kernel/objectives/:id/evidence ─────────────────────────────────────
-  app.post("/kernel/objectives/:id/evidence", async (req, reply) => {
-    const Schema = z.object({
-      session_id:     z.string().min(1),
-      action_type:    z.string().min(1),
-      query_text:     z.string().optional().default(""),
-      result_summary: z.string().optional().default(""),
-    });
+  app.post("/kernel/objectives/:id/evidence", doc("Record tool evidence for an objective", { body: AddEvidenceBody }), async (req, reply) => {
     let body;
-    try { body = Schema.parse(req.body ?? {}); }
+    try { body = AddEvidenceBody.parse(req.body ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
 
     const obj = getObjective(db, req.params.id);
@@ -160,7 +175,7 @@ export function registerObjectiveRoutes(app, db) {
   });
 
   // ── GET /kernel/objectives/:id/evidence ──────────────────────────────────────
-  app.get("/kernel/objectives/:id/evidence", async (req, reply) => {
+  app.get("/kernel/objectives/:id/evidence", doc("List an objective's tool evidence"), async (req, reply) => {
     const obj = getObjective(db, req.params.id);
     if (!obj) { reply.code(404); return { ok: false, error: "objective_not_found" }; }
     const evidence = getToolEvidence(db, req.params.id);
@@ -168,25 +183,18 @@ export function registerObjectiveRoutes(app, db) {
   });
 
   // ── GET /kernel/objectives (list for session) ─────────────────────────────────
-  app.get("/kernel/objectives", async (req, reply) => {
-    const Schema = z.object({ session_id: z.string().min(1) });
+  app.get("/kernel/objectives", doc("List a session's objectives", { query: ListObjectivesQuery }), async (req, reply) => {
     let query;
-    try { query = Schema.parse(req.query ?? {}); }
+    try { query = ListObjectivesQuery.parse(req.query ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
     const objectives = listObjectives(db, query.session_id);
     return { ok: true, objectives };
   });
 
   // ── POST /kernel/objectives/:id/turns ────────────────────────────────────────
-  app.post("/kernel/objectives/:id/turns", async (req, reply) => {
-    const Schema = z.object({
-      session_id:         z.string().min(1),
-      user_message:       z.string().optional().default(""),
-      assistant_response: z.string().optional().default(""),
-      action_type:        z.string().optional().default(""),
-    });
+  app.post("/kernel/objectives/:id/turns", doc("Append a turn to the session's working memory", { body: AddTurnBody }), async (req, reply) => {
     let body;
-    try { body = Schema.parse(req.body ?? {}); }
+    try { body = AddTurnBody.parse(req.body ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
 
     const turn_id = addSessionTurn(db, {
@@ -200,7 +208,7 @@ export function registerObjectiveRoutes(app, db) {
   });
 
   // ── GET /kernel/sessions/:id/turns ───────────────────────────────────────────
-  app.get("/kernel/sessions/:session_id/turns", async (req, _reply) => {
+  app.get("/kernel/sessions/:session_id/turns", doc("Recent turns of a session"), async (req, _reply) => {
     const limit = Math.min(Number(req.query?.limit ?? 3), 10);
     const turns = getRecentTurns(db, req.params.session_id, limit);
     return { ok: true, turns };
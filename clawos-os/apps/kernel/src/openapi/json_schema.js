@@ -0,0 +1,125 @@
+/**
+ * zod → JSON Schema (draft 2020-12 subset, as used by OpenAPI 3.1).
+ *
+ * Covers the zod types the kernel's route and action schemas use: objects,
+ * strings, numbers (incl. z.coerce), booleans, enums, literals, arrays,
+ * records, unions / discriminated unions, nullable / optional / default, any /
+ * unknown, null. Refinements and transforms describe their input schema —
+ * what a caller sends — since that is what the document is for.
+ *
+ *   toJsonSchema(z.object({ mode: z.enum(["auto", "ask"]), ttl: z.number().int().default(600) }))
+ *   → { type: "object", properties: { mode: { type: "string", enum: [...] },
+ *       ttl: { type: "integer", default: 600 } }, required: ["mode"] }
+ *
+ * Unsupported types fall back to {} (any value) rather than throwing, so a new
+ * schema never breaks GET /kernel/openapi.json.
+ */
+
+/**
+ * @param {import('zod').ZodTypeAny} schema
+ * @returns {Record<string, unknown>}
+ */
+export function toJsonSchema(schema) {
+  const def = schema?._def;
+  if (!def) {return {};}
+  const out = convert(def);
+  if (def.description) {out.description = def.description;}
+  return out;
+}
+
+/** True when a missing value is accepted (optional, or defaulted). */
+export function isOptional(schema) {
+  return schema.isOptional?.() ?? false;
+}
+
+function convert(def) {
+  switch (def.typeName) {
+    case "ZodString":        return withChecks({ type: "string" }, def.checks, STRING_CHECKS);
+    case "ZodNumber":        return numberSchema(def);
+    case "ZodBigInt":        return { type: "integer" };
+    case "ZodBoolean":       return { type: "boolean" };
+    case "ZodDate":          return { type: "string", format: "date-time" };
+    case "ZodNull":          return { type: "null" };
+    case "ZodAny":
+    case "ZodUnknown":       return {};
+    case "ZodLiteral":       return { const: def.value };
+    case "ZodEnum":          return { type: "string", enum: [...def.values] };
+    case "ZodNativeEnum":    return { enum: Object.values(def.values).filter((v) => typeof def.values[v] !== "number") };
+    case "ZodArray":         return arraySchema(def);
+    case "ZodTuple":         return { type: "array", prefixItems: def.items.map(toJsonSchema) };
+    case "ZodObject":        return objectSchema(def);
+    case "ZodRecord":        return { type: "object", additionalProperties: toJsonSchema(def.valueType) };
+    case "ZodUnion":
+    case "ZodDiscriminatedUnion":
+      return { anyOf: [...def.options.values()].map(toJsonSchema) };
+    case "ZodIntersection":  return { allOf: [toJsonSchema(def.left), toJsonSchema(def.right)] };
+    case "ZodOptional":      return toJsonSchema(def.innerType);
+    case "ZodNullable":      return nullable(toJsonSchema(def.innerType));
+    case "ZodDefault":       return { ...toJsonSchema(def.innerType), default: def.defaultValue() };
+    case "ZodCatch":
+    case "ZodBranded":
+    case "ZodReadonly":      return toJsonSchema(def.innerType ?? def.type);
+    case "ZodEffects":       return toJsonSchema(def.schema);
+    case "ZodPipeline":      return toJsonSchema(def.in);
+    case "ZodLazy":          return toJsonSchema(def.getter());
+    default:                 return {};
+  }
+}
+
+const STRING_CHECKS = {
+  min:      (c) => ({ minLength: c.value }),
+  max:      (c) => ({ maxLength: c.value }),
+  length:   (c) => ({ minLength: c.value, maxLength: c.value }),
+  email:    () => ({ format: "email" }),
+  url:      () => ({ format: "uri" }),
+  uuid:     () => ({ format: "uuid" }),
+  datetime: () => ({ format: "date-time" }),
+  regex:    (c) => ({ pattern: c.regex.source }),
+};
+
+function withChecks(base, checks = [], table) {
+  return checks.reduce((acc, c) => ({ ...acc, ...table[c.kind]?.(c) }), base);
+}
+
+function numberSchema(def) {
+  const out = { type: def.checks?.some((c) => c.kind === "int") ? "integer" : "number" };
+  for (const c of def.checks ?? []) {
+    if (c.kind === "min") {out[c.inclusive ? "minimum" : "exclusiveMinimum"] = c.value;}
+    if (c.kind === "max") {out[c.inclusive ? "maximum" : "exclusiveMaximum"] = c.value;}
+    if (c.kind === "multipleOf") {out.multipleOf = c.value;}
+  }
+  return out;
+}
+
+function arraySchema(def) {
+  const out = { type: "array", items: toJsonSchema(def.type) };
+  if (def.minLength) {out.minItems = def.minLength.value;}
+  if (def.maxLength) {out.maxItems = def.maxLength.value;}
+  if (def.exactLength) {out.minItems = out.maxItems = def.exactLength.value;}
+  return out;
+}
+
+function objectSchema(def) {
+  const shape = def.shape();
+  const properties = {};
+  const required = [];
+  for (const [key, value] of Object.entries(shape)) {
+    properties[key] = toJsonSchema(value);
+    if (!isOptional(value)) {required.push(key);}
+  }
+  const out = { type: "object", properties };
+  if (required.length) {out.required = required;}
+  // z.object() strips unknown keys, .strict() rejects them, .passthrough() keeps them
+  if (def.unknownKeys === "strict") {out.additionalProperties = false;}
+  if (def.catchall?._def?.typeName && def.catchall._def.typeName !== "ZodNever") {
+    out.additionalProperties = toJsonSchema(def.catchall);
+  }
+  return out;
+}
+
+function nullable(schema) {
+  if (typeof schema.type === "string") {
+    return { ...schema, type: [schema.type, "null"], ...(schema.enum ? { enum: [...schema.enum, null] } : {}) };
+  }
+  return { anyOf: [schema, { type: "null" }] };
+}
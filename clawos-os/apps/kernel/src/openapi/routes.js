@@ -0,0 +1,38 @@
+/**
+ * OpenAPI routes — registered by apps/kernel/src/app.js.
+ *
+ * GET /kernel/openapi.json — OpenAPI 3.1 document for every kernel route (any role)
+ *
+ * installOpenApiHook() must run before the route modules: it records each
+ * route, with the doc() options from openapi/spec.js, as it is registered.
+ * The document is built on first request (or app.openapiSpec()) and cached —
+ * routes never change after startup.
+ */
+import { buildOpenApiSpec, doc } from "./spec.js";
+
+const DOCUMENTED_METHODS = new Set(["GET", "POST", "PUT", "PATCH", "DELETE"]);
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ */
+export function installOpenApiHook(app) {
+  const routes = [];
+  let spec = null;
+
+  app.addHook("onRoute", (route) => {
+    for (const method of [route.method].flat()) {
+      // HEAD twins of GET routes are added by Fastify itself
+      if (DOCUMENTED_METHODS.has(method)) {routes.push({ method, url: route.url, openapi: route.config?.openapi });}
+    }
+  });
+  app.decorate("openapiSpec", () => (spec ??= buildOpenApiSpec(routes)));
+}
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ */
+export function registerOpenApiRoutes(app) {
+
+  // ── GET /kernel/openapi.json ───────────────────────────────────────────────
+  app.get("/kernel/openapi.json", doc("This OpenAPI document"), async () => app.openapiSpec());
+}
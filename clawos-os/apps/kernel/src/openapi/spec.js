@@ -0,0 +1,135 @@
+/**
+ * OpenAPI 3.1 document for the kernel API, built from the registered routes.
+ *
+ * Routes describe themselves with doc() as their route options — the zod
+ * schemas are the same ones the handler parses with, so the document cannot
+ * drift from what the kernel accepts:
+ *
+ *   const Body = z.object({ type: z.string().optional().default("default") });
+ *   app.post("/kernel/workspaces", doc("Create a workspace", { body: Body }), async (req, reply) => {
+ *     const body = Body.parse(req.body ?? {});
+ *
+ * doc(summary, { body, query, params, response, content, description, operationId })
+ *   body / query / params / response   zod schemas (params default to strings from the path)
+ *   content                            response media type; default application/json,
+ *                                      "application/x-ndjson" for streaming routes
+ *   operationId                        default: method + path, e.g. POST /kernel/approvals/:id/approve
+ *                                      → postApprovalsByIdApprove
+ *
+ * Tags are the first path segment after /kernel/; x-roles lists the API key
+ * roles allowed to call the route (auth/service.js), and public routes carry
+ * security: []. Every operation shares the { ok: false, error } error shape.
+ */
+import { toJsonSchema, isOptional } from "./json_schema.js";
+import { isPublicRoute, rolesFor } from "../auth/service.js";
+
+export const KERNEL_VERSION = "0.1.0";
+
+/**
+ * Route options documenting a route for GET /kernel/openapi.json.
+ *
+ * @param {string} summary
+ * @param {{ body?: import('zod').ZodTypeAny; query?: import('zod').ZodTypeAny; params?: import('zod').ZodTypeAny;
+ *           response?: import('zod').ZodTypeAny; content?: string; description?: string; operationId?: string }} [spec]
+ */
+export function doc(summary, spec = {}) {
+  return { config: { openapi: { summary, ...spec } } };
+}
+
+const ERROR_SCHEMA = {
+  type:       "object",
+  properties: {
+    ok:    { const: false },
+    error: { type: "string", description: "snake_case error code (or a validation message)" },
+  },
+  required: ["error"],
+};
+
+function pascal(s) {
+  return s.split(/[^A-Za-z0-9]+/).filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join("");
+}
+
+/** GET /kernel/jobs/:job_id → getJobsByJobId */
+export function defaultOperationId(method, url) {
+  const segments = url.replace(/^\/kernel\//, "/").split("/").filter(Boolean);
+  return method.toLowerCase() + segments.map((s) => (s.startsWith(":") ? `By${pascal(s.slice(1))}` : pascal(s))).join("");
+}
+
+function tagOf(url) {
+  const m = /^\/kernel\/([^/]+)/.exec(url);
+  return m ? m[1].replace(/\.json$/, "") : url.split("/")[1];
+}
+
+/** Object-schema keys as OpenAPI parameters. */
+function parametersFrom(schema, where) {
+  const shape = schema?._def?.shape?.() ?? schema?._def?.schema?._def?.shape?.() ?? {};
+  return Object.entries(shape).map(([name, value]) => ({
+    name,
+    in:       where,
+    required: where === "path" || !isOptional(value),
+    schema:   toJsonSchema(value),
+    ...(value._def.description ? { description: value._def.description } : {}),
+  }));
+}
+
+function operation(method, url, d) {
+  const pathParams = d.params
+    ? parametersFrom(d.params, "path")
+    : [...url.matchAll(/:([A-Za-z0-9_]+)/g)].map(([, name]) => ({ name, in: "path", required: true, schema: { type: "string" } }));
+  const parameters = [...pathParams, ...(d.query ? parametersFrom(d.query, "query") : [])];
+  const content = d.content ?? "application/json";
+  const isPublic = isPublicRoute(method, url);
+
+  let requestBody;
+  if (d.body) {
+    const schema = toJsonSchema(d.body);
+    requestBody = { required: Boolean(schema.required?.length), content: { "application/json": { schema } } };
+  }
+
+  return {
+    operationId: d.operationId ?? defaultOperationId(method, url),
+    ...(d.summary ? { summary: d.summary } : {}),
+    ...(d.description ? { description: d.description } : {}),
+    tags:        [tagOf(url)],
+    ...(parameters.length ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      200: {
+        description: "OK",
+        content:     { [content]: { schema: d.response ? toJsonSchema(d.response) : content === "application/json" ? { type: "object" } : {} } },
+      },
+      default: {
+        description: "Error",
+        content:     { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+      },
+    },
+    ...(isPublic ? { security: [] } : { "x-roles": rolesFor(method, url) }),
+  };
+}
+
+/**
+ * @param {{ method: string; url: string; openapi?: object }[]} routes  in registration order
+ */
+export function buildOpenApiSpec(routes) {
+  const paths = {};
+  for (const { method, url, openapi } of routes) {
+    const path = url.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+    paths[path] ??= {};
+    paths[path][method.toLowerCase()] = operation(method, url, openapi ?? {});
+  }
+  return {
+    openapi: "3.1.0",
+    info:    {
+      title:       "ClawOS Kernel API",
+      version:     KERNEL_VERSION,
+      description: "Every /kernel/* route except the public ones needs Authorization: Bearer <api key>; "
+        + "x-roles lists the key roles allowed to call each operation.",
+    },
+    paths,
+    components: {
+      schemas:         { Error: ERROR_SCHEMA },
+      securitySchemes: { bearer: { type: "http", scheme: "bearer", description: "API key (ck_…)" } },
+    },
+    security: [{ bearer: [] }],
+  };
+}
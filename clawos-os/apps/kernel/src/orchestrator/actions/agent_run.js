@@ -0,0 +1,348 @@
+/**
+ * agent_run — Tool-calling agent loop
+ *
+ * Gives the model the tool-capable orchestrator actions (toolActions() in
+ * orchestrator/registry.js: web_search, read_file, write_file, run_shell,
+ * send_email and any plugin / api action with an input_schema) plus one tool
+ * per enabled installed skill, and loops:
+ *
+ *   model → tool calls → dispatch() each call → results back to the model → …
+ *
+ * until the model answers without calling a tool, or max_steps model calls
+ * have been made (then one final tool-less call asks for a wrap-up).
+ *
+ * Every tool call is a full dispatch() with its own request_id, so
+ * risk_policies apply per call. When a call needs approval the run is saved
+ * (agent_runs table) and returned as status "approval_required" with the
+ * pending call. To continue, the caller creates + approves an approval for
+ * pending.request_id, issues a cap token for (pending.action_type,
+ * pending.request_id) and submits agent_run again with { run_id } and that
+ * token as approval_token — or with { run_id, denied: true } to tell the model
+ * the user refused. Skill tools run as run_shell and use its policy.
+ *
+ * The system prompt is "agent_run.system" from the prompt registry, rendered
+ * on every (re)start; `prompt` in the result is the version last used.
+ *
+ * payload : { objective, context_summary?, session_id?, max_steps?, tools?: string[] }
+ *         | { run_id, denied? }                       — resume a paused run
+ * returns : { status: "completed"|"step_limit", run_id, reply, steps, tool_calls, provider, model, prompt }
+ *         | { status: "approval_required", run_id, steps, tool_calls, pending, prompt }
+ */
+import { chat } from "../../llm/client.js";
+import { decryptSecret } from "../connections.js";
+import { createRun, getRun, saveRun } from "../../agent_runs/service.js";
+import { renderPrompt } from "../../prompts/service.js";
+
+const DEFAULT_MAX_STEPS = 8;
+const MAX_STEPS_CAP     = 20;
+const TOOL_RESULT_CHARS = 4000;
+
+const WRAP_UP_PROMPT =
+  "The step budget for this task is used up. Without calling any tools, tell the user what was " +
+  "accomplished, what is still missing, and how they could continue.";
+
+// ── Tool catalogue ────────────────────────────────────────────────────────────
+
+/** First "## Usage" section of a SKILL.md, else its opening lines. */
+function skillUsage(skillMd) {
+  const text = String(skillMd ?? "");
+  const m = text.match(/^##\s+Usage[^\n]*\n([\s\S]*?)(?=^##\s|(?![\s\S]))/im);
+  return (m ? m[1] : text).trim().slice(0, 1200);
+}
+
+function loadSkillEnv(db) {
+  const env = {};
+  for (const row of db.prepare(`SELECT env_var, encrypted FROM skill_env_vars`).all()) {
+    try {
+      const plain = decryptSecret(db, row.encrypted);
+      if (plain?.value) {env[row.env_var] = plain.value;}
+    } catch { /* skip corrupted rows */ }
+  }
+  return env;
+}
+
+/**
+ * Tools for this run, keyed by tool name.
+ * Each entry: { name, description, input_schema, action_type, toPayload(input) }.
+ */
+function buildTools(db, toolActions, only) {
+  const tools = new Map();
+  for (const action of toolActions) {
+    tools.set(action.name, {
+      name:         action.name,
+      description:  action.description,
+      input_schema: action.input_schema,
+      action_type:  action.name,
+      toPayload:    (input) => input ?? {},
+    });
+  }
+
+  let skills = [];
+  try {
+    skills = db.prepare(`SELECT slug, display_name, skill_md FROM installed_skills WHERE enabled=1`).all();
+  } catch { /* clawhub tables absent */ }
+  let skillEnv = null;
+  for (const s of skills) {
+    const name = `skill_${s.slug}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+    tools.set(name, {
+      name,
+      description:  `Installed skill "${s.display_name}". Run it with a shell command.\n${skillUsage(s.skill_md)}`,
+      input_schema: {
+        type: "object",
+        properties: { command: { type: "string", description: "Shell command that invokes the skill" } },
+        required: ["command"],
+      },
+      action_type: "run_shell",
+      // Skill API keys are added at dispatch time only — never stored in the run.
+      toPayload:   (input) => ({ command: input?.command ?? "", env: (skillEnv ??= loadSkillEnv(db)) }),
+    });
+  }
+
+  if (Array.isArray(only) && only.length) {
+    for (const name of tools.keys()) {
+      if (!only.includes(name)) {tools.delete(name);}
+    }
+  }
+  return tools;
+}
+
+// ── Loop helpers ──────────────────────────────────────────────────────────────
+
+function toolResultContent(sub) {
+  const body = sub.ok ? sub.result : { error: sub.error ?? sub.message ?? "failed" };
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  return text.length > TOOL_RESULT_CHARS ? `${text.slice(0, TOOL_RESULT_CHARS)}… [truncated]` : text;
+}
+
+function toolCallSummary(run) {
+  return run.messages
+    .filter((m) => m.role === "tool")
+    .map((m) => ({ name: m.name, request_id: m.request_id, outcome: m.outcome }));
+}
+
+/**
+ * Run queued tool calls in order. Returns the dispatch result that needs
+ * approval (leaving it and the rest in run.pending), or null when all ran.
+ */
+async function runToolCalls(run, calls, tools, req, ctx, { approvalToken = "", denied = false } = {}) {
+  for (let i = 0; i < calls.length; i++) {
+    const call = calls[i];
+    const tool = tools.get(call.name);
+    const toolMsg = { role: "tool", tool_call_id: call.id, name: call.name, request_id: call.request_id };
+
+    if (!tool) {
+      run.messages.push({ ...toolMsg, outcome: "error", content: `Unknown tool "${call.name}".` });
+      continue;
+    }
+    // The user's answer to an approval prompt only applies to the first queued call.
+    if (i === 0 && denied) {
+      run.messages.push({ ...toolMsg, outcome: "denied", content: "The user denied this action. Do not retry it." });
+      continue;
+    }
+
+    const sub = await ctx.dispatch({
+      request_id:     call.request_id,
+      workspace_id:   req.workspace_id,
+      agent_id:       req.agent_id,
+      action_type:    tool.action_type,
+      payload:        tool.toPayload(call.input),
+      approval_token: i === 0 ? approvalToken : "",
+    }, { db: ctx.db });
+
+    if (sub.approval_required) {
+      run.pending = { calls: calls.slice(i) };
+      return sub;
+    }
+    if (sub.blocked) {
+      run.messages.push({ ...toolMsg, outcome: "blocked", content: sub.message });
+      continue;
+    }
+    run.messages.push({ ...toolMsg, outcome: sub.ok ? "success" : "error", content: toolResultContent(sub) });
+  }
+  run.pending = null;
+  return null;
+}
+
+function approvalResult(run, sub, tools, prompt) {
+  const call = run.pending.calls[0];
+  return {
+    status:     "approval_required",
+    run_id:     run.run_id,
+    steps:      run.steps,
+    tool_calls: toolCallSummary(run),
+    prompt:     prompt.ref,
+    pending:    {
+      request_id:  call.request_id,
+      tool:        call.name,
+      action_type: sub.action_type,
+      // The model's input, not the dispatched payload (skill env stays out).
+      payload:     call.input ?? {},
+      risk_level:  sub.risk_level,
+      reversible:  sub.reversible,
+      description: tools.get(call.name)?.description ?? sub.description,
+      ...(sub.analysis ? { analysis: sub.analysis } : {}),
+      message:     sub.message,
+    },
+  };
+}
+
+// ── Action ────────────────────────────────────────────────────────────────────
+
+export const action = {
+  name: "agent_run",
+  writes: false, // each tool call is gated on its own
+  risk_level: "low",
+  reversible: true,
+  description: "Work towards an objective by calling tools in a loop",
+  tool: false,
+  input_schema: {
+    type: "object",
+    properties: {
+      objective:       { type: "string", pattern: "\\S", description: "What the run should accomplish" },
+      context_summary: { type: ["string", "null"] },
+      session_id:      { type: ["string", "null"] },
+      max_steps:       { type: "integer", minimum: 1 },
+      tools:           { type: "array", items: { type: "string" }, description: "Skill tools to offer" },
+      run_id:          { type: "string", description: "Resume a run paused for approval" },
+      denied:          { type: "boolean" },
+    },
+    anyOf: [{ required: ["run_id"] }, { required: ["objective"] }],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      status:     { type: "string" },
+      run_id:     { type: "string" },
+      reply:      { type: ["string", "null"] },
+      steps:      { type: "integer", minimum: 0 },
+      tool_calls: { type: "array", items: { type: "object", required: ["name", "outcome"] } },
+      pending:    { type: "object", required: ["request_id", "tool", "action_type"] },
+      provider:   { type: "string" },
+      model:      { type: ["string", "null"] },
+      prompt:     { type: "object" },
+    },
+    required: ["status", "run_id", "steps", "tool_calls"],
+    discriminator: { propertyName: "status" },
+    oneOf: [
+      { properties: { status: { const: "completed" } } },
+      { properties: { status: { const: "step_limit" } } },
+      { properties: { status: { const: "approval_required" } }, required: ["pending"] },
+    ],
+  },
+
+  async run(req, ctx) {
+    const { db } = ctx;
+    const p = req.payload;
+
+    let run;
+    let resume = null;
+    if (p.run_id) {
+      run = getRun(db, p.run_id);
+      if (!run || run.workspace_id !== req.workspace_id) {throw new Error(`agent run not found: ${p.run_id}`);}
+      if (run.status !== "approval_required" || !run.pending) {
+        throw new Error(`agent run ${p.run_id} is ${run.status}, not awaiting approval`);
+      }
+      resume = { approvalToken: req.approval_token, denied: Boolean(p.denied) };
+    } else {
+      const objective = p.objective.trim();
+      const maxSteps = Math.min(p.max_steps ?? DEFAULT_MAX_STEPS, MAX_STEPS_CAP);
+      const content = p.context_summary
+        ? `${objective}\n\n--- Conversation context ---\n${p.context_summary}`
+        : objective;
+      run = createRun(db, {
+        workspace_id: req.workspace_id,
+        agent_id:     req.agent_id,
+        session_id:   p.session_id ?? null,
+        objective,
+        max_steps:    maxSteps,
+        tools:        Array.isArray(p.tools) ? p.tools : [],
+        messages:     [{ role: "user", content }],
+      });
+    }
+
+    const tools = buildTools(db, ctx.toolActions ?? [], run.tools);
+    const toolDefs = [...tools.values()].map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+    const prompt   = renderPrompt(db, "agent_run.system", { workspace_id: req.workspace_id });
+    const llm = (extra = {}) => chat(db, {
+      action_type:  "agent_run",
+      workspace_id: req.workspace_id,
+      session_id:   run.session_id,
+      system:       prompt.text,
+      messages:     run.messages,
+      max_tokens:   1024,
+      ...extra,
+    });
+
+    try {
+      run.status = "running";
+      if (resume) {
+        const sub = await runToolCalls(run, run.pending.calls, tools, req, ctx, resume);
+        if (sub) {
+          run.status = "approval_required";
+          saveRun(db, run);
+          return approvalResult(run, sub, tools, prompt);
+        }
+        saveRun(db, run);
+      }
+
+      while (run.steps < run.max_steps) {
+        const res = await llm({ tools: toolDefs });
+        run.steps++;
+        const calls = (res.tool_calls ?? []).map((c, i) => ({
+          ...c,
+          request_id: `${run.run_id}_${run.steps}_${i}`,
+        }));
+        run.messages.push({
+          role:    "assistant",
+          content: res.text ?? "",
+          ...(calls.length ? { tool_calls: calls.map(({ id, name, input }) => ({ id, name, input })) } : {}),
+        });
+
+        if (calls.length === 0) {
+          run.status = "completed";
+          run.reply  = res.text;
+          saveRun(db, run);
+          return {
+            status:     "completed",
+            run_id:     run.run_id,
+            reply:      res.text,
+            steps:      run.steps,
+            tool_calls: toolCallSummary(run),
+            provider:   res.provider,
+            model:      res.model,
+            prompt:     prompt.ref,
+          };
+        }
+
+        const sub = await runToolCalls(run, calls, tools, req, ctx);
+        if (sub) {
+          run.status = "approval_required";
+          saveRun(db, run);
+          return approvalResult(run, sub, tools, prompt);
+        }
+        saveRun(db, run);
+      }
+
+      // Step budget spent — one tool-less call so the user still gets an answer.
+      const res = await llm({ messages: [...run.messages, { role: "user", content: WRAP_UP_PROMPT }] });
+      run.status = "step_limit";
+      run.reply  = res.text;
+      saveRun(db, run);
+      return {
+        status:     "step_limit",
+        run_id:     run.run_id,
+        reply:      res.text,
+        steps:      run.steps,
+        tool_calls: toolCallSummary(run),
+        provider:   res.provider,
+        model:      res.model,
+        prompt:     prompt.ref,
+      };
+    } catch (e) {
+      run.status = "failed";
+      run.reply  = null;
+      saveRun(db, run);
+      throw e;
+    }
+  },
+};
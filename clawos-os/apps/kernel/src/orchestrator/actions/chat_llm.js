@@ -2,33 +2,47 @@
  * chat_llm — Direct conversational LLM response
  *
  * Default route for WhatsApp messages that are not tool invocations.
- * Provider cascade:
- *   1. Primary (xAI)  + original message
- *   2. Primary (xAI)  + rephrased message  [only on policy_block]
- *   3. Anthropic       + original message  [if configured]
+ * Provider cascade (order from llm/client.js resolveRoute — the workspace's
+ * llm_routing rule when one exists, otherwise xAI first):
+ *   1. Primary provider  + original message
+ *   2. Primary provider  + rephrased message  [only on policy_block]
+ *   3. Each fallback provider + original message, in order
  *
- * At most 3 attempts total; no infinite retries.
+ * One attempt per configured provider plus at most one retry; no infinite retries.
  *
- * payload : { message, context_summary? }
- * returns : { reply, provider, model,
- *             provider_attempts, fallback_used, policy_blocked }
- *         | { reply:null, provider:"policy_block"|"error"|"none", error, … }
+ * Streaming: when dispatched with ctx.onDelta (POST /kernel/action_requests/stream)
+ * each reply chunk is forwarded as it arrives. A provider that fails after it
+ * has streamed text ends the cascade — the partial reply can't be retracted.
+ *
+ * History mode (payload.history = true): instead of replaying context_summary as
+ * a synthetic exchange, the session's stored turns become real user/assistant
+ * messages and the summary moves into the system prompt, trimmed per model to
+ * a token budget (see sessions/history.js). The result's `history` field lists
+ * the turn_ids that were sent.
+ *
+ * The system prompt is "chat_llm.system" from the prompt registry
+ * (prompts/service.js); `prompt` in the result names the version used.
+ *
+ * payload : { message, context_summary?, session_id?, history? }
+ * returns : { reply, provider, model, usage, cost_usd, prompt,
+ *             provider_attempts, fallback_used, policy_blocked, history? }
+ *         | { reply:null, provider:"policy_block"|"error"|"none"|"budget_exceeded", error, … }
  */
-import { getSecret, listProviders } from "../connections.js";
-
-const XAI_MODEL       = "grok-3-mini";
-const ANTHROPIC_MODEL = "claude-haiku-4-5-20251001";
-
-const SYSTEM_PROMPT = `You are a helpful personal AI assistant communicating via WhatsApp.
-Respond naturally and helpfully to the user's message.
+import { listProviders } from "../connections.js";
+import { resolveRoute, callEntry } from "../../llm/client.js";
+import { resolveModel } from "../../llm/providers.js";
+import { assertWithinBudget } from "../../usage/service.js";
+import { buildHistoryMessages, historyBudget } from "../../sessions/history.js";
+import { renderPrompt } from "../../prompts/service.js";
+import { counter } from "../../metrics/registry.js";
 
-RULES:
-1. Be concise and conversational — this is WhatsApp, not a document
-2. Follow the user's explicit formatting or content instructions exactly
-3. If the user asks you to reply with a specific string, output that string and nothing else
-4. Use *bold* sparingly, only for key terms
-5. Never start with "Sure!", "Certainly!", or "Of course!"
-6. Keep replies under 300 words unless the content genuinely requires more`;
+// provider is the attempt label ("xai", "xai_retry", …), outcome one of
+// success | policy_block | error | skipped_empty_rephrase — the policy_block
+// rate per provider is policy_block / all attempts.
+const providerAttempts = counter(
+  "clawos_chat_provider_attempts_total", "chat_llm provider attempts by provider and outcome",
+  ["provider", "outcome"],
+);
 
 // ── Policy-block detection ────────────────────────────────────────────────────
 /**
@@ -36,7 +50,7 @@ RULES:
  * the request on content-policy grounds (not a network error or quota issue).
  *
  * Matches on the thrown Error.message, which already contains HTTP status +
- * body text from the fetch helpers below.
+ * body text from llm/providers.js.
  */
 function isPolicyBlock(errorMsg) {
   return (
@@ -79,70 +93,45 @@ function rephraseForPolicyRetry(message) {
   return stripped;
 }
 
-// ── xAI (Grok) chat ────────────────────────────────────────────────────────────
-async function chatWithXai(message, contextSummary, apiKey) {
-  const messages = [];
-  if (contextSummary) {
-    messages.push({ role: "user",      content: `Conversation context:\n${contextSummary}` });
-    messages.push({ role: "assistant", content: "Understood, I have the context." });
-  }
-  messages.push({ role: "user", content: message });
-
-  const r = await fetch("https://api.x.ai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type":  "application/json",
-      "Authorization": `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model:       XAI_MODEL,
-      max_tokens:  1024,
-      temperature: 0.7,
-      messages: [{ role: "system", content: SYSTEM_PROMPT }, ...messages],
-    }),
-  });
-
-  if (!r.ok) {
-    let errBody = "";
-    try { errBody = await r.text(); } catch { /* ignore */ }
-    throw new Error(`xAI ${r.status}: ${errBody.slice(0, 300)}`);
+// ── Single provider chat ──────────────────────────────────────────────────────
+// History is built per entry: each model gets the turns its own budget allows.
+async function chatWith(db, entry, route, meta, message, { system: basePrompt, contextSummary, history, onDelta }) {
+  const max_tokens = route.max_tokens ?? 1024;
+  let system = basePrompt;
+  let messages = [];
+  let used = null;
+  if (history) {
+    ({ system, messages, history: used } = buildHistoryMessages(db, {
+      session_id:      meta.session_id,
+      context_summary: contextSummary,
+      system:          basePrompt,
+      message,
+      budget_tokens:   historyBudget(entry, { system: basePrompt, message, max_tokens }),
+    }));
+  } else {
+    if (contextSummary) {
+      messages.push({ role: "user",      content: `Conversation context:\n${contextSummary}` });
+      messages.push({ role: "assistant", content: "Understood, I have the context." });
+    }
+    messages.push({ role: "user", content: message });
   }
-  const data  = await r.json();
-  const reply = data.choices?.[0]?.message?.content ?? "";
-  if (!reply)  { throw new Error("xAI returned empty reply"); }
-  return { reply, provider: "xai", model: XAI_MODEL };
-}
-
-// ── Anthropic (Claude Haiku) chat ─────────────────────────────────────────────
-async function chatWithAnthropic(message, contextSummary, apiKey) {
-  const userContent = contextSummary
-    ? `Conversation context:\n${contextSummary}\n\n${message}`
-    : message;
-
-  const r = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type":       "application/json",
-      "x-api-key":          apiKey,
-      "anthropic-version":  "2023-06-01",
-    },
-    body: JSON.stringify({
-      model:      ANTHROPIC_MODEL,
-      max_tokens: 1024,
-      system:     SYSTEM_PROMPT,
-      messages:   [{ role: "user", content: userContent }],
-    }),
-  });
 
-  if (!r.ok) {
-    let errBody = "";
-    try { errBody = await r.text(); } catch { /* ignore */ }
-    throw new Error(`Anthropic ${r.status}: ${errBody.slice(0, 300)}`);
-  }
-  const data  = await r.json();
-  const reply = data.content?.[0]?.text ?? "";
-  if (!reply)  { throw new Error("Anthropic returned empty reply"); }
-  return { reply, provider: "anthropic", model: ANTHROPIC_MODEL };
+  const res = await callEntry(db, entry, {
+    system,
+    messages,
+    max_tokens,
+    temperature: route.temperature ?? 0.7,
+    onDelta,
+  }, meta);
+  if (!res.text) { throw new Error(`${entry.provider} returned empty reply`); }
+  return {
+    reply:    res.text,
+    provider: res.provider,
+    model:    res.model,
+    usage:    res.usage,
+    cost_usd: res.cost_usd,
+    ...(used ? { history: used } : {}),
+  };
 }
 
 // ── Action definition ──────────────────────────────────────────────────────────
@@ -152,33 +141,62 @@ export const action = {
   risk_level:  "low",
   reversible:  true,
   description: "Direct conversational LLM response — default route for non-tool messages",
+  tool: false,
+  input_schema: {
+    type: "object",
+    properties: {
+      message:         { type: "string", minLength: 1 },
+      context_summary: { type: ["string", "null"], description: "Active session context" },
+      session_id:      { type: ["string", "null"] },
+      history:         { type: "boolean", description: "Send the session's stored turns as real messages" },
+    },
+    required: ["message"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      reply:             { type: ["string", "null"] },
+      provider:          { type: "string" },
+      model:             { type: ["string", "null"] },
+      prompt:            { type: "object" },
+      provider_attempts: { type: "array", items: { type: "object", required: ["provider", "outcome"] } },
+      fallback_used:     { type: "boolean" },
+      policy_blocked:    { type: "boolean" },
+      history:           { type: "object", properties: { turn_ids: { type: "array", items: { type: "string" } } } },
+      error:             { type: "string" },
+    },
+    required: ["reply", "provider", "provider_attempts", "fallback_used", "policy_blocked"],
+  },
 
   async run(req, ctx) {
-    const { message, context_summary } = req.payload ?? {};
-    if (!message || typeof message !== "string") {
-      throw new Error("payload.message (string) is required");
-    }
+    const { message, context_summary, session_id, history } = req.payload;
     const ctxSummary = context_summary ?? null;
 
     /** Accumulates one entry per attempt for the provider_attempts array. */
     const attempts = [];
+    const attempt = (entry) => {
+      attempts.push(entry);
+      providerAttempts.inc({ provider: entry.provider, outcome: entry.outcome });
+    };
 
     /**
      * Run one provider call, push to attempts, and return the result object.
-     * Never throws — returns { reply, provider, model, … } on success or
-     * { reply: null, _err: Error, _blocked: bool } on failure.
+     * Returns { reply, provider, model, … } on success or
+     * { reply: null, _err: Error, _blocked: bool } on failure; only a
+     * cassette replay miss is thrown.
      */
-    const tryCall = async (label, providerName, model, fn) => {
+    const tryCall = async (label, model, fn) => {
       try {
         const result = await fn();
-        attempts.push({ provider: label, model, outcome: "success", error_code: null });
+        attempt({ provider: label, model, outcome: "success", error_code: null });
         return result;
       } catch (err) {
+        if (err?.code === "cassette_miss") {throw err;} // replay fixtures incomplete — never mask it
         const errMsg   = err?.message ?? String(err);
         const blocked  = isPolicyBlock(errMsg);
         // Extract just the SAFETY_CHECK_TYPE_XXX code when present, else first 120 chars
         const code     = (errMsg.match(/SAFETY_CHECK_TYPE_\w+/) ?? [])[0] ?? errMsg.slice(0, 120);
-        attempts.push({ provider: label, model, outcome: blocked ? "policy_block" : "error", error_code: code });
+        attempt({ provider: label, model, outcome: blocked ? "policy_block" : "error", error_code: code });
         console.warn(`[chat_llm] ${label} ${blocked ? "policy_block" : "error"}: ${errMsg.slice(0, 160)}`);
         return { reply: null, _err: err, _blocked: blocked };
       }
@@ -187,40 +205,73 @@ export const action = {
     if (ctx?.db) {
       const configured = listProviders(ctx.db);
 
-      // ── Attempt 1: primary provider (xAI) + original message ──────────────
-      const xai = getSecret(ctx.db, "xai");
-      if (xai?.api_key) {
-        const r1 = await tryCall("xai", "xai", XAI_MODEL,
-          () => chatWithXai(message, ctxSummary, xai.api_key));
+      // ── Monthly budget gate — refuse before spending anything ──────────────
+      try {
+        assertWithinBudget(ctx.db, req.workspace_id);
+      } catch (err) {
+        if (err.code !== "budget_exceeded") {throw err;}
+        console.warn(`[chat_llm] budget exhausted for ${req.workspace_id}`);
+        return {
+          reply:             null,
+          provider:          "budget_exceeded",
+          model:             null,
+          configured,
+          provider_attempts: attempts,
+          fallback_used:     false,
+          policy_blocked:    false,
+          budget_exceeded:   true,
+          budget:            err.budget,
+          error:             err.message,
+        };
+      }
+
+      const route = resolveRoute(ctx.db, "chat_llm", req.workspace_id);
+      const meta  = { action_type: "chat_llm", workspace_id: req.workspace_id, session_id: session_id ?? null };
+
+      let streamed = false;
+      const onDelta = ctx.onDelta ? (text) => { streamed = true; ctx.onDelta(text); } : undefined;
+      const prompt   = renderPrompt(ctx.db, "chat_llm.system", { workspace_id: req.workspace_id });
+      const callOpts = { system: prompt.text, contextSummary: ctxSummary, history: history === true, onDelta };
+
+      for (const [i, entry] of route.entries.entries()) {
+        const model = resolveModel(entry.provider, entry.secrets, entry.model);
+
+        // ── Attempt: provider + original message ───────────────────────────
+        const r1 = await tryCall(entry.provider, model,
+          () => chatWith(ctx.db, entry, route, meta, message, callOpts));
         if (r1.reply) {
-          return { ...r1, provider_attempts: attempts, fallback_used: false, policy_blocked: false };
+          return {
+            ...r1,
+            prompt:            prompt.ref,
+            provider_attempts: attempts,
+            fallback_used:     i > 0,
+            policy_blocked:    attempts.some(a => a.outcome === "policy_block"),
+          };
         }
+        if (streamed) {break;}
 
-        // ── Attempt 2: primary provider (xAI) + rephrased message (policy only) ─
-        if (r1._blocked) {
+        // ── Retry: primary provider + rephrased message (policy only) ───────
+        if (i === 0 && r1._blocked) {
           const rephrased = rephraseForPolicyRetry(message);
           if (rephrased) {
-            const r2 = await tryCall("xai_retry", "xai", XAI_MODEL,
-              () => chatWithXai(rephrased, ctxSummary, xai.api_key));
+            const r2 = await tryCall(`${entry.provider}_retry`, model,
+              () => chatWith(ctx.db, entry, route, meta, rephrased, callOpts));
             if (r2.reply) {
-              return { ...r2, provider_attempts: attempts, fallback_used: true, policy_blocked: true };
+              return {
+                ...r2,
+                prompt:            prompt.ref,
+                provider_attempts: attempts,
+                fallback_used:     true,
+                policy_blocked:    true,
+              };
             }
+            if (streamed) {break;}
           } else {
-            attempts.push({ provider: "xai_retry", model: XAI_MODEL, outcome: "skipped_empty_rephrase", error_code: null });
+            attempt({ provider: `${entry.provider}_retry`, model, outcome: "skipped_empty_rephrase", error_code: null });
           }
         }
       }
 
-      // ── Attempt 3: Anthropic + original message ────────────────────────────
-      const anthropic = getSecret(ctx.db, "anthropic");
-      if (anthropic?.api_key) {
-        const r3 = await tryCall("anthropic", "anthropic", ANTHROPIC_MODEL,
-          () => chatWithAnthropic(message, ctxSummary, anthropic.api_key));
-        if (r3.reply) {
-          return { ...r3, provider_attempts: attempts, fallback_used: true, policy_blocked: attempts.some(a => a.outcome === "policy_block") };
-        }
-      }
-
       // ── All attempts exhausted ─────────────────────────────────────────────
       const anyBlock = attempts.some(a => a.outcome === "policy_block");
 
@@ -236,6 +287,7 @@ export const action = {
           provider:         anyBlock ? "policy_block" : "error",
           model:            null,
           configured,
+          prompt:           prompt.ref,
           provider_attempts: attempts,
           fallback_used:    false,
           policy_blocked:   anyBlock,
@@ -243,7 +295,7 @@ export const action = {
         };
       }
 
-      // Keys present in DB but none matched our known providers — shouldn't happen
+      // Keys present in DB but none is a usable LLM provider (e.g. only Brave/SMTP)
       console.warn(`[chat_llm] no supported provider found; DB providers=${configured.join(",") || "(none)"}`);
     }
 
@@ -256,7 +308,7 @@ export const action = {
       provider_attempts: attempts,
       fallback_used:     false,
       policy_blocked:    false,
-      error:             "No LLM provider configured. Add an xAI or Anthropic API key in Settings → Connections.",
+      error:             "No LLM provider configured. Add an xAI, Anthropic or OpenAI API key, or a local LLM endpoint, in Settings → Connections.",
     };
   },
 };
@@ -25,112 +25,89 @@
  *     Called by the bridge when validate_deliverable fails.
  *
  * All phases log a structured cognitive_trace for observability.
+ *
+ * System prompts come from the prompt registry (cognitive_execute.extract_objective,
+ * .resolve_followup, .repair_deliverable); phases that called the LLM return the
+ * version used as `prompt`.
+ *
+ * The JSON phases (extract_objective, resolve_followup) validate the reply
+ * against a zod schema with one re-ask (llm/structured.js) and report how many
+ * replies were invalid as `validation_errors`.
+ *
+ * The payload and result schemas require each phase's own fields (PHASES), so
+ * dispatch() rejects e.g. a validate_deliverable call without `output`.
  */
-import { getSecret } from "../connections.js";
+import { z } from "zod";
+import { complete } from "../../llm/client.js";
+import { chatJson, validationErrorsOf } from "../../llm/structured.js";
+import { renderPrompt } from "../../prompts/service.js";
 import {
   getActiveObjective,
   getToolEvidence,
 } from "../../objectives/service.js";
 
-const ANTHROPIC_MODEL = "claude-haiku-4-5-20251001";
-const XAI_MODEL       = "grok-3-mini";
-
 // ── LLM helper ────────────────────────────────────────────────────────────────
 
-async function callLLM(db, systemPrompt, userContent, maxTokens = 512) {
-  const xai = getSecret(db, "xai");
-  if (xai?.api_key) {
-    try { return await callXai(xai.api_key, systemPrompt, userContent, maxTokens); } catch { /* fall through */ }
-  }
-  const anthropic = getSecret(db, "anthropic");
-  if (anthropic?.api_key) {
-    return callAnthropic(anthropic.api_key, systemPrompt, userContent, maxTokens);
+/**
+ * Free text, or with `schema` a validated JSON reply as `parsed`.
+ *
+ * @returns {Promise<{ text: string; parsed?: unknown; validation_errors?: number;
+ *                     prompt: { name: string; version: number; workspace_id: string } }>}
+ */
+async function callLLM(db, promptName, userContent, { max_tokens = 512, workspace_id = null, schema = null } = {}) {
+  const system = renderPrompt(db, promptName, { workspace_id });
+  const opts = {
+    action_type:  "cognitive_execute",
+    workspace_id,
+    system:       system.text,
+    max_tokens,
+    temperature:  0,
+  };
+  if (schema) {
+    const res = await chatJson(db, { ...opts, schema, messages: [{ role: "user", content: userContent }] });
+    return { text: res.text.trim(), parsed: res.parsed, validation_errors: res.validation_errors, prompt: system.ref };
   }
-  throw new Error("No LLM API key configured (xai or anthropic)");
-}
-
-async function callAnthropic(apiKey, systemPrompt, userContent, maxTokens) {
-  const r = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify({
-      model: ANTHROPIC_MODEL,
-      max_tokens: maxTokens,
-      system: systemPrompt,
-      messages: [{ role: "user", content: userContent }],
-    }),
-  });
-  if (!r.ok) {throw new Error(`Anthropic HTTP ${r.status}`);}
-  const d = await r.json();
-  return (d.content?.[0]?.text ?? "").trim();
+  const res = await complete(db, { ...opts, prompt: userContent });
+  return { text: res.text.trim(), prompt: system.ref };
 }
 
-async function callXai(apiKey, systemPrompt, userContent, maxTokens) {
-  const r = await fetch("https://api.x.ai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: XAI_MODEL,
-      max_tokens: maxTokens,
-      temperature: 0,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user",   content: userContent  },
-      ],
-    }),
-  });
-  if (!r.ok) {throw new Error(`xAI HTTP ${r.status}`);}
-  const d = await r.json();
-  return (d.choices?.[0]?.message?.content ?? "").trim();
-}
-
-function parseJson(raw) {
-  const cleaned = raw.replace(/^```(?:json)?/m, "").replace(/```$/m, "").trim();
-  return JSON.parse(cleaned);
-}
+// ── Output schemas ────────────────────────────────────────────────────────────
+
+const ObjectiveSchema = z.object({
+  title:                z.string(),
+  goal:                 z.string().min(1),
+  constraints:          z.record(z.unknown()).default({}),
+  required_deliverable: z.object({
+    type:        z.enum(["list", "answer", "code", "file", "none"]),
+    count:       z.number().int().min(1).optional(),
+    description: z.string().default(""),
+    item_format: z.record(z.unknown()).optional(),
+  }).strict(),
+}).strict();
+
+const FollowupSchema = z.object({
+  decision:   z.enum(["continue", "new"]),
+  confidence: z.number().min(0).max(1),
+  reason:     z.string().default("llm"),
+}).strict();
 
 // ── Phase: extract_objective ──────────────────────────────────────────────────
 
-const EXTRACT_SYSTEM = `You extract a structured objective from a user message for an AI assistant.
-
-Return ONLY a JSON object (no markdown, no explanation):
-{
-  "title":                "<short title ≤50 chars>",
-  "goal":                 "<concrete goal in 1-2 sentences>",
-  "constraints":          { "<key>": "<value>" },
-  "required_deliverable": {
-    "type":        "list" | "answer" | "code" | "file" | "none",
-    "count":       <integer, only for type=list>,
-    "description": "<what is expected>",
-    "item_format": { "<field>": "<type description>" }   // only for type=list
-  }
-}
-
-Rules:
-- If the user asks for a specific count (10 names, 5 ideas), type="list" with count=that number.
-- If the user asks a factual question, type="answer".
-- For naming / brainstorming tasks always include an "availability" field in item_format.
-- evidence field in item_format should be "string (tool trace or 'Not verified')".
-- constraints should capture things like "must have .ai domain", "no existing brands".`;
-
-async function extractObjective(db, { text }) {
+async function extractObjective(db, { text, workspace_id = null }) {
   try {
-    const raw = await callLLM(db, EXTRACT_SYSTEM, text, 512);
-    const parsed = parseJson(raw);
+    const { parsed, validation_errors, prompt } = await callLLM(db, "cognitive_execute.extract_objective", text, {
+      workspace_id, schema: ObjectiveSchema,
+    });
     return {
-      title:                String(parsed.title ?? "").slice(0, 100),
-      goal:                 String(parsed.goal ?? text).slice(0, 500),
-      constraints:          parsed.constraints ?? {},
-      required_deliverable: parsed.required_deliverable ?? null,
+      title:                parsed.title.slice(0, 100),
+      goal:                 parsed.goal.slice(0, 500),
+      constraints:          parsed.constraints,
+      required_deliverable: parsed.required_deliverable,
+      prompt,
+      validation_errors,
     };
-  } catch {
+  } catch (e) {
+    if (e?.code === "cassette_miss") {throw e;}
     // Heuristic fallback: detect list request
     // Allow up to 3 modifier words between the count and the list noun:
     //   "5 ideas" | "5 Python code examples" | "10 great AI OS names"
@@ -144,6 +121,7 @@ async function extractObjective(db, { text }) {
       required_deliverable: isListRequest
         ? { type: "list", count: count ?? 10, description: "list of results", item_format: { name: "string", availability: "Available|Taken|Unknown", evidence: "string" } }
         : { type: "answer", description: "direct answer" },
+      validation_errors: validationErrorsOf(e),
     };
   }
 }
@@ -189,18 +167,7 @@ export function resolveFollowupHeuristic(text, activeObjective) {
   return null; // ambiguous — needs LLM
 }
 
-const FOLLOWUP_SYSTEM = `You decide if a user message continues an existing task or starts a new one.
-
-Return ONLY JSON (no markdown):
-{"decision":"continue"|"new","confidence":0.0-1.0,"reason":"one sentence"}
-
-Rules:
-- "continue" if the user references the active goal, wants more of the same output,
-  or uses anaphoric references ("that", "those", "there", "it").
-- "new" if the user changes topic, asks an unrelated question, or resets explicitly.
-- When uncertain lean toward "continue" (false continuations are less harmful than drift).`;
-
-async function resolveFollowup(db, { text, active_objective }) {
+async function resolveFollowup(db, { text, active_objective, workspace_id = null }) {
   // Fast path: heuristics
   const fast = resolveFollowupHeuristic(text, active_objective);
   if (fast && fast.confidence >= 0.85) {return fast;}
@@ -210,15 +177,16 @@ async function resolveFollowup(db, { text, active_objective }) {
 
 User message: "${text}"`;
   try {
-    const raw = await callLLM(db, FOLLOWUP_SYSTEM, userContent, 128);
-    const parsed = parseJson(raw);
+    const { parsed, validation_errors, prompt } = await callLLM(db, "cognitive_execute.resolve_followup", userContent, {
+      max_tokens: 128, workspace_id, schema: FollowupSchema,
+    });
+    return { ...parsed, prompt, validation_errors };
+  } catch (e) {
+    if (e?.code === "cassette_miss") {throw e;}
     return {
-      decision:   String(parsed.decision ?? "new"),
-      confidence: Number(parsed.confidence ?? 0.5),
-      reason:     String(parsed.reason ?? "llm"),
+      ...(fast ?? { decision: "new", confidence: 0.5, reason: "llm_unavailable" }),
+      validation_errors: validationErrorsOf(e),
     };
-  } catch {
-    return fast ?? { decision: "new", confidence: 0.5, reason: "llm_unavailable" };
   }
 }
 
@@ -382,12 +350,7 @@ function enforceToolTruth(output, evidence) {
 
 // ── Phase: repair_deliverable ─────────────────────────────────────────────────
 
-const REPAIR_SYSTEM = `You are a precise list generator. Follow the schema EXACTLY.
-Do NOT add preamble, advice, or explanation.
-Return ONLY the list in the requested format.
-If domain availability is unknown, write "Unknown" — never guess.`;
-
-async function repairDeliverable(db, { original_output, required_deliverable, working_memory, tool_capabilities }) {
+async function repairDeliverable(db, { original_output, required_deliverable, working_memory, tool_capabilities, workspace_id = null }) {
   const spec = required_deliverable;
   const toolsAvailable = tool_capabilities?.web_search
     ? "Web search IS available. You may use it."
@@ -402,13 +365,34 @@ async function repairDeliverable(db, { original_output, required_deliverable, wo
     `Return the ${spec.count ?? 10} items now. No preamble. No advice.`;
 
   try {
-    const repaired = await callLLM(db, REPAIR_SYSTEM, userContent, 1024);
-    return { ok: true, repaired_output: repaired };
+    const { text: repaired, prompt } = await callLLM(db, "cognitive_execute.repair_deliverable", userContent, {
+      max_tokens: 1024, workspace_id,
+    });
+    return { ok: true, repaired_output: repaired, prompt };
   } catch (err) {
+    if (err?.code === "cassette_miss") {throw err;}
     return { ok: false, error: err.message };
   }
 }
 
+// ── Action schemas ─────────────────────────────────────────────────────────────
+// phase → the payload field it needs and the result fields it always returns.
+const PHASES = {
+  extract_objective:    { input: "text",            output: ["title", "goal", "required_deliverable"] },
+  resolve_followup:     { input: "text",            output: ["decision", "confidence"] },
+  validate_deliverable: { input: "output",          output: ["passed"] },
+  enforce_tool_truth:   { input: "output",          output: ["passed", "sanitized_output"] },
+  repair_deliverable:   { input: "original_output", output: ["ok"] },
+};
+
+/** oneOf branches, picked by phase: each requires what PHASES[phase][key] lists. */
+function perPhase(key) {
+  return Object.entries(PHASES).map(([phase, fields]) => ({
+    properties: { phase: { const: phase } },
+    required:   [fields[key]].flat(),
+  }));
+}
+
 // ── Action definition ──────────────────────────────────────────────────────────
 export const action = {
   name:        "cognitive_execute",
@@ -416,27 +400,53 @@ export const action = {
   risk_level:  "low",
   reversible:  true,
   description: "Cognitive pipeline phases: objective extraction, follow-up resolution, deliverable validation, tool-truth enforcement, deliverable repair",
+  tool: false,
+  input_schema: {
+    type: "object",
+    properties: {
+      phase:                { type: "string" },
+      text:                 { type: "string", minLength: 1 },
+      output:               { type: "string", minLength: 1 },
+      original_output:      { type: "string", minLength: 1 },
+      session_id:           { type: ["string", "null"] },
+      objective_id:         { type: ["string", "null"] },
+      required_deliverable: { type: ["object", "null"] },
+      working_memory:       { type: ["object", "null"] },
+      tool_capabilities:    { type: "object" },
+    },
+    required: ["phase"],
+    discriminator: { propertyName: "phase" },
+    oneOf: perPhase("input"),
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      phase:             { type: "string" },
+      validation_errors: { type: "integer", minimum: 0 },
+      prompt:            { type: "object" },
+    },
+    required: ["phase"],
+    discriminator: { propertyName: "phase" },
+    oneOf: perPhase("output"),
+  },
 
   async run(req, ctx) {
-    const phase = req.payload?.phase;
-    if (!phase) {throw new Error("payload.phase is required");}
+    const phase = req.payload.phase;
 
     const db = ctx?.db ?? null;
 
     // ── extract_objective ──────────────────────────────────────────────────────
     if (phase === "extract_objective") {
       const { text } = req.payload;
-      if (!text) {throw new Error("payload.text required for extract_objective");}
-      const result = await extractObjective(db, { text });
+      const result = await extractObjective(db, { text, workspace_id: req.workspace_id });
       return { phase, ...result };
     }
 
     // ── resolve_followup ───────────────────────────────────────────────────────
     if (phase === "resolve_followup") {
       const { text, session_id } = req.payload;
-      if (!text) {throw new Error("payload.text required for resolve_followup");}
       const active = session_id ? getActiveObjective(db, session_id) : null;
-      const result = await resolveFollowup(db, { text, active_objective: active });
+      const result = await resolveFollowup(db, { text, active_objective: active, workspace_id: req.workspace_id });
       return {
         phase,
         ...result,
@@ -448,7 +458,6 @@ export const action = {
     // ── validate_deliverable ───────────────────────────────────────────────────
     if (phase === "validate_deliverable") {
       const { output, objective_id, required_deliverable } = req.payload;
-      if (!output) {throw new Error("payload.output required for validate_deliverable");}
       // Prefer fetched spec if objective_id given
       let spec = required_deliverable;
       if (!spec && objective_id && db) {
@@ -463,7 +472,6 @@ export const action = {
     // ── enforce_tool_truth ─────────────────────────────────────────────────────
     if (phase === "enforce_tool_truth") {
       const { output, objective_id } = req.payload;
-      if (!output) {throw new Error("payload.output required for enforce_tool_truth");}
       const evidence = objective_id && db ? getToolEvidence(db, objective_id) : [];
       const result = enforceToolTruth(output, evidence);
       return { phase, ...result };
@@ -472,7 +480,6 @@ export const action = {
     // ── repair_deliverable ─────────────────────────────────────────────────────
     if (phase === "repair_deliverable") {
       const { original_output, objective_id, required_deliverable, working_memory, tool_capabilities } = req.payload;
-      if (!original_output) {throw new Error("payload.original_output required for repair_deliverable");}
       let spec = required_deliverable;
       if (!spec && objective_id && db) {
         const { getObjective } = await import("../../objectives/service.js");
@@ -480,7 +487,9 @@ export const action = {
         spec = obj?.required_deliverable ?? null;
       }
       if (!spec) {throw new Error("No deliverable spec found for repair");}
-      const result = await repairDeliverable(db, { original_output, required_deliverable: spec, working_memory, tool_capabilities });
+      const result = await repairDeliverable(db, {
+        original_output, required_deliverable: spec, working_memory, tool_capabilities, workspace_id: req.workspace_id,
+      });
       return { phase, ...result };
     }
 
@@ -10,101 +10,104 @@
  *   - if single intent with high confidence → single-step plan
  *
  * Stage B (LLM, only when Stage A is uncertain):
- *   - Calls Claude Haiku / Grok with a strict planning prompt
+ *   - Calls the kernel LLM client with a strict planning prompt
+ *     ("plan_message.system" in the prompt registry)
  *   - Returns internal plan JSON (never shown verbatim to user)
  *
  * Plan step shape:
  *   { type: 'action'|'chat', name?: string, args?: object,
  *     priority: number, can_run_in_background: boolean }
  *
+ * The plannable actions are the registry's tool actions (ctx.toolActions, the
+ * same set agent_run offers): their names, descriptions and input_schemas are
+ * rendered into the prompt as {{actions}} and each action step's args are
+ * checked against its input_schema, so a new plugin or api action is
+ * plannable without touching the prompt.
+ *
+ * The LLM plan is validated against the plan schema; an empty plan ("no clear
+ * tasks") falls through to the single chat step. `validation_errors` counts
+ * the model's invalid replies (2 = both rejected, fallback used).
+ *
  * payload: { text, context_summary? }
- * returns: { steps: PlanStep[], mode: 'deterministic'|'llm'|'fallback' }
+ * returns: { steps: PlanStep[], mode: 'llm'|'fallback', provider?, prompt?, validation_errors }
  */
-import { getSecret } from "../connections.js";
-
-const ANTHROPIC_MODEL = "claude-haiku-4-5-20251001";
-const XAI_MODEL       = "grok-3-mini";
-
-const PLAN_SYSTEM_PROMPT = `You are a task planner for a WhatsApp AI assistant.
-
-Your ONLY job is to extract up to 3 distinct user tasks from a message and return a JSON plan.
-Never execute tasks. Never explain. Output ONLY valid JSON.
-
-Output format:
-[
-  {"type":"action","name":"web_search","args":{"q":"..."},"priority":1,"can_run_in_background":false},
-  {"type":"chat","args":{"text":"..."},"priority":2,"can_run_in_background":false}
-]
+import { z } from "zod";
+import { chatJson, validationErrorsOf } from "../../llm/structured.js";
+import { renderPrompt } from "../../prompts/service.js";
+import { schemaErrors, formatSchemaErrors } from "../json_schema.js";
 
-Available action names: web_search, send_email, run_shell, write_file, read_file
+// ── Prompt action list ────────────────────────────────────────────────────────
 
-Rules:
-1. For conversational questions (math, facts, chat) → type="chat", args.text = the sub-question
-2. For tool actions → type="action", name = action name, args = action params
-3. send_email args: { to, subject, body }
-4. web_search args: { q }
-5. run_shell args: { command }
-6. write_file args: { path, content }
-7. read_file args: { path }
-8. Priority 1 = most important; if parallel, use same priority
-9. Output [] if the message has no clear tasks (empty plan = fall through to chat)
-10. Output ONLY the JSON array, no markdown, no explanation`;
+function typeLabel(schema) {
+  if (Array.isArray(schema?.enum)) {return schema.enum.map((v) => JSON.stringify(v)).join("|");}
+  return [schema?.type ?? "any"].flat().join("|");
+}
 
-// ── LLM plan call ─────────────────────────────────────────────────────────────
+/** "{ to: string, subject: string, cc?: string }" from an object input_schema. */
+export function describeArgs(schema) {
+  const required = new Set(schema?.required ?? []);
+  const args = Object.entries(schema?.properties ?? {})
+    .map(([key, s]) => `${key}${required.has(key) ? "" : "?"}: ${typeLabel(s)}`);
+  return args.length ? `{ ${args.join(", ")} }` : "{}";
+}
 
-async function planWithXai(text, apiKey) {
-  const r = await fetch("https://api.x.ai/v1/chat/completions", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
-    body: JSON.stringify({
-      model: XAI_MODEL,
-      max_tokens: 512,
-      temperature: 0,
-      messages: [
-        { role: "system",  content: PLAN_SYSTEM_PROMPT },
-        { role: "user",    content: text },
-      ],
-    }),
-  });
-  if (!r.ok) {throw new Error(`xAI plan HTTP ${r.status}`);}
-  const data = await r.json();
-  return JSON.parse(data.choices?.[0]?.message?.content ?? "[]");
+/**
+ * Render-time variables for "plan_message.system": `actions` is one line per
+ * plannable action — name, description and args.
+ *
+ * @param {{ name: string; description: string; input_schema: object }[]} actions
+ * @returns {{ actions: string }}
+ */
+export function planPromptVars(actions) {
+  return {
+    actions: actions.map((a) => `- ${a.name}: ${a.description}. args: ${describeArgs(a.input_schema)}`).join("\n"),
+  };
 }
 
-async function planWithAnthropic(text, apiKey) {
-  const r = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify({
-      model: ANTHROPIC_MODEL,
-      max_tokens: 512,
-      system: PLAN_SYSTEM_PROMPT,
-      messages: [{ role: "user", content: text }],
-    }),
+// ── Output schema ─────────────────────────────────────────────────────────────
+// Mirrors the "plan_message.system" prompt: up to 3 steps, action steps naming
+// one of the listed actions with args matching its input_schema. An invalid
+// plan gets one re-ask (llm/structured.js), which sees these messages.
+
+/** @param {{ name: string; input_schema: object }[]} actions */
+function planSchema(actions) {
+  const byName = new Map(actions.map((a) => [a.name, a]));
+  const ActionStep = z.object({
+    type:                  z.literal("action"),
+    name:                  z.string(),
+    args:                  z.record(z.unknown()).default({}),
+    priority:              z.number().int().min(1).optional(),
+    can_run_in_background: z.boolean().default(false),
+  }).strict();
+  const ChatStep = z.object({
+    type:                  z.literal("chat"),
+    name:                  z.null().optional(),
+    args:                  z.object({ text: z.string().min(1) }).strict(),
+    priority:              z.number().int().min(1).optional(),
+    can_run_in_background: z.boolean().default(false),
+  }).strict();
+  return z.array(z.discriminatedUnion("type", [ActionStep, ChatStep])).max(3).superRefine((plan, zctx) => {
+    plan.forEach((step, i) => {
+      if (step.type !== "action") {return;}
+      const action = byName.get(step.name);
+      if (!action) {
+        zctx.addIssue({ code: "custom", path: [i, "name"], message: `must be one of ${[...byName.keys()].join(", ")}` });
+        return;
+      }
+      const errors = schemaErrors(action.input_schema, step.args, "args");
+      if (errors.length) {zctx.addIssue({ code: "custom", path: [i, "args"], message: formatSchemaErrors(errors) });}
+    });
   });
-  if (!r.ok) {throw new Error(`Anthropic plan HTTP ${r.status}`);}
-  const data = await r.json();
-  return JSON.parse(data.content?.[0]?.text ?? "[]");
 }
 
-// ── Plan normalizer (validates and normalizes LLM output) ─────────────────────
-
-function normalizePlan(raw) {
-  if (!Array.isArray(raw)) {return [];}
-  return raw
-    .filter(s => s && typeof s === "object")
-    .map((s, i) => ({
-      type:                 s.type === "chat" ? "chat" : "action",
-      name:                 s.name ?? null,
-      args:                 s.args ?? {},
-      priority:             Number(s.priority ?? i + 1),
-      can_run_in_background: Boolean(s.can_run_in_background ?? false),
-    }))
-    .slice(0, 3); // max 3 steps
+function toSteps(plan) {
+  return plan.map((s, i) => ({
+    type:                  s.type,
+    name:                  s.name ?? null,
+    args:                  s.args,
+    priority:              s.priority ?? i + 1,
+    can_run_in_background: s.can_run_in_background,
+  }));
 }
 
 // ── Action definition ─────────────────────────────────────────────────────────
@@ -114,39 +117,73 @@ export const action = {
   risk_level:  "low",
   reversible:  true,
   description: "Convert a user message into an ordered execution plan",
+  tool: false,
+  input_schema: {
+    type: "object",
+    properties: {
+      text:            { type: "string", minLength: 1, description: "The user's message" },
+      context_summary: { type: ["string", "null"], description: "Active session context" },
+    },
+    required: ["text"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      steps: {
+        type:     "array",
+        minItems: 1,
+        items:    {
+          type:       "object",
+          properties: {
+            type:                  { enum: ["action", "chat"] },
+            name:                  { type: ["string", "null"] },
+            args:                  { type: "object" },
+            priority:              { type: "integer", minimum: 1 },
+            can_run_in_background: { type: "boolean" },
+          },
+          required: ["type", "name", "args", "priority", "can_run_in_background"],
+        },
+      },
+      mode:              { enum: ["llm", "fallback"] },
+      provider:          { type: "string" },
+      prompt:            { type: "object" },
+      validation_errors: { type: "integer", minimum: 0 },
+    },
+    required: ["steps", "mode", "validation_errors"],
+  },
 
   async run(req, ctx) {
-    const text = req.payload?.text;
-    if (!text || typeof text !== "string") {
-      throw new Error("payload.text (string) is required");
-    }
-    const contextSummary = req.payload?.context_summary ?? null;
+    const text = req.payload.text;
+    const contextSummary = req.payload.context_summary ?? null;
     const fullText = contextSummary
       ? `Session context:\n${contextSummary}\n\nUser message: ${text}`
       : text;
 
     // Stage B: LLM plan extraction
+    let validation_errors = 0;
     if (ctx?.db) {
-      const xai = getSecret(ctx.db, "xai");
-      if (xai?.api_key) {
-        try {
-          const raw   = await planWithXai(fullText, xai.api_key);
-          const steps = normalizePlan(raw);
-          if (steps.length > 0) {
-            return { steps, mode: "llm", provider: "xai" };
-          }
-        } catch { /* fall through */ }
-      }
-
-      const anthropic = getSecret(ctx.db, "anthropic");
-      if (anthropic?.api_key) {
-        try {
-          const raw   = await planWithAnthropic(fullText, anthropic.api_key);
-          const steps = normalizePlan(raw);
-          if (steps.length > 0) {
-            return { steps, mode: "llm", provider: "anthropic" };
-          }
-        } catch { /* fall through */ }
+      try {
+        const actions = ctx.toolActions ?? [];
+        const prompt = renderPrompt(ctx.db, "plan_message.system", {
+          workspace_id: req.workspace_id,
+          vars:         planPromptVars(actions),
+        });
+        const res = await chatJson(ctx.db, {
+          action_type:  "plan_message",
+          workspace_id: req.workspace_id,
+          system:       prompt.text,
+          messages:     [{ role: "user", content: fullText }],
+          max_tokens:   512,
+          temperature:  0,
+          schema:       planSchema(actions),
+        });
+        validation_errors = res.validation_errors;
+        if (res.parsed.length > 0) {
+          return { steps: toSteps(res.parsed), mode: "llm", provider: res.provider, prompt: prompt.ref, validation_errors };
+        }
+      } catch (e) {
+        if (e?.code === "cassette_miss") {throw e;}
+        validation_errors = validationErrorsOf(e);
       }
     }
 
@@ -154,6 +191,7 @@ export const action = {
     return {
       steps: [{ type: "chat", name: null, args: { text }, priority: 1, can_run_in_background: false }],
       mode:  "fallback",
+      validation_errors,
     };
   },
 };
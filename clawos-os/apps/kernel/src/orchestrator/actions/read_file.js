@@ -6,9 +6,23 @@ export const action = {
   risk_level: "low",
   reversible: true,
   description: "Read a file from the workspace",
+  input_schema: {
+    type: "object",
+    properties: { path: { type: "string", minLength: 1, description: "Path relative to the workspace root" } },
+    required: ["path"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      ok:    { const: true },
+      path:  { type: "string" },
+      bytes: { type: "integer", minimum: 0 },
+      text:  { type: "string" },
+    },
+    required: ["ok", "path", "bytes", "text"],
+  },
   async run(req) {
-    const p = req.payload?.path;
-    if (!p) {throw new Error("payload.path is required");}
+    const p = req.payload.path;
     const root = getWorkspaceRoot(req.workspace_id);
     const text = await readTextFile(root, p);
     return { ok: true, path: p, bytes: Buffer.byteLength(text, "utf8"), text };
@@ -1,38 +1,132 @@
+/**
+ * run_shell — run a command line with /bin/sh.
+ *
+ * How depends on the workspace's sandbox policy (sandbox/service.js):
+ *   host     exec on the kernel host, with PATH, HOME and the like but none of
+ *            the kernel's other variables (hostEnv)
+ *   sandbox  workspace root, scrubbed environment, CPU / memory / time limits
+ *            and network isolation (sandbox/exec.js)
+ * Either way the policy's allow / deny binary lists are checked first and
+ * timeout_ms bounds the run.
+ *
+ * assess rates the command (sandbox/risk.js) for dispatch's policy gate:
+ * destructive ones are always asked about, with the analysis in the
+ * approval_required response; read-only ones run without approval only with
+ * AUTO_APPROVE_READ_ONLY=true (policy/engine.js).
+ *
+ * With session: true the command is started as a shell session
+ * (shell_sessions/service.js) and run_shell returns at once — for builds and
+ * other long or interactive commands, followed through /kernel/shell_sessions.
+ *
+ * payload : { command, env?, session? }   — env adds variables (e.g. skill API keys);
+ *                                           PATH, HOME, LD_* and the like are refused (envViolation)
+ * returns : { ok, exit_code, output, command, sandbox: { mode, isolation, network }, timed_out? }
+ *           with session: { ok, output, command, sandbox, session: { session_id, status, artifact_id } }
+ */
 import { exec } from "node:child_process";
+import { getWorkspaceRoot } from "../fs-safe.js";
+import { getSandboxPolicy, commandViolation, envViolation } from "../../sandbox/service.js";
+import { runSandboxed, hostEnv } from "../../sandbox/exec.js";
+import { startShellSession } from "../../shell_sessions/service.js";
+import { assessCommand } from "../../sandbox/risk.js";
 
-const TIMEOUT_MS = 15_000;
 const MAX_OUTPUT = 3000;
 
+function runOnHost(command, { env, timeout_ms }) {
+  return new Promise((resolve) => {
+    exec(command, { timeout: timeout_ms, shell: "/bin/sh", env: hostEnv(env) }, (err, stdout, stderr) => {
+      resolve({
+        stdout: stdout?.slice(0, MAX_OUTPUT) ?? "",
+        stderr: stderr?.slice(0, MAX_OUTPUT) ?? "",
+        code: err?.code ?? (err ? 1 : 0),
+      });
+    });
+  });
+}
+
 export const action = {
   name: "run_shell",
   writes: true, // requires approval + capability token
   risk_level: "high",
   reversible: false,
   description: "Run a shell command on the system",
-  async run(req, _ctx) {
-    const command = req.payload?.command ?? req.payload?.cmd ?? "";
-    if (!command) { throw new Error("payload.command is required"); }
-
+  input_schema: {
+    type: "object",
+    properties: {
+      command: { type: "string", minLength: 1, description: "Command line, run with /bin/sh" },
+      env:     { type: "object", additionalProperties: { type: "string" }, description: "Extra environment variables" },
+      session: { type: "boolean", description: "Keep it running in the background (builds, servers, long jobs) and return a session to follow" },
+    },
+    required: ["command"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      ok:        { type: "boolean" },
+      exit_code: { type: ["integer", "string"] },
+      output:    { type: "string" },
+      command:   { type: "string" },
+      sandbox:   {
+        type:       "object",
+        properties: {
+          mode:      { enum: ["host", "sandbox"] },
+          isolation: { enum: ["bwrap", "unshare", "none"] },
+          network:   { type: "boolean" },
+        },
+        required: ["mode", "isolation", "network"],
+      },
+      timed_out: { type: "boolean" },
+      session:   {
+        type:       "object",
+        properties: {
+          session_id:  { type: "string" },
+          status:      { type: "string" },
+          artifact_id: { type: "string" },
+        },
+        required: ["session_id", "status", "artifact_id"],
+      },
+    },
+    required: ["ok", "output", "command", "sandbox"],
+    anyOf:    [{ required: ["exit_code"] }, { required: ["session"] }],
+  },
+  assess(req, ctx) {
+    return assessCommand(ctx?.db, req.workspace_id, req.payload.command, req.payload.env ?? {});
+  },
+  async run(req, ctx) {
+    const command = req.payload.command;
     // Caller may supply extra env vars (e.g. skill API keys) to inject
-    const extraEnv = (req.payload?.env && typeof req.payload.env === "object")
-      ? req.payload.env : {};
+    const env = req.payload.env ?? {};
+
+    const policy = getSandboxPolicy(ctx?.db, req.workspace_id);
+    const violation = envViolation(env) ?? commandViolation(policy, command);
+    if (violation) {throw new Error(`run_shell refused: ${violation}`);}
 
-    const { stdout, stderr, code } = await new Promise((resolve) => {
-      exec(command, { timeout: TIMEOUT_MS, shell: "/bin/sh", env: { ...process.env, ...extraEnv } }, (err, stdout, stderr) => {
-        resolve({
-          stdout: stdout?.slice(0, MAX_OUTPUT) ?? "",
-          stderr: stderr?.slice(0, MAX_OUTPUT) ?? "",
-          code: err?.code ?? (err ? 1 : 0),
-        });
+    if (req.payload.session) {
+      const session = startShellSession(ctx.db, {
+        workspace_id: req.workspace_id, agent_id: req.agent_id, command, env, policy,
+        task_id:      req.meta?.task_id ?? null,
       });
-    });
+      return {
+        ok: true,
+        output: `Started shell session ${session.session_id}`,
+        command,
+        sandbox: { mode: policy.mode, isolation: session.isolation, network: policy.mode === "host" || policy.network },
+        session: { session_id: session.session_id, status: session.status, artifact_id: session.artifact_id },
+      };
+    }
+
+    const run = policy.mode === "sandbox"
+      ? await runSandboxed(command, { root: getWorkspaceRoot(req.workspace_id), env, policy, maxOutput: MAX_OUTPUT })
+      : { ...await runOnHost(command, { env, timeout_ms: policy.timeout_ms }), isolation: "none" };
 
-    const output = [stdout, stderr].filter(Boolean).join("\n---stderr---\n").trim();
+    const output = [run.stdout, run.stderr].filter(Boolean).join("\n---stderr---\n").trim();
     return {
-      ok: code === 0,
-      exit_code: code,
+      ok: run.code === 0,
+      exit_code: run.code,
       output: output || "(no output)",
       command,
+      sandbox: { mode: policy.mode, isolation: run.isolation, network: policy.mode === "host" || policy.network },
+      ...(run.timed_out ? { timed_out: true } : {}),
     };
   },
 };
@@ -5,11 +5,12 @@
  * (host, port, user, password — stored via PUT /kernel/connections/smtp).
  *
  * payload  : { to, subject, body }   ← from classify_intent / direct call
- * returns  : { ok, sent: { to, subject, body_preview } }
+ * returns  : { ok, sent: { to, subject, body_preview, message_id }, note }
  *          | { ok: false, missing_connection: "smtp", error }
  */
 import nodemailer from "nodemailer";
-import { getSecret } from "../connections.js";
+import { getSecret, smtpEndpoint } from "../connections.js";
+import { withSpan } from "../tracing.js";
 
 export const action = {
   name:        "send_email",
@@ -17,16 +18,43 @@ export const action = {
   risk_level:  "high",
   reversible:  false,
   description: "Send an email to a recipient",
+  input_schema: {
+    type: "object",
+    properties: {
+      to:      { type: "string", minLength: 1, description: "Recipient email address" },
+      subject: { type: "string", minLength: 1 },
+      body:    { type: "string", minLength: 1, description: "Plain-text body" },
+    },
+    required: ["to", "subject", "body"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      ok:   { type: "boolean" },
+      sent: {
+        type: "object",
+        properties: {
+          to:           { type: "string" },
+          subject:      { type: "string" },
+          body_preview: { type: "string" },
+          message_id:   { type: ["string", "null"] },
+        },
+        required: ["to", "subject", "body_preview"],
+      },
+      missing_connection: { type: "string" },
+      error:              { type: "string" },
+      note:               { type: "string" },
+    },
+    required: ["ok"],
+    discriminator: { propertyName: "ok" },
+    oneOf: [
+      { properties: { ok: { const: true } },  required: ["sent"] },
+      { properties: { ok: { const: false } }, required: ["error"] },
+    ],
+  },
 
   async run(req, ctx) {
-    // Accept payload.to (from classify_intent) or legacy req.destination
-    const to      = req.payload?.to ?? req.destination;
-    const subject = req.payload?.subject ?? "";
-    const body    = req.payload?.body    ?? "";
-
-    if (!to)      { throw new Error("recipient email (payload.to) is required"); }
-    if (!subject) { throw new Error("payload.subject is required"); }
-    if (!body)    { throw new Error("payload.body is required"); }
+    const { to, subject, body } = req.payload;
 
     // ── Check SMTP configuration ─────────────────────────────────────────────
     const smtp = ctx?.db ? getSecret(ctx.db, "smtp") : null;
@@ -41,12 +69,12 @@ export const action = {
       };
     }
 
-    const port   = Number(smtp.port) || 587;
+    const { host, port } = smtpEndpoint(smtp);
     const secure = port === 465;
 
     // ── Send via nodemailer ──────────────────────────────────────────────────
     const transporter = nodemailer.createTransport({
-      host:   smtp.host,
+      host,
       port,
       secure,
       auth: {
@@ -59,12 +87,15 @@ export const action = {
       socketTimeout:     15_000,
     });
 
-    const info = await transporter.sendMail({
+    const info = await withSpan("smtp send", {
+      kind:       "client",
+      attributes: { "server.address": host, "server.port": port },
+    }, () => transporter.sendMail({
       from:    smtp.user,
       to,
       subject,
       text:    body,
-    });
+    }));
 
     return {
       ok:   true,
@@ -1,7 +1,7 @@
-import { getSecret } from "../connections.js";
+import { complete } from "../../llm/client.js";
 
 const MAX_EXCERPT = 3000; // chars to return when no LLM is configured
-const MAX_LLM_INPUT = 30000; // chars fed to Anthropic to keep costs reasonable
+const MAX_LLM_INPUT = 30000; // chars fed to the LLM to keep costs reasonable
 
 export const action = {
   name: "summarize_document",
@@ -9,43 +9,64 @@ export const action = {
   risk_level: "low",
   reversible: true,
   description: "Summarize the contents of a document",
+  tool: false,
+  input_schema: {
+    type: "object",
+    properties: {
+      text:       { type: "string", minLength: 1, description: "Extracted document text" },
+      page_count: { type: "integer", minimum: 0 },
+      filename:   { type: "string" },
+    },
+    required: ["text"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      ok:         { const: true },
+      mode:       { type: "string" },
+      provider:   { type: "string" },
+      filename:   { type: "string" },
+      page_count: { type: "integer" },
+      summary:    { type: "string" },
+      excerpt:    { type: "string" },
+      note:       { type: "string" },
+    },
+    required: ["ok", "mode", "filename", "page_count"],
+    discriminator: { propertyName: "mode" },
+    oneOf: [
+      { properties: { mode: { const: "llm" } },     required: ["summary"] },
+      { properties: { mode: { const: "excerpt" } }, required: ["excerpt"] },
+    ],
+  },
   async run(req, ctx) {
-    const text = req.payload?.text;
-    const pageCount = req.payload?.page_count ?? 0;
-    const filename = req.payload?.filename ?? "document";
-
-    if (!text || typeof text !== "string") {
-      throw new Error("payload.text (string) is required");
-    }
+    const text = req.payload.text;
+    const pageCount = req.payload.page_count ?? 0;
+    const filename = req.payload.filename ?? "document";
 
-    // Use Anthropic API when credentials are configured
+    // Use the configured LLM chain (Anthropic first by default)
     if (ctx?.db) {
-      const anthropic = getSecret(ctx.db, "anthropic");
-      if (anthropic?.api_key) {
-        try {
-          const prompt = `You are a helpful assistant. Summarize the following document concisely (3-5 bullet points) then give a one-paragraph overview.\n\nFilename: ${filename}\nPages: ${pageCount}\n\n---\n${text.slice(0, MAX_LLM_INPUT)}`;
-          const r = await fetch("https://api.anthropic.com/v1/messages", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-api-key": anthropic.api_key,
-              "anthropic-version": "2023-06-01",
-            },
-            body: JSON.stringify({
-              model: "claude-haiku-4-5-20251001",
-              max_tokens: 1024,
-              messages: [{ role: "user", content: prompt }],
-            }),
-          });
-          if (r.ok) {
-            const data = await r.json();
-            const summary = data.content?.[0]?.text ?? "";
-            return { ok: true, mode: "anthropic", filename, page_count: pageCount, summary };
-          }
-          // Non-2xx — fall through to excerpt mode
-        } catch {
-          // Network or parse error — fall through
+      try {
+        const prompt = `You are a helpful assistant. Summarize the following document concisely (3-5 bullet points) then give a one-paragraph overview.\n\nFilename: ${filename}\nPages: ${pageCount}\n\n---\n${text.slice(0, MAX_LLM_INPUT)}`;
+        const res = await complete(ctx.db, {
+          action_type:  "summarize_document",
+          workspace_id: req.workspace_id,
+          prompt,
+          max_tokens:   1024,
+        });
+        return { ok: true, mode: "llm", provider: res.provider, filename, page_count: pageCount, summary: res.text };
+      } catch (err) {
+        // Budget spent: still return the excerpt, but say why there's no summary
+        if (err.code === "budget_exceeded") {
+          return {
+            ok: true,
+            mode: "excerpt",
+            filename,
+            page_count: pageCount,
+            excerpt: text.slice(0, MAX_EXCERPT),
+            note: err.message,
+          };
         }
+        // No provider, non-2xx or network error — fall through to excerpt mode
       }
     }
 
@@ -57,7 +78,7 @@ export const action = {
       filename,
       page_count: pageCount,
       excerpt,
-      note: "Add an Anthropic API key in Settings → Connections for AI summaries.",
+      note: "Add an LLM connection (Anthropic, xAI, OpenAI or a local endpoint) in Settings → Connections for AI summaries.",
     };
   },
 };
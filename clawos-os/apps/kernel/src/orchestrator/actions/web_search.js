@@ -1,4 +1,5 @@
-import { getSecret } from "../connections.js";
+import { braveBaseUrl, getSecret } from "../connections.js";
+import { tracedFetch } from "../tracing.js";
 
 export const action = {
   name: "web_search",
@@ -6,23 +7,45 @@ export const action = {
   risk_level: "low",
   reversible: true,
   description: "Search the web for information",
+  input_schema: {
+    type: "object",
+    properties: { q: { type: "string", minLength: 1, description: "Search query" } },
+    required: ["q"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      ok:      { const: true },
+      mode:    { enum: ["brave", "manual_research"] },
+      query:   { type: "string" },
+      results: {
+        type:  "array",
+        items: {
+          type: "object",
+          properties: { title: { type: "string" }, url: { type: "string" }, snippet: { type: "string" } },
+        },
+      },
+      note: { type: "string" },
+    },
+    required: ["ok", "mode", "query"],
+  },
   async run(req, ctx) {
-    const q = req.payload?.q || req.payload?.query || "";
-    if (!q) {throw new Error("payload.q (or payload.query) is required");}
+    const q = req.payload.q;
 
     // Use Brave Search API when credentials are configured
     if (ctx?.db) {
       const brave = getSecret(ctx.db, "brave");
       if (brave?.api_key) {
         try {
-          const r = await fetch(
-            `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(q)}&count=5`,
+          const r = await tracedFetch(
+            `${braveBaseUrl()}/web/search?q=${encodeURIComponent(q)}&count=5`,
             {
               headers: {
                 Accept: "application/json",
                 "X-Subscription-Token": brave.api_key,
               },
             },
+            { name: "brave web_search" },
           );
           if (r.ok) {
             const data = await r.json();
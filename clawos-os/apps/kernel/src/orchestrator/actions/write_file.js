@@ -6,11 +6,25 @@ export const action = {
   risk_level: "medium",
   reversible: true,
   description: "Write or overwrite a file in the workspace",
+  input_schema: {
+    type: "object",
+    properties: {
+      path:    { type: "string", minLength: 1, description: "Path relative to the workspace root" },
+      content: { type: "string", description: "Full file content" },
+    },
+    required: ["path", "content"],
+  },
+  output_schema: {
+    type: "object",
+    properties: {
+      ok:    { const: true },
+      path:  { type: "string" },
+      bytes: { type: "integer", minimum: 0 },
+    },
+    required: ["ok", "path", "bytes"],
+  },
   async run(req) {
-    const p = req.payload?.path;
-    const content = req.payload?.content;
-    if (!p) {throw new Error("payload.path is required");}
-    if (typeof content !== "string") {throw new Error("payload.content must be string");}
+    const { path: p, content } = req.payload;
     const root = getWorkspaceRoot(req.workspace_id);
     const out = await writeTextFile(root, p, content);
     return { ok: true, path: p, bytes: out.bytes };
@@ -2,46 +2,47 @@
  * Shared helper for reading provider secrets from the kernel DB.
  * Used by action handlers that need API credentials.
  *
- * The key used for decryption lives in kernel_state.connections_key and is
- * managed exclusively by the kernel — never exposed to callers of this module.
+ * The keys used for encryption are held by the kernel keyring (keyring/service.js)
+ * only while the kernel is unlocked — never exposed to callers of this module.
+ * While locked, encryptSecret / decryptSecret throw Error{code:"kernel_locked"}
+ * and getSecret returns null.
+ *
+ * Endpoints for the non-LLM services can be redirected by env (LLM providers
+ * do the same in llm/providers.js), e.g. at scripts/mock_providers.js:
+ *   BRAVE_BASE_URL        — Brave Search API base, default https://api.search.brave.com/res/v1
+ *   SMTP_HOST / SMTP_PORT — replace the stored SMTP connection's host / port
  */
-import crypto from "node:crypto";
+import { sealSecret, openSecret } from "../keyring/service.js";
 
-function getKey(db) {
-  const row = db.prepare(`SELECT value FROM kernel_state WHERE key='connections_key'`).get();
-  if (!row) {return null;}
-  return Buffer.from(row.value, "hex");
+const BRAVE_BASE_URL = "https://api.search.brave.com/res/v1";
+
+export function braveBaseUrl() {
+  return String(process.env.BRAVE_BASE_URL || BRAVE_BASE_URL).replace(/\/+$/, "");
+}
+
+/** Host / port send_email connects to for a stored SMTP connection. */
+export function smtpEndpoint(smtp) {
+  return {
+    host: process.env.SMTP_HOST || smtp?.host,
+    port: Number(process.env.SMTP_PORT || smtp?.port) || 587,
+  };
 }
 
 /**
- * Encrypt a plain JS object into the same AES-256-GCM base64 format used by connections.
+ * Encrypt a plain JS object under the active connections key.
+ * Format: "<kid>:<base64 AES-256-GCM>" (see keyring/service.js).
  */
-export function encryptSecret(db, obj) {
-  const key = getKey(db);
-  if (!key) { throw new Error("connections_key not initialised"); }
-  const iv = crypto.randomBytes(12);
-  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
-  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(obj), "utf8"), cipher.final()]);
-  const tag = cipher.getAuthTag();
-  return Buffer.concat([iv, tag, ciphertext]).toString("base64");
+export function encryptSecret(_db, obj) {
+  return sealSecret(JSON.stringify(obj));
 }
 
 /**
- * Decrypt a raw encrypted_json blob from the connections table.
+ * Decrypt a raw encrypted_json blob from the connections table, with whichever
+ * key its key ID names (untagged blobs predate key IDs).
  * Returns the parsed secrets object, or throws if the key is missing / AEAD fails.
  */
-export function decryptSecret(db, encryptedB64) {
-  const key = getKey(db);
-  if (!key) {throw new Error("connections_key not initialised");}
-  const buf = Buffer.from(encryptedB64, "base64");
-  const iv = buf.subarray(0, 12);
-  const tag = buf.subarray(12, 28);
-  const ciphertext = buf.subarray(28);
-  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-  decipher.setAuthTag(tag);
-  return JSON.parse(
-    Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8"),
-  );
+export function decryptSecret(_db, encrypted) {
+  return JSON.parse(openSecret(encrypted));
 }
 
 /**
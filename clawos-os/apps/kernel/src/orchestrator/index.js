@@ -1,32 +1,32 @@
-import crypto from "node:crypto";
 import { logEvent } from "./logger.js";
+import { withSpan } from "./tracing.js";
+import { counter, histogram } from "../metrics/registry.js";
 import { validateActionRequest } from "./schema.js";
+import { schemaErrors, formatSchemaErrors } from "./json_schema.js";
+import { getAction, hasAction, toolActions } from "./registry.js";
+import { modeForAssessment } from "../policy/engine.js";
+import { isLocked, verifyTokenSignature } from "../keyring/service.js";
+
+const dispatchTotal = counter(
+  "clawos_dispatch_total", "Dispatched action requests by action type and outcome",
+  ["action_type", "outcome"],
+);
+const dispatchDuration = histogram(
+  "clawos_dispatch_duration_seconds", "Dispatch latency (policy gate + action run) by action type and outcome",
+  ["action_type", "outcome"],
+);
+
+/** Registered action type, or "unknown" — keeps arbitrary input out of metric labels. */
+export function actionTypeLabel(type) {
+  return hasAction(type) ? type : "unknown";
+}
 
-import { action as sendEmail } from "./actions/send_email.js";
-import { action as webSearch } from "./actions/web_search.js";
-import { action as readFile } from "./actions/read_file.js";
-import { action as writeFile } from "./actions/write_file.js";
-import { action as runShell } from "./actions/run_shell.js";
-import { action as summarizeDocument } from "./actions/summarize_document.js";
-import { action as classifyIntent }   from "./actions/classify_intent.js";
-import { action as interpretResult }  from "./actions/interpret_result.js";
-import { action as cognitiveExecute } from "./actions/cognitive_execute.js";
-import { action as chatLlm }          from "./actions/chat_llm.js";
-import { action as planMessage }      from "./actions/plan_message.js";
-
-const registry = new Map([
-  ["send_email",        sendEmail],
-  ["web_search",        webSearch],
-  ["read_file",         readFile],
-  ["write_file",        writeFile],
-  ["run_shell",         runShell],
-  ["summarize_document",summarizeDocument],
-  ["classify_intent",   classifyIntent],
-  ["interpret_result",  interpretResult],
-  ["cognitive_execute", cognitiveExecute],
-  ["chat_llm",          chatLlm],
-  ["plan_message",      planMessage],
-]);
+/** completed | rejected | unknown_action | blocked | approval_required | failed */
+function outcomeOf(res) {
+  if (res.ok) {return "completed";}
+  if (res.code === "bad_request" || res.code === "invalid_payload") {return "rejected";}
+  return ["unknown_action", "blocked", "approval_required"].includes(res.code) ? res.code : "failed";
+}
 
 // Fix #1+2: verify DB-issued cap tokens; db is passed in from the kernel route
 function isApproved(req, db) {
@@ -36,28 +36,14 @@ function isApproved(req, db) {
   const token = req.approval_token;
   if (!token) {return false;}
 
-  // Token format: "token_id.sig"
-  const lastDot = token.lastIndexOf(".");
-  if (lastDot < 1) {return false;}
-  const token_id = token.slice(0, lastDot);
-  const sig = token.slice(lastDot + 1);
-  if (!token_id || !sig) {return false;}
-
   if (!db) {return false;}
 
-  // Retrieve HMAC key (recovery_hash) from kernel_state
-  const keyRow = db.prepare(`SELECT value FROM kernel_state WHERE key=?`).get("recovery_hash");
-  if (!keyRow) {return false;}
+  // HMAC keys — only available while the kernel is unlocked
+  if (isLocked()) {return false;}
 
-  // Verify HMAC signature
-  const expected = crypto
-    .createHmac("sha256", keyRow.value)
-    .update(token_id, "utf8")
-    .digest("base64url");
-
-  const a = Buffer.from(sig, "utf8");
-  const b = Buffer.from(expected, "utf8");
-  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {return false;}
+  // Verify HMAC signature (token format: "token_id.kid.sig", see keyring/service.js)
+  const token_id = verifyTokenSignature(token);
+  if (!token_id) {return false;}
 
   // Look up the token record
   const tokenRow = db.prepare(`SELECT * FROM tool_tokens WHERE token_id=?`).get(token_id);
@@ -97,17 +83,43 @@ function resolvePolicy(action, req, db) {
 }
 
 // Fix #2: accept { db } so isApproved() can query tool_tokens
-export async function dispatch(raw, { db } = {}) {
+// onDelta (optional) is handed to the action as ctx.onDelta; actions that can
+// stream (chat_llm) call it with each text chunk, the rest ignore it.
+// ctx.dispatch / ctx.toolActions let agent_run issue its tool calls as
+// ordinary requests, so every call passes the policy gate below.
+// Each dispatch is a span (and action.run a child of it) in the active trace,
+// so nested tool calls show up under the agent_run that made them, and is
+// counted and timed in clawos_dispatch_* by outcome.
+export function dispatch(raw, opts = {}) {
+  const end = dispatchDuration.startTimer({ action_type: actionTypeLabel(raw?.action_type) });
+  return withSpan(`dispatch ${raw?.action_type ?? "unknown"}`, {
+    attributes: {
+      "clawos.action_type":  raw?.action_type,
+      "clawos.request_id":   raw?.request_id,
+      "clawos.workspace_id": raw?.workspace_id,
+    },
+  }, async (span) => {
+    const res = await dispatchInSpan(raw, opts, span);
+    const outcome = outcomeOf(res);
+    span.setAttributes({ "clawos.outcome": outcome });
+    end({ outcome });
+    dispatchTotal.inc({ action_type: actionTypeLabel(raw?.action_type), outcome });
+    return res;
+  });
+}
+
+async function dispatchInSpan(raw, { db, onDelta } = {}, span) {
   const started = Date.now();
 
   const v = validateActionRequest(raw);
   if (!v.ok) {
+    span.setStatus("error", v.error);
     logEvent({ kind: "rejected", error: v.error });
     return { ok: false, error: v.error, code: "bad_request" };
   }
 
   const req = v.value;
-  const action = registry.get(req.action_type);
+  const action = getAction(req.action_type);
 
   logEvent({
     kind: "received",
@@ -119,12 +131,32 @@ export async function dispatch(raw, { db } = {}) {
 
   if (!action) {
     const err = `unknown action_type: ${req.action_type}`;
+    span.setStatus("error", err);
     logEvent({ kind: "failed", request_id: req.request_id, error: err });
     return { ok: false, error: err, code: "unknown_action" };
   }
 
+  // ── Payload schema ────────────────────────────────────────────────────────
+  // Checked before the policy gate, so a malformed request never waits for approval
+  if (action.input_schema) {
+    const errors = schemaErrors(action.input_schema, req.payload, "payload");
+    if (errors.length) {
+      const err = `invalid payload for ${req.action_type}: ${formatSchemaErrors(errors)}`;
+      span.setStatus("error", err);
+      logEvent({ kind: "rejected", request_id: req.request_id, action_type: req.action_type, error: err });
+      return {
+        ok: false, error: err, code: "invalid_payload", errors,
+        request_id: req.request_id, action_type: req.action_type,
+      };
+    }
+  }
+
   // ── Risk policy gate ──────────────────────────────────────────────────────
-  const policyMode = resolvePolicy(action, req, db);
+  // Actions that can rate this particular request (run_shell rates its
+  // command) relax or tighten the policy mode — see modeForAssessment
+  const assessment = action.assess ? action.assess(req, { db }) : null;
+  const policyMode = modeForAssessment(resolvePolicy(action, req, db), assessment);
+  span.setAttributes({ "clawos.policy": policyMode, ...(assessment ? { "clawos.risk_level": assessment.risk_level } : {}) });
 
   if (policyMode === "block") {
     const res = {
@@ -147,10 +179,13 @@ export async function dispatch(raw, { db } = {}) {
       approval_required: true,
       request_id: req.request_id,
       action_type: req.action_type,
-      risk_level: action.risk_level ?? (action.writes ? "high" : "low"),
+      risk_level: assessment?.risk_level ?? action.risk_level ?? (action.writes ? "high" : "low"),
       reversible: action.reversible ?? !action.writes,
       description: action.description ?? action.name,
-      message: "This action requires approval. Reply: yes / no / more / edit",
+      ...(assessment ? { analysis: assessment } : {}),
+      message: assessment?.warning
+        ? `${assessment.warning}. This action requires approval. Reply: yes / no / more / edit`
+        : "This action requires approval. Reply: yes / no / more / edit",
     };
     logEvent({
       kind: "approval_required",
@@ -162,8 +197,25 @@ export async function dispatch(raw, { db } = {}) {
   // policyMode === "auto" → fall through and execute without approval
 
   try {
-    const out = await action.run(req, { started_at: started, db });
+    const out = await withSpan(`action ${req.action_type}`, {}, () =>
+      action.run(req, { started_at: started, db, onDelta, dispatch, toolActions: toolActions() }),
+    );
     const ms = Date.now() - started;
+
+    // ── Result schema ───────────────────────────────────────────────────────
+    // The action has already run, so a bad result fails the request but is
+    // still returned for inspection.
+    const errors = action.output_schema ? schemaErrors(action.output_schema, out, "result") : [];
+    if (errors.length) {
+      const err = `invalid result from ${req.action_type}: ${formatSchemaErrors(errors)}`;
+      span.setStatus("error", err);
+      logEvent({ kind: "failed", request_id: req.request_id, action_type: req.action_type, ms, error: err });
+      return {
+        ok: false, error: err, code: "invalid_output", errors, result: out,
+        request_id: req.request_id, action_type: req.action_type, ms,
+      };
+    }
+
     logEvent({
       kind: "completed",
       request_id: req.request_id,
@@ -174,6 +226,7 @@ export async function dispatch(raw, { db } = {}) {
   } catch (e) {
     const ms = Date.now() - started;
     const msg = e?.message || String(e);
+    span.setStatus("error", msg);
     logEvent({ kind: "failed", request_id: req.request_id, action_type: req.action_type, ms, error: msg });
     return { ok: false, request_id: req.request_id, action_type: req.action_type, error: msg, ms };
   }
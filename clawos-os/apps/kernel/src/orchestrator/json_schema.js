@@ -0,0 +1,133 @@
+/**
+ * Minimal JSON Schema validator for action payloads and results.
+ *
+ * Actions describe their payload with input_schema (JSON Schema — the same
+ * object agent_run hands the model as a tool definition) and their result
+ * with output_schema; dispatch checks the payload before the policy gate and
+ * the result after run(). Only the subset actions use is supported:
+ *
+ *   type (string or array; "integer" too), enum, const, anyOf, oneOf,
+ *   discriminator (OpenAPI-style, with oneOf), properties, required, additionalProperties (false or a schema),
+ *   items, minItems, maxItems, minLength, maxLength, pattern,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ *
+ * Anything else (description, default, format, $ref …) is ignored.
+ *
+ * With discriminator: { propertyName } the oneOf branch is picked by that
+ * property's const and its errors are reported as they are, so a per-phase
+ * requirement still names the missing field ("payload.text is required").
+ */
+
+/** @typedef {{ path: string; message: string }} SchemaError */
+
+function typeOf(value) {
+  if (value === null) {return "null";}
+  if (Array.isArray(value)) {return "array";}
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "integer": return Number.isInteger(value);
+    case "number":  return typeof value === "number" && Number.isFinite(value);
+    case "object":  return typeOf(value) === "object";
+    default:        return typeOf(value) === type;
+  }
+}
+
+function childPath(path, key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate value against schema.
+ *
+ * @param {object} schema
+ * @param {unknown} value
+ * @param {string} [path]  prefix for error paths, e.g. "payload"
+ * @returns {SchemaError[]}  empty when valid
+ */
+export function schemaErrors(schema, value, path = "$") {
+  if (!schema || typeof schema !== "object") {return [];}
+  const errors = [];
+  const fail = (message, at = path) => { errors.push({ path: at, message }); };
+
+  if (schema.type !== undefined) {
+    const types = [schema.type].flat();
+    if (!types.some((t) => matchesType(t, value))) {
+      fail(`must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if ("const" in schema && !equal(schema.const, value)) {fail(`must be ${JSON.stringify(schema.const)}`);}
+  if (Array.isArray(schema.enum) && !schema.enum.some((v) => equal(v, value))) {
+    fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const branches = schema.anyOf.map((s) => schemaErrors(s, value, path));
+    if (branches.every((b) => b.length)) {
+      fail(`does not match any allowed schema (${branches.map((b) => formatSchemaErrors(b)).join(" | ")})`);
+    }
+  }
+  const key = schema.discriminator?.propertyName;
+  if (Array.isArray(schema.oneOf) && key && typeOf(value) === "object") {
+    const branch = schema.oneOf.find((s) => equal(s.properties?.[key]?.const, value[key]));
+    if (branch) {
+      errors.push(...schemaErrors(branch, value, path));
+    } else if (value[key] !== undefined) {
+      const allowed = schema.oneOf.map((s) => JSON.stringify(s.properties?.[key]?.const));
+      fail(`must be one of ${allowed.join(", ")}`, childPath(path, key));
+    }
+  } else if (Array.isArray(schema.oneOf) && schema.oneOf.filter((s) => !schemaErrors(s, value, path).length).length !== 1) {
+    fail("must match exactly one allowed schema");
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {fail(`must be at least ${schema.minLength} characters`);}
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {fail(`must be at most ${schema.maxLength} characters`);}
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {fail(`must match ${schema.pattern}`);}
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {fail(`must be >= ${schema.minimum}`);}
+    if (schema.maximum !== undefined && value > schema.maximum) {fail(`must be <= ${schema.maximum}`);}
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {fail(`must be > ${schema.exclusiveMinimum}`);}
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {fail(`must be < ${schema.exclusiveMaximum}`);}
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {fail(`must have at least ${schema.minItems} items`);}
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {fail(`must have at most ${schema.maxItems} items`);}
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {fail("is required", childPath(path, key));}
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) {continue;}
+      if (properties[key]) {
+        errors.push(...schemaErrors(properties[key], v, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        fail("is not allowed", childPath(path, key));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...schemaErrors(schema.additionalProperties, v, childPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/** "payload.to is required; payload.subject must be string, got number" */
+export function formatSchemaErrors(errors) {
+  return errors.map((e) => `${e.path} ${e.message}`).join("; ");
+}
@@ -0,0 +1,187 @@
+/**
+ * Rotating, buffered log file writer — used by orchestrator/logger.js.
+ *
+ *   const w = createRotatingWriter({ path, maxBytes, rotate, retentionFiles, retentionDays });
+ *   w.write(line)      queue one line (no I/O on the caller's path)
+ *   await w.flush()    write out everything queued
+ *   w.flushSync()      same, blocking — for process exit
+ *
+ * Lines are queued in memory and appended in batches (every FLUSH_MS, or as
+ * soon as BATCH_BYTES are queued). Before a batch goes out the file is rotated
+ * when it would pass maxBytes, or when the rotate period ("hourly" | "daily")
+ * has rolled over since the file was started: it is renamed to
+ * <name>.<UTC timestamp>, gzipped to <name>.<UTC timestamp>.gz in the
+ * background, and old .gz files beyond retentionFiles or older than
+ * retentionDays are deleted. If the queue passes MAX_QUEUE_BYTES (disk slower
+ * than the log rate) new lines are dropped and counted rather than growing
+ * the heap. retentionFiles / retentionDays of 0 mean no limit.
+ *
+ * Never throws to callers; I/O errors are reported once per minute on stderr.
+ */
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import zlib from "node:zlib";
+import { pipeline } from "node:stream/promises";
+
+const FLUSH_MS = 250;
+const BATCH_BYTES = 64 * 1024;
+const MAX_QUEUE_BYTES = 16 * 1024 * 1024;
+const ERROR_REPORT_MS = 60_000;
+
+const PERIOD_MS = { hourly: 3_600_000, daily: 86_400_000 };
+
+function periodStart(ms, rotate) {
+  const p = PERIOD_MS[rotate];
+  return p ? Math.floor(ms / p) * p : 0;
+}
+
+/**
+ * @param {{ path: string; maxBytes?: number; rotate?: "hourly"|"daily"|"off";
+ *           retentionFiles?: number; retentionDays?: number }} opts
+ */
+export function createRotatingWriter({
+  path: filePath,
+  maxBytes = 10 * 1024 * 1024,
+  rotate = "daily",
+  retentionFiles = 10,
+  retentionDays = 14,
+}) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath);
+
+  let queue = [];
+  let queuedBytes = 0;
+  let dropped = 0;
+  let size = null;        // current file size, read lazily
+  let period = null;      // period the current file belongs to
+  let writing = null;     // in-flight flush promise
+  let timer = null;
+  let lastErrorAt = 0;
+
+  function reportError(what, e) {
+    if (Date.now() - lastErrorAt < ERROR_REPORT_MS) {return;}
+    lastErrorAt = Date.now();
+    process.stderr.write(`[log] ${base}: ${what} failed: ${e?.message ?? e}\n`);
+  }
+
+  async function openState() {
+    await fsp.mkdir(dir, { recursive: true });
+    try {
+      const st = await fsp.stat(filePath);
+      size = st.size;
+      period = periodStart(st.birthtimeMs || st.mtimeMs, rotate);
+    } catch {
+      size = 0;
+      period = periodStart(Date.now(), rotate);
+    }
+  }
+
+  async function prune() {
+    const rotated = (await fsp.readdir(dir))
+      .filter((f) => f.startsWith(`${base}.`) && f.endsWith(".gz"))
+      .toSorted()
+      .toReversed();
+    const cutoff = Date.now() - retentionDays * 86_400_000;
+    for (const [i, f] of rotated.entries()) {
+      const full = path.join(dir, f);
+      const tooMany = retentionFiles > 0 && i >= retentionFiles;
+      const tooOld = retentionDays > 0 && (await fsp.stat(full)).mtimeMs < cutoff;
+      if (tooMany || tooOld) {await fsp.unlink(full);}
+    }
+  }
+
+  async function compress(rotatedPath) {
+    await pipeline(fs.createReadStream(rotatedPath), zlib.createGzip(), fs.createWriteStream(`${rotatedPath}.gz`));
+    await fsp.unlink(rotatedPath);
+    await prune();
+  }
+
+  async function rotateNow() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const rotatedPath = `${filePath}.${stamp}`;
+    try {
+      await fsp.rename(filePath, rotatedPath);
+    } catch (e) {
+      if (e.code !== "ENOENT") {throw e;}
+      return;
+    } finally {
+      size = 0;
+      period = periodStart(Date.now(), rotate);
+    }
+    // Compression runs in the background; the next batch goes to a fresh file
+    compress(rotatedPath).catch((e) => reportError("compress", e));
+  }
+
+  async function drain() {
+    if (size === null) {await openState();}
+    while (queue.length) {
+      const batch = queue.join("");
+      const bytes = Buffer.byteLength(batch);
+      queue = [];
+      queuedBytes = 0;
+
+      const rolledOver = rotate !== "off" && periodStart(Date.now(), rotate) !== period;
+      if (size > 0 && (size + bytes > maxBytes || rolledOver)) {await rotateNow();}
+      await fsp.appendFile(filePath, batch, "utf8");
+      size += bytes;
+    }
+    if (dropped) {
+      const note = `${JSON.stringify({ ts: new Date().toISOString(), kind: "log_dropped", lines: dropped })}\n`;
+      dropped = 0;
+      await fsp.appendFile(filePath, note, "utf8");
+      size += Buffer.byteLength(note);
+    }
+  }
+
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!writing) {
+      writing = drain()
+        .catch((e) => reportError("write", e))
+        .finally(() => {
+          writing = null;
+          if (queue.length) {schedule();}
+        });
+    }
+    return writing;
+  }
+
+  function schedule() {
+    if (queuedBytes >= BATCH_BYTES) {
+      void flush();
+    } else if (!timer) {
+      timer = setTimeout(() => { timer = null; void flush(); }, FLUSH_MS);
+      timer.unref();
+    }
+  }
+
+  return {
+    write(line) {
+      if (queuedBytes >= MAX_QUEUE_BYTES) {
+        dropped++;
+        return;
+      }
+      queue.push(line);
+      queuedBytes += Buffer.byteLength(line);
+      schedule();
+    },
+
+    flush,
+
+    /** Blocking append of whatever is still queued (no rotation). */
+    flushSync() {
+      if (!queue.length) {return;}
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(filePath, queue.join(""), "utf8");
+      } catch (e) {
+        reportError("write", e);
+      }
+      queue = [];
+      queuedBytes = 0;
+    },
+
+    path: filePath,
+  };
+}
@@ -1,46 +1,90 @@
-import fs from "node:fs";
+/**
+ * Orchestrator event log — one JSON line per event in data/openclaw/logs/orchestrator.log.
+ *
+ * Writes are queued and appended in the background by a rotating writer
+ * (orchestrator/log_writer.js): the file is gzipped away when it passes
+ * LOG_MAX_BYTES or the LOG_ROTATE period rolls over, and old archives are
+ * pruned by LOG_RETENTION_FILES / LOG_RETENTION_DAYS. With LOG_OTLP_ENDPOINT
+ * set, every event (and every audit entry, via exportLog) is also shipped to
+ * an OpenTelemetry collector as OTLP/JSON (orchestrator/otlp_exporter.js).
+ *
+ *   LOG_DIR               default data/openclaw/logs (relative to the cwd)
+ *   LOG_MAX_BYTES         default 10485760 (10 MiB)
+ *   LOG_ROTATE            daily (default) | hourly | off
+ *   LOG_RETENTION_FILES   rotated .gz files kept, default 10 (0 = no limit)
+ *   LOG_RETENTION_DAYS    default 14 (0 = no limit)
+ *   LOG_OTLP_ENDPOINT     e.g. http://127.0.0.1:4318/v1/logs (unset = no export)
+ *   LOG_OTLP_HEADERS      k=v,k2=v2 — e.g. an auth header for the collector
+ *
+ * Events logged inside a traced request carry its trace_id / span_id
+ * (orchestrator/tracing.js), so a log line can be found from a span and back.
+ *
+ * Queued lines are written synchronously on process exit; index.js calls
+ * flushLogs() on SIGINT / SIGTERM.
+ */
 import path from "node:path";
+import { createRotatingWriter } from "./log_writer.js";
+import { createOtlpExporter, parseOtlpHeaders, toLogRecord } from "./otlp_exporter.js";
+import { traceFields } from "./tracing.js";
 
-const LOG_PATH = path.resolve("data/openclaw/logs/orchestrator.log");
-
-function ensureLogDir() {
-  const dir = path.dirname(LOG_PATH);
-  if (!fs.existsSync(dir)) {fs.mkdirSync(dir, { recursive: true });}
+function envInt(name, fallback) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v >= 0 && process.env[name] !== "" ? Math.floor(v) : fallback;
 }
 
+const LOG_DIR = path.resolve(process.env.LOG_DIR || "data/openclaw/logs");
+const LOG_PATH = path.join(LOG_DIR, "orchestrator.log");
+
+const writer = createRotatingWriter({
+  path:           LOG_PATH,
+  maxBytes:       envInt("LOG_MAX_BYTES", 10 * 1024 * 1024),
+  rotate:         ["hourly", "daily", "off"].includes(process.env.LOG_ROTATE) ? process.env.LOG_ROTATE : "daily",
+  retentionFiles: envInt("LOG_RETENTION_FILES", 10),
+  retentionDays:  envInt("LOG_RETENTION_DAYS", 14),
+});
+
+const exporter = process.env.LOG_OTLP_ENDPOINT
+  ? createOtlpExporter({
+    endpoint: process.env.LOG_OTLP_ENDPOINT,
+    headers:  parseOtlpHeaders(process.env.LOG_OTLP_HEADERS),
+  })
+  : null;
+
+process.on("exit", () => writer.flushSync());
+
 export function logEvent(evt) {
   try {
-    ensureLogDir();
-    const line = JSON.stringify({
+    const entry = {
       ts: new Date().toISOString(),
+      ...traceFields(),
       ...evt,
-    });
-    fs.appendFileSync(LOG_PATH, line + "\n", "utf8");
+    };
+    writer.write(JSON.stringify(entry) + "\n");
+    exporter?.emit("clawos.orchestrator", toLogRecord(entry));
   } catch {
     // never throw from logging
   }
 }
 
-export function getLogPath() {
-  return LOG_PATH;
-}
-
-// Phase 3: structured audit log — one line per action request, final status only
-const AUDIT_PATH = path.resolve("data/openclaw/logs/audit.log");
-
-export function logAudit(evt) {
+/** Ship an event that is stored elsewhere (e.g. the audit log table) to the OTLP collector only. */
+export function exportLog(scope, evt) {
   try {
-    ensureLogDir();
-    const line = JSON.stringify({
-      timestamp: new Date().toISOString(),
-      ...evt,
-    });
-    fs.appendFileSync(AUDIT_PATH, line + "\n", "utf8");
+    exporter?.emit(scope, toLogRecord({ ...traceFields(), ...evt }));
   } catch {
     // never throw from logging
   }
 }
 
-export function getAuditPath() {
-  return AUDIT_PATH;
+/** Write out queued lines and send queued OTLP batches. */
+export async function flushLogs() {
+  await Promise.all([writer.flush(), exporter?.flush()]);
+}
+
+/** For /kernel/health — null unless the OTLP exporter is configured. */
+export function logExportStats() {
+  return exporter ? exporter.stats() : null;
+}
+
+export function getLogPath() {
+  return LOG_PATH;
 }
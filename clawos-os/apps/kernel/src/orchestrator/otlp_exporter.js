@@ -0,0 +1,175 @@
+/**
+ * OTLP/JSON exporter — ships kernel log records or trace spans to an
+ * OpenTelemetry collector over HTTP (POST <endpoint>, usually
+ * http://127.0.0.1:4318/v1/logs or /v1/traces). Used by orchestrator/logger.js
+ * when LOG_OTLP_ENDPOINT is set and by orchestrator/tracing.js when
+ * TRACE_OTLP_ENDPOINT is set.
+ *
+ *   const exp = createOtlpExporter({ endpoint, headers, serviceName, signal });
+ *   exp.emit(scope, record)   queue one LogRecord (toLogRecord) or Span
+ *   await exp.flush()         send what is queued
+ *
+ * Records are batched (up to BATCH_SIZE, or every FLUSH_MS) into one
+ * ExportLogsServiceRequest / ExportTraceServiceRequest. A failed POST is
+ * retried with the next batch after a backoff (doubling up to MAX_BACKOFF_MS);
+ * beyond MAX_QUEUE records the oldest are dropped, so a missing collector never
+ * grows the heap or blocks a request. The log files stay the source of truth.
+ */
+
+const BATCH_SIZE = 200;
+const FLUSH_MS = 1000;
+const MAX_QUEUE = 5000;
+const MAX_BACKOFF_MS = 60_000;
+const TIMEOUT_MS = 5000;
+
+const SEVERITY = {
+  ERROR: 17,
+  WARN:  13,
+  INFO:  9,
+};
+
+/** Rough severity from the event's kind / status. */
+function severityOf(evt) {
+  const tag = `${evt.kind ?? ""} ${evt.status ?? ""} ${evt.event ?? ""}`.toLowerCase();
+  if (/error|fail/.test(tag)) {return "ERROR";}
+  if (/reject|block|denied|invalid/.test(tag)) {return "WARN";}
+  return "INFO";
+}
+
+export function anyValue(v) {
+  if (typeof v === "string")  {return { stringValue: v };}
+  if (typeof v === "boolean") {return { boolValue: v };}
+  if (typeof v === "number")  {return Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v };}
+  return { stringValue: JSON.stringify(v) };
+}
+
+/** Flat object → OTLP KeyValue list (null / undefined values are left out). */
+export function toAttributes(fields) {
+  return Object.entries(fields)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([key, v]) => ({ key, value: anyValue(v) }));
+}
+
+/** Flat log event → OTLP LogRecord. trace_id / span_id become the record's trace context. */
+export function toLogRecord(evt) {
+  const { ts, timestamp, ...fields } = evt;
+  const ms = Date.parse(ts ?? timestamp ?? "") || Date.now();
+  const severity = severityOf(evt);
+  return {
+    timeUnixNano:   `${BigInt(ms) * 1_000_000n}`,
+    severityNumber: SEVERITY[severity],
+    severityText:   severity,
+    body:           { stringValue: String(fields.kind ?? fields.event ?? "log") },
+    ...(fields.trace_id ? { traceId: fields.trace_id, spanId: fields.span_id } : {}),
+    attributes:     toAttributes(fields),
+  };
+}
+
+/** "k1=v1,k2=v2" → headers object (OTEL_EXPORTER_OTLP_HEADERS format). */
+export function parseOtlpHeaders(raw) {
+  const headers = {};
+  for (const pair of String(raw ?? "").split(",")) {
+    const i = pair.indexOf("=");
+    if (i > 0) {headers[pair.slice(0, i).trim()] = decodeURIComponent(pair.slice(i + 1).trim());}
+  }
+  return headers;
+}
+
+/**
+ * @param {{ endpoint: string; headers?: Record<string,string>; serviceName?: string;
+ *           signal?: "logs"|"traces" }} opts
+ */
+export function createOtlpExporter({ endpoint, headers = {}, serviceName = "clawos-kernel", signal = "logs" }) {
+  /** @type {{ scope: string; record: object }[]} */
+  let queue = [];
+  let dropped = 0;
+  let sending = null;
+  let timer = null;
+  let backoffMs = 0;
+  let retryAt = 0;
+  let lastErrorAt = 0;
+
+  function body(batch) {
+    const byScope = new Map();
+    for (const { scope, record } of batch) {
+      if (!byScope.has(scope)) {byScope.set(scope, []);}
+      byScope.get(scope).push(record);
+    }
+    const resource = { attributes: toAttributes({ "service.name": serviceName }) };
+    if (signal === "traces") {
+      return {
+        resourceSpans: [{
+          resource,
+          scopeSpans: [...byScope].map(([name, spans]) => ({ scope: { name }, spans })),
+        }],
+      };
+    }
+    return {
+      resourceLogs: [{
+        resource,
+        scopeLogs: [...byScope].map(([name, logRecords]) => ({ scope: { name }, logRecords })),
+      }],
+    };
+  }
+
+  async function send() {
+    while (queue.length && Date.now() >= retryAt) {
+      const batch = queue.slice(0, BATCH_SIZE);
+      try {
+        const res = await fetch(endpoint, {
+          method:  "POST",
+          headers: { "Content-Type": "application/json", ...headers },
+          body:    JSON.stringify(body(batch)),
+          signal:  AbortSignal.timeout(TIMEOUT_MS),
+        });
+        // 4xx other than 429 will not get better on retry — drop the batch
+        if (!res.ok && (res.status === 429 || res.status >= 500)) {throw new Error(`HTTP ${res.status}`);}
+        queue = queue.slice(batch.length);
+        backoffMs = 0;
+      } catch (e) {
+        backoffMs = Math.min(MAX_BACKOFF_MS, backoffMs ? backoffMs * 2 : FLUSH_MS);
+        retryAt = Date.now() + backoffMs;
+        if (Date.now() - lastErrorAt >= MAX_BACKOFF_MS) {
+          lastErrorAt = Date.now();
+          process.stderr.write(`[log] OTLP export to ${endpoint} failed: ${e.message} (${queue.length} queued, ${dropped} dropped)\n`);
+        }
+      }
+    }
+  }
+
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!sending) {
+      sending = send().finally(() => {
+        sending = null;
+        if (queue.length) {schedule();}
+      });
+    }
+    return sending;
+  }
+
+  function schedule() {
+    if (timer) {return;}
+    const wait = Math.max(FLUSH_MS, retryAt - Date.now());
+    timer = setTimeout(() => { timer = null; void flush(); }, wait);
+    timer.unref();
+  }
+
+  return {
+    emit(scope, record) {
+      queue.push({ scope, record });
+      if (queue.length > MAX_QUEUE) {
+        dropped += queue.length - MAX_QUEUE;
+        queue = queue.slice(queue.length - MAX_QUEUE);
+      }
+      if (queue.length >= BATCH_SIZE && Date.now() >= retryAt) {void flush();}
+      else {schedule();}
+    },
+
+    flush,
+
+    stats() {
+      return { endpoint, queued: queue.length, dropped };
+    },
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Action registry — every action_type dispatch() can run.
+ *
+ * Actions come from three sources and share one shape:
+ *   { name, writes, risk_level?, reversible?, description, input_schema?, output_schema?,
+ *     tool?, assess?(req, ctx), run(req, ctx) }
+ *
+ *   builtin  orchestrator/actions/*.js — always present, names cannot be taken over
+ *   plugin   *.js / *.mjs files in ACTION_PLUGIN_DIR (default ./plugins), loaded
+ *            once at startup; each exports `action` or `actions` (an array)
+ *   api      webhook actions registered with POST /kernel/actions (actions/service.js)
+ *
+ * input_schema and output_schema are JSON Schema for the payload and the
+ * result: dispatch rejects a payload that does not match with code
+ * "invalid_payload" and a result that does not match with "invalid_output",
+ * both listing field-level errors (json_schema.js). Both are published by
+ * GET /kernel/actions. Actions that declare an input_schema are tools —
+ * agent_run offers them to the model and plan_message lists them in its
+ * prompt — unless they set `tool: false` (the kernel's own LLM pipeline
+ * actions do). Actions without a risk policy row default to "ask" when they
+ * write and "auto" when they do not (orchestrator/index.js). assess, when
+ * present, rates one request before the policy gate —
+ * { risk_level, read_only, warning?, … } like sandbox/risk.js — so that a
+ * read-only request skips "ask" and a high-risk one is asked about under "auto".
+ *
+ * A minimal plugin:
+ *
+ *   export const action = {
+ *     name: "word_count", writes: false, risk_level: "low", reversible: true,
+ *     description: "Count the words in a text",
+ *     input_schema: { type: "object", properties: { text: { type: "string" } }, required: ["text"] },
+ *     async run(req) { return { words: req.payload.text.split(/\s+/).filter(Boolean).length }; },
+ *   };
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { action as sendEmail } from "./actions/send_email.js";
+import { action as webSearch } from "./actions/web_search.js";
+import { action as readFile } from "./actions/read_file.js";
+import { action as writeFile } from "./actions/write_file.js";
+import { action as runShell } from "./actions/run_shell.js";
+import { action as summarizeDocument } from "./actions/summarize_document.js";
+import { action as classifyIntent }   from "./actions/classify_intent.js";
+import { action as interpretResult }  from "./actions/interpret_result.js";
+import { action as cognitiveExecute } from "./actions/cognitive_execute.js";
+import { action as chatLlm }          from "./actions/chat_llm.js";
+import { action as planMessage }      from "./actions/plan_message.js";
+import { action as agentRun }         from "./actions/agent_run.js";
+
+export const ACTION_PLUGIN_DIR = process.env.ACTION_PLUGIN_DIR || "./plugins";
+
+export const ACTION_NAME_RE = /^[a-z][a-z0-9_]{0,63}$/;
+export const RISK_LEVELS = ["low", "medium", "high"];
+
+/** @type {Map<string, { action: object; source: "builtin"|"plugin"|"api"; file?: string }>} */
+const registry = new Map();
+
+for (const action of [
+  sendEmail, webSearch, readFile, writeFile, runShell, summarizeDocument,
+  classifyIntent, interpretResult, cognitiveExecute, chatLlm, planMessage, agentRun,
+]) {
+  registry.set(action.name, { action, source: "builtin" });
+}
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: "invalid_action" });
+}
+
+/** Throws invalid_action when action does not have the registry shape. */
+export function assertActionShape(action) {
+  if (!action || typeof action !== "object") {throw invalid("action must be an object");}
+  if (typeof action.name !== "string" || !ACTION_NAME_RE.test(action.name)) {
+    throw invalid("name must be lower_snake_case, at most 64 characters");
+  }
+  if (typeof action.run !== "function") {throw invalid(`${action.name}: run(req, ctx) must be a function`);}
+  if (typeof action.description !== "string" || !action.description.trim()) {
+    throw invalid(`${action.name}: description is required`);
+  }
+  if (typeof action.writes !== "boolean") {throw invalid(`${action.name}: writes must be true or false`);}
+  if (action.risk_level !== undefined && !RISK_LEVELS.includes(action.risk_level)) {
+    throw invalid(`${action.name}: risk_level must be one of ${RISK_LEVELS.join(", ")}`);
+  }
+  if (action.reversible !== undefined && typeof action.reversible !== "boolean") {
+    throw invalid(`${action.name}: reversible must be true or false`);
+  }
+  for (const key of ["input_schema", "output_schema"]) {
+    const s = action[key];
+    if (s === undefined) {continue;}
+    if (!s || typeof s !== "object" || Array.isArray(s) || s.type !== "object") {
+      throw invalid(`${action.name}: ${key} must be a JSON Schema with type "object"`);
+    }
+  }
+  if (action.tool !== undefined && typeof action.tool !== "boolean") {
+    throw invalid(`${action.name}: tool must be true or false`);
+  }
+  if (action.assess !== undefined && typeof action.assess !== "function") {
+    throw invalid(`${action.name}: assess(req, ctx) must be a function`);
+  }
+}
+
+/**
+ * Add (or, for the same non-builtin source, replace) an action.
+ * Throws invalid_action for a bad shape and action_exists when the name
+ * belongs to a builtin or to another source.
+ *
+ * @param {object} action
+ * @param {{ source: "plugin"|"api"; file?: string }} opts
+ * @returns {{ replaced: boolean }}
+ */
+export function registerAction(action, { source, file }) {
+  assertActionShape(action);
+  const existing = registry.get(action.name);
+  if (existing && (existing.source === "builtin" || existing.source !== source)) {
+    throw Object.assign(
+      new Error(`action ${action.name} is already registered (${existing.source})`),
+      { code: "action_exists" },
+    );
+  }
+  registry.set(action.name, { action, source, ...(file ? { file } : {}) });
+  return { replaced: Boolean(existing) };
+}
+
+/** Remove an action registered from source; false when there is none. */
+export function unregisterAction(name, source) {
+  if (registry.get(name)?.source !== source) {return false;}
+  return registry.delete(name);
+}
+
+export function getAction(name) {
+  return registry.get(name)?.action ?? null;
+}
+
+export function hasAction(name) {
+  return registry.has(name);
+}
+
+/** Actions agent_run and plan_message may use as tools — those declaring an input_schema, unless tool is false. */
+export function toolActions() {
+  return [...registry.values()].map((e) => e.action).filter((a) => a.input_schema && a.tool !== false);
+}
+
+/** Public description of one action (GET /kernel/actions). */
+function describe({ action, source }) {
+  return {
+    name:          action.name,
+    description:   action.description,
+    source,
+    writes:        action.writes,
+    risk_level:    action.risk_level ?? (action.writes ? "high" : "low"),
+    reversible:    action.reversible ?? !action.writes,
+    tool:          Boolean(action.input_schema) && action.tool !== false,
+    input_schema:  action.input_schema ?? null,
+    output_schema: action.output_schema ?? null,
+    ...(action.endpoint ? { endpoint: action.endpoint } : {}),
+  };
+}
+
+export function describeAction(name) {
+  const entry = registry.get(name);
+  return entry ? describe(entry) : null;
+}
+
+/** Every registered action, builtins first, then in registration order. */
+export function listActions() {
+  return [...registry.values()].map(describe);
+}
+
+/**
+ * Import every *.js / *.mjs file in dir and register the actions it exports.
+ * A file that fails to load or holds an invalid action is reported in failed
+ * and skipped — one broken plugin does not stop the kernel.
+ *
+ * @param {string} [dir]
+ * @returns {Promise<{ loaded: { name: string; file: string }[]; failed: { file: string; error: string }[] }>}
+ */
+export async function loadActionPlugins(dir = ACTION_PLUGIN_DIR) {
+  const loaded = [];
+  const failed = [];
+  if (!fs.existsSync(dir)) {return { loaded, failed };}
+
+  for (const file of fs.readdirSync(dir).filter((f) => /\.m?js$/.test(f)).toSorted()) {
+    const full = path.resolve(dir, file);
+    try {
+      const mod = await import(pathToFileURL(full).href);
+      const actions = Array.isArray(mod.actions) ? mod.actions : (mod.action ? [mod.action] : []);
+      if (!actions.length) {throw invalid("exports no action (export const action = {...} or actions = [...])");}
+      for (const action of actions) {
+        registerAction(action, { source: "plugin", file });
+        loaded.push({ name: action.name, file });
+      }
+    } catch (e) {
+      failed.push({ file, error: e?.message ?? String(e) });
+    }
+  }
+  return { loaded, failed };
+}
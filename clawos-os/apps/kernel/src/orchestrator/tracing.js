@@ -0,0 +1,218 @@
+/**
+ * Distributed tracing — W3C trace context in, OTLP/JSON spans out.
+ *
+ * Every /kernel/* request (except health checks) gets a server span, continuing
+ * the caller's trace when it sends a `traceparent` header (the bridge does, from
+ * handleInboundWhatsAppMessage onwards). Code running inside that request —
+ * dispatch(), each action.run, nested agent_run tool calls, callProvider() and
+ * every outbound provider fetch — opens child spans with withSpan() /
+ * tracedFetch(), which find their parent through AsyncLocalStorage, so nothing
+ * has to be threaded through call signatures.
+ *
+ *   TRACE_OTLP_ENDPOINT   e.g. http://127.0.0.1:4318/v1/traces (unset = no export)
+ *   TRACE_OTLP_HEADERS    k=v,k2=v2 — e.g. an auth header for the collector
+ *
+ * Trace ids are generated and propagated even without an exporter, so the
+ * orchestrator log (logger.js traceFields) and downstream services can still be
+ * correlated. A caller's traceparent with the sampled flag off is honoured:
+ * its spans are never exported.
+ */
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createOtlpExporter, parseOtlpHeaders, toAttributes } from "./otlp_exporter.js";
+
+const SCOPE = "clawos.kernel";
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const STATUS_CODE = { ok: 1, error: 2 };
+
+const storage = new AsyncLocalStorage();
+
+const exporter = process.env.TRACE_OTLP_ENDPOINT
+  ? createOtlpExporter({
+    endpoint: process.env.TRACE_OTLP_ENDPOINT,
+    headers:  parseOtlpHeaders(process.env.TRACE_OTLP_HEADERS),
+    signal:   "traces",
+  })
+  : null;
+
+// Wall-clock anchor for hrtime, so span timestamps are both absolute and precise
+const EPOCH_NS = BigInt(Date.now()) * 1_000_000n - process.hrtime.bigint();
+function nowNs() {
+  return EPOCH_NS + process.hrtime.bigint();
+}
+
+/** Parse a W3C traceparent header → { traceId, spanId, sampled } or null. */
+export function parseTraceparent(header) {
+  const m = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(header ?? "").trim());
+  if (!m || /^0+$/.test(m[1]) || /^0+$/.test(m[2])) {return null;}
+  return { traceId: m[1], spanId: m[2], sampled: (parseInt(m[3], 16) & 1) === 1 };
+}
+
+/**
+ * Open a span. The parent is opts.parent (a parsed traceparent or another span),
+ * else the active span; without either a new trace is started. Call end() once.
+ *
+ * @param {string} name
+ * @param {{ kind?: "internal"|"server"|"client"; attributes?: object;
+ *           parent?: { traceId: string; spanId: string; sampled: boolean } | null }} [opts]
+ */
+export function startSpan(name, { kind = "internal", attributes = {}, parent } = {}) {
+  const from = parent ?? storage.getStore() ?? null;
+  const attrs = { ...attributes };
+  const events = [];
+  let status = null;
+  let ended = false;
+  const startNs = nowNs();
+
+  return {
+    traceId:      from?.traceId ?? crypto.randomBytes(16).toString("hex"),
+    spanId:       crypto.randomBytes(8).toString("hex"),
+    parentSpanId: from?.spanId ?? null,
+    sampled:      from ? from.sampled : true,
+    name,
+
+    setAttributes(more) {
+      Object.assign(attrs, more);
+      return this;
+    },
+
+    /** "ok" | "error" — an error status also records the message. */
+    setStatus(code, message) {
+      status = { code: STATUS_CODE[code], ...(message ? { message: String(message) } : {}) };
+      return this;
+    },
+
+    recordException(e) {
+      events.push({
+        timeUnixNano: `${nowNs()}`,
+        name:         "exception",
+        attributes:   toAttributes({ "exception.type": e?.name ?? "Error", "exception.message": e?.message ?? String(e) }),
+      });
+      return this.setStatus("error", e?.message ?? String(e));
+    },
+
+    end() {
+      if (ended) {return;}
+      ended = true;
+      if (!exporter || !this.sampled) {return;}
+      exporter.emit(SCOPE, {
+        traceId:           this.traceId,
+        spanId:            this.spanId,
+        ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+        name,
+        kind:              SPAN_KIND[kind] ?? SPAN_KIND.internal,
+        startTimeUnixNano: `${startNs}`,
+        endTimeUnixNano:   `${nowNs()}`,
+        attributes:        toAttributes(attrs),
+        ...(events.length ? { events } : {}),
+        ...(status ? { status } : {}),
+      });
+    },
+  };
+}
+
+/**
+ * Run fn(span) inside a new child span of the active one. The span ends when
+ * fn settles; a throw is recorded on it and rethrown.
+ *
+ * @template T
+ * @param {string} name
+ * @param {Parameters<typeof startSpan>[1]} opts
+ * @param {(span: ReturnType<typeof startSpan>) => Promise<T> | T} fn
+ * @returns {Promise<T>}
+ */
+export async function withSpan(name, opts, fn) {
+  const span = startSpan(name, opts);
+  try {
+    return await storage.run(span, () => fn(span));
+  } catch (e) {
+    span.recordException(e);
+    throw e;
+  } finally {
+    span.end();
+  }
+}
+
+/** The span the current code runs in, or null. */
+export function activeSpan() {
+  return storage.getStore() ?? null;
+}
+
+/** { trace_id, span_id } of the active span, for log lines — {} outside a trace. */
+export function traceFields() {
+  const span = storage.getStore();
+  return span ? { trace_id: span.traceId, span_id: span.spanId } : {};
+}
+
+function traceparentOf(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.sampled ? "01" : "00"}`;
+}
+
+/**
+ * fetch() inside a client span, with the span's traceparent sent along.
+ * The span records method, host, path (never the query — it may hold user
+ * text) and response status; 4xx / 5xx and network errors mark it failed.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @param {{ name?: string; attributes?: object }} [opts]
+ */
+export function tracedFetch(url, init = {}, { name, attributes = {} } = {}) {
+  const u = new URL(url);
+  const method = (init.method ?? "GET").toUpperCase();
+  return withSpan(name ?? `${method} ${u.host}`, {
+    kind:       "client",
+    attributes: { "http.request.method": method, "server.address": u.hostname, "url.path": u.pathname, ...attributes },
+  }, async (span) => {
+    const res = await fetch(url, {
+      ...init,
+      headers: { ...init.headers, traceparent: traceparentOf(span) },
+    });
+    span.setAttributes({ "http.response.status_code": res.status });
+    if (res.status >= 400) {span.setStatus("error", `HTTP ${res.status}`);}
+    return res;
+  });
+}
+
+/**
+ * Server span for every /kernel/* request, made the active span for its hooks
+ * and handler. Install before the auth hook so rejected requests are traced
+ * too. Ends when the response closes — also for hijacked (streamed) replies.
+ *
+ * @param {import('fastify').FastifyInstance} app
+ */
+export function installTracingHook(app) {
+  app.addHook("onRequest", (req, reply, done) => {
+    const path = req.url.split("?")[0];
+    if (!path.startsWith("/kernel/") || path === "/kernel/health") {
+      done();
+      return;
+    }
+    const route = req.routeOptions?.url ?? path;
+    const span = startSpan(`${req.method} ${route}`, {
+      kind:       "server",
+      parent:     parseTraceparent(req.headers.traceparent),
+      attributes: { "http.request.method": req.method, "http.route": route, "url.path": path },
+    });
+    reply.raw.once("close", () => {
+      const statusCode = reply.raw.statusCode;
+      span.setAttributes({
+        "http.response.status_code": statusCode,
+        ...(req.apiClient ? { "clawos.client_id": req.apiClient.client_id } : {}),
+      });
+      if (statusCode >= 500) {span.setStatus("error", `HTTP ${statusCode}`);}
+      span.end();
+    });
+    storage.run(span, done);
+  });
+}
+
+/** Send queued spans. */
+export async function flushTraces() {
+  await exporter?.flush();
+}
+
+/** For /kernel/health — null unless the OTLP exporter is configured. */
+export function traceExportStats() {
+  return exporter ? exporter.stats() : null;
+}
@@ -2,7 +2,7 @@
  * Policy Engine — Risk-Adaptive Permissions
  *
  * Evaluates a requested scope and returns:
- *   { risk_level: "LOW"|"MEDIUM"|"HIGH", approval_required, blocked, blocked_tool? }
+ *   { risk_level: "LOW"|"MEDIUM"|"HIGH"|"CRITICAL", approval_required, blocked, blocked_tool?, analysis? }
  *
  * Rules:
  *   HIGH  — destructive ops, shell exec, external communication, file deletion
@@ -14,10 +14,20 @@
  *   mode=ask    → approval_required
  *   mode=block  → blocked entirely
  *
+ * Shell commands (sandbox/risk.js):
+ *   A run_shell scope that names its command (resource_constraints.command)
+ *   is rated by what that command does instead of as HIGH: high and critical
+ *   ones always need approval. The analysis is returned for the approval prompt.
+ *   modeForAssessment() applies the same rule to dispatch's per-action modes.
+ *   AUTO_APPROVE_READ_ONLY=true also lets read-only commands (ls, df,
+ *   git status …) run without approval under mode=ask; off by default, since
+ *   "read-only" is the analyser's best reading of a command line.
+ *
  * Attenuation rule (for subagent tokens):
  *   Child scope MUST be a subset of parent scope.
  *   attenuateScope() enforces this by filtering to the intersection.
  */
+import { assessCommand } from "../sandbox/risk.js";
 
 const HIGH_TOOLS = new Set([
   "run_shell", "send_email", "delete_file",
@@ -34,15 +44,42 @@ const MEDIUM_OPS = new Set([
   "write", "create", "modify", "update", "patch",
 ]);
 
+const LEVELS = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+const AUTO_APPROVE_READ_ONLY = process.env.AUTO_APPROVE_READ_ONLY === "true";
+
+/**
+ * Adjust a risk policy mode for one request's assessment (analyzeCommand in
+ * sandbox/risk.js): a high or critical request tightens auto to ask, and with
+ * AUTO_APPROVE_READ_ONLY=true a read-only one relaxes ask to auto. block
+ * stays block; without an assessment the mode is unchanged.
+ * @param {"auto"|"ask"|"block"|undefined} mode
+ * @param {{ risk_level: string; read_only: boolean }|null} assessment
+ */
+export function modeForAssessment(mode, assessment) {
+  if (!assessment || mode === "block") {return mode;}
+  if (mode === "ask" && assessment.read_only && AUTO_APPROVE_READ_ONLY) {return "auto";}
+  if (mode === "auto" && (assessment.risk_level === "high" || assessment.risk_level === "critical")) {return "ask";}
+  return mode;
+}
+
 /**
  * Evaluate the risk of a requested scope against the kernel's risk_policies table.
  * @param {object} scope   { allowed_tools[], operations[], resource_constraints{} }
  * @param {object} db      better-sqlite3 DB handle (optional — falls back to intrinsic rules)
- * @returns {{ risk_level, approval_required, blocked, blocked_tool? }}
+ * @param {{ workspace_id?: string }} [opts]  workspace a run_shell command would run in
+ *                          (without it a run_shell scope is rated HIGH as before)
+ * @returns {{ risk_level, approval_required, blocked, blocked_tool?, analysis? }}
  */
-export function evaluateScope(scope, db) {
-  const tools = scope.allowed_tools ?? [];
-  const ops   = scope.operations   ?? [];
+export function evaluateScope(scope, db, { workspace_id = null } = {}) {
+  const command = scope.resource_constraints?.command;
+  const analysis = workspace_id && (scope.allowed_tools ?? []).includes("run_shell") && typeof command === "string"
+    ? assessCommand(db, workspace_id, command)
+    : null;
+
+  // A rated command replaces run_shell's blanket HIGH (and its "execute" op)
+  const tools = (scope.allowed_tools ?? []).filter((t) => !analysis || t !== "run_shell");
+  const ops   = (scope.operations   ?? []).filter((o) => !analysis || o !== "execute");
 
   // ── Intrinsic risk classification ──────────────────────────────────────────
   let risk_level = "LOW";
@@ -59,26 +96,32 @@ export function evaluateScope(scope, db) {
     risk_level = "MEDIUM";
   }
 
-  // HIGH risk always requires approval (regardless of DB policy)
-  let approval_required = risk_level === "HIGH";
+  if (analysis) {
+    const rated = analysis.risk_level.toUpperCase();
+    if (LEVELS.indexOf(rated) > LEVELS.indexOf(risk_level)) {risk_level = rated;}
+  }
+
+  // HIGH and CRITICAL risk always require approval (regardless of DB policy)
+  let approval_required = risk_level === "HIGH" || risk_level === "CRITICAL";
 
   // ── DB risk_policies override ───────────────────────────────────────────────
   if (db) {
-    for (const tool of tools) {
+    for (const tool of scope.allowed_tools ?? []) {
       const row = db.prepare(
         `SELECT mode FROM risk_policies WHERE action_type = ? AND workspace_id = '*'`
       ).get(tool);
+      const mode = tool === "run_shell" ? modeForAssessment(row?.mode, analysis) : row?.mode;
 
-      if (row?.mode === "block") {
-        return { risk_level, approval_required: true, blocked: true, blocked_tool: tool };
+      if (mode === "block") {
+        return { risk_level, approval_required: true, blocked: true, blocked_tool: tool, ...(analysis ? { analysis } : {}) };
       }
-      if (row?.mode === "ask") {
+      if (mode === "ask") {
         approval_required = true;
       }
     }
   }
 
-  return { risk_level, approval_required, blocked: false };
+  return { risk_level, approval_required, blocked: false, ...(analysis ? { analysis } : {}) };
 }
 
 /**
@@ -0,0 +1,49 @@
+/**
+ * Risk policy routes — per-action approval modes. Registered by apps/kernel/src/app.js.
+ *
+ * GET /kernel/risk_policies                 — every policy row
+ * PUT /kernel/risk_policies/:action_type    — { mode: auto|ask|block, workspace_id? ("*" = all) }
+ *
+ * Defaults are seeded at startup (index.js); the orchestrator and the policy
+ * engine (engine.js) read them. Operator / ui roles only.
+ */
+import { z } from "zod";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const PutPolicyBody = z.object({
+  mode: z.enum(["auto", "ask", "block"]),
+  workspace_id: z.string().optional().default("*"),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerRiskPolicyRoutes(app, db) {
+
+  // ── GET /kernel/risk_policies ──────────────────────────────────────────────
+  app.get("/kernel/risk_policies", doc("List risk policies"), async () => {
+    const rows = db.prepare(`SELECT * FROM risk_policies ORDER BY action_type, workspace_id`).all();
+    return { ok: true, policies: rows };
+  });
+
+  // ── PUT /kernel/risk_policies/:action_type ─────────────────────────────────
+  app.put("/kernel/risk_policies/:action_type", doc("Set an action type's approval mode", { body: PutPolicyBody }), async (req, _reply) => {
+    const { action_type } = req.params;
+    const body = PutPolicyBody.parse(req.body ?? {});
+    const previous = db.prepare(`SELECT mode FROM risk_policies WHERE action_type=? AND workspace_id=?`)
+      .get(action_type, body.workspace_id);
+    db.prepare(`
+      INSERT INTO risk_policies (action_type, workspace_id, mode, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(action_type, workspace_id) DO UPDATE SET mode=excluded.mode, updated_at=excluded.updated_at
+    `).run(action_type, body.workspace_id, body.mode, new Date().toISOString());
+    logAudit(db, {
+      event: "risk_policy_updated", actor: auditActor(req), workspace_id: body.workspace_id,
+      subject_type: "risk_policy", subject_id: action_type,
+      data:  { mode: body.mode, previous_mode: previous?.mode ?? null },
+    });
+    return { ok: true, action_type, workspace_id: body.workspace_id, mode: body.mode };
+  });
+}
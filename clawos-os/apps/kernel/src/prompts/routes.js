@@ -0,0 +1,178 @@
+/**
+ * Prompt registry REST routes — registered by apps/kernel/src/app.js.
+ *
+ * GET    /kernel/prompts?workspace_id=                    — all prompts, active versions
+ * GET    /kernel/prompts/:name?workspace_id=              — version history for one scope
+ * GET    /kernel/prompts/:name/render?workspace_id=       — preview the rendered text
+ * PUT    /kernel/prompts/:name                            — new version { workspace_id?, body, note? }
+ * POST   /kernel/prompts/:name/rollback                   — activate { workspace_id?, version }
+ * DELETE /kernel/prompts/:name?workspace_id=              — drop a workspace override
+ *
+ * GET    /kernel/prompt_variables?workspace_id=           — stored + effective variables
+ * PUT    /kernel/prompt_variables/:key                    — set { workspace_id?, value }
+ * DELETE /kernel/prompt_variables/:key?workspace_id=      — remove one variable
+ *
+ * workspace_id defaults to '*' (the global scope every workspace inherits).
+ */
+import { z } from "zod";
+import {
+  isKnownPrompt,
+  listPrompts,
+  listPromptVersions,
+  getActivePrompt,
+  renderPrompt,
+  savePromptVersion,
+  rollbackPrompt,
+  clearPromptOverride,
+  templateVariables,
+  listPromptVariables,
+  resolvePromptVariables,
+  setPromptVariable,
+  deletePromptVariable,
+} from "./service.js";
+import { doc } from "../openapi/spec.js";
+import { toolActions } from "../orchestrator/registry.js";
+import { planPromptVars } from "../orchestrator/actions/plan_message.js";
+
+// Variables the action itself passes at render time, so previews match what the model sees.
+const RENDER_VARS = {
+  "plan_message.system": () => planPromptVars(toolActions()),
+};
+
+const PutPromptBody = z.object({
+  workspace_id: z.string().min(1).optional().default("*"),
+  body:         z.string().min(1).max(32_000),
+  note:         z.string().max(500).optional().default(""),
+});
+
+const RollbackPromptBody = z.object({
+  workspace_id: z.string().min(1).optional().default("*"),
+  version:      z.number().int().positive(),
+});
+
+const PutVariableBody = z.object({
+  workspace_id: z.string().min(1).optional().default("*"),
+  value:        z.string().max(2000),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerPromptRoutes(app, db) {
+
+  const workspaceExists = (workspace_id) =>
+    workspace_id === "*" ||
+    Boolean(db.prepare(`SELECT workspace_id FROM workspaces WHERE workspace_id=?`).get(workspace_id));
+
+  // ── GET /kernel/prompts ────────────────────────────────────────────────────
+  app.get("/kernel/prompts", doc("List prompts with their active versions"), async (req) => {
+    const { workspace_id } = req.query ?? {};
+    return { ok: true, prompts: listPrompts(db, { workspace_id }) };
+  });
+
+  // ── GET /kernel/prompts/:name ──────────────────────────────────────────────
+  app.get("/kernel/prompts/:name", doc("Version history of a prompt"), async (req, reply) => {
+    const { name } = req.params;
+    const workspace_id = req.query?.workspace_id || "*";
+    if (!isKnownPrompt(name)) { reply.code(404); return { ok: false, error: "prompt_not_found" }; }
+    return {
+      ok:       true,
+      name,
+      workspace_id,
+      active:   getActivePrompt(db, name, workspace_id),
+      versions: listPromptVersions(db, name, workspace_id),
+    };
+  });
+
+  // ── GET /kernel/prompts/:name/render ───────────────────────────────────────
+  app.get("/kernel/prompts/:name/render", doc("Preview a rendered prompt"), async (req, reply) => {
+    const { name } = req.params;
+    if (!isKnownPrompt(name)) { reply.code(404); return { ok: false, error: "prompt_not_found" }; }
+    const { text, ref } = renderPrompt(db, name, {
+      workspace_id: req.query?.workspace_id || null,
+      vars:         RENDER_VARS[name]?.() ?? {},
+    });
+    return { ok: true, prompt: ref, text };
+  });
+
+  // ── PUT /kernel/prompts/:name ──────────────────────────────────────────────
+  app.put("/kernel/prompts/:name", doc("Save a new prompt version", { body: PutPromptBody }), async (req, reply) => {
+    let body;
+    try { body = PutPromptBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const { name } = req.params;
+    if (!isKnownPrompt(name)) { reply.code(404); return { ok: false, error: "prompt_not_found" }; }
+    if (!workspaceExists(body.workspace_id)) { reply.code(404); return { ok: false, error: "workspace_not_found" }; }
+
+    const version = savePromptVersion(db, { name, ...body });
+    return { ok: true, version, variables: templateVariables(version.body) };
+  });
+
+  // ── POST /kernel/prompts/:name/rollback ────────────────────────────────────
+  app.post("/kernel/prompts/:name/rollback", doc("Activate an earlier prompt version", { body: RollbackPromptBody }), async (req, reply) => {
+    let body;
+    try { body = RollbackPromptBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const { name } = req.params;
+    if (!isKnownPrompt(name)) { reply.code(404); return { ok: false, error: "prompt_not_found" }; }
+
+    const version = rollbackPrompt(db, { name, ...body });
+    if (!version) { reply.code(404); return { ok: false, error: "version_not_found" }; }
+    return { ok: true, version };
+  });
+
+  // ── DELETE /kernel/prompts/:name ───────────────────────────────────────────
+  // Only workspace overrides can be dropped; the global scope is rolled back instead.
+  app.delete("/kernel/prompts/:name", doc("Drop a workspace prompt override"), async (req, reply) => {
+    const { name } = req.params;
+    const { workspace_id } = req.query ?? {};
+    if (!isKnownPrompt(name)) { reply.code(404); return { ok: false, error: "prompt_not_found" }; }
+    if (!workspace_id || workspace_id === "*") {
+      reply.code(400);
+      return { ok: false, error: "workspace_id_required" };
+    }
+    if (!clearPromptOverride(db, name, workspace_id)) {
+      reply.code(404);
+      return { ok: false, error: "override_not_found" };
+    }
+    return { ok: true };
+  });
+
+  // ── GET /kernel/prompt_variables ───────────────────────────────────────────
+  app.get("/kernel/prompt_variables", doc("Stored and effective prompt variables"), async (req) => {
+    const workspace_id = req.query?.workspace_id || "*";
+    return {
+      ok:        true,
+      workspace_id,
+      variables: listPromptVariables(db, workspace_id),
+      effective: resolvePromptVariables(db, workspace_id),
+    };
+  });
+
+  // ── PUT /kernel/prompt_variables/:key ──────────────────────────────────────
+  app.put("/kernel/prompt_variables/:key", doc("Set a prompt variable", { body: PutVariableBody }), async (req, reply) => {
+    let body;
+    try { body = PutVariableBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const { key } = req.params;
+    if (!/^[a-zA-Z0-9_]{1,64}$/.test(key)) { reply.code(400); return { ok: false, error: "invalid_key" }; }
+    if (!workspaceExists(body.workspace_id)) { reply.code(404); return { ok: false, error: "workspace_not_found" }; }
+
+    setPromptVariable(db, { workspace_id: body.workspace_id, key, value: body.value });
+    return { ok: true, workspace_id: body.workspace_id, key, value: body.value };
+  });
+
+  // ── DELETE /kernel/prompt_variables/:key ───────────────────────────────────
+  app.delete("/kernel/prompt_variables/:key", doc("Remove a prompt variable"), async (req, reply) => {
+    const workspace_id = req.query?.workspace_id || "*";
+    if (!deletePromptVariable(db, workspace_id, req.params.key)) {
+      reply.code(404);
+      return { ok: false, error: "variable_not_found" };
+    }
+    return { ok: true };
+  });
+}
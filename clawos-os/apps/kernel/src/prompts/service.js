@@ -0,0 +1,258 @@
+/**
+ * Prompt registry — named, versioned system prompts with workspace overrides.
+ *
+ * Every LLM-backed action renders its system prompt from here instead of a
+ * hard-coded constant. Templates live in prompt_templates, one row per
+ * (name, workspace_id, version); exactly one version per (name, workspace_id)
+ * is active. Saving an edit appends a new version and activates it, rollback
+ * re-activates an older one — nothing is ever overwritten.
+ *
+ * Resolution for a workspace: its own active version if it has one, else the
+ * global ('*') active version, else the built-in text from ./defaults.js.
+ *
+ * {{variable}} placeholders are filled from DEFAULT_VARIABLES, then global and
+ * workspace prompt_variables rows (persona, language, tone, …), then the
+ * variables the action passes in. Unknown variables render as "".
+ *
+ * Renders return a `ref` ({ name, version, workspace_id }) that actions stamp
+ * into their result as `prompt`, so every reply can be traced to the exact
+ * template version that produced it. version 0 means the built-in text was
+ * used without a database row.
+ */
+import { BUILTIN_PROMPTS, DEFAULT_VARIABLES } from "./defaults.js";
+
+function nowIso() { return new Date().toISOString(); }
+
+function rowToVersion(row) {
+  if (!row) {return null;}
+  return {
+    name:         row.name,
+    workspace_id: row.workspace_id,
+    version:      row.version,
+    body:         row.body,
+    note:         row.note,
+    source:       row.source,
+    active:       row.active === 1,
+    created_at:   row.created_at,
+  };
+}
+
+export function isKnownPrompt(name) {
+  return Object.hasOwn(BUILTIN_PROMPTS, name);
+}
+
+/** Placeholder names used in a template, in order of first appearance. */
+export function templateVariables(body) {
+  return [...new Set([...String(body).matchAll(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g)].map((m) => m[1]))];
+}
+
+export function interpolate(body, vars) {
+  return String(body).replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (_, key) => String(vars[key] ?? ""));
+}
+
+// ── Seeding ───────────────────────────────────────────────────────────────────
+
+/**
+ * Make sure every built-in prompt has a global version. When the built-in text
+ * changes in a kernel upgrade it is appended as a new version, and activated
+ * only if the operator hasn't put their own edit live.
+ *
+ * @param {import('better-sqlite3').Database} db
+ */
+export function seedBuiltinPrompts(db) {
+  const seed = db.transaction(() => {
+    for (const [name, { body }] of Object.entries(BUILTIN_PROMPTS)) {
+      const lastBuiltin = db.prepare(`
+        SELECT body FROM prompt_templates
+        WHERE name=? AND workspace_id='*' AND source='builtin'
+        ORDER BY version DESC LIMIT 1
+      `).get(name);
+      if (lastBuiltin?.body === body) {continue;}
+
+      const active = db.prepare(`
+        SELECT source FROM prompt_templates WHERE name=? AND workspace_id='*' AND active=1
+      `).get(name);
+      insertVersion(db, {
+        name,
+        workspace_id: "*",
+        body,
+        note:         lastBuiltin ? "built-in update" : "built-in",
+        source:       "builtin",
+        activate:     !active || active.source === "builtin",
+      });
+    }
+  });
+  seed();
+}
+
+function insertVersion(db, { name, workspace_id, body, note, source, activate }) {
+  const { next } = db.prepare(`
+    SELECT COALESCE(MAX(version), 0) + 1 AS next FROM prompt_templates WHERE name=? AND workspace_id=?
+  `).get(name, workspace_id);
+  if (activate) {
+    db.prepare(`UPDATE prompt_templates SET active=0 WHERE name=? AND workspace_id=?`).run(name, workspace_id);
+  }
+  db.prepare(`
+    INSERT INTO prompt_templates (name, workspace_id, version, body, note, source, active, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(name, workspace_id, next, body, note ?? "", source, activate ? 1 : 0, nowIso());
+  return next;
+}
+
+// ── Templates ─────────────────────────────────────────────────────────────────
+
+/**
+ * Active version for exactly this scope (no fallback), or null.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} name
+ * @param {string} [workspace_id='*']
+ */
+export function getActivePrompt(db, name, workspace_id = "*") {
+  return rowToVersion(db.prepare(`
+    SELECT * FROM prompt_templates WHERE name=? AND workspace_id=? AND active=1
+  `).get(name, workspace_id));
+}
+
+/** All versions for one scope, newest first. */
+export function listPromptVersions(db, name, workspace_id = "*") {
+  return db.prepare(`
+    SELECT * FROM prompt_templates WHERE name=? AND workspace_id=? ORDER BY version DESC
+  `).all(name, workspace_id).map(rowToVersion);
+}
+
+/**
+ * Every registered prompt with its global active version and, when
+ * workspace_id is given, that workspace's override.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ workspace_id?: string }} [filter]
+ */
+export function listPrompts(db, { workspace_id } = {}) {
+  return Object.entries(BUILTIN_PROMPTS).map(([name, { description }]) => {
+    const global   = getActivePrompt(db, name, "*");
+    const override = workspace_id && workspace_id !== "*" ? getActivePrompt(db, name, workspace_id) : null;
+    const summary  = (v) => v && { version: v.version, source: v.source, note: v.note, created_at: v.created_at };
+    return {
+      name,
+      description,
+      variables: templateVariables((override ?? global)?.body ?? BUILTIN_PROMPTS[name].body),
+      global:    summary(global),
+      override:  summary(override),
+    };
+  });
+}
+
+/**
+ * Append a new version for (name, workspace_id) and make it active.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ name: string; workspace_id: string; body: string; note?: string }} edit
+ */
+export function savePromptVersion(db, { name, workspace_id, body, note }) {
+  const version = db.transaction(() =>
+    insertVersion(db, { name, workspace_id, body, note, source: "operator", activate: true }))();
+  return getPromptVersion(db, name, workspace_id, version);
+}
+
+export function getPromptVersion(db, name, workspace_id, version) {
+  return rowToVersion(db.prepare(`
+    SELECT * FROM prompt_templates WHERE name=? AND workspace_id=? AND version=?
+  `).get(name, workspace_id, version));
+}
+
+/**
+ * Re-activate an existing version. Returns it, or null if it doesn't exist.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ name: string; workspace_id: string; version: number }} target
+ */
+export function rollbackPrompt(db, { name, workspace_id, version }) {
+  const target = getPromptVersion(db, name, workspace_id, version);
+  if (!target) {return null;}
+  db.transaction(() => {
+    db.prepare(`UPDATE prompt_templates SET active=0 WHERE name=? AND workspace_id=?`).run(name, workspace_id);
+    db.prepare(`UPDATE prompt_templates SET active=1 WHERE name=? AND workspace_id=? AND version=?`)
+      .run(name, workspace_id, version);
+  })();
+  return { ...target, active: true };
+}
+
+/**
+ * Stop using a workspace override (the workspace falls back to the global
+ * version). Its versions are kept and can be rolled back to.
+ *
+ * @returns {boolean} true when an override was active
+ */
+export function clearPromptOverride(db, name, workspace_id) {
+  const { changes } = db.prepare(`
+    UPDATE prompt_templates SET active=0 WHERE name=? AND workspace_id=? AND active=1
+  `).run(name, workspace_id);
+  return changes > 0;
+}
+
+// ── Variables ─────────────────────────────────────────────────────────────────
+
+/** Stored variables for one scope as { key: value }. */
+export function listPromptVariables(db, workspace_id = "*") {
+  const rows = db.prepare(`SELECT key, value FROM prompt_variables WHERE workspace_id=? ORDER BY key`)
+    .all(workspace_id);
+  return Object.fromEntries(rows.map((r) => [r.key, r.value]));
+}
+
+export function setPromptVariable(db, { workspace_id, key, value }) {
+  db.prepare(`
+    INSERT INTO prompt_variables (workspace_id, key, value, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(workspace_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `).run(workspace_id, key, value, nowIso());
+}
+
+/** @returns {boolean} true when a variable was removed */
+export function deletePromptVariable(db, workspace_id, key) {
+  const { changes } = db.prepare(`DELETE FROM prompt_variables WHERE workspace_id=? AND key=?`)
+    .run(workspace_id, key);
+  return changes > 0;
+}
+
+/** Effective variables for a workspace (defaults ← global ← workspace). */
+export function resolvePromptVariables(db, workspace_id) {
+  return {
+    ...DEFAULT_VARIABLES,
+    ...listPromptVariables(db, "*"),
+    ...(workspace_id && workspace_id !== "*" ? listPromptVariables(db, workspace_id) : {}),
+  };
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+/**
+ * Render a prompt for a workspace.
+ *
+ * @param {import('better-sqlite3').Database|null} db
+ * @param {string} name
+ * @param {{ workspace_id?: string|null; vars?: Record<string, string> }} [opts]
+ * @returns {{ text: string; ref: { name: string; version: number; workspace_id: string } }}
+ */
+export function renderPrompt(db, name, { workspace_id = null, vars = {} } = {}) {
+  const builtin = BUILTIN_PROMPTS[name];
+  if (!builtin) {throw Object.assign(new Error(`unknown prompt: ${name}`), { code: "unknown_prompt" });}
+
+  if (!db) {
+    return {
+      text: interpolate(builtin.body, { ...DEFAULT_VARIABLES, ...vars }),
+      ref:  { name, version: 0, workspace_id: "*" },
+    };
+  }
+
+  const template = (workspace_id && getActivePrompt(db, name, workspace_id)) || getActivePrompt(db, name, "*");
+  const values   = { ...resolvePromptVariables(db, workspace_id), ...vars };
+  return {
+    text: interpolate(template?.body ?? builtin.body, values),
+    ref:  {
+      name,
+      version:      template?.version ?? 0,
+      workspace_id: template?.workspace_id ?? "*",
+    },
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * Shell command parsing — which programs a run_shell command line would start.
+ *
+ * A small POSIX sh tokenizer (quotes, escapes, comments, operators,
+ * redirections, $( … ), ` … `, <( … ) and ( … ) subshells) followed by a pass
+ * that picks the word in command position of every simple command:
+ *
+ *   FOO=1 /usr/bin/curl -s x | sudo -u app sh -c 'rm -rf /'  →  curl, sudo, sh
+ *
+ * Assignments are skipped, and the command run by a wrapper (sudo, env,
+ * timeout, nohup, xargs …) is reported too. Commands hidden inside a string
+ * (sh -c '…', eval) or computed at runtime ($CMD) cannot be seen from here —
+ * `dynamic` flags the latter so an allow list can refuse them.
+ */
+
+// Programs that run another program given as an argument
+const WRAPPERS = new Set(["sudo", "doas", "env", "exec", "command", "nohup", "nice", "ionice", "time", "timeout", "stdbuf", "xargs", "chroot", "setsid"]);
+// Wrapper options that take a separate value (sudo -u root cmd)
+const WRAPPER_OPTION_ARGS = {
+  sudo:    ["-u", "-g", "-C", "-h", "-p", "-D", "-r", "-t", "-U"],
+  doas:    ["-u", "-C"],
+  env:     ["-u", "-C", "-S"],
+  nice:    ["-n"],
+  ionice:  ["-c", "-n", "-p"],
+  timeout: ["-s", "-k", "--signal", "--kill-after"],
+  stdbuf:  ["-i", "-o", "-e"],
+  xargs:   ["-a", "-d", "-E", "-I", "-L", "-n", "-P", "-s"],
+};
+// Positional arguments a wrapper takes before the command (timeout 10 cmd, chroot /dir cmd)
+const WRAPPER_POSITIONALS = { timeout: 1, chroot: 1 };
+
+const KEYWORDS_BEFORE_COMMAND = new Set(["if", "then", "else", "elif", "do", "while", "until", "!", "{"]);
+const KEYWORDS_END = new Set(["fi", "done", "esac", "}"]);
+// Followed by words that are not commands: "for x in a b;", "function f", "case $x in a)"
+const KEYWORDS_SKIP = new Set(["for", "select", "function", "case"]);
+
+const SEPARATORS = new Set([";", "&&", "||", "|", "|&", "&", "\n", ";;"]);
+const OPENERS = new Set(["(", "$(", "<(", ">(", "`("]);
+const CLOSERS = new Set([")", "`)"]);
+
+/**
+ * Split a command line into words and operators.
+ * Quotes are removed from words; operators are
+ *   ; && || | |& & ;; newline  ( $( <( >( `( ) `)  and redirections (op "redirect").
+ *
+ * @param {string} command
+ * @returns {{ type: "word"|"op"|"redirect"; value: string }[]}
+ */
+export function tokenize(command) {
+  const s = String(command);
+  const tokens = [];
+  const stack = []; // open contexts: '"', "(", "$(", "<(", ">(", "`("
+  let word = null;
+
+  const push = () => {
+    if (word !== null) { tokens.push({ type: "word", value: word }); word = null; }
+  };
+  const op = (value, type = "op") => { push(); tokens.push({ type, value }); };
+  const append = (text) => { word = (word ?? "") + text; };
+
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    const top = stack.at(-1);
+
+    if (top === '"') {
+      if (c === '"') { stack.pop(); i++; continue; }
+      if (c === "\\" && i + 1 < s.length) { append(s[i + 1]); i += 2; continue; }
+      if (s.startsWith("$(", i)) { op("$("); stack.push("$("); i += 2; continue; }
+      if (c === "`") { op("`("); stack.push("`("); i++; continue; }
+      append(c); i++; continue;
+    }
+
+    if (c === "'") {
+      const end = s.indexOf("'", i + 1);
+      append(s.slice(i + 1, end < 0 ? s.length : end));
+      i = end < 0 ? s.length : end + 1;
+      continue;
+    }
+    if (c === '"') { append(""); stack.push('"'); i++; continue; }
+    if (c === "\\") {
+      if (s[i + 1] !== "\n") {append(s[i + 1] ?? "");}
+      i += 2;
+      continue;
+    }
+    if (c === "#" && word === null) {
+      while (i < s.length && s[i] !== "\n") {i++;}
+      continue;
+    }
+    if (c === "\n") { op("\n"); i++; continue; }
+    if (/\s/.test(c)) { push(); i++; continue; }
+
+    if (c === "`") {
+      if (top === "`(") { stack.pop(); op("`)"); } else { op("`("); stack.push("`("); }
+      i++;
+      continue;
+    }
+    if (s.startsWith("$(", i) || s.startsWith("<(", i) || s.startsWith(">(", i)) {
+      const v = s.slice(i, i + 2);
+      op(v); stack.push(v); i += 2;
+      continue;
+    }
+    if (c === "(") { op("("); stack.push("("); i++; continue; }
+    if (c === ")") {
+      if (["(", "$(", "<(", ">("].includes(top)) {stack.pop();}
+      op(")"); i++;
+      continue;
+    }
+
+    // Redirections: [n]> [n]>> [n]< << <<< <> >| >& <& &> &>>
+    const redirect = s.slice(i).match(/^(&>>?|<<<|<<-?|<>|>>|>\||>&|<&|>|<)/);
+    if (redirect) {
+      if (word !== null && /^\d+$/.test(word)) {word = null;} // "2>" — the fd is part of the operator
+      op(redirect[1], "redirect");
+      i += redirect[1].length;
+      continue;
+    }
+
+    const sep = ["&&", "||", "|&", ";;", ";", "|", "&"].find((x) => s.startsWith(x, i));
+    if (sep) { op(sep); i += sep.length; continue; }
+
+    append(c);
+    i++;
+  }
+  push();
+  return tokens;
+}
+
+function basename(name) {
+  return name.includes("/") ? name.slice(name.lastIndexOf("/") + 1) : name;
+}
+
+/**
+ * Parse a command line into the simple commands it runs.
+ *
+ * @param {string} command
+ * @returns {{
+ *   commands:  { name: string; path: string; argv: string[]; via: string|null; separator: string|null }[];
+ *   redirects:   { op: string; target: string }[];
+ *   assignments: string[];
+ *   dynamic:     boolean;
+ * }}
+ *   name is the program's basename, path as written; via names the wrapper
+ *   that runs it (sudo …); separator is the operator before it (";", "|", "$(" …).
+ *   assignments are the variables set in command position (FOO=bar cmd, FOO=bar).
+ */
+export function parseCommand(command) {
+  const commands = [];
+  const redirects = [];
+  const assignments = [];
+  let dynamic = false;
+
+  let expect = true;     // next word is in command position
+  let current = null;    // command whose arguments are being read
+  let wrapper = null;    // { name, positionals } while reading a wrapper's options
+  let separator = null;
+  let skip = false;      // reading the non-command words after for / case / function
+  let caseDepth = 0;
+  let pendingRedirect = null;
+
+  const start = (word) => {
+    if (word.startsWith("$")) {dynamic = true;}
+    current = { name: basename(word), path: word, argv: [], via: wrapper?.name ?? null, separator };
+    commands.push(current);
+    wrapper = WRAPPERS.has(current.name) ? { name: current.name, positionals: WRAPPER_POSITIONALS[current.name] ?? 0 } : null;
+    expect = Boolean(wrapper);
+    separator = null;
+  };
+
+  const tokens = tokenize(command);
+  for (let t = 0; t < tokens.length; t++) {
+    const { type, value } = tokens[t];
+
+    if (type === "redirect") { pendingRedirect = value; continue; }
+    if (type === "op") {
+      if (SEPARATORS.has(value) || OPENERS.has(value)) {
+        expect = true; current = null; wrapper = null; separator = value;
+        skip = value === ";;" && caseDepth > 0; // a case pattern follows
+      } else if (CLOSERS.has(value)) {
+        expect = skip && caseDepth > 0; // "pattern)" — its command follows
+        skip = false;
+      }
+      continue;
+    }
+
+    if (pendingRedirect) {
+      redirects.push({ op: pendingRedirect, target: value });
+      pendingRedirect = null;
+      continue;
+    }
+    if (skip) {continue;}
+
+    if (!expect) {
+      current?.argv.push(value);
+      continue;
+    }
+
+    if (wrapper) {
+      const owner = commands.at(-1);
+      if (value.startsWith("-")) {
+        owner.argv.push(value);
+        if ((WRAPPER_OPTION_ARGS[wrapper.name] ?? []).includes(value) && tokens[t + 1]?.type === "word") {
+          owner.argv.push(tokens[++t].value);
+        }
+        continue;
+      }
+      if (wrapper.name === "env" && /^[A-Za-z_][A-Za-z0-9_]*=/.test(value)) { owner.argv.push(value); continue; }
+      if (wrapper.positionals > 0) { wrapper.positionals--; owner.argv.push(value); continue; }
+      owner.argv.push(value);
+      start(value);
+      continue;
+    }
+
+    if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(value)) { assignments.push(value.slice(0, value.indexOf("="))); continue; } // FOO=bar cmd
+    if (KEYWORDS_BEFORE_COMMAND.has(value)) {continue;}
+    if (KEYWORDS_END.has(value)) {
+      if (value === "esac") {caseDepth = Math.max(0, caseDepth - 1);}
+      expect = false; current = null;
+      continue;
+    }
+    if (KEYWORDS_SKIP.has(value)) {
+      if (value === "case") {caseDepth++;}
+      skip = true;
+      continue;
+    }
+    start(value);
+  }
+
+  return { commands, redirects, assignments, dynamic };
+}
+
+/** Distinct program names a command line starts, in order of appearance. */
+export function commandNames(command) {
+  return [...new Set(parseCommand(command).commands.map((c) => c.name))];
+}
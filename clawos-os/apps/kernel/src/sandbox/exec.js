@@ -0,0 +1,222 @@
+/**
+ * Sandboxed command execution for run_shell (mode "sandbox", see service.js).
+ *
+ * The command runs with /bin/sh in the workspace root, with only a minimal
+ * environment — the variables the caller passes, then PATH, HOME (the
+ * workspace root), LANG and TMPDIR, which the caller cannot override — under
+ * ulimit CPU and address-space limits and a wall-clock timeout that kills the
+ * whole process group.
+ *
+ * Isolation is the first tool that works on this host, probed once:
+ *
+ *   bwrap    bubblewrap — an empty root with read-only /usr, /bin, /lib* and
+ *            the /etc files a shell needs, the writable workspace root, a
+ *            private /tmp, new PID/IPC/UTS namespaces, and no network unless
+ *            the policy allows it
+ *   unshare  util-linux unshare -rm — a mount namespace in which the kernel's
+ *            directory, the DB's directory, home directories and /tmp are
+ *            covered by empty tmpfs mounts (hiddenDirs); no network unless the
+ *            policy allows it. The rest of / stays readable
+ *   none     limits only, and the whole filesystem is readable — a policy
+ *            with network: false is refused
+ *
+ * SANDBOX_ISOLATION=bwrap|unshare|none skips the probe.
+ *
+ * Host mode runs outside all of this, but still not with the kernel's own
+ * environment: hostEnv keeps only PATH, HOME, the locale and the like.
+ */
+import path from "node:path";
+import fs from "node:fs";
+import os from "node:os";
+import { spawn, spawnSync } from "node:child_process";
+
+export const ISOLATIONS = ["bwrap", "unshare", "none"];
+
+const SANDBOX_PATH = "/usr/local/bin:/usr/bin:/bin";
+
+let isolation = null;
+
+function works(cmd, args) {
+  const r = spawnSync(cmd, args, { stdio: "ignore", timeout: 5_000 });
+  return r.status === 0;
+}
+
+/** The isolation tool sandboxed commands use on this host. */
+export function sandboxIsolation() {
+  if (isolation) {return isolation;}
+  const forced = process.env.SANDBOX_ISOLATION;
+  if (ISOLATIONS.includes(forced)) {
+    isolation = forced;
+  } else if (works("bwrap", ["--ro-bind", "/", "/", "--unshare-all", "--die-with-parent", "true"])) {
+    isolation = "bwrap";
+  } else if (works("unshare", ["-rn", "true"])) {
+    isolation = "unshare";
+  } else {
+    isolation = "none";
+  }
+  return isolation;
+}
+
+// Mounted read-only into the bwrap root; the /lib* names are often symlinks into /usr
+const SYSTEM_DIRS = ["/usr", "/bin", "/sbin", "/lib", "/lib32", "/lib64", "/libx32"];
+const SYSTEM_ETC = [
+  "alternatives", "ld.so.cache", "ld.so.conf", "ld.so.conf.d", "ssl", "ca-certificates", "pki",
+  "resolv.conf", "hosts", "nsswitch.conf", "passwd", "group", "localtime",
+];
+
+function systemBinds() {
+  const args = [];
+  for (const dir of SYSTEM_DIRS) {
+    let stat;
+    try { stat = fs.lstatSync(dir); } catch { continue; }
+    args.push(...(stat.isSymbolicLink() ? ["--symlink", fs.readlinkSync(dir), dir] : ["--ro-bind", dir, dir]));
+  }
+  for (const name of SYSTEM_ETC) {args.push("--ro-bind-try", `/etc/${name}`, `/etc/${name}`);}
+  return args;
+}
+
+function bwrapArgs(root, network) {
+  return [
+    ...systemBinds(),
+    "--dev", "/dev",
+    "--proc", "/proc",
+    "--tmpfs", "/tmp",
+    "--bind", root, root,
+    "--chdir", root,
+    "--unshare-all",
+    ...(network ? ["--share-net"] : []),
+    "--die-with-parent",
+    "--new-session",
+  ];
+}
+
+/**
+ * Directories the unshare isolation covers with an empty tmpfs: the kernel's
+ * working directory, the DB's directory, the kernel user's home, /home and
+ * /root. Parents come first, so a directory inside one already hidden is
+ * skipped by the setup script.
+ */
+export function hiddenDirs() {
+  const dirs = [
+    process.cwd(),
+    path.dirname(path.resolve(process.env.DB_PATH || "./kernel.db")),
+    os.homedir(),
+    "/home",
+    "/root",
+  ];
+  return [...new Set(dirs)].filter((dir) => dir !== "/").toSorted((a, b) => a.length - b.length);
+}
+
+// Runs as root of a new user + mount namespace: $1 is the workspace root, $2
+// the limiting shell, $3 the command, the rest hiddenDirs. The root is held on /dev/shm while
+// the directories around it are covered, then bound back at its own path.
+const UNSHARE_SETUP = [
+  "set -e",
+  "root=$1; limited=$2; command=$3; shift 3",
+  "mount -t tmpfs tmpfs /dev/shm && mkdir /dev/shm/ws && mount --bind \"$root\" /dev/shm/ws",
+  "for dir in \"$@\" /tmp; do if [ -d \"$dir\" ]; then mount -t tmpfs tmpfs \"$dir\"; fi; done",
+  "mkdir -p \"$root\" && mount --bind /dev/shm/ws \"$root\" && umount /dev/shm/ws && rmdir /dev/shm/ws",
+  "cd \"$root\"",
+  "exec /bin/sh -c \"$limited\" sh \"$command\"",
+].join("\n");
+
+const HOST_ENV = ["PATH", "HOME", "USER", "LOGNAME", "SHELL", "LANG", "LC_ALL", "TERM", "TZ", "TMPDIR"];
+
+/**
+ * Environment for host-mode commands: the caller's variables over the few of
+ * the kernel's a shell expects — never its API keys, DB_PATH or the like.
+ *
+ * @param {Record<string, string>} [env]
+ */
+export function hostEnv(env = {}) {
+  const base = {};
+  for (const name of HOST_ENV) {
+    if (process.env[name] !== undefined) {base[name] = process.env[name];}
+  }
+  return { ...base, ...env };
+}
+
+/**
+ * Start command under policy in root, without waiting for it. The child leads
+ * its own process group (kill -pid reaches everything it started); the
+ * caller enforces the wall-clock limit. Used by runSandboxed and by the
+ * long-running shell sessions (shell_sessions/service.js).
+ * Throws sandbox_unavailable when the policy needs network isolation this
+ * host cannot provide.
+ *
+ * @param {string} command
+ * @param {{ root: string; env?: Record<string, string>; stdin?: boolean;
+ *           policy: { network: boolean; cpu_seconds: number; memory_mb: number } }} opts
+ * @returns {{ child: import('node:child_process').ChildProcess; isolation: string }}
+ */
+export function spawnSandboxed(command, { root, env = {}, policy, stdin = false }) {
+  const tool = sandboxIsolation();
+  if (!policy.network && tool === "none") {
+    throw Object.assign(
+      new Error("network isolation is not available on this host (install bubblewrap) — allow network in the sandbox policy to run without it"),
+      { code: "sandbox_unavailable" },
+    );
+  }
+  fs.mkdirSync(root, { recursive: true });
+
+  // The command is $1 of the limiting shell, so it needs no quoting
+  const limited = `ulimit -t ${policy.cpu_seconds} && ulimit -v ${policy.memory_mb * 1024} && exec /bin/sh -c "$1"`;
+  const sh = ["/bin/sh", "-c", limited, "sh", command];
+  const [file, ...args] =
+    tool === "bwrap"     ? ["bwrap", ...bwrapArgs(root, policy.network), "--", ...sh]
+    : tool === "unshare" ? ["unshare", policy.network ? "-rm" : "-rmn", "--propagation", "private",
+      "/bin/sh", "-c", UNSHARE_SETUP, "sh", root, limited, command, ...hiddenDirs()]
+    : sh;
+
+  const child = spawn(file, args, {
+    cwd:      root,
+    env:      { ...env, PATH: SANDBOX_PATH, HOME: root, LANG: "C.UTF-8", TMPDIR: tool === "none" ? root : "/tmp" },
+    stdio:    [stdin ? "pipe" : "ignore", "pipe", "pipe"],
+    detached: true, // own process group, so a kill reaches every child
+  });
+  return { child, isolation: tool };
+}
+
+/** Exit code like sh reports it: 128 + signal number when the command was killed (SIGXCPU at the CPU limit). */
+export function exitCode(code, signal) {
+  return code ?? 128 + (os.constants.signals[signal] ?? 0);
+}
+
+/**
+ * Run command under policy in root and collect its output.
+ * Throws sandbox_unavailable like spawnSandboxed.
+ *
+ * @param {string} command
+ * @param {{ root: string; env?: Record<string, string>; maxOutput: number;
+ *           policy: { network: boolean; cpu_seconds: number; memory_mb: number; timeout_ms: number } }} opts
+ * @returns {Promise<{ stdout: string; stderr: string; code: number; timed_out: boolean; isolation: string }>}
+ */
+export async function runSandboxed(command, { root, env = {}, policy, maxOutput }) {
+  const { child, isolation: tool } = spawnSandboxed(command, { root, env, policy });
+
+  const out = { stdout: "", stderr: "" };
+  const collect = (key) => (chunk) => {
+    if (out[key].length < maxOutput) {out[key] = (out[key] + chunk).slice(0, maxOutput);}
+  };
+  child.stdout.setEncoding("utf8").on("data", collect("stdout"));
+  child.stderr.setEncoding("utf8").on("data", collect("stderr"));
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    try { process.kill(-child.pid, "SIGKILL"); } catch { /* already gone */ }
+  }, policy.timeout_ms);
+
+  const { code, signal } = await new Promise((resolve) => {
+    child.on("error", (err) => { out.stderr += err.message; resolve({ code: 127, signal: null }); });
+    child.on("close", (c, s) => resolve({ code: c, signal: s }));
+  });
+  clearTimeout(timer);
+
+  return {
+    ...out,
+    code:      timedOut ? 124 : exitCode(code, signal),
+    timed_out: timedOut,
+    isolation: tool,
+  };
+}
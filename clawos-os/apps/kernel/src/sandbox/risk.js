@@ -0,0 +1,509 @@
+/**
+ * Shell command risk analysis — what a run_shell command line would do, rated
+ * before it runs.
+ *
+ * The command is parsed with sandbox/commands.js; every program it starts and
+ * every redirection is checked against the rules below, and sh -c / eval
+ * strings are analysed as commands of their own.
+ *
+ *   low       read-only programs (ls, df, cat, grep, git status …) on paths
+ *             inside the workspace — no finding
+ *   medium    other programs, writes inside the workspace, reads outside it
+ *             (and cd out of it), package installs, network clients, inline
+ *             code, commands computed at runtime, git -c / -C
+ *   high      sudo / su, rm, kill, recursive chmod / chown, git push --force,
+ *             git reset --hard, writes outside the workspace, reads of
+ *             credential files (~/.ssh, /etc/shadow …), date -s, hostname NAME
+ *   critical  downloads piped into a shell, rm -r of / or a top-level
+ *             directory, dd / mkfs / writes to a disk device, shutdown
+ *
+ * A read-only program stays low only without the flags that make it write or
+ * run something else: sort -o, uniq's output operand, find -fprint / -exec /
+ * -delete, rg --pre, git --output, tree -o, xxd's output operand. env,
+ * printenv, exec and xargs are not read-only (the environment can hold keys;
+ * a wrapper's arguments cannot all be seen), and neither is setting a
+ * variable — FOO=bar cmd, export, or run_shell's env; GIT_*, PAGER, LD_* and
+ * the like are high. find -exec commands are analysed like any other.
+ *
+ * score (0–100) is the weight of the worst finding plus 5 for each further
+ * one; risk_level follows from it. read_only is true when there are no
+ * findings at all. The policy engine (policy/engine.js) uses the result to
+ * ask before high and critical commands, with warning as the reason, and —
+ * with AUTO_APPROVE_READ_ONLY=true — to run read-only ones without approval.
+ */
+import os from "node:os";
+import path from "node:path";
+import { parseCommand } from "./commands.js";
+import { getSandboxPolicy, envViolation } from "./service.js";
+import { getWorkspaceRoot } from "../orchestrator/fs-safe.js";
+
+export const SHELL_RISK_LEVELS = ["low", "medium", "high", "critical"];
+
+const WEIGHT = { medium: 40, high: 65, critical: 90 };
+
+const READ_ONLY = new Set([
+  "ls", "dir", "pwd", "whoami", "id", "groups", "date", "cal", "uptime", "uname", "hostname",
+  "df", "du", "free", "ps", "pgrep", "cat", "tac", "head", "tail", "less", "more", "wc", "nl",
+  "grep", "egrep", "fgrep", "rg", "locate", "which", "whereis", "type", "file", "stat", "tree",
+  "echo", "printf", "true", "false", "test", "[", "sort", "uniq", "cut", "tr",
+  "column", "diff", "cmp", "comm", "md5sum", "sha1sum", "sha256sum", "basename", "dirname",
+  "realpath", "readlink", "jq", "seq", "sleep", "rev", "od", "hexdump", "xxd",
+  // shell builtins and wrappers (the wrapped command is rated on its own)
+  "cd", "export", "unset", "set", "read", "wait", "exit", "return", "shift", "local", ":",
+  "time", "timeout", "nice", "nohup", "command", "stdbuf",
+]);
+// Read-only programs whose operands are files they read
+const FILE_READERS = new Set([
+  "cat", "tac", "head", "tail", "less", "more", "wc", "nl", "grep", "egrep", "fgrep", "rg", "file",
+  "stat", "tree", "ls", "dir", "du", "sort", "uniq", "cut", "column", "diff", "cmp", "comm",
+  "md5sum", "sha1sum", "sha256sum", "realpath", "readlink", "jq", "rev", "od", "hexdump", "xxd",
+]);
+// ... and whose first operand is a pattern or filter, unless one is given as an option
+const PATTERN_FIRST = { grep: ["-e", "-f", "--regexp", "--file"], rg: ["-e", "-f", "--regexp", "--file"], jq: ["-f", "--from-file"] };
+PATTERN_FIRST.egrep = PATTERN_FIRST.fgrep = PATTERN_FIRST.grep;
+// Options that take the next word as their value (head -n 5), so it is not an operand
+const VALUE_OPTIONS = {
+  head:  { "-n": 1, "-c": 1 },
+  tail:  { "-n": 1, "-c": 1 },
+  grep:  { "-e": 1, "-f": 1, "-m": 1, "-A": 1, "-B": 1, "-C": 1 },
+  rg:    { "-e": 1, "-f": 1, "-g": 1, "-t": 1, "-T": 1, "-m": 1, "-A": 1, "-B": 1, "-C": 1, "-j": 1, "-M": 1,
+           "--pre": 1, "--pre-glob": 1, "--glob": 1, "--type": 1 },
+  sort:  { "-k": 1, "-t": 1, "-o": 1, "-T": 1, "-S": 1, "--output": 1 },
+  uniq:  { "-f": 1, "-s": 1, "-w": 1 },
+  cut:   { "-d": 1, "-f": 1, "-c": 1, "-b": 1 },
+  tree:  { "-o": 1, "-L": 1, "-P": 1, "-I": 1 },
+  xxd:   { "-c": 1, "-g": 1, "-l": 1, "-s": 1, "-o": 1, "-n": 1 },
+  jq:    { "-f": 1, "--from-file": 1, "--arg": 2, "--argjson": 2, "--slurpfile": 2, "--rawfile": 2 },
+  date:  { "-d": 1, "-s": 1, "-f": 1, "-r": 1, "--date": 1, "--set": 1 },
+  hostname: { "-F": 1, "--file": 1 },
+};
+VALUE_OPTIONS.egrep = VALUE_OPTIONS.fgrep = VALUE_OPTIONS.grep;
+// Files that hold credentials, wherever they are
+const SECRET_PATHS = /(^|\/)\.(ssh|gnupg|aws|kube|docker|netrc|pgpass)(\/|$)|^\/etc\/(g?shadow|sudoers)|^\/proc\/[^/]+\/environ$/;
+const READ_ONLY_GIT = new Set([
+  "status", "log", "diff", "show", "rev-parse", "ls-files", "blame", "describe", "shortlog",
+  "grep", "remote", "branch", "tag", "config",
+]);
+// git's global options that take a value, before the sub-command (git -C dir push)
+const GIT_VALUE_OPTIONS = new Set(["-C", "-c", "--git-dir", "--work-tree", "--namespace", "--config-env", "--exec-path", "--super-prefix"]);
+const GIT_PATH_OPTIONS = new Set(["-C", "--git-dir", "--work-tree"]);
+const SHELLS = new Set(["sh", "bash", "zsh", "dash", "ksh", "fish"]);
+const INTERPRETERS = new Set([...SHELLS, "python", "python3", "perl", "ruby", "node", "php"]);
+const INLINE_CODE_FLAGS = {
+  python: ["-c"], python3: ["-c"], node: ["-e", "--eval", "-p", "--print"], perl: ["-e", "-E"], ruby: ["-e"], php: ["-r"],
+};
+const NETWORK = new Set(["curl", "wget", "nc", "ncat", "netcat", "ssh", "scp", "sftp", "ftp", "telnet", "rsync"]);
+const DOWNLOAD_FLAGS = { curl: ["-o", "--output"], wget: ["-O", "--output-document"] };
+const PACKAGE_MANAGERS = new Set(["npm", "yarn", "pnpm", "pip", "pip3", "apt", "apt-get", "apk", "yum", "dnf", "brew", "cargo", "gem"]);
+const PACKAGE_VERBS = new Set(["install", "i", "add", "remove", "uninstall", "rm", "purge", "upgrade", "update"]);
+const PRIVILEGE = new Set(["sudo", "doas", "su", "pkexec"]);
+const DELETE = new Set(["rm", "shred", "unlink"]);
+const WRITE_TARGETS_ALL = new Set(["touch", "mkdir", "tee", "truncate"]); // every operand is written
+const WRITE_TARGET_LAST = new Set(["cp", "mv", "ln", "install"]);         // the last operand is written
+const DISK_TOOLS = new Set(["mkfs", "fdisk", "sfdisk", "parted", "wipefs"]);
+const POWER = new Set(["shutdown", "reboot", "halt", "poweroff", "init", "telinit"]);
+const KILL = new Set(["kill", "pkill", "killall"]);
+const WRITE_REDIRECTS = new Set([">", ">>", ">|", "&>", "&>>", "<>"]);
+const HARMLESS_TARGETS = /^\/dev\/(null|stdout|stderr|tty|fd\/\d+)$/;
+const DEVICE_TARGETS = /^\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|disk|mem|kmem|port)/;
+// A sed w / W command or flag (writes a file) or e (runs a command)
+const SED_WRITES_OR_RUNS = /(^|[\s;{}\d$!])[wW]\s*\S|\/[gpIiMm\d]*[wW]\s+\S|(^|[\s;{}\d$!])e(\s|;|}|$)|\/[gpIiMm\d]*e[gpIiMm\d]*\s*(;|}|$)/;
+// Variables that make programs load code or start other programs, besides
+// the loader ones envViolation knows (GIT_EXTERNAL_DIFF=x git diff, PAGER=x git log)
+const PROGRAM_VARS = /^(GIT_.*|PAGER|MANPAGER|LESSOPEN|LESSCLOSE|EDITOR|VISUAL|BROWSER|SHELL|PROMPT_COMMAND|SSH_ASKPASS|SUDO_ASKPASS|NODE_OPTIONS|NODE_PATH|PYTHONPATH|PYTHONSTARTUP|PERL5OPT|PERL5LIB|RUBYOPT|RUBYLIB)$/;
+const MAX_DEPTH = 3;
+
+/** Quote a parsed word back into shell source, so re-parsing sees it as one word. */
+function shellQuote(word) {
+  return `'${word.replaceAll("'", `'\\''`)}'`;
+}
+
+/**
+ * What setting a variable does to the commands after it: high for variables
+ * that choose the code they load or run, medium for any other — no
+ * assignment is read-only, since the analysis cannot follow its effect.
+ */
+function variableFinding(name, how) {
+  if (envViolation({ [name]: "" }) || PROGRAM_VARS.test(name)) {
+    return { level: "high", message: `${how} ${name}, which changes the programs commands load or run` };
+  }
+  return { level: "medium", message: `${how} ${name}, which can change what the commands after it do` };
+}
+
+function options(argv) {
+  const end = argv.indexOf("--");
+  return (end < 0 ? argv : argv.slice(0, end)).filter((a) => a.startsWith("-"));
+}
+
+/** The words that are not options; valued maps options to the number of values they take. */
+function operands(argv, valued = {}) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--") { out.push(...argv.slice(i + 1)); break; }
+    if (valued[argv[i]]) { i += valued[argv[i]]; continue; }
+    if (!argv[i].startsWith("-")) {out.push(argv[i]);}
+  }
+  return out;
+}
+
+/** -x, a bundle containing x (-rf), or the long form. */
+function hasFlag(argv, letter, long) {
+  return options(argv).some((o) => o === long || (/^-[A-Za-z]+$/.test(o) && o.includes(letter)));
+}
+
+/** The value of -x or --long: "-x v", "-xv", "-abx v", "--long=v" or "--long v"; null when absent. */
+function optionValue(argv, letter, long) {
+  for (let i = 0; i < argv.length && argv[i] !== "--"; i++) {
+    const a = argv[i];
+    if (long && a === long) {return argv[i + 1] ?? "";}
+    if (long && a.startsWith(`${long}=`)) {return a.slice(long.length + 1);}
+    const at = letter && /^-[A-Za-z]/.test(a) && !a.startsWith("--") ? a.indexOf(letter, 1) : -1;
+    if (at > 0) {return a.slice(at + 1) || (argv[i + 1] ?? "");}
+  }
+  return null;
+}
+
+/**
+ * Where a path written on the command line points.
+ * @returns {{ path: string; inside: boolean; dynamic: boolean }}
+ */
+function locate(p, { root, cwd, home }) {
+  if (p.includes("$") || p.includes("`")) {return { path: p, inside: false, dynamic: true };}
+  const expanded = p === "~" || p.startsWith("~/") ? path.join(home, p.slice(1)) : p;
+  const full = path.resolve(cwd, expanded);
+  return { path: full, inside: full === root || full.startsWith(root + path.sep), dynamic: false };
+}
+
+/** "/", a top-level directory (/etc, /usr, /*) or the home directory. */
+function isSystemPath(full, home) {
+  return full === "/" || full.split("/").filter(Boolean).length === 1 || full === home;
+}
+
+function analyze(command, where, depth, out) {
+  const { commands, redirects, assignments, dynamic } = parseCommand(command);
+  const add = (level, message) => out.findings.push({ level, message });
+  let ctx = where;
+
+  if (dynamic) {add("medium", "runs a command computed at runtime ($VAR), which cannot be checked");}
+
+  const written = (target, by, at = ctx) => {
+    if (HARMLESS_TARGETS.test(target) || /^\d+$/.test(target) || target === "-") {return;}
+    if (DEVICE_TARGETS.test(target)) { add("critical", `${by} writes directly to the device ${target}`); return; }
+    const loc = locate(target, at);
+    if (loc.dynamic) {add("medium", `${by} writes to ${target}, a path computed at runtime`);}
+    else if (!loc.inside) {add("high", `${by} writes outside the workspace: ${loc.path}`);}
+    else {add("medium", `${by} writes ${path.relative(at.root, loc.path) || "."} in the workspace`);}
+  };
+  const read = (target, by, at = ctx) => {
+    if (HARMLESS_TARGETS.test(target) || target === "-") {return;}
+    const loc = locate(target, at);
+    if (loc.dynamic) {add("medium", `${by} reads ${target}, a path computed at runtime`);}
+    else if (SECRET_PATHS.test(loc.path)) {add("high", `${by} reads ${loc.path}, which can hold credentials`);}
+    else if (!loc.inside) {add("medium", `${by} reads outside the workspace: ${loc.path}`);}
+  };
+  const assigned = (argv) => argv.filter((a) => /^[A-Za-z_][A-Za-z0-9_]*=/.test(a)).map((a) => a.split("=")[0]);
+
+  for (const r of redirects) {
+    if (WRITE_REDIRECTS.has(r.op)) {written(r.target, "a redirection");}
+    else if (r.op === "<") {read(r.target, "a redirection");}
+  }
+  for (const name of assignments) {out.findings.push(variableFinding(name, "sets"));}
+
+  const fetches = commands.some((c) => NETWORK.has(c.name));
+  const unknown = [];
+  let piped = false;
+
+  for (const [i, c] of commands.entries()) {
+    const { name, argv } = c;
+    out.programs.add(name);
+    // A wrapped command (curl … | sudo sh) is fed by the wrapper's pipe
+    piped = c.via ? piped : c.separator === "|" || c.separator === "|&";
+
+    if (PRIVILEGE.has(name)) { add("high", `runs as root (${name})`); continue; }
+
+    if (piped && INTERPRETERS.has(name) && fetches) {
+      add("critical", `pipes downloaded content into ${name}, running remote code unseen`);
+    }
+
+    if (name === "cd") {
+      const target = operands(argv)[0] ?? "~";
+      const loc = locate(target, ctx);
+      if (loc.dynamic) {add("medium", `cd ${target}, a path computed at runtime`);}
+      else {
+        if (!loc.inside) {add("medium", `cd leaves the workspace for ${loc.path}`);}
+        ctx = { ...ctx, cwd: loc.path };
+      }
+      continue;
+    }
+
+    if (name === "env" || name === "printenv") {
+      const wraps = commands[i + 1]?.via === name;
+      add("medium", wraps ? `${name} changes the environment of the command it runs` : `${name} prints the environment, which can hold API keys`);
+      for (const set of assigned(argv)) {out.findings.push(variableFinding(set, `${name} sets`));}
+      continue;
+    }
+    if (name === "export" || name === "local") {
+      for (const set of assigned(argv)) {out.findings.push(variableFinding(set, `${name} sets`));}
+      continue;
+    }
+
+    if (SHELLS.has(name) || name === "eval") {
+      const flag = argv.findIndex((a) => /^-[A-Za-z]*c[A-Za-z]*$/.test(a));
+      const script = name === "eval" ? argv.join(" ") : flag >= 0 ? argv[flag + 1] : null;
+      if (script && depth < MAX_DEPTH) {analyze(script, ctx, depth + 1, out);}
+      else if (script) {add("medium", `runs ${name} with a script nested too deeply to check`);}
+      else if (!piped) {add("medium", `runs ${name}${operands(argv).length ? ` ${operands(argv)[0]}` : ""}, which cannot be checked`);}
+      continue;
+    }
+
+    const inline = INLINE_CODE_FLAGS[name];
+    if (inline && argv.some((a) => inline.includes(a))) {
+      add("medium", `runs inline ${name} code, which cannot be checked`);
+      continue;
+    }
+
+    if (DELETE.has(name)) {
+      const recursive = name === "rm" && (hasFlag(argv, "r", "--recursive") || hasFlag(argv, "R", "--recursive"));
+      const force = hasFlag(argv, "f", "--force");
+      const how = `${name}${recursive ? " -r" : ""}${force ? (recursive ? "f" : " -f") : ""}`;
+      const targets = operands(argv);
+      if (!targets.length && c.via === "xargs") {add("high", `${how} deletes every file xargs passes it`);}
+      for (const target of targets) {
+        const loc = locate(target, ctx);
+        if (loc.dynamic) {add("high", `${how} deletes ${target}, a path computed at runtime`);}
+        else if (loc.path === ctx.root) {add("high", `${how} deletes the whole workspace`);}
+        else if (isSystemPath(loc.path, ctx.home)) {add(recursive ? "critical" : "high", `${how} deletes ${loc.path}`);}
+        else if (!loc.inside) {add("high", `${how} deletes outside the workspace: ${loc.path}`);}
+        else {add("high", `${how} permanently deletes ${path.relative(ctx.root, loc.path)}${recursive ? " and everything under it" : ""}`);}
+      }
+      continue;
+    }
+
+    if (name === "dd") {
+      const of = argv.find((a) => a.startsWith("of="));
+      if (of) {written(of.slice(3), "dd");}
+      else {add("medium", "dd copies raw data");}
+      continue;
+    }
+    if (DISK_TOOLS.has(name) || name.startsWith("mkfs.")) { add("critical", `${name} rewrites a disk or partition`); continue; }
+    if (POWER.has(name)) { add("critical", `${name} stops or restarts the machine`); continue; }
+    if (KILL.has(name)) { add("high", `${name} stops running processes`); continue; }
+
+    if (name === "chmod" || name === "chown" || name === "chgrp") {
+      const recursive = hasFlag(argv, "R", "--recursive");
+      const outside = operands(argv).slice(1).map((t) => locate(t, ctx)).find((t) => !t.inside);
+      if (outside) {add("high", `${name} changes permissions outside the workspace: ${outside.path}`);}
+      else if (recursive) {add("high", `${name} -R changes permissions recursively`);}
+      else {add("medium", `${name} changes file permissions`);}
+      continue;
+    }
+
+    if (name === "git") {
+      // Global options come before the sub-command: git -C /tmp push --force
+      let at = ctx;
+      let g = 0;
+      for (; g < argv.length && argv[g].startsWith("-") && argv[g] !== "--"; g++) {
+        const eq = argv[g].startsWith("--") ? argv[g].indexOf("=") : -1;
+        const opt = eq > 0 ? argv[g].slice(0, eq) : argv[g];
+        if (!GIT_VALUE_OPTIONS.has(opt) || (opt === "--exec-path" && eq < 0)) {continue;} // --exec-path alone prints it
+        const value = eq > 0 ? argv[g].slice(eq + 1) : argv[++g];
+        if (value === undefined) {break;}
+        if (opt === "-c" || opt === "--config-env" || opt === "--exec-path") {
+          add("medium", `git ${opt} ${value} changes git's configuration, which can make it run other programs`);
+        } else if (GIT_PATH_OPTIONS.has(opt)) {
+          const loc = locate(value, at);
+          if (loc.dynamic) {add("medium", `git ${opt} ${value}, a path computed at runtime`);}
+          else if (!loc.inside) {add("medium", `git ${opt} works on ${loc.path}, outside the workspace`);}
+          if (opt === "-C" && !loc.dynamic) {at = { ...at, cwd: loc.path };}
+        }
+      }
+      const args = argv.slice(g);
+      const [sub, ...rest] = operands(args);
+      const output = optionValue(args, null, "--output");
+      if (output !== null) {written(output, `git ${sub} --output`, at);}
+      if (sub === "grep" && options(args).some((o) => /^(-O|--open-files-in-pager)/.test(o))) {
+        add("medium", "git grep -O opens the matching files with another program");
+      }
+      if (sub === "push" && options(args).some((o) => o === "-f" || o.startsWith("--force"))) {
+        add("high", "git push --force rewrites remote history");
+      } else if (sub === "reset" && args.includes("--hard")) {
+        add("high", "git reset --hard discards uncommitted changes");
+      } else if (sub === "clean" && hasFlag(args, "f", "--force")) {
+        add("high", "git clean -f deletes untracked files");
+      } else if (sub === "branch" && hasFlag(args, "D", "--delete")) {
+        add("medium", "git branch -D deletes a branch");
+      } else if (sub && !READ_ONLY_GIT.has(sub)) {
+        add("medium", `git ${sub} changes the repository or talks to a remote`);
+      } else if (["branch", "tag", "remote", "config"].includes(sub) && rest.length && !args.includes("--get")) {
+        add("medium", `git ${sub} with arguments changes the repository`);
+      }
+      continue;
+    }
+
+    if (name === "find") {
+      // Starting points come before the first expression (-name, (, !)
+      const start = argv.findIndex((a) => /^[-(!]/.test(a) && !["-H", "-L", "-P"].includes(a));
+      for (const from of (start < 0 ? argv : argv.slice(0, start)).filter((a) => !["-H", "-L", "-P"].includes(a))) {
+        read(from, "find");
+      }
+      if (argv.includes("-delete")) {add("high", "find -delete deletes every file it matches");}
+      for (const [k, a] of argv.entries()) {
+        if (["-fprint", "-fprint0", "-fprintf", "-fls"].includes(a) && argv[k + 1]) {written(argv[k + 1], `find ${a}`);}
+        if (!["-exec", "-execdir", "-ok", "-okdir"].includes(a)) {continue;}
+        const end = argv.findIndex((w, e) => e > k && (w === ";" || w === "+"));
+        const run = argv.slice(k + 1, end < 0 ? undefined : end).filter((w) => w !== "{}");
+        if (DELETE.has(run[0])) {add("high", `find ${a} ${run[0]} deletes every file it matches`);}
+        // Re-quoted word by word, so sh -c 'rm -rf /' keeps its script as one word
+        else if (run.length && depth < MAX_DEPTH) {analyze(run.map(shellQuote).join(" "), ctx, depth + 1, out);}
+        else if (run.length) {add("medium", `find ${a} runs ${run[0]} nested too deeply to check`);}
+      }
+      continue;
+    }
+
+    if (name === "sed") {
+      if (options(argv).some((o) => o.startsWith("-i") || o.startsWith("--in-place"))) {
+        for (const target of operands(argv, { "-e": 1, "-f": 1 }).slice(argv.some((a) => a === "-e" || a === "-f") ? 0 : 1)) {written(target, "sed -i");}
+      } else if (argv.some((a) => a === "-f" || a.startsWith("--file"))) {
+        add("medium", "sed -f runs a script file, which cannot be checked");
+      } else {
+        const scripts = argv.filter((a, k) => argv[k - 1] === "-e" || a.startsWith("--expression="));
+        const script = scripts.length ? scripts.join("\n") : operands(argv)[0] ?? "";
+        if (SED_WRITES_OR_RUNS.test(script)) {add("medium", "the sed script writes files or runs commands (w / e)");}
+      }
+      continue;
+    }
+
+    if (WRITE_TARGETS_ALL.has(name)) {
+      for (const target of operands(argv)) {written(target, name);}
+      continue;
+    }
+    if (WRITE_TARGET_LAST.has(name)) {
+      const targets = operands(argv);
+      if (targets.length) {written(targets.at(-1), name);}
+      if (name === "mv") {
+        const moved = targets.slice(0, -1).map((t) => locate(t, ctx)).find((t) => !t.inside);
+        if (moved) {add("high", `mv removes ${moved.path} from outside the workspace`);}
+      }
+      continue;
+    }
+
+    if (NETWORK.has(name)) {
+      add("medium", `${name} connects to the network`);
+      const saved = argv.findIndex((a) => (DOWNLOAD_FLAGS[name] ?? []).includes(a));
+      if (saved >= 0 && argv[saved + 1]) {written(argv[saved + 1], name);}
+      continue;
+    }
+
+    if (PACKAGE_MANAGERS.has(name)) {
+      const verb = operands(argv)[0];
+      add("medium", PACKAGE_VERBS.has(verb) ? `${name} ${verb} changes installed packages` : `runs ${name}${verb ? ` ${verb}` : ""}`);
+      continue;
+    }
+
+    if (!READ_ONLY.has(name)) {
+      if (!name.startsWith("$")) {unknown.push(name);}
+      continue;
+    }
+
+    // Read-only programs, unless a flag makes them write or run something else
+    const ops = operands(argv, VALUE_OPTIONS[name]);
+    if (name === "date" && (argv.some((a) => /^(-s|--set(=|$))/.test(a)) || ops.some((a) => !a.startsWith("+")))) {
+      add("high", "date sets the system clock");
+    } else if (name === "hostname" && (ops.length || optionValue(argv, "F", "--file") !== null)) {
+      add("high", "hostname renames the machine");
+    } else if (name === "sort") {
+      const output = optionValue(argv, "o", "--output");
+      if (output !== null) {written(output, "sort -o");}
+      const compress = optionValue(argv, null, "--compress-program");
+      if (compress !== null) {add("medium", `sort --compress-program runs ${compress}`);}
+    } else if (name === "uniq" && ops[1]) {
+      written(ops[1], "uniq");
+    } else if (name === "xxd" && ops[1]) {
+      written(ops[1], "xxd");
+    } else if (name === "tree" && optionValue(argv, "o", null) !== null) {
+      written(optionValue(argv, "o", null), "tree -o");
+    } else if (name === "rg") {
+      for (const long of ["--pre", "--hostname-bin"]) {
+        const run = optionValue(argv, null, long);
+        if (run === null) {continue;}
+        add("medium", `rg ${long} runs ${run || "a program"}`);
+        if (run && depth < MAX_DEPTH) {analyze(shellQuote(run), ctx, depth + 1, out);}
+      }
+    }
+
+    if (FILE_READERS.has(name)) {
+      const skipPattern = PATTERN_FIRST[name] && !argv.some((a) => PATTERN_FIRST[name].some((o) => a === o || a.startsWith(`${o}=`)));
+      const files = name === "uniq" || name === "xxd" ? ops.slice(0, 1) : ops.slice(skipPattern ? 1 : 0);
+      for (const file of files) {read(file, name);}
+    }
+  }
+
+  const distinct = [...new Set(unknown)];
+  if (distinct.length) {add("medium", `runs ${distinct.join(", ")}, not known to be read-only`);}
+}
+
+function levelOf(score) {
+  if (score >= WEIGHT.critical) {return "critical";}
+  if (score >= WEIGHT.high) {return "high";}
+  if (score >= WEIGHT.medium) {return "medium";}
+  return "low";
+}
+
+/**
+ * Rate a command line.
+ *
+ * @param {string} command
+ * @param {{ root: string; cwd?: string; home?: string; env?: Record<string, string> }} where
+ *   the workspace root, the directory the command runs in and the home directory ~
+ *   expands to (both default to root); env is what the caller adds to the command's
+ *   environment, rated like FOO=bar in front of it
+ * @returns {{
+ *   score:      number;
+ *   risk_level: "low"|"medium"|"high"|"critical";
+ *   read_only:  boolean;
+ *   summary:    string;
+ *   warning?:   string;
+ *   findings:   { level: "medium"|"high"|"critical"; message: string }[];
+ *   programs:   string[];
+ * }}
+ *   findings are worst first; warning (high and critical only) lists the findings
+ *   at that level, for the approval prompt
+ */
+export function analyzeCommand(command, { root, cwd = root, home = root, env = {} }) {
+  const out = { findings: Object.keys(env).map((name) => variableFinding(name, "env sets")), programs: new Set() };
+  analyze(command, { root: path.resolve(root), cwd: path.resolve(cwd), home: path.resolve(home) }, 0, out);
+
+  const seen = new Set();
+  const findings = out.findings
+    .filter((f) => !seen.has(f.message) && seen.add(f.message))
+    .toSorted((a, b) => WEIGHT[b.level] - WEIGHT[a.level]);
+  const score = findings.length ? Math.min(100, WEIGHT[findings[0].level] + 5 * (findings.length - 1)) : 0;
+  const risk_level = levelOf(score);
+  const programs = [...out.programs];
+
+  const summary = findings.length
+    ? `${risk_level} risk: ${findings.map((f) => f.message).join("; ")}`
+    : `read-only${programs.length ? ` (${programs.join(", ")})` : ""}`;
+  const serious = findings.filter((f) => f.level === risk_level).map((f) => f.message);
+  const warning = risk_level === "high" || risk_level === "critical"
+    ? `${risk_level === "critical" ? "Critical" : "High"} risk — ${serious.join("; ")}`
+    : null;
+
+  return { score, risk_level, read_only: findings.length === 0, summary, ...(warning ? { warning } : {}), findings, programs };
+}
+
+/**
+ * Rate a command as run_shell would run it in workspace_id: in the workspace
+ * root with HOME there under a sandbox policy, in the kernel's directory with
+ * the kernel's HOME in host mode, with env (run_shell's payload.env) added.
+ */
+export function assessCommand(db, workspace_id, command, env = {}) {
+  const root = getWorkspaceRoot(workspace_id);
+  const sandboxed = getSandboxPolicy(db, workspace_id).mode === "sandbox";
+  return analyzeCommand(command, {
+    root,
+    cwd:  sandboxed ? root : process.cwd(),
+    home: sandboxed ? root : os.homedir(),
+    env,
+  });
+}
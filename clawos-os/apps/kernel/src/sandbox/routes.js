@@ -0,0 +1,112 @@
+/**
+ * Sandbox policy routes — how run_shell runs per workspace. Registered by apps/kernel/src/app.js.
+ *
+ * GET    /kernel/sandbox_policies                 — stored policies, the built-in default and
+ *                                                    the isolation tool this host provides
+ * GET    /kernel/sandbox_policies/:workspace_id   — effective policy for a workspace
+ * PUT    /kernel/sandbox_policies/:workspace_id   — set { mode, network, cpu_seconds, memory_mb,
+ *                                                    timeout_ms, allow_bins, deny_bins } ("*" = default);
+ *                                                    mode defaults to sandbox when the host has an
+ *                                                    isolation tool; in host mode only timeout_ms and
+ *                                                    the bin lists apply — the response warns
+ * DELETE /kernel/sandbox_policies/:workspace_id   — fall back to the "*" policy / built-in default
+ *
+ * Changing a policy can loosen the sandbox, so writes are operator-only
+ * (no ROUTE_ROLES rule in auth/service.js).
+ */
+import { z } from "zod";
+import {
+  SANDBOX_MODES, DEFAULT_SANDBOX_POLICY,
+  getSandboxPolicy, listSandboxPolicies, setSandboxPolicy, deleteSandboxPolicy,
+} from "./service.js";
+import { sandboxIsolation } from "./exec.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const BinList = z.array(z.string().min(1).max(255)).max(500);
+
+const PutSandboxPolicyBody = z.object({
+  mode:        z.enum(SANDBOX_MODES).optional().describe("Default sandbox when bwrap or unshare is available, else host (RUN_SHELL_MODE overrides); host ignores network, cpu_seconds and memory_mb"),
+  network:     z.boolean().optional(),
+  cpu_seconds: z.number().int().positive().max(3600).optional(),
+  memory_mb:   z.number().int().min(16).max(65_536).optional(),
+  timeout_ms:  z.number().int().positive().max(600_000).optional(),
+  allow_bins:  BinList.optional().describe("When non-empty, the only programs a command may start"),
+  deny_bins:   BinList.optional(),
+});
+const WorkspaceParams = z.object({ workspace_id: z.string() });
+
+/** What about a policy will not work the way it reads, or null. */
+function policyWarning(policy) {
+  if (policy.mode === "host") {
+    return "mode is host — run_shell runs on the kernel host, and network, cpu_seconds and memory_mb are not applied (set mode: \"sandbox\")";
+  }
+  if (sandboxIsolation() !== "none") {return null;}
+  return policy.network
+    ? "no isolation tool (bwrap / unshare) on this host — sandboxed commands can read every file the kernel can"
+    : "no isolation tool (bwrap / unshare) on this host — run_shell will refuse commands until network is allowed";
+}
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerSandboxRoutes(app, db) {
+
+  // ── GET /kernel/sandbox_policies ───────────────────────────────────────────
+  app.get("/kernel/sandbox_policies", doc("List run_shell sandbox policies"), async () => {
+    return {
+      ok:        true,
+      isolation: sandboxIsolation(),
+      default:   DEFAULT_SANDBOX_POLICY,
+      policies:  listSandboxPolicies(db),
+    };
+  });
+
+  // ── GET /kernel/sandbox_policies/:workspace_id ─────────────────────────────
+  app.get("/kernel/sandbox_policies/:workspace_id", doc("Effective sandbox policy for a workspace", { params: WorkspaceParams }), async (req) => {
+    const policy = getSandboxPolicy(db, req.params.workspace_id);
+    const warning = policyWarning(policy);
+    return { ok: true, policy, isolation: sandboxIsolation(), ...(warning ? { warning } : {}) };
+  });
+
+  // ── PUT /kernel/sandbox_policies/:workspace_id ─────────────────────────────
+  app.put("/kernel/sandbox_policies/:workspace_id", doc("Set a workspace's sandbox policy (operator)", { body: PutSandboxPolicyBody, params: WorkspaceParams }), async (req, reply) => {
+    let body;
+    try { body = PutSandboxPolicyBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const { workspace_id } = req.params;
+    if (workspace_id !== "*") {
+      const wsRow = db.prepare(`SELECT workspace_id FROM workspaces WHERE workspace_id=?`).get(workspace_id);
+      if (!wsRow) { reply.code(404); return { ok: false, error: "workspace_not_found" }; }
+    }
+
+    const previous = db.prepare(`SELECT mode, network FROM sandbox_policies WHERE workspace_id=?`).get(workspace_id);
+    const policy = setSandboxPolicy(db, workspace_id, body);
+    logAudit(db, {
+      event: "sandbox_policy_updated", actor: auditActor(req), workspace_id,
+      subject_type: "sandbox_policy", subject_id: workspace_id,
+      data: {
+        mode: policy.mode, network: policy.network, cpu_seconds: policy.cpu_seconds, memory_mb: policy.memory_mb,
+        timeout_ms: policy.timeout_ms, allow_bins: policy.allow_bins, deny_bins: policy.deny_bins,
+        previous_mode: previous?.mode ?? null,
+      },
+    });
+    const warning = policyWarning(policy);
+    return { ok: true, policy, ...(warning ? { warning } : {}) };
+  });
+
+  // ── DELETE /kernel/sandbox_policies/:workspace_id ──────────────────────────
+  app.delete("/kernel/sandbox_policies/:workspace_id", doc("Remove a workspace's sandbox policy (operator)", { params: WorkspaceParams }), async (req, reply) => {
+    const { workspace_id } = req.params;
+    if (!deleteSandboxPolicy(db, workspace_id)) {
+      reply.code(404); return { ok: false, error: "sandbox_policy_not_found" };
+    }
+    logAudit(db, {
+      event: "sandbox_policy_deleted", actor: auditActor(req), workspace_id,
+      subject_type: "sandbox_policy", subject_id: workspace_id,
+    });
+    return { ok: true, workspace_id, policy: getSandboxPolicy(db, workspace_id) };
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Sandbox policies — how run_shell runs commands in each workspace.
+ *
+ * One sandbox_policies row per workspace, plus workspace_id '*' as the default
+ * for every workspace without its own row; with no row at all the built-in
+ * DEFAULT_SANDBOX_POLICY applies. A row is a whole policy — fields are not
+ * merged across rows.
+ *
+ *   mode         "host"    exec on the kernel host, in the kernel's directory, with
+ *                          only PATH, HOME, the locale and the like from the
+ *                          kernel's environment (hostEnv in sandbox/exec.js)
+ *                "sandbox" run in the workspace root with a scrubbed environment,
+ *                          resource limits and optional isolation (sandbox/exec.js)
+ *   network      sandbox only; false needs an isolation tool (bwrap or unshare)
+ *   cpu_seconds  sandbox only; CPU time limit (ulimit -t)
+ *   memory_mb    sandbox only; address space limit (ulimit -v)
+ *   timeout_ms   wall clock limit, in both modes
+ *   allow_bins   when non-empty, every program the command starts must be listed
+ *   deny_bins    programs the command may not start
+ *
+ * The binary lists are checked in both modes against the programs the command
+ * line names (sandbox/commands.js). A deny list cannot see programs started
+ * from inside a string (sh -c '…') — an allow list without shells is the
+ * reliable way to restrict a workspace.
+ *
+ * The built-in default mode is "sandbox" when this host has an isolation tool
+ * (bwrap or unshare) and "host" when it has none; RUN_SHELL_MODE=host|sandbox
+ * overrides the choice. A stored policy that leaves mode out takes the
+ * default too. In host mode network, cpu_seconds and memory_mb do nothing —
+ * the policy routes warn about it.
+ *
+ * The env a caller passes to run_shell may not set the variables that decide
+ * what runs or what it loads (envViolation) — in either mode.
+ */
+import { parseCommand } from "./commands.js";
+import { sandboxIsolation } from "./exec.js";
+
+export const SANDBOX_MODES = ["host", "sandbox"];
+
+function defaultMode() {
+  const forced = process.env.RUN_SHELL_MODE;
+  if (SANDBOX_MODES.includes(forced)) {return forced;}
+  return sandboxIsolation() === "none" ? "host" : "sandbox";
+}
+
+export const DEFAULT_SANDBOX_POLICY = Object.freeze({
+  mode:        defaultMode(),
+  network:     false,
+  cpu_seconds: 10,
+  memory_mb:   512,
+  timeout_ms:  15_000,
+  allow_bins:  [],
+  deny_bins:   [],
+});
+
+function now() {
+  return new Date().toISOString();
+}
+
+function rowToPolicy(row) {
+  return {
+    workspace_id: row.workspace_id,
+    mode:         row.mode,
+    network:      row.network === 1,
+    cpu_seconds:  row.cpu_seconds,
+    memory_mb:    row.memory_mb,
+    timeout_ms:   row.timeout_ms,
+    allow_bins:   JSON.parse(row.allow_bins_json),
+    deny_bins:    JSON.parse(row.deny_bins_json),
+    updated_at:   row.updated_at,
+  };
+}
+
+/**
+ * Effective policy for a workspace and where it came from.
+ * db may be null (no database) — the built-in default then applies.
+ *
+ * @returns {typeof DEFAULT_SANDBOX_POLICY & { workspace_id: string; source: "workspace"|"global"|"default" }}
+ */
+export function getSandboxPolicy(db, workspace_id) {
+  const row = db?.prepare(`
+    SELECT * FROM sandbox_policies WHERE workspace_id IN (?, '*')
+    ORDER BY workspace_id = '*' LIMIT 1
+  `).get(workspace_id);
+  if (!row) {return { ...DEFAULT_SANDBOX_POLICY, workspace_id: "*", source: "default" };}
+  return { ...rowToPolicy(row), source: row.workspace_id === "*" ? "global" : "workspace" };
+}
+
+export function listSandboxPolicies(db) {
+  return db.prepare(`SELECT * FROM sandbox_policies ORDER BY workspace_id`).all().map(rowToPolicy);
+}
+
+/**
+ * Store a workspace's policy (workspace_id '*' for the default); fields left
+ * out take the built-in default.
+ */
+export function setSandboxPolicy(db, workspace_id, policy) {
+  const p = { ...DEFAULT_SANDBOX_POLICY, ...policy };
+  db.prepare(`
+    INSERT INTO sandbox_policies
+      (workspace_id, mode, network, cpu_seconds, memory_mb, timeout_ms, allow_bins_json, deny_bins_json, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(workspace_id) DO UPDATE SET
+      mode=excluded.mode, network=excluded.network, cpu_seconds=excluded.cpu_seconds,
+      memory_mb=excluded.memory_mb, timeout_ms=excluded.timeout_ms,
+      allow_bins_json=excluded.allow_bins_json, deny_bins_json=excluded.deny_bins_json,
+      updated_at=excluded.updated_at
+  `).run(
+    workspace_id, p.mode, p.network ? 1 : 0, p.cpu_seconds, p.memory_mb, p.timeout_ms,
+    JSON.stringify(p.allow_bins), JSON.stringify(p.deny_bins), now(),
+  );
+  return rowToPolicy(db.prepare(`SELECT * FROM sandbox_policies WHERE workspace_id=?`).get(workspace_id));
+}
+
+/** @returns {boolean} true when a policy was removed */
+export function deleteSandboxPolicy(db, workspace_id) {
+  return db.prepare(`DELETE FROM sandbox_policies WHERE workspace_id=?`).run(workspace_id).changes > 0;
+}
+
+// Who decides which binaries and libraries run: sandbox/exec.js sets its own
+// PATH and HOME, and host mode would otherwise take the caller's
+const RESERVED_ENV = new Set(["PATH", "HOME", "IFS", "ENV", "BASH_ENV", "SHELLOPTS", "GCONV_PATH"]);
+
+/**
+ * Why run_shell may not add env to a command, or null.
+ *
+ * @param {Record<string, string>} env
+ * @returns {string|null}
+ */
+export function envViolation(env) {
+  const name = Object.keys(env).find((k) => RESERVED_ENV.has(k) || /^(LD_|DYLD_)/.test(k));
+  return name ? `${name} cannot be set through env` : null;
+}
+
+/**
+ * Why policy forbids command, or null when it may run.
+ * Bins match by name ("curl") or by the path as written ("/usr/bin/curl").
+ *
+ * @param {{ allow_bins: string[]; deny_bins: string[] }} policy
+ * @param {string} command
+ * @returns {string|null}
+ */
+export function commandViolation(policy, command) {
+  const { commands, dynamic } = parseCommand(command);
+  const listed = (bins, c) => bins.includes(c.name) || bins.includes(c.path);
+
+  const denied = commands.find((c) => listed(policy.deny_bins, c));
+  if (denied) {return `${denied.name} is on this workspace's deny list`;}
+
+  if (policy.allow_bins.length) {
+    if (dynamic) {return "commands computed at runtime ($VAR) cannot be checked against the allow list";}
+    const unlisted = commands.find((c) => !listed(policy.allow_bins, c));
+    if (unlisted) {return `${unlisted.name} is not on this workspace's allow list`;}
+  }
+  return null;
+}
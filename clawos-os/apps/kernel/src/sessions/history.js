@@ -0,0 +1,95 @@
+/**
+ * Conversation history — real multi-turn messages for chat_llm's history mode.
+ *
+ * Builds a messages array from the session's stored turns (session_turns keeps
+ * the newest 20) and puts the rolling context_summary into the system prompt,
+ * so the model sees what was actually said instead of a synthetic exchange.
+ *
+ * The history is trimmed to a per-model token budget: the summary first, then
+ * turns newest → oldest until the next one no longer fits. Token counts are
+ * estimates (~4 chars per token) — close enough to stay inside a context window
+ * without shipping a tokenizer per provider.
+ *
+ * LLM_HISTORY_MAX_TOKENS caps the budget on large-context models (default 6000),
+ * since a long window doesn't have to mean a long bill.
+ */
+import { getRecentTurns } from "../objectives/service.js";
+import { contextWindow, resolveModel } from "../llm/providers.js";
+import { getSession } from "./service.js";
+
+const MAX_TURNS                  = 20;
+const CHARS_PER_TOKEN            = 4;
+const DEFAULT_HISTORY_MAX_TOKENS = 6000;
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text ?? "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens available for history on one provider entry: the model's context
+ * window minus system prompt, current message and the reply reservation,
+ * capped at LLM_HISTORY_MAX_TOKENS.
+ *
+ * @param {{ provider: string; model: string|null; secrets: Record<string,string> }} entry
+ * @param {{ system: string; message: string; max_tokens: number }} reserve
+ */
+export function historyBudget(entry, { system, message, max_tokens }) {
+  const window = contextWindow(entry.provider, entry.secrets, resolveModel(entry.provider, entry.secrets, entry.model));
+  const cap    = Number(process.env.LLM_HISTORY_MAX_TOKENS) || DEFAULT_HISTORY_MAX_TOKENS;
+  const free   = window - estimateTokens(system) - estimateTokens(message) - max_tokens;
+  return Math.max(0, Math.min(cap, free));
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ session_id?: string|null; context_summary?: string|null; system: string;
+ *           message: string; budget_tokens: number }} opts
+ *   context_summary defaults to the session's stored summary.
+ * @returns {{ system: string; messages: { role: string; content: string }[];
+ *             history: { turn_ids: string[]; turns_available: number; summary_included: boolean;
+ *                        tokens: number; budget_tokens: number } }}
+ */
+export function buildHistoryMessages(db, { session_id, context_summary, system, message, budget_tokens }) {
+  const summary = String(context_summary ?? (session_id ? getSession(db, session_id)?.context_summary : "") ?? "").trim();
+  const turns   = session_id
+    ? getRecentTurns(db, session_id, MAX_TURNS).filter((t) => t.user_message && t.assistant_response)
+    : [];
+
+  let used = 0;
+  let summaryIncluded = false;
+  let fullSystem = system;
+  if (summary) {
+    const cost = estimateTokens(summary);
+    if (cost <= budget_tokens) {
+      fullSystem = `${system}\n\nSummary of the conversation so far:\n${summary}`;
+      used += cost;
+      summaryIncluded = true;
+    }
+  }
+
+  const kept = [];
+  for (const turn of turns.toReversed()) {
+    const cost = estimateTokens(turn.user_message) + estimateTokens(turn.assistant_response);
+    if (used + cost > budget_tokens) {break;}
+    used += cost;
+    kept.unshift(turn);
+  }
+
+  const messages = kept.flatMap((t) => [
+    { role: "user",      content: t.user_message },
+    { role: "assistant", content: t.assistant_response },
+  ]);
+  messages.push({ role: "user", content: message });
+
+  return {
+    system:   fullSystem,
+    messages,
+    history: {
+      turn_ids:         kept.map((t) => t.turn_id),
+      turns_available:  turns.length,
+      summary_included: summaryIncluded,
+      tokens:           used,
+      budget_tokens,
+    },
+  };
+}
@@ -94,6 +94,8 @@ export async function resolveSession(db, { workspace_id, channel, remote_jid, us
     const drift = await classifyDrift(db, {
       context_summary: existing.context_summary,
       user_message,
+      workspace_id,
+      session_id: existing.session_id,
     }).catch(() => ({ decision: "continue", reason: "drift_classifier_error" }));
 
     if (drift.decision === "new") {
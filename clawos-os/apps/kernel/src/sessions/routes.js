@@ -1,5 +1,5 @@
 /**
- * Session HTTP routes — registered by apps/kernel/src/index.js.
+ * Session HTTP routes — registered by apps/kernel/src/app.js.
  *
  * POST /kernel/sessions/resolve          — find or create a session for an inbound message
  * GET  /kernel/sessions/:session_id      — fetch a session by ID
@@ -10,9 +10,29 @@ import { resolveSession }                               from "./resolver.js";
 import { getSession, closeSession, updateContextSummary, listSessions } from "./service.js";
 import { updateSummary }                                from "./summarizer.js";
 import { z }                                            from "zod";
+import { doc } from "../openapi/spec.js";
 
 function nowIso() { return new Date().toISOString(); }
 
+const ResolveSessionBody = z.object({
+  workspace_id: z.string().min(1),
+  channel:      z.string().min(1).default("whatsapp"),
+  remote_jid:   z.string().min(1),
+  user_message: z.string().optional().default(""),
+});
+
+const UpdateSessionBody = z.object({
+  workspace_id:       z.string(),
+  user_message:       z.string().optional().default(""),
+  assistant_response: z.string().optional().default(""),
+  action_type:        z.string().optional().default(""),
+});
+
+const ListSessionsQuery = z.object({
+  workspace_id: z.string(),
+  limit:        z.coerce.number().int().min(1).max(200).optional().default(50),
+});
+
 /**
  * @param {import('fastify').FastifyInstance} app
  * @param {import('better-sqlite3').Database} db
@@ -22,16 +42,9 @@ export function registerSessionRoutes(app, db) {
   // ── POST /kernel/sessions/resolve ─────────────────────────────────────────
   // Bridge calls this on every inbound message to get/create a session.
   // Returns { ok, session_id, decision, reason, session }
-  app.post("/kernel/sessions/resolve", async (req, reply) => {
-    const Schema = z.object({
-      workspace_id: z.string().min(1),
-      channel:      z.string().min(1).default("whatsapp"),
-      remote_jid:   z.string().min(1),
-      user_message: z.string().optional().default(""),
-    });
-
+  app.post("/kernel/sessions/resolve", doc("Find or create the session for an inbound message", { body: ResolveSessionBody }), async (req, reply) => {
     let body;
-    try { body = Schema.parse(req.body ?? {}); }
+    try { body = ResolveSessionBody.parse(req.body ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
 
     // Workspace must exist
@@ -54,7 +67,7 @@ export function registerSessionRoutes(app, db) {
   });
 
   // ── GET /kernel/sessions/:session_id ──────────────────────────────────────
-  app.get("/kernel/sessions/:session_id", async (req, reply) => {
+  app.get("/kernel/sessions/:session_id", doc("Get a session"), async (req, reply) => {
     const session = getSession(db, req.params.session_id);
     if (!session) { reply.code(404); return { ok: false, error: "session_not_found" }; }
     return { ok: true, session };
@@ -63,16 +76,9 @@ export function registerSessionRoutes(app, db) {
   // ── PATCH /kernel/sessions/:session_id ────────────────────────────────────
   // Bridge calls this after each successful assistant response to advance
   // the turn count, last_message_at, and context_summary.
-  app.patch("/kernel/sessions/:session_id", async (req, reply) => {
-    const Schema = z.object({
-      workspace_id:       z.string(),
-      user_message:       z.string().optional().default(""),
-      assistant_response: z.string().optional().default(""),
-      action_type:        z.string().optional().default(""),
-    });
-
+  app.patch("/kernel/sessions/:session_id", doc("Advance a session after a turn", { body: UpdateSessionBody }), async (req, reply) => {
     let body;
-    try { body = Schema.parse(req.body ?? {}); }
+    try { body = UpdateSessionBody.parse(req.body ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
 
     const session = getSession(db, req.params.session_id);
@@ -95,6 +101,8 @@ export function registerSessionRoutes(app, db) {
         user_message:       body.user_message,
         assistant_response: body.assistant_response,
         action_type:        body.action_type,
+        workspace_id:       session.workspace_id,
+        session_id:         session.session_id,
       });
       updateContextSummary(db, session.session_id, newSummary);
     } catch { /* non-fatal — keep old summary */ }
@@ -104,7 +112,7 @@ export function registerSessionRoutes(app, db) {
   });
 
   // ── POST /kernel/sessions/:session_id/close ───────────────────────────────
-  app.post("/kernel/sessions/:session_id/close", async (req, reply) => {
+  app.post("/kernel/sessions/:session_id/close", doc("Close a session"), async (req, reply) => {
     const session = getSession(db, req.params.session_id);
     if (!session) { reply.code(404); return { ok: false, error: "session_not_found" }; }
 
@@ -113,14 +121,9 @@ export function registerSessionRoutes(app, db) {
   });
 
   // ── GET /kernel/sessions (list for workspace) ─────────────────────────────
-  app.get("/kernel/sessions", async (req, reply) => {
-    const Schema = z.object({
-      workspace_id: z.string(),
-      limit:        z.coerce.number().int().min(1).max(200).optional().default(50),
-    });
-
+  app.get("/kernel/sessions", doc("List sessions", { query: ListSessionsQuery }), async (req, reply) => {
     let query;
-    try { query = Schema.parse(req.query ?? {}); }
+    try { query = ListSessionsQuery.parse(req.query ?? {}); }
     catch (e) { reply.code(400); return { ok: false, error: e.message }; }
 
     const sessions = listSessions(db, query.workspace_id, query.limit);
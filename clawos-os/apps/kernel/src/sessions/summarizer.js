@@ -10,13 +10,11 @@
  *   PENDING: <unanswered questions or pending items>
  *   TURNS: <N>
  *
- * Uses Claude Haiku if an Anthropic key is configured; falls back to
+ * Uses the kernel LLM client when any provider is configured; falls back to
  * a lightweight template extractor otherwise.
  */
-import { getSecret } from "../orchestrator/connections.js";
+import { complete } from "../llm/client.js";
 
-const ANTHROPIC_MODEL = "claude-haiku-4-5-20251001";
-const XAI_MODEL       = "grok-3-mini";
 const MAX_CHARS = 1000;
 
 // ── Template fallback ─────────────────────────────────────────────────────────
@@ -58,55 +56,6 @@ function buildSummaryPrompt(existing, userMessage, assistantResponse, actionType
   );
 }
 
-// ── xAI (Grok) summarizer ──────────────────────────────────────────────────────
-async function xaiUpdate(apiKey, { existing, userMessage, assistantResponse, actionType }) {
-  const prompt = buildSummaryPrompt(existing, userMessage, assistantResponse, actionType);
-
-  const r = await fetch("https://api.x.ai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type":  "application/json",
-      "Authorization": `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model:       XAI_MODEL,
-      max_tokens:  350,
-      temperature: 0.2,
-      messages: [{ role: "user", content: prompt }],
-    }),
-  });
-
-  if (!r.ok) { throw new Error(`xAI returned HTTP ${r.status}`); }
-  const data = await r.json();
-  return (data.choices?.[0]?.message?.content ?? "").trim().slice(0, MAX_CHARS);
-}
-
-// ── Anthropic (Claude Haiku) summarizer ───────────────────────────────────────
-async function llmUpdate(apiKey, { existing, userMessage, assistantResponse, actionType }) {
-  const prompt = buildSummaryPrompt(existing, userMessage, assistantResponse, actionType);
-
-  const r = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type":       "application/json",
-      "x-api-key":          apiKey,
-      "anthropic-version":  "2023-06-01",
-    },
-    body: JSON.stringify({
-      model:      ANTHROPIC_MODEL,
-      max_tokens: 350,
-      messages:   [{ role: "user", content: prompt }],
-    }),
-  });
-
-  if (!r.ok) {
-    throw new Error(`Anthropic returned HTTP ${r.status}`);
-  }
-
-  const data = await r.json();
-  return (data.content?.[0]?.text ?? "").trim().slice(0, MAX_CHARS);
-}
-
 /**
  * Produce an updated context_summary for the session.
  *
@@ -116,35 +65,29 @@ async function llmUpdate(apiKey, { existing, userMessage, assistantResponse, act
  *   user_message: string;
  *   assistant_response: string;
  *   action_type: string;
+ *   workspace_id?: string;
+ *   session_id?: string;
  * }} opts
  * @returns {Promise<string>}
  */
-export async function updateSummary(db, { existing_summary, user_message, assistant_response, action_type }) {
+export async function updateSummary(db, { existing_summary, user_message, assistant_response, action_type, workspace_id, session_id }) {
   const existing = String(existing_summary ?? "");
   const userMsg  = String(user_message ?? "").slice(0, 600);
   const asstResp = String(assistant_response ?? "").slice(0, 600);
   const actType  = String(action_type ?? "");
 
   if (db) {
-    // Try xAI (Grok) first — preferred when configured
-    const xaiSecrets = getSecret(db, "xai");
-    if (xaiSecrets?.api_key) {
-      try {
-        return await xaiUpdate(xaiSecrets.api_key, {
-          existing, userMessage: userMsg, assistantResponse: asstResp, actionType: actType,
-        });
-      } catch { /* fall through */ }
-    }
-
-    // Try Anthropic second
-    const anthropicSecrets = getSecret(db, "anthropic");
-    if (anthropicSecrets?.api_key) {
-      try {
-        return await llmUpdate(anthropicSecrets.api_key, {
-          existing, userMessage: userMsg, assistantResponse: asstResp, actionType: actType,
-        });
-      } catch { /* fall through */ }
-    }
+    try {
+      const res = await complete(db, {
+        action_type:  "session_summary",
+        workspace_id: workspace_id ?? null,
+        session_id:   session_id ?? null,
+        prompt:       buildSummaryPrompt(existing, userMsg, asstResp, actType),
+        max_tokens:   350,
+        temperature:  0.2,
+      });
+      return res.text.trim().slice(0, MAX_CHARS);
+    } catch { /* fall through */ }
   }
 
   // Template fallback — always works
@@ -0,0 +1,132 @@
+/**
+ * Shell session routes — follow and control long-running run_shell commands.
+ * Registered by apps/kernel/src/app.js.
+ *
+ * Sessions are started by run_shell with payload.session: true, so starting
+ * one goes through the risk policy and approval gate like any command.
+ *
+ * GET  /kernel/shell_sessions?workspace_id=&status=   — a workspace's sessions, newest first
+ * GET  /kernel/shell_sessions/:session_id             — one session (status, exit_code, log size)
+ * GET  /kernel/shell_sessions/:session_id/output      — page the full log: ?offset=&limit= (bytes),
+ *                                                       or ?tail= for the last bytes
+ * POST /kernel/shell_sessions/:session_id/input       — { text, eof? } to the session's stdin;
+ *                                                       input rated above low risk (sandbox/risk.js)
+ *                                                       is only taken from an operator — others get
+ *                                                       403 input_requires_approval with the assessment
+ * POST /kernel/shell_sessions/:session_id/kill        — stop the session's process group
+ *
+ * Pass workspace_id on the per-session routes to have the kernel check the
+ * session belongs to that workspace.
+ */
+import { z } from "zod";
+import {
+  SHELL_SESSION_STATUSES, MAX_PAGE_BYTES,
+  getShellSession, listShellSessions, readShellOutput, writeShellInput, killShellSession,
+} from "./service.js";
+import { logAudit, auditActor } from "../audit/service.js";
+import { doc } from "../openapi/spec.js";
+
+const ListQuery = z.object({
+  workspace_id: z.string().min(1),
+  status:       z.enum(SHELL_SESSION_STATUSES).optional(),
+  limit:        z.coerce.number().int().min(1).max(200).default(20),
+});
+const SessionParams = z.object({ session_id: z.string() });
+const SessionQuery = z.object({ workspace_id: z.string().optional() });
+const OutputQuery = SessionQuery.extend({
+  offset: z.coerce.number().int().min(0).default(0),
+  limit:  z.coerce.number().int().min(16).max(MAX_PAGE_BYTES).default(4000),
+  tail:   z.coerce.number().int().min(1).max(MAX_PAGE_BYTES).optional().describe("Read the last tail bytes instead of from offset"),
+});
+const InputBody = z.object({
+  workspace_id: z.string().optional(),
+  text:         z.string().max(65_536).default(""),
+  eof:          z.boolean().default(false).describe("Close stdin after writing text"),
+});
+const KillBody = z.object({ workspace_id: z.string().optional() });
+
+const ERROR_STATUS = { session_not_running: 409, input_refused: 403, input_requires_approval: 403 };
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerShellSessionRoutes(app, db) {
+
+  /** { session }, or { status, error } when it does not exist or is in another workspace. */
+  function findSession(session_id, workspace_id) {
+    const session = getShellSession(db, session_id);
+    if (!session) {return { status: 404, error: "shell_session_not_found" };}
+    if (workspace_id && session.workspace_id !== workspace_id) {return { status: 403, error: "workspace_mismatch" };}
+    return { session };
+  }
+
+  // ── GET /kernel/shell_sessions ─────────────────────────────────────────────
+  app.get("/kernel/shell_sessions", doc("List a workspace's shell sessions", { query: ListQuery }), async (req, reply) => {
+    let q;
+    try { q = ListQuery.parse(req.query ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+    return { ok: true, sessions: listShellSessions(db, q.workspace_id, q) };
+  });
+
+  // ── GET /kernel/shell_sessions/:session_id ─────────────────────────────────
+  app.get("/kernel/shell_sessions/:session_id", doc("Get a shell session", { params: SessionParams, query: SessionQuery }), async (req, reply) => {
+    const { session, status, error } = findSession(req.params.session_id, req.query?.workspace_id);
+    if (!session) { reply.code(status); return { ok: false, error }; }
+    return { ok: true, session };
+  });
+
+  // ── GET /kernel/shell_sessions/:session_id/output ──────────────────────────
+  app.get("/kernel/shell_sessions/:session_id/output", doc("Page through a shell session's output", { params: SessionParams, query: OutputQuery }), async (req, reply) => {
+    let q;
+    try { q = OutputQuery.parse(req.query ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+    const { session, status, error } = findSession(req.params.session_id, q.workspace_id);
+    if (!session) { reply.code(status); return { ok: false, error }; }
+    return { ok: true, session_id: session.session_id, status: session.status, ...readShellOutput(session, q) };
+  });
+
+  // ── POST /kernel/shell_sessions/:session_id/input ──────────────────────────
+  app.post("/kernel/shell_sessions/:session_id/input", doc("Send input to a running shell session", { params: SessionParams, body: InputBody }), async (req, reply) => {
+    let body;
+    try { body = InputBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+    const { session, status, error } = findSession(req.params.session_id, body.workspace_id);
+    if (!session) { reply.code(status); return { ok: false, error }; }
+
+    // Operators grant approvals, so their input counts as approved (as does any with KERNEL_AUTH=off)
+    const approved = !req.apiClient || req.apiClient.role === "operator";
+    let written;
+    try { written = writeShellInput(db, session, body.text, { eof: body.eof, approved }); }
+    catch (e) {
+      reply.code(ERROR_STATUS[e.code] ?? 500);
+      return { ok: false, error: e.code ?? "input_failed", message: e.message, ...(e.assessment ? { assessment: e.assessment } : {}) };
+    }
+    // The text itself may be a password — only its size is recorded
+    logAudit(db, {
+      event: "shell_session_input", actor: auditActor(req), workspace_id: session.workspace_id,
+      subject_type: "shell_session", subject_id: session.session_id,
+      data: written,
+    });
+    return { ok: true, session_id: session.session_id, ...written };
+  });
+
+  // ── POST /kernel/shell_sessions/:session_id/kill ───────────────────────────
+  app.post("/kernel/shell_sessions/:session_id/kill", doc("Stop a running shell session", { params: SessionParams, body: KillBody }), async (req, reply) => {
+    let body;
+    try { body = KillBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+    const { session, status, error } = findSession(req.params.session_id, body.workspace_id);
+    if (!session) { reply.code(status); return { ok: false, error }; }
+
+    let killed;
+    try { killed = await killShellSession(db, session); }
+    catch (e) { reply.code(ERROR_STATUS[e.code] ?? 500); return { ok: false, error: e.code ?? "kill_failed", message: e.message }; }
+    logAudit(db, {
+      event: "shell_session_killed", actor: auditActor(req), workspace_id: session.workspace_id,
+      subject_type: "shell_session", subject_id: session.session_id,
+      data: { command: session.command, status: killed.status, exit_code: killed.exit_code },
+    });
+    return { ok: true, session: killed };
+  });
+}
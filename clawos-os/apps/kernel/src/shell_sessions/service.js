@@ -0,0 +1,274 @@
+/**
+ * Shell sessions — run_shell commands that keep running after the request
+ * returns (run_shell with payload.session: true).
+ *
+ * A session is a /bin/sh -c command started under the workspace's sandbox
+ * policy (sandbox/service.js) with its stdin kept open for input. Everything
+ * it writes to stdout and stderr is appended, in full, to a log file under
+ * SHELL_SESSION_DIR that is recorded as a "shell_log" artifact;
+ * readShellOutput pages through the log by byte offset, so output can be
+ * followed while the command runs and fetched in full once it has finished.
+ *
+ *   status   running → exited | killed | timed_out
+ *            lost — the kernel stopped while it was running (recoverShellSessions)
+ *
+ * The policy's timeout_ms is meant for one-shot commands; a session's wall
+ * clock limit is SHELL_SESSION_TIMEOUT_MS. In sandbox mode the policy's
+ * cpu_seconds and memory_mb still apply — raise them for workspaces that build.
+ * In host mode the session gets the same scrubbed environment as run_shell
+ * (hostEnv in sandbox/exec.js).
+ *
+ * Env:
+ *   SHELL_SESSION_DIR         log directory (default data/openclaw/shell_sessions)
+ *   SHELL_SESSION_TIMEOUT_MS  wall clock limit per session (default 1 hour)
+ *   SHELL_SESSION_MAX         running sessions per workspace (default 4)
+ *   SHELL_SESSION_MAX_LOG_MB  log size after which further output is dropped (default 50)
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { getWorkspaceRoot } from "../orchestrator/fs-safe.js";
+import { getSandboxPolicy, commandViolation } from "../sandbox/service.js";
+import { assessCommand } from "../sandbox/risk.js";
+import { spawnSandboxed, exitCode, hostEnv } from "../sandbox/exec.js";
+import { createArtifact } from "../artifacts/service.js";
+
+export const SHELL_SESSION_DIR = path.resolve(process.env.SHELL_SESSION_DIR || "data/openclaw/shell_sessions");
+export const SHELL_SESSION_STATUSES = ["running", "exited", "killed", "timed_out", "lost"];
+export const MAX_PAGE_BYTES = 64 * 1024;
+
+const SESSION_TIMEOUT_MS = Number(process.env.SHELL_SESSION_TIMEOUT_MS || 3_600_000);
+const MAX_RUNNING = Number(process.env.SHELL_SESSION_MAX || 4);
+const MAX_LOG_BYTES = Number(process.env.SHELL_SESSION_MAX_LOG_MB || 50) * 1024 * 1024;
+const KILL_GRACE_MS = 2_000;
+
+/** Sessions running in this kernel process: session_id → { child, log, bytes, truncated, timer, ending, closed } */
+const live = new Map();
+
+function now() {
+  return new Date().toISOString();
+}
+
+function sessionId() {
+  return `sh_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function sessionError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+function logSize(log_path) {
+  try { return fs.statSync(log_path).size; } catch { return 0; }
+}
+
+function toSession(row) {
+  if (!row) {return null;}
+  return { ...row, bytes: logSize(row.log_path) };
+}
+
+/** SIGTERM the session's process group, SIGKILL it if still there after KILL_GRACE_MS. */
+function stop(session_id, status) {
+  const entry = live.get(session_id);
+  if (!entry) {return;}
+  entry.ending ??= status;
+  const signal = (sig) => { try { process.kill(-entry.child.pid, sig); } catch { /* already gone */ } };
+  signal("SIGTERM");
+  setTimeout(() => { if (live.has(session_id)) {signal("SIGKILL");} }, KILL_GRACE_MS).unref();
+}
+
+/**
+ * Start command as a session in workspace_id under policy (the workspace's
+ * effective sandbox policy — the caller has already checked the command
+ * against its allow / deny lists). Throws too_many_sessions, or
+ * sandbox_unavailable from sandbox/exec.js.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ workspace_id: string; agent_id: string; command: string; env?: Record<string, string>;
+ *           task_id?: string|null; policy: ReturnType<typeof getSandboxPolicy> }} opts
+ *   task_id is the task the log artifact belongs to (the session's own id without one)
+ */
+export function startShellSession(db, { workspace_id, agent_id, command, env = {}, task_id = null, policy }) {
+  const { n: running } = db.prepare(`SELECT COUNT(*) AS n FROM shell_sessions WHERE workspace_id=? AND status='running'`).get(workspace_id);
+  if (running >= MAX_RUNNING) {
+    throw sessionError(`workspace already has ${running} running shell sessions — kill one first`, "too_many_sessions");
+  }
+
+  const session_id = sessionId();
+  fs.mkdirSync(SHELL_SESSION_DIR, { recursive: true });
+  const log_path = path.join(SHELL_SESSION_DIR, `${session_id}.log`);
+
+  const { child, isolation } = policy.mode === "sandbox"
+    ? spawnSandboxed(command, { root: getWorkspaceRoot(workspace_id), env, policy, stdin: true })
+    : {
+      child:     spawn("/bin/sh", ["-c", command], { env: hostEnv(env), stdio: "pipe", detached: true }),
+      isolation: "none",
+    };
+
+  const log = fs.createWriteStream(log_path, { flags: "a" });
+  const entry = { child, log, bytes: 0, truncated: false, timer: null, ending: null, closed: null };
+  live.set(session_id, entry);
+
+  const write = (chunk) => {
+    if (entry.bytes >= MAX_LOG_BYTES) {
+      if (!entry.truncated) {
+        entry.truncated = true;
+        log.write(`\n[output truncated at ${MAX_LOG_BYTES} bytes]\n`);
+      }
+      return;
+    }
+    entry.bytes += chunk.length;
+    log.write(chunk);
+  };
+  child.stdout.on("data", write);
+  child.stderr.on("data", write);
+  child.stdin.on("error", () => { /* EPIPE once the command stops reading */ });
+  child.on("error", (err) => write(`${err.message}\n`));
+
+  const created_at = now();
+  const artifact = createArtifact(db, {
+    task_id:    task_id ?? session_id,
+    workspace_id,
+    actor_kind: "system",
+    actor_id:   "run_shell",
+    type:       "shell_log",
+    uri:        log_path,
+    metadata:   { session_id, command },
+  });
+  db.prepare(`
+    INSERT INTO shell_sessions
+      (session_id, workspace_id, agent_id, command, mode, isolation, status, pid, log_path, artifact_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'running', ?, ?, ?, ?)
+  `).run(session_id, workspace_id, agent_id, command, policy.mode, isolation, child.pid ?? null, log_path, artifact.artifact_id, created_at);
+
+  entry.timer = setTimeout(() => stop(session_id, "timed_out"), SESSION_TIMEOUT_MS);
+  entry.timer.unref();
+
+  entry.closed = new Promise((resolve) => {
+    child.on("close", (code, signal) => {
+      clearTimeout(entry.timer);
+      live.delete(session_id);
+      log.end();
+      const status = entry.ending ?? "exited";
+      try {
+        db.prepare(`UPDATE shell_sessions SET status=?, exit_code=?, ended_at=? WHERE session_id=?`)
+          .run(status, status === "timed_out" ? 124 : exitCode(code, signal), now(), session_id);
+      } catch { /* DB already closed on shutdown — recoverShellSessions marks it lost */ }
+      resolve();
+    });
+  });
+
+  return getShellSession(db, session_id);
+}
+
+export function getShellSession(db, session_id) {
+  return toSession(db.prepare(`SELECT * FROM shell_sessions WHERE session_id=?`).get(session_id));
+}
+
+export function listShellSessions(db, workspace_id, { status = null, limit = 20 } = {}) {
+  return db.prepare(`
+    SELECT * FROM shell_sessions
+    WHERE workspace_id=? AND (? IS NULL OR status=?)
+    ORDER BY created_at DESC LIMIT ?
+  `).all(workspace_id, status, status, limit).map(toSession);
+}
+
+/**
+ * Write text to a running session's stdin (a newline is added unless text
+ * ends with one); eof closes stdin afterwards. The session may be a shell, so
+ * text is checked against the workspace's allow / deny lists like a command,
+ * and rated like one (sandbox/risk.js): anything above low risk needs
+ * approved — the caller is an operator, who could have approved it as a
+ * run_shell command anyway.
+ * Throws session_not_running, input_refused, or input_requires_approval with
+ * the assessment attached.
+ */
+export function writeShellInput(db, session, text, { eof = false, approved = false } = {}) {
+  const entry = live.get(session.session_id);
+  if (!entry || entry.ending) {throw sessionError(`shell session is ${session.status === "running" ? "stopping" : session.status}`, "session_not_running");}
+
+  const violation = text ? commandViolation(getSandboxPolicy(db, session.workspace_id), text) : null;
+  if (violation) {throw sessionError(`input refused: ${violation}`, "input_refused");}
+
+  if (text && !approved) {
+    const assessment = assessCommand(db, session.workspace_id, text);
+    if (assessment.risk_level !== "low") {
+      throw Object.assign(sessionError(`input needs approval: ${assessment.summary}`, "input_requires_approval"), { assessment });
+    }
+  }
+
+  const data = !text || text.endsWith("\n") ? (text ?? "") : `${text}\n`;
+  if (data) {entry.child.stdin.write(data);}
+  if (eof) {entry.child.stdin.end();}
+  return { bytes: Buffer.byteLength(data, "utf8"), eof };
+}
+
+/**
+ * Stop a running session (SIGTERM, then SIGKILL) and wait for it to exit.
+ * Throws session_not_running.
+ */
+export async function killShellSession(db, session) {
+  const entry = live.get(session.session_id);
+  if (!entry) {throw sessionError(`shell session is ${session.status}`, "session_not_running");}
+  stop(session.session_id, "killed");
+  await Promise.race([entry.closed, new Promise((r) => setTimeout(r, KILL_GRACE_MS + 1_000))]);
+  return getShellSession(db, session.session_id);
+}
+
+/** Length of buf without a UTF-8 sequence cut off at its end. */
+function completeLength(buf) {
+  for (let i = buf.length - 1; i >= Math.max(0, buf.length - 4); i--) {
+    const b = buf[i];
+    if ((b & 0xc0) === 0x80) {continue;} // continuation byte
+    const need = b >= 0xf0 ? 4 : b >= 0xe0 ? 3 : b >= 0xc0 ? 2 : 1;
+    return i + need <= buf.length ? buf.length : i;
+  }
+  return buf.length;
+}
+
+/**
+ * A page of a session's log. offset and next_offset are byte offsets into the
+ * log; tail reads the last tail bytes instead of from offset. A page ends
+ * before a character it would cut and starts at the first byte of one, so
+ * fixed offsets (page n at (n - 1) * limit) lose nothing between pages. done
+ * is true once the session has ended and the page reaches the end of the log.
+ *
+ * @returns {{ output: string; offset: number; next_offset: number; size: number; done: boolean }}
+ */
+export function readShellOutput(session, { offset = 0, limit = 4000, tail = null } = {}) {
+  const size = logSize(session.log_path);
+  const start = tail !== null ? Math.max(0, size - tail) : Math.min(offset, size);
+  // Up to 3 bytes before start, for the beginning of a character start cuts
+  const from = Math.max(0, start - 3);
+  const buf = Buffer.alloc(Math.max(0, Math.min(start - from + Math.min(limit, MAX_PAGE_BYTES), size - from)));
+  if (buf.length) {
+    const fd = fs.openSync(session.log_path, "r");
+    try { fs.readSync(fd, buf, 0, buf.length, from); } finally { fs.closeSync(fd); }
+  }
+
+  let begin = start - from;
+  while (begin > 0 && (buf[begin] & 0xc0) === 0x80) {begin--;} // continuation byte
+  const end = Math.max(begin, completeLength(buf));
+  return {
+    output:      buf.subarray(begin, end).toString("utf8"),
+    offset:      from + begin,
+    next_offset: from + end,
+    size,
+    done:        session.status !== "running" && from + end >= size,
+  };
+}
+
+/**
+ * Mark sessions left 'running' by a previous kernel process as lost — their
+ * processes went with it (stopShellSessions on shutdown). Called at startup.
+ *
+ * @returns {number} sessions marked lost
+ */
+export function recoverShellSessions(db) {
+  return db.prepare(`UPDATE shell_sessions SET status='lost', ended_at=? WHERE status='running'`).run(now()).changes;
+}
+
+/** Signal every running session to stop — on kernel shutdown. */
+export function stopShellSessions() {
+  for (const session_id of live.keys()) {stop(session_id, "killed");}
+}
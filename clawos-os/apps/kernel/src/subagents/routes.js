@@ -0,0 +1,148 @@
+/**
+ * Subagent routes — registered by apps/kernel/src/app.js.
+ *
+ * POST /kernel/subagents                          — AGENT spawns a subagent under one of its tasks
+ * GET  /kernel/subagents/:subagent_id?workspace_id=
+ * POST /kernel/subagents/:subagent_id/run         — run the subagent's worker with its DCT
+ *
+ * Subagents are ephemeral workers. They CANNOT request approvals or mint tokens.
+ * They act only via a DCT issued by the kernel at the parent agent's request
+ * (tokens/routes.js). All routes need the kernel unlocked (403 kernel_locked).
+ */
+import { z } from "zod";
+import { assertAgent }                                            from "../agents/service.js";
+import { spawnSubagent, getSubagent, assertSubagent, updateSubagentStatus } from "./service.js";
+import { getTask }                                                from "../tasks/service.js";
+import { emitEvent }                                              from "../events/service.js";
+import { verifyDCT }                                              from "../tokens/delegation.js";
+import { runWorker }                                              from "../workers/runner.js";
+import { isLocked }                                               from "../keyring/service.js";
+import { doc }                                                    from "../openapi/spec.js";
+
+const SpawnSubagentBody = z.object({
+  workspace_id:    z.string(),
+  parent_agent_id: z.string(),
+  task_id:         z.string(),
+  step_id:         z.string().optional().nullable(),
+  worker_type:     z.string().min(1),
+});
+
+const WorkspaceQuery = z.object({ workspace_id: z.string() });
+
+const RunSubagentBody = z.object({
+  workspace_id: z.string(),
+  token:        z.string(),   // DCT bearer token
+  input:        z.any().optional().default({}),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerSubagentRoutes(app, db) {
+
+  // ── POST /kernel/subagents ─────────────────────────────────────────────────
+  app.post("/kernel/subagents", doc("Spawn a subagent under a task (agents only)", { body: SpawnSubagentBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = SpawnSubagentBody.parse(req.body ?? {});
+
+    // AGENT identity required — only agents can spawn subagents
+    try {
+      assertAgent(db, body.parent_agent_id, body.workspace_id);
+    } catch (err) {
+      reply.code(err.code ?? 403);
+      return { ok: false, error: err.message };
+    }
+
+    // Task must exist in same workspace
+    const task = getTask(db, body.task_id);
+    if (!task) { reply.code(404); return { ok: false, error: "task_not_found" }; }
+    if (task.workspace_id !== body.workspace_id) { reply.code(403); return { ok: false, error: "task_workspace_mismatch" }; }
+
+    const subagent = spawnSubagent(db, body);
+
+    emitEvent(db, {
+      workspace_id: body.workspace_id,
+      task_id:      body.task_id,
+      actor_kind:   "agent",
+      actor_id:     body.parent_agent_id,
+      type:         "subagent.spawned",
+      data:         { subagent_id: subagent.subagent_id, worker_type: body.worker_type },
+    });
+
+    return { ok: true, subagent_id: subagent.subagent_id, subagent };
+  });
+
+  // ── GET /kernel/subagents/:subagent_id ─────────────────────────────────────
+  app.get("/kernel/subagents/:subagent_id", doc("Get a subagent", { query: WorkspaceQuery }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const query = WorkspaceQuery.parse(req.query ?? {});
+
+    const sa = getSubagent(db, req.params.subagent_id);
+    if (!sa) { reply.code(404); return { ok: false, error: "subagent_not_found" }; }
+    if (sa.workspace_id !== query.workspace_id) { reply.code(403); return { ok: false, error: "workspace_mismatch" }; }
+
+    return { ok: true, subagent: sa };
+  });
+
+  // ── POST /kernel/subagents/:subagent_id/run ────────────────────────────────
+  // The caller (typically the orchestrator on behalf of the subagent) provides
+  // the DCT issued to this subagent and the worker's input. Kernel enforces:
+  //   1. Subagent exists and belongs to workspace
+  //   2. DCT is valid (signature, expiry, not revoked)
+  //   3. DCT is issued TO this subagent (not another)
+  //   4. Subagent is in 'created' or 'running' state
+  app.post("/kernel/subagents/:subagent_id/run", doc("Run a subagent's worker with its DCT", { body: RunSubagentBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = RunSubagentBody.parse(req.body ?? {});
+
+    // 1. Validate subagent
+    let sa;
+    try {
+      sa = assertSubagent(db, req.params.subagent_id, body.workspace_id);
+    } catch (err) {
+      reply.code(err.code ?? 403);
+      return { ok: false, error: err.message };
+    }
+
+    // 2. Verify DCT
+    const dct = verifyDCT(db, body.token);
+    if (!dct) {
+      reply.code(403);
+      return { ok: false, error: "invalid_or_expired_token" };
+    }
+
+    // 3. Token must be issued to THIS subagent
+    if (dct.issued_to_kind !== "subagent" || dct.issued_to_id !== req.params.subagent_id) {
+      reply.code(403);
+      return { ok: false, error: "token_not_bound_to_this_subagent" };
+    }
+
+    // 4. Subagent must be in a runnable state
+    if (!["created", "running"].includes(sa.status)) {
+      reply.code(409);
+      return { ok: false, error: `subagent_already_${sa.status}` };
+    }
+
+    updateSubagentStatus(db, req.params.subagent_id, "running");
+
+    try {
+      const { result, artifact_id } = await runWorker(db, {
+        subagent: sa,
+        token:    dct,
+        input:    body.input,
+      });
+
+      updateSubagentStatus(db, req.params.subagent_id, "finished");
+
+      return { ok: true, subagent_id: req.params.subagent_id, artifact_id, result };
+    } catch (err) {
+      updateSubagentStatus(db, req.params.subagent_id, "failed");
+      reply.code(500);
+      return { ok: false, error: err.message };
+    }
+  });
+}
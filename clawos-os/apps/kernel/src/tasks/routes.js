@@ -0,0 +1,233 @@
+/**
+ * Task routes — contract-first tasks, their artifacts, verification and event
+ * log. Registered by apps/kernel/src/app.js.
+ *
+ * POST /kernel/tasks                        — AGENT creates a task { title, contract, plan? }
+ * GET  /kernel/tasks/:task_id?workspace_id= — task with artifacts and subagents
+ * GET  /kernel/tasks?status=&limit=         — recent tasks (dashboard)
+ * POST /kernel/tasks/:task_id/artifacts     — record an artifact
+ * POST /kernel/tasks/:task_id/verify        — AGENT runs the acceptance checks (verify/service.js)
+ * GET  /kernel/tasks/:task_id/events?workspace_id=
+ * GET  /kernel/events?task_id=&limit=       — task events across all tasks (dashboard / logs)
+ *
+ * Every task has a contract: objective, scope, deliverables, acceptance_checks.
+ * All routes need the kernel unlocked (403 kernel_locked) and check that the
+ * task belongs to the given workspace (403 workspace_mismatch).
+ */
+import { z } from "zod";
+import { assertAgent }                 from "../agents/service.js";
+import { createTask, getTask, updateTaskStatus } from "./service.js";
+import { emitEvent, getEvents }        from "../events/service.js";
+import { createArtifact, getArtifacts } from "../artifacts/service.js";
+import { verifyTask }                  from "../verify/service.js";
+import { isLocked }                    from "../keyring/service.js";
+import { doc }                         from "../openapi/spec.js";
+
+const CreateTaskBody = z.object({
+  workspace_id:         z.string(),
+  created_by_agent_id:  z.string(),
+  title:                z.string().min(1),
+  intent:               z.string().optional().default(""),
+  contract: z.object({
+    objective:        z.string().optional().default(""),
+    scope:            z.any().optional().default({}),
+    deliverables:     z.array(z.string()).optional().default([]),
+    acceptance_checks: z.array(z.any()).optional().default([]),
+  }).optional().default({}),
+  plan: z.any().optional().nullable(),
+});
+
+const WorkspaceQuery = z.object({ workspace_id: z.string() });
+
+const CreateArtifactBody = z.object({
+  workspace_id: z.string(),
+  actor_kind:   z.enum(["agent", "subagent", "system"]),
+  actor_id:     z.string(),
+  type:         z.string().min(1),
+  content:      z.string().optional().nullable(),
+  uri:          z.string().optional().nullable(),
+  metadata:     z.any().optional().default({}),
+});
+
+const VerifyTaskBody = z.object({
+  workspace_id:         z.string(),
+  requested_by_agent_id: z.string(),
+});
+
+const ListTasksQuery = z.object({
+  status: z.string().optional(),
+  limit:  z.coerce.number().int().min(1).max(500).optional().default(50),
+});
+
+const ListEventsQuery = z.object({
+  limit: z.coerce.number().int().min(1).max(500).optional().default(50),
+  task_id: z.string().optional(),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerTaskRoutes(app, db) {
+
+  // ── POST /kernel/tasks ─────────────────────────────────────────────────────
+  // Only AGENT may create a task.
+  app.post("/kernel/tasks", doc("Create a contract-first task (agents only)", { body: CreateTaskBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = CreateTaskBody.parse(req.body ?? {});
+
+    // Validate AGENT identity
+    try {
+      assertAgent(db, body.created_by_agent_id, body.workspace_id);
+    } catch (err) {
+      reply.code(err.code ?? 403);
+      return { ok: false, error: err.message };
+    }
+
+    const task = createTask(db, body);
+
+    emitEvent(db, {
+      workspace_id: body.workspace_id,
+      task_id:      task.task_id,
+      actor_kind:   "agent",
+      actor_id:     body.created_by_agent_id,
+      type:         "task.created",
+      data:         { title: body.title, contract: body.contract },
+    });
+
+    return { ok: true, task_id: task.task_id, task };
+  });
+
+  // ── GET /kernel/tasks/:task_id ─────────────────────────────────────────────
+  app.get("/kernel/tasks/:task_id", doc("Get a task with its artifacts and subagents", { query: WorkspaceQuery }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const query = WorkspaceQuery.parse(req.query ?? {});
+
+    const task = getTask(db, req.params.task_id);
+    if (!task) { reply.code(404); return { ok: false, error: "task_not_found" }; }
+    if (task.workspace_id !== query.workspace_id) { reply.code(403); return { ok: false, error: "workspace_mismatch" }; }
+
+    const artifacts = getArtifacts(db, task.task_id, task.workspace_id);
+    const subagents = db.prepare(`SELECT * FROM subagents WHERE task_id=? AND workspace_id=?`)
+      .all(task.task_id, task.workspace_id);
+
+    return { ok: true, task, artifacts, subagents };
+  });
+
+  // ── POST /kernel/tasks/:task_id/artifacts ──────────────────────────────────
+  app.post("/kernel/tasks/:task_id/artifacts", doc("Record a task artifact", { body: CreateArtifactBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = CreateArtifactBody.parse(req.body ?? {});
+
+    const task = getTask(db, req.params.task_id);
+    if (!task) { reply.code(404); return { ok: false, error: "task_not_found" }; }
+    if (task.workspace_id !== body.workspace_id) { reply.code(403); return { ok: false, error: "workspace_mismatch" }; }
+
+    const artifact = createArtifact(db, { task_id: req.params.task_id, ...body });
+
+    emitEvent(db, {
+      workspace_id: body.workspace_id,
+      task_id:      req.params.task_id,
+      actor_kind:   body.actor_kind,
+      actor_id:     body.actor_id,
+      type:         "artifact.created",
+      data:         { artifact_id: artifact.artifact_id, type: body.type },
+    });
+
+    return { ok: true, artifact };
+  });
+
+  // ── POST /kernel/tasks/:task_id/verify ─────────────────────────────────────
+  app.post("/kernel/tasks/:task_id/verify", doc("Run a task's acceptance checks (agents only)", { body: VerifyTaskBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = VerifyTaskBody.parse(req.body ?? {});
+
+    // AGENT only — subagents cannot trigger verification
+    try {
+      assertAgent(db, body.requested_by_agent_id, body.workspace_id);
+    } catch (err) {
+      reply.code(err.code ?? 403);
+      return { ok: false, error: err.message };
+    }
+
+    const task = getTask(db, req.params.task_id);
+    if (!task) { reply.code(404); return { ok: false, error: "task_not_found" }; }
+    if (task.workspace_id !== body.workspace_id) { reply.code(403); return { ok: false, error: "workspace_mismatch" }; }
+
+    const result = await verifyTask(db, task, body.requested_by_agent_id);
+
+    if (result.passed) {
+      updateTaskStatus(db, task.task_id, "succeeded");
+    }
+
+    return { ok: true, ...result };
+  });
+
+  // ── GET /kernel/tasks/:task_id/events ──────────────────────────────────────
+  app.get("/kernel/tasks/:task_id/events", doc("List a task's events", { query: WorkspaceQuery }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const query = WorkspaceQuery.parse(req.query ?? {});
+
+    const task = getTask(db, req.params.task_id);
+    if (!task) { reply.code(404); return { ok: false, error: "task_not_found" }; }
+    if (task.workspace_id !== query.workspace_id) { reply.code(403); return { ok: false, error: "workspace_mismatch" }; }
+
+    const events = getEvents(db, req.params.task_id, query.workspace_id);
+    return { ok: true, task_id: req.params.task_id, event_count: events.length, events };
+  });
+
+  // ── GET /kernel/tasks ──────────────────────────────────────────────────────
+  app.get("/kernel/tasks", doc("List recent tasks", { query: ListTasksQuery }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const query = ListTasksQuery.parse(req.query ?? {});
+
+    let stmt;
+    if (query.status) {
+      stmt = db.prepare(
+        `SELECT task_id, title, status, workspace_id, created_at
+           FROM tasks WHERE status=? ORDER BY created_at DESC LIMIT ?`
+      ).all(query.status, query.limit);
+    } else {
+      stmt = db.prepare(
+        `SELECT task_id, title, status, workspace_id, created_at
+           FROM tasks ORDER BY created_at DESC LIMIT ?`
+      ).all(query.limit);
+    }
+
+    return { ok: true, tasks: stmt };
+  });
+
+  // ── GET /kernel/events ─────────────────────────────────────────────────────
+  app.get("/kernel/events", doc("List recent task events", { query: ListEventsQuery }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const query = ListEventsQuery.parse(req.query ?? {});
+
+    let rows;
+    if (query.task_id) {
+      rows = db.prepare(
+        `SELECT event_id, workspace_id, task_id, actor_kind, actor_id, type, ts, data_json
+           FROM task_events WHERE task_id=? ORDER BY ts DESC LIMIT ?`
+      ).all(query.task_id, query.limit);
+    } else {
+      rows = db.prepare(
+        `SELECT event_id, workspace_id, task_id, actor_kind, actor_id, type, ts, data_json
+           FROM task_events ORDER BY ts DESC LIMIT ?`
+      ).all(query.limit);
+    }
+
+    const events = rows.map(r => ({
+      ...r,
+      data: r.data_json ? JSON.parse(r.data_json) : null,
+      data_json: undefined,
+    }));
+
+    return { ok: true, events };
+  });
+}
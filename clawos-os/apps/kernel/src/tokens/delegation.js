@@ -6,12 +6,15 @@
  * Key invariants enforced here:
  *  1. DCTs issued to subagents MUST include parent_agent_id.
  *  2. Subagent DCTs MUST be attenuated — scope ⊆ parent agent's scope.
- *  3. DCTs are HMAC-signed with the kernel's recovery_hash (same key as cap tokens).
+ *  3. DCTs are HMAC-signed with the kernel's signing key (same keys as cap tokens; see keyring/service.js).
  *  4. Expired or revoked DCTs are rejected at verification time.
  *
- * Token wire format: "<token_id>.<base64url-hmac>"
+ * Token wire format: "<token_id>.<key_id>.<base64url-hmac>". The key ID lets
+ * DCTs minted before a signing-key rotation verify until they expire; DCTs
+ * from before key IDs ("<token_id>.<base64url-hmac>") verify against s1.
  */
 import crypto from "node:crypto";
+import { signToken, verifyTokenSignature } from "../keyring/service.js";
 
 function dctId() {
   return `dct_${crypto.randomBytes(12).toString("hex")}`;
@@ -28,7 +31,6 @@ function dctId() {
  * @param {string|null} opts.task_id
  * @param {object} opts.scope   { allowed_tools[], operations[], resource_constraints{} }
  * @param {number} opts.ttl_seconds
- * @param {string} opts.hmacKey  — kernel's recovery_hash value (hex string)
  */
 export function mintDCT(db, {
   workspace_id,
@@ -38,7 +40,6 @@ export function mintDCT(db, {
   task_id = null,
   scope,
   ttl_seconds = 600,
-  hmacKey,
 }) {
   if (issued_to_kind === "subagent" && !parent_agent_id) {
     throw new Error("parent_agent_id is required for subagent DCTs");
@@ -60,8 +61,7 @@ export function mintDCT(db, {
     ttl_seconds, expires_at, now,
   );
 
-  const sig   = sign(token_id, hmacKey);
-  const token = `${token_id}.${sig}`;
+  const token = signToken(token_id);
 
   return { token_id, token, expires_at, issued_to_kind, issued_to_id };
 }
@@ -69,18 +69,11 @@ export function mintDCT(db, {
 /**
  * Verify a DCT bearer token.
  * Returns the full token record (with parsed scope) or null if invalid/expired/revoked.
+ * Throws Error{code:"kernel_locked"} while the kernel is locked.
  */
-export function verifyDCT(db, token, hmacKey) {
-  const lastDot = token.lastIndexOf(".");
-  if (lastDot < 1) {return null;}
-
-  const token_id  = token.slice(0, lastDot);
-  const sig       = token.slice(lastDot + 1);
-  const expected  = sign(token_id, hmacKey);
-
-  const a = Buffer.from(sig,      "utf8");
-  const b = Buffer.from(expected, "utf8");
-  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {return null;}
+export function verifyDCT(db, token) {
+  const token_id = verifyTokenSignature(token);
+  if (!token_id) {return null;}
 
   const row = db.prepare(`SELECT * FROM dct_tokens WHERE token_id = ?`).get(token_id);
   if (!row)             {return null;}
@@ -100,11 +93,3 @@ export function getDCT(db, token_id) {
 export function revokeDCT(db, token_id) {
   db.prepare(`UPDATE dct_tokens SET revoked = 1 WHERE token_id = ?`).run(token_id);
 }
-
-// ── Internal helpers ──────────────────────────────────────────────────────────
-function sign(token_id, hmacKey) {
-  return crypto
-    .createHmac("sha256", hmacKey || "dev")
-    .update(token_id, "utf8")
-    .digest("base64url");
-}
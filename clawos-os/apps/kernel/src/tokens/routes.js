@@ -0,0 +1,354 @@
+/**
+ * Token routes — tool tokens and delegation capability tokens (DCTs).
+ * Registered by apps/kernel/src/app.js.
+ *
+ * Tool tokens (one approved action request → one tool call):
+ *   POST /kernel/tokens/issue                   — exchange an approved approval for a signed token
+ *   POST /kernel/tokens/verify                  — { token, tool_name } → ok | bad_token | expired
+ *
+ * Delegation tokens (tokens/delegation.js):
+ *   POST /kernel/tokens/request                 — AGENT requests a DCT for itself or a subagent it owns
+ *   POST /kernel/dct_approvals/:dar_id/grant    — operator only
+ *   POST /kernel/dct_approvals/:dar_id/deny
+ *   POST /kernel/dct_tokens/:token_id/revoke    — operator only
+ *
+ * Subagents cannot request tokens; the policy engine (policy/engine.js) decides
+ * whether a requested scope is blocked, needs approval, or is minted at once.
+ * All but revoke need the kernel unlocked (403 kernel_locked).
+ */
+import crypto from "crypto";
+import { z } from "zod";
+import { assertAgent }                               from "../agents/service.js";
+import { assertSubagent }                            from "../subagents/service.js";
+import { emitEvent }                                 from "../events/service.js";
+import { evaluateScope }                             from "../policy/engine.js";
+import { mintDCT, getDCT, revokeDCT }                from "./delegation.js";
+import { isLocked, signToken, verifyTokenSignature } from "../keyring/service.js";
+import { logAudit, auditActor }                      from "../audit/service.js";
+import { doc }                                       from "../openapi/spec.js";
+
+const IssueTokenBody = z.object({
+  workspace_id: z.string(),
+  tool_name: z.string(),
+  action_request_id: z.string(),
+  approval_id: z.string().optional(),
+  ttl_seconds: z.number().int().positive().max(600).default(600)
+});
+
+const VerifyTokenBody = z.object({
+  token: z.string(),
+  tool_name: z.string()
+});
+
+const RequestDctBody = z.object({
+  workspace_id:         z.string(),
+  requested_by_agent_id: z.string(),
+  issue_to: z.object({
+    kind: z.enum(["agent", "subagent"]),
+    id:   z.string(),
+  }),
+  task_id:    z.string().optional().nullable(),
+  scope: z.object({
+    allowed_tools:        z.array(z.string()).optional().default([]),
+    operations:           z.array(z.string()).optional().default([]),
+    resource_constraints: z.any().optional().default({}),
+  }),
+  ttl_seconds: z.number().int().positive().max(3600).optional().default(600),
+  dar_id:      z.string().optional().nullable(),  // DCT approval request ID (on retry)
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerTokenRoutes(app, db) {
+
+  // ── POST /kernel/tokens/issue ──────────────────────────────────────────────
+  app.post("/kernel/tokens/issue", doc("Issue a tool token for an approved action request", { body: IssueTokenBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = IssueTokenBody.parse(req.body ?? {});
+
+    // v0.1: require an approval_id for issuing tokens tied to a request
+    if (!body.approval_id) {
+      return { ok: false, error: "approval_id_required_v0_1" };
+    }
+
+    // Fix #4: verify approval is approved and binds to this action_request_id + workspace
+    const approvalRow = db
+      .prepare(`SELECT * FROM approvals WHERE approval_id=?`)
+      .get(body.approval_id);
+    if (!approvalRow) {
+      reply.code(404);
+      return { ok: false, error: "approval_not_found" };
+    }
+    if (approvalRow.status !== "approved") {
+      reply.code(403);
+      return { ok: false, error: "approval_not_granted" };
+    }
+    if (approvalRow.action_request_id !== body.action_request_id) {
+      reply.code(422);
+      return { ok: false, error: "approval_action_request_id_mismatch" };
+    }
+    if (approvalRow.workspace_id !== body.workspace_id) {
+      reply.code(422);
+      return { ok: false, error: "approval_workspace_id_mismatch" };
+    }
+
+    const token_id = `cap_${crypto.randomBytes(12).toString("hex")}`;
+    const expires_at = new Date(Date.now() + body.ttl_seconds * 1000).toISOString();
+
+    db.prepare(
+      `INSERT INTO tool_tokens (token_id, workspace_id, tool_name, action_request_id, expires_at)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(token_id, body.workspace_id, body.tool_name, body.action_request_id, expires_at);
+
+    // Simple bearer: token_id + key ID + HMAC signature (keyring signToken)
+    const token = signToken(token_id);
+    logAudit(db, {
+      event: "token_issued", actor: auditActor(req), workspace_id: body.workspace_id,
+      subject_type: "tool_token", subject_id: token_id,
+      data:  { tool_name: body.tool_name, action_request_id: body.action_request_id, approval_id: body.approval_id, expires_at },
+    });
+    return { ok: true, token, expires_at };
+  });
+
+  // ── POST /kernel/tokens/verify ─────────────────────────────────────────────
+  app.post("/kernel/tokens/verify", doc("Verify a tool token for a tool", { body: VerifyTokenBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = VerifyTokenBody.parse(req.body ?? {});
+
+    const token_id = verifyTokenSignature(body.token);
+    if (!token_id) {
+      reply.code(403);
+      return { ok: false, error: "bad_token" };
+    }
+
+    const row = db.prepare(`SELECT * FROM tool_tokens WHERE token_id=?`).get(token_id);
+    if (!row || row.tool_name !== body.tool_name) {
+      reply.code(403);
+      return { ok: false, error: "bad_token" };
+    }
+
+    if (new Date(row.expires_at).getTime() < Date.now()) {
+      reply.code(403);
+      return { ok: false, error: "expired" };
+    }
+
+    return { ok: true };
+  });
+
+  // ── POST /kernel/tokens/request ────────────────────────────────────────────
+  // AGENT requests a DCT for itself or a subagent it owns.
+  // Policy engine evaluates risk and determines if approval is needed.
+  app.post("/kernel/tokens/request", doc("Request a delegation capability token (DCT)", { body: RequestDctBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = RequestDctBody.parse(req.body ?? {});
+
+    // ── 1. Validate requesting AGENT ──────────────────────────────────────────
+    try {
+      assertAgent(db, body.requested_by_agent_id, body.workspace_id);
+    } catch (err) {
+      reply.code(err.code ?? 403);
+      return { ok: false, error: err.message };
+    }
+
+    // ── 2. Validate issue_to target ───────────────────────────────────────────
+    if (body.issue_to.kind === "subagent") {
+      let sa;
+      try {
+        sa = assertSubagent(db, body.issue_to.id, body.workspace_id);
+      } catch (err) {
+        reply.code(err.code ?? 404);
+        return { ok: false, error: err.message };
+      }
+      // Subagent must belong to the requesting agent
+      if (sa.parent_agent_id !== body.requested_by_agent_id) {
+        reply.code(403);
+        return { ok: false, error: "subagent_not_owned_by_requesting_agent" };
+      }
+    } else if (body.issue_to.kind === "agent") {
+      // Agents can only request tokens for themselves (V1)
+      if (body.issue_to.id !== body.requested_by_agent_id) {
+        reply.code(403);
+        return { ok: false, error: "agents_may_only_request_tokens_for_themselves_v1" };
+      }
+    }
+
+    // ── 3. Evaluate risk + policy ─────────────────────────────────────────────
+    // A run_shell scope naming its command is rated by that command (sandbox/risk.js)
+    const policyResult = evaluateScope(body.scope, db, { workspace_id: body.workspace_id });
+    const analysis = policyResult.analysis ? { analysis: policyResult.analysis } : {};
+
+    if (policyResult.blocked) {
+      return {
+        ok:           false,
+        error:        "scope_blocked_by_policy",
+        blocked_tool: policyResult.blocked_tool,
+        risk_level:   policyResult.risk_level,
+        ...analysis,
+      };
+    }
+
+    // ── 4. Approval gate ──────────────────────────────────────────────────────
+    if (policyResult.approval_required) {
+      // If a dar_id is provided, validate the approval was granted
+      if (body.dar_id) {
+        const dar = db.prepare(`SELECT * FROM dct_approval_requests WHERE dar_id=?`).get(body.dar_id);
+        if (!dar) {
+          reply.code(404);
+          return { ok: false, error: "dct_approval_not_found" };
+        }
+        if (dar.status !== "granted") {
+          reply.code(403);
+          return { ok: false, error: `dct_approval_${dar.status}`, dar_id: body.dar_id };
+        }
+        if (new Date(dar.expires_at).getTime() < Date.now()) {
+          reply.code(403);
+          return { ok: false, error: "dct_approval_expired", dar_id: body.dar_id };
+        }
+        // Validate the approval binds to the same agent + scope target
+        if (dar.requested_by_agent_id !== body.requested_by_agent_id) {
+          reply.code(403);
+          return { ok: false, error: "dct_approval_agent_mismatch" };
+        }
+        // …and to the scope that was approved (for run_shell, the command itself)
+        if (dar.scope_json !== JSON.stringify(body.scope)) {
+          reply.code(403);
+          return { ok: false, error: "dct_approval_scope_mismatch", dar_id: body.dar_id };
+        }
+        // Approval validated — fall through to mint
+      } else {
+        // No approval yet — create one and ask the user
+        const dar_id     = `dar_${crypto.randomBytes(12).toString("hex")}`;
+        const now        = new Date().toISOString();
+        const expires_at = new Date(Date.now() + body.ttl_seconds * 1000).toISOString();
+
+        db.prepare(`
+          INSERT INTO dct_approval_requests (
+            dar_id, workspace_id, requested_by_agent_id, issue_to_kind, issue_to_id,
+            task_id, scope_json, ttl_seconds, risk_level, status, expires_at, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+        `).run(
+          dar_id, body.workspace_id, body.requested_by_agent_id,
+          body.issue_to.kind, body.issue_to.id,
+          body.task_id ?? null, JSON.stringify(body.scope),
+          body.ttl_seconds, policyResult.risk_level,
+          expires_at, now,
+        );
+        logAudit(db, {
+          event: "dct_approval_requested", actor: auditActor(req), workspace_id: body.workspace_id,
+          subject_type: "dct_approval", subject_id: dar_id,
+          data:  {
+            requested_by_agent_id: body.requested_by_agent_id, issue_to: body.issue_to,
+            risk_level: policyResult.risk_level, scope: body.scope, ...analysis,
+          },
+        });
+
+        return {
+          ok:            false,
+          needs_approval: true,
+          dar_id,
+          risk_level:    policyResult.risk_level,
+          scope:         body.scope,
+          ...analysis,
+          message:       "Approval required. Grant via POST /kernel/dct_approvals/:dar_id/grant then retry with dar_id.",
+        };
+      }
+    }
+
+    // ── 5. Mint DCT ───────────────────────────────────────────────────────────
+    const dct = mintDCT(db, {
+      workspace_id:    body.workspace_id,
+      issued_to_kind:  body.issue_to.kind,
+      issued_to_id:    body.issue_to.id,
+      parent_agent_id: body.issue_to.kind === "subagent" ? body.requested_by_agent_id : null,
+      task_id:         body.task_id ?? null,
+      scope:           body.scope,
+      ttl_seconds:     body.ttl_seconds,
+    });
+    logAudit(db, {
+      event: "dct_minted", actor: auditActor(req), workspace_id: body.workspace_id,
+      subject_type: "dct", subject_id: dct.token_id,
+      data:  {
+        issue_to: body.issue_to, requested_by_agent_id: body.requested_by_agent_id, task_id: body.task_id ?? null,
+        scope: body.scope, risk_level: policyResult.risk_level, dar_id: body.dar_id ?? null, expires_at: dct.expires_at,
+      },
+    });
+
+    // Emit token.issued event
+    if (body.task_id) {
+      emitEvent(db, {
+        workspace_id: body.workspace_id,
+        task_id:      body.task_id,
+        actor_kind:   "system",
+        actor_id:     "kernel",
+        type:         "token.issued",
+        data: {
+          token_id:       dct.token_id,
+          issued_to_kind: body.issue_to.kind,
+          issued_to_id:   body.issue_to.id,
+          risk_level:     policyResult.risk_level,
+          scope:          body.scope,
+        },
+      });
+    }
+
+    return {
+      ok:             true,
+      token_id:       dct.token_id,
+      token:          dct.token,
+      expires_at:     dct.expires_at,
+      issued_to_kind: body.issue_to.kind,
+      issued_to_id:   body.issue_to.id,
+      risk_level:     policyResult.risk_level,
+      ...analysis,
+    };
+  });
+
+  /** Shared by grant / deny: decide a pending DCT approval request and audit it. */
+  function decideDar(req, reply, status) {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const dar = db.prepare(`SELECT * FROM dct_approval_requests WHERE dar_id=?`).get(req.params.dar_id);
+    if (!dar) { reply.code(404); return { ok: false, error: "dct_approval_not_found" }; }
+    if (dar.status !== "pending") { reply.code(409); return { ok: false, error: `already_${dar.status}` }; }
+
+    db.prepare(`UPDATE dct_approval_requests SET status=?, decided_at=? WHERE dar_id=?`)
+      .run(status, new Date().toISOString(), req.params.dar_id);
+    logAudit(db, {
+      event: `dct_approval_${status}`, actor: auditActor(req), workspace_id: dar.workspace_id,
+      subject_type: "dct_approval", subject_id: dar.dar_id,
+    });
+
+    return { ok: true, dar_id: req.params.dar_id, status };
+  }
+
+  // ── POST /kernel/dct_approvals/:dar_id/grant ───────────────────────────────
+  app.post("/kernel/dct_approvals/:dar_id/grant", doc("Grant a pending DCT approval request (operator)"), async (req, reply) => {
+    return decideDar(req, reply, "granted");
+  });
+
+  // ── POST /kernel/dct_approvals/:dar_id/deny ────────────────────────────────
+  app.post("/kernel/dct_approvals/:dar_id/deny", doc("Deny a pending DCT approval request"), async (req, reply) => {
+    return decideDar(req, reply, "denied");
+  });
+
+  // ── POST /kernel/dct_tokens/:token_id/revoke ───────────────────────────────
+  // Operator only. A revoked DCT fails verifyDCT immediately, before its expiry.
+  app.post("/kernel/dct_tokens/:token_id/revoke", doc("Revoke a DCT before it expires (operator)"), async (req, reply) => {
+    const dct = getDCT(db, req.params.token_id);
+    if (!dct) { reply.code(404); return { ok: false, error: "dct_not_found" }; }
+    if (dct.revoked) { reply.code(409); return { ok: false, error: "already_revoked" }; }
+
+    revokeDCT(db, dct.token_id);
+    logAudit(db, {
+      event: "dct_revoked", actor: auditActor(req), workspace_id: dct.workspace_id,
+      subject_type: "dct", subject_id: dct.token_id,
+      data:  { issued_to_kind: dct.issued_to_kind, issued_to_id: dct.issued_to_id, expires_at: dct.expires_at },
+    });
+    return { ok: true, token_id: dct.token_id, revoked: true };
+  });
+}
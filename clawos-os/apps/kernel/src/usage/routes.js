@@ -0,0 +1,71 @@
+/**
+ * Usage REST routes — registered by apps/kernel/src/app.js.
+ *
+ * GET    /kernel/usage?group_by=day,workspace,provider&workspace_id=&from=&to=
+ *                                              — aggregated LLM usage ledger
+ * GET    /kernel/usage/budgets                 — all workspace budgets with month-to-date spend
+ * GET    /kernel/usage/budgets/:workspace_id   — one budget
+ * PUT    /kernel/usage/budgets/:workspace_id   — set { monthly_usd }
+ * DELETE /kernel/usage/budgets/:workspace_id   — remove the cap
+ */
+import { z } from "zod";
+import {
+  summarizeUsage, USAGE_GROUPS,
+  getBudget, listBudgets, setBudget, deleteBudget,
+} from "./service.js";
+import { doc } from "../openapi/spec.js";
+
+const PutBudgetBody = z.object({ monthly_usd: z.number().nonnegative() });
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerUsageRoutes(app, db) {
+
+  // ── GET /kernel/usage ──────────────────────────────────────────────────────
+  app.get("/kernel/usage", doc("Aggregated LLM usage"), async (req, reply) => {
+    const { group_by, workspace_id, from, to } = req.query ?? {};
+    const groups = String(group_by ?? "day").split(",").map((g) => g.trim()).filter(Boolean);
+    const unknown = groups.filter((g) => !USAGE_GROUPS.includes(g));
+    if (unknown.length) {
+      reply.code(400);
+      return { ok: false, error: "invalid_group_by", unknown, allowed: USAGE_GROUPS };
+    }
+    const rows = summarizeUsage(db, { group_by: groups, workspace_id, from, to });
+    return { ok: true, group_by: groups, rows };
+  });
+
+  // ── GET /kernel/usage/budgets ──────────────────────────────────────────────
+  app.get("/kernel/usage/budgets", doc("Workspace budgets with month-to-date spend"), async () => {
+    return { ok: true, budgets: listBudgets(db) };
+  });
+
+  // ── GET /kernel/usage/budgets/:workspace_id ────────────────────────────────
+  app.get("/kernel/usage/budgets/:workspace_id", doc("Get a workspace budget"), async (req, reply) => {
+    const budget = getBudget(db, req.params.workspace_id);
+    if (!budget) { reply.code(404); return { ok: false, error: "budget_not_found" }; }
+    return { ok: true, budget };
+  });
+
+  // ── PUT /kernel/usage/budgets/:workspace_id ────────────────────────────────
+  app.put("/kernel/usage/budgets/:workspace_id", doc("Set a workspace's monthly budget", { body: PutBudgetBody }), async (req, reply) => {
+    let body;
+    try { body = PutBudgetBody.parse(req.body ?? {}); }
+    catch (e) { reply.code(400); return { ok: false, error: e.message }; }
+
+    const { workspace_id } = req.params;
+    const wsRow = db.prepare(`SELECT workspace_id FROM workspaces WHERE workspace_id=?`).get(workspace_id);
+    if (!wsRow) { reply.code(404); return { ok: false, error: "workspace_not_found" }; }
+
+    return { ok: true, budget: setBudget(db, workspace_id, body.monthly_usd) };
+  });
+
+  // ── DELETE /kernel/usage/budgets/:workspace_id ─────────────────────────────
+  app.delete("/kernel/usage/budgets/:workspace_id", doc("Remove a workspace budget"), async (req, reply) => {
+    if (!deleteBudget(db, req.params.workspace_id)) {
+      reply.code(404); return { ok: false, error: "budget_not_found" };
+    }
+    return { ok: true, workspace_id: req.params.workspace_id };
+  });
+}
@@ -0,0 +1,158 @@
+/**
+ * Usage service — LLM usage ledger and per-workspace monthly budgets.
+ *
+ * Every provider call made through src/llm/client.js lands in llm_usage.
+ * Budgets are a soft cap on the estimated cost for the current calendar
+ * month (UTC); once spend reaches the cap, assertWithinBudget() throws and
+ * LLM-backed actions refuse instead of calling a provider.
+ */
+import crypto from "node:crypto";
+
+function usageId() {
+  return `llmu_${crypto.randomBytes(10).toString("hex")}`;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+/** ISO timestamps bounding the current calendar month (UTC). */
+function currentMonth() {
+  const d = new Date();
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const end   = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * Append one provider call to the ledger.
+ *
+ * @param {object} db
+ * @param {{ workspace_id?, session_id?, action_type, provider, model,
+ *           input_tokens?, output_tokens?, latency_ms, cost_usd?, outcome, error? }} row
+ */
+export function recordUsage(db, row) {
+  db.prepare(`
+    INSERT INTO llm_usage (usage_id, created_at, workspace_id, session_id, action_type, provider, model,
+                           input_tokens, output_tokens, latency_ms, cost_usd, outcome, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    usageId(), now(),
+    row.workspace_id ?? null, row.session_id ?? null,
+    row.action_type, row.provider, row.model,
+    row.input_tokens ?? null, row.output_tokens ?? null,
+    Math.round(row.latency_ms), row.cost_usd ?? null,
+    row.outcome, row.error ?? null,
+  );
+}
+
+const GROUP_COLUMNS = {
+  day:       "substr(created_at, 1, 10)",
+  workspace: "COALESCE(workspace_id, '(none)')",
+  provider:  "provider",
+  model:     "provider || ':' || model",
+  action:    "action_type",
+};
+
+export const USAGE_GROUPS = Object.keys(GROUP_COLUMNS);
+
+/**
+ * Aggregate the ledger.
+ *
+ * @param {object} db
+ * @param {{ group_by?: string[]; workspace_id?: string; from?: string; to?: string }} opts
+ *   group_by entries are keys of GROUP_COLUMNS (default ["day"]); from/to are ISO dates.
+ * @returns {object[]}  one row per group with calls, errors, tokens and cost
+ */
+export function summarizeUsage(db, { group_by = ["day"], workspace_id, from, to } = {}) {
+  const groups = group_by.filter((g) => GROUP_COLUMNS[g]);
+  const select = groups.map((g) => `${GROUP_COLUMNS[g]} AS ${g}`);
+
+  const where = [];
+  const args  = [];
+  if (workspace_id) { where.push("workspace_id = ?"); args.push(workspace_id); }
+  if (from)         { where.push("created_at >= ?");  args.push(from); }
+  if (to)           { where.push("created_at < ?");   args.push(to); }
+
+  const sql = `
+    SELECT ${[...select,
+      "COUNT(*) AS calls",
+      "SUM(outcome = 'error') AS errors",
+      "COALESCE(SUM(input_tokens), 0) AS input_tokens",
+      "COALESCE(SUM(output_tokens), 0) AS output_tokens",
+      "ROUND(COALESCE(SUM(cost_usd), 0), 6) AS cost_usd",
+      "CAST(AVG(latency_ms) AS INTEGER) AS avg_latency_ms",
+    ].join(", ")}
+    FROM llm_usage
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ${groups.length ? `GROUP BY ${groups.map((g) => GROUP_COLUMNS[g]).join(", ")}` : ""}
+    ${groups.length ? `ORDER BY ${groups.map((g) => GROUP_COLUMNS[g]).join(", ")}` : ""}
+  `;
+  return db.prepare(sql).all(...args);
+}
+
+/** Estimated spend for a workspace in the current calendar month (UTC). */
+export function monthSpend(db, workspace_id) {
+  const { start, end } = currentMonth();
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM llm_usage
+    WHERE workspace_id = ? AND created_at >= ? AND created_at < ?
+  `).get(workspace_id, start, end);
+  return row.spent;
+}
+
+/**
+ * Budget status for a workspace, or null when no budget is set.
+ *
+ * @returns {{ workspace_id, monthly_usd, spent_usd, remaining_usd, exhausted, resets_at, updated_at } | null}
+ */
+export function getBudget(db, workspace_id) {
+  const row = db.prepare(`SELECT * FROM llm_budgets WHERE workspace_id = ?`).get(workspace_id);
+  if (!row) {return null;}
+  const spent = monthSpend(db, workspace_id);
+  return {
+    workspace_id,
+    monthly_usd:   row.monthly_usd,
+    spent_usd:     Math.round(spent * 1e6) / 1e6,
+    remaining_usd: Math.max(0, Math.round((row.monthly_usd - spent) * 1e6) / 1e6),
+    exhausted:     spent >= row.monthly_usd,
+    resets_at:     currentMonth().end,
+    updated_at:    row.updated_at,
+  };
+}
+
+export function listBudgets(db) {
+  return db.prepare(`SELECT workspace_id FROM llm_budgets ORDER BY workspace_id`).all()
+    .map((r) => getBudget(db, r.workspace_id));
+}
+
+export function setBudget(db, workspace_id, monthly_usd) {
+  db.prepare(`
+    INSERT INTO llm_budgets (workspace_id, monthly_usd, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(workspace_id) DO UPDATE SET monthly_usd=excluded.monthly_usd, updated_at=excluded.updated_at
+  `).run(workspace_id, monthly_usd, now());
+  return getBudget(db, workspace_id);
+}
+
+/** @returns {boolean} true when a budget was removed */
+export function deleteBudget(db, workspace_id) {
+  return db.prepare(`DELETE FROM llm_budgets WHERE workspace_id = ?`).run(workspace_id).changes > 0;
+}
+
+/**
+ * Throw Error{code:"budget_exceeded", budget} when the workspace has spent its
+ * monthly budget. No-op for workspaces without a budget (or no workspace).
+ */
+export function assertWithinBudget(db, workspace_id) {
+  if (!workspace_id) {return;}
+  const budget = getBudget(db, workspace_id);
+  if (!budget?.exhausted) {return;}
+  const resets = budget.resets_at.slice(0, 10);
+  throw Object.assign(
+    new Error(
+      `This workspace has used its monthly AI budget ($${budget.spent_usd.toFixed(2)} of ` +
+      `$${budget.monthly_usd.toFixed(2)}). It resets on ${resets}, or an operator can raise the budget.`,
+    ),
+    { code: "budget_exceeded", budget },
+  );
+}
@@ -33,6 +33,7 @@ async function workerDispatch(db, subagent, action_type, payload) {
     agent_id:     subagent.subagent_id,   // subagent is the actor
     action_type,
     payload,
+    meta:         { task_id: subagent.task_id },
     scopes:       ["operator.approvals"], // DCT already authorized at API boundary
   }, { db });
 
@@ -71,9 +72,21 @@ const HANDLERS = {
     });
   },
 
-  /** Shell executor — calls run_shell action (HIGH risk, requires DCT with run_shell scope) */
-  shell_executor: async ({ subagent, input, db }) => {
-    return workerDispatch(db, subagent, "run_shell", { command: input?.command ?? "" });
+  /**
+   * Shell executor — calls run_shell action (requires DCT with run_shell scope).
+   * A DCT whose scope names a command (resource_constraints.command — what the
+   * policy engine rated) runs that command and no other.
+   */
+  shell_executor: async ({ subagent, token, input, db }) => {
+    const command = input?.command ?? "";
+    const bound = token.scope?.resource_constraints?.command;
+    if (typeof bound === "string" && bound !== command) {
+      throw new Error("command does not match the one this token was issued for");
+    }
+    return workerDispatch(db, subagent, "run_shell", {
+      command,
+      ...(input?.session ? { session: true } : {}),
+    });
   },
 
   /** Document processor — calls summarize_document when text is available */
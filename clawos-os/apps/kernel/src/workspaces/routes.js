@@ -0,0 +1,43 @@
+/**
+ * Workspace routes — registered by apps/kernel/src/app.js.
+ *
+ * POST /kernel/workspaces   — create { type? } → { workspace_id } (kernel must be unlocked)
+ * GET  /kernel/workspaces   — all workspaces, newest first
+ *
+ * Every other workspace-scoped route checks its workspace_id against this table.
+ */
+import crypto from "crypto";
+import { z } from "zod";
+import { isLocked } from "../keyring/service.js";
+import { doc } from "../openapi/spec.js";
+
+const CreateWorkspaceBody = z.object({ type: z.string().optional().default("default") });
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {import('better-sqlite3').Database} db
+ */
+export function registerWorkspaceRoutes(app, db) {
+
+  // ── POST /kernel/workspaces ────────────────────────────────────────────────
+  app.post("/kernel/workspaces", doc("Create a workspace", { body: CreateWorkspaceBody }), async (req, reply) => {
+    if (isLocked()) { reply.code(403); return { ok: false, error: "kernel_locked" }; }
+
+    const body = CreateWorkspaceBody.parse(req.body ?? {});
+    const workspace_id = `ws_${crypto.randomBytes(12).toString("hex")}`;
+
+    db.prepare(`INSERT INTO workspaces (workspace_id, type, created_at) VALUES (?, ?, ?)`).run(
+      workspace_id,
+      body.type,
+      new Date().toISOString()
+    );
+
+    return { workspace_id };
+  });
+
+  // ── GET /kernel/workspaces ─────────────────────────────────────────────────
+  app.get("/kernel/workspaces", doc("List workspaces"), async () => {
+    const rows = db.prepare(`SELECT * FROM workspaces ORDER BY created_at DESC`).all();
+    return { workspaces: rows };
+  });
+}
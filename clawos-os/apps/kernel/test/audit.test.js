@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kernelApp, call } from "./helpers.js";
+import { logAudit, verifyAuditChain, installAuditTriggers } from "../src/audit/service.js";
+
+const { db, app } = await kernelApp();
+const { body: { operator_key: key } } = await call(app, "POST", "/kernel/setup", { body: { recovery_phrase: "correct horse battery staple" } });
+
+// What someone with write access to the DB file can do: drop the triggers and
+// rebuild the log with freshly computed hashes
+function rewriteLog(events) {
+  db.exec(`DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete; DELETE FROM audit_log;`);
+  installAuditTriggers(db);
+  for (const event of events) {logAudit(db, { event });}
+}
+
+test("the kernel rejects edits to the log", () => {
+  assert.throws(() => db.prepare(`DELETE FROM audit_log`).run(), /append-only/);
+  assert.throws(() => db.prepare(`UPDATE audit_log SET actor='x'`).run(), /append-only/);
+});
+
+test("a recorded head anchors the chain", async () => {
+  logAudit(db, { event: "keys_rotated" });
+  const { head } = verifyAuditChain(db);
+  logAudit(db, { event: "kernel_locked" });
+
+  const res = await call(app, "GET", `/kernel/audit/verify?anchor_seq=${head.seq}&anchor_hash=${head.hash}`, { key });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.valid, true);
+  assert.equal(res.body.head.seq, head.seq + 1);
+});
+
+test("a rewritten log still chains, but not to the anchor", () => {
+  const anchor = verifyAuditChain(db).head;
+  rewriteLog(["kernel_setup", "kernel_unlocked", "kernel_locked"]);
+
+  assert.equal(verifyAuditChain(db).valid, true);
+  const res = verifyAuditChain(db, { anchor });
+  assert.equal(res.valid, false);
+  assert.deepEqual(res.break, { seq: anchor.seq, reason: "anchor_mismatch" });
+});
+
+test("a truncated log is caught by a later anchor", () => {
+  const anchor = verifyAuditChain(db).head;
+  rewriteLog(["kernel_setup"]);
+
+  const res = verifyAuditChain(db, { anchor });
+  assert.equal(res.valid, false);
+  assert.deepEqual(res.break, { seq: anchor.seq, reason: "anchor_missing" });
+});
+
+test("anchor_seq and anchor_hash go together", async () => {
+  const res = await call(app, "GET", "/kernel/audit/verify?anchor_seq=1", { key });
+  assert.equal(res.status, 400);
+});
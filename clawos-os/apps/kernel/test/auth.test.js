@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kernelApp, call } from "./helpers.js";
+import { createApiClient, rolesFor } from "../src/auth/service.js";
+
+const { db, app } = await kernelApp();
+const ui     = createApiClient(db, { name: "ui", role: "ui" }).api_key;
+const bridge = createApiClient(db, { name: "bridge", role: "bridge" }).api_key;
+
+test("roles come from the route table", () => {
+  assert.deepEqual(rolesFor("POST", "/kernel/approvals/:id/approve"), ["operator"]);
+  assert.deepEqual(rolesFor("GET", "/kernel/clawhub/skill_env_export"), ["bridge"]);
+  assert.deepEqual(rolesFor("DELETE", "/kernel/unlisted"), ["operator"]);
+});
+
+test("a key is required", async () => {
+  assert.equal((await call(app, "GET", "/kernel/clawhub/skill_env_export")).status, 401);
+});
+
+test("skill_env_export is bridge only, encoded or not", async () => {
+  for (const url of ["/kernel/clawhub/skill_env_export", "/kernel/clawhub/skill_env_%65xport", "/kernel/clawhub/%73kill_env_export?x=1"]) {
+    const res = await call(app, "GET", url, { key: ui });
+    assert.equal(res.status, 403, url);
+    assert.equal(res.body.error, "forbidden");
+    assert.deepEqual(res.body.allowed_roles, ["bridge"]);
+  }
+});
+
+test("approve is operator only, encoded or not", async () => {
+  for (const url of ["/kernel/approvals/ap_1/approve", "/kernel/approvals/ap_1/%61pprove", "/kernel/approvals/ap%2F1/approve"]) {
+    const res = await call(app, "POST", url, { key: bridge, body: {} });
+    assert.equal(res.status, 403, url);
+    assert.deepEqual(res.body.allowed_roles, ["operator"]);
+  }
+});
+
+test("dct grant is operator only when encoded", async () => {
+  const res = await call(app, "POST", "/kernel/dct_approvals/dar_1/%67rant", { key: bridge, body: {} });
+  assert.equal(res.status, 403);
+});
+
+test("the bridge keeps its own routes", async () => {
+  const res = await call(app, "POST", "/kernel/approvals/ap_1/reject", { key: bridge, body: {} });
+  assert.notEqual(res.body.error, "forbidden");
+});
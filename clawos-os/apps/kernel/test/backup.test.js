@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kernelApp, call } from "./helpers.js";
+import { verifyAuditChain } from "../src/audit/service.js";
+
+const PHRASE = "correct horse battery staple";
+const NEW_PHRASE = "a different recovery phrase";
+const { db, app } = await kernelApp();
+
+const { body: { operator_key: key } } = await call(app, "POST", "/kernel/setup", { body: { recovery_phrase: PHRASE } });
+const hook = (name) => ({ name, description: "test hook", endpoint: "http://127.0.0.1:9/hook" });
+await call(app, "POST", "/kernel/actions", { key, body: hook("backed_up_hook") });
+// backup_exported is logged after the snapshot is taken
+const backupHead = verifyAuditChain(db).head;
+const { body: backup } = await call(app, "POST", "/kernel/backup/export", { key, body: { recovery_phrase: PHRASE } });
+await call(app, "POST", "/kernel/recovery/change", { key, body: { recovery_phrase: PHRASE, new_recovery_phrase: NEW_PHRASE } });
+await call(app, "DELETE", "/kernel/actions/backed_up_hook", { key });
+await call(app, "POST", "/kernel/actions", { key, body: hook("later_hook") });
+
+test("import needs the kernel's current recovery phrase", async () => {
+  let res = await call(app, "POST", "/kernel/backup/import", { key, body: { recovery_phrase: PHRASE, backup } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, "bad_current_recovery_phrase");
+
+  res = await call(app, "POST", "/kernel/backup/import", {
+    key, body: { recovery_phrase: PHRASE, current_recovery_phrase: "not the current phrase", backup },
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, "bad_current_recovery_phrase");
+});
+
+test("import keeps the kernel's audit log and chains backup_restored onto it", async () => {
+  const before = verifyAuditChain(db);
+  const res = await call(app, "POST", "/kernel/backup/import", {
+    key, body: { recovery_phrase: PHRASE, current_recovery_phrase: NEW_PHRASE, backup },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.locked, false);
+  assert.equal(res.body.restored.audit_log, undefined);
+
+  const after = verifyAuditChain(db);
+  assert.equal(after.valid, true);
+  assert.equal(after.checked, before.checked + 1);
+  const entry = db.prepare(`SELECT * FROM audit_log ORDER BY seq DESC LIMIT 1`).get();
+  assert.equal(entry.event, "backup_restored");
+  assert.equal(entry.prev_hash, before.head.hash);
+  assert.deepEqual(JSON.parse(entry.data_json).backup_audit_head, backupHead);
+});
+
+test("import puts the backup's webhook actions in the running registry", async () => {
+  assert.equal((await call(app, "GET", "/kernel/actions/backed_up_hook", { key })).status, 200);
+  assert.equal((await call(app, "GET", "/kernel/actions/later_hook", { key })).status, 404);
+});
+
+test("the restored keyring answers to the backup's phrase", async () => {
+  const res = await call(app, "POST", "/kernel/backup/export", { key, body: { recovery_phrase: PHRASE } });
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,31 @@
+/**
+ * Test helpers — a migrated in-memory kernel DB and the HTTP app over it,
+ * driven with app.inject() (nothing listens).
+ */
+import Database from "better-sqlite3";
+import { loadMigrations, runMigrations } from "../src/db/migrate.js";
+import { installAuditTriggers } from "../src/audit/service.js";
+import { buildApp } from "../src/app.js";
+
+export async function kernelDb() {
+  const db = new Database(":memory:");
+  runMigrations(db, await loadMigrations());
+  installAuditTriggers(db);
+  return db;
+}
+
+/** @returns {Promise<{ db: import('better-sqlite3').Database; app: import('fastify').FastifyInstance }>} */
+export async function kernelApp() {
+  const db = await kernelDb();
+  return { db, app: buildApp(db, { logger: false }) };
+}
+
+/** app.inject() with an API key; resolves to { status, body }. */
+export async function call(app, method, url, { key, body } = {}) {
+  const res = await app.inject({
+    method, url,
+    headers: key ? { authorization: `Bearer ${key}` } : {},
+    ...(body !== undefined ? { payload: body } : {}),
+  });
+  return { status: res.statusCode, body: res.json() };
+}
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { kernelDb, kernelApp, call } from "./helpers.js";
+import { isLocked, verifyRecoveryPhrase, unlockKeyring } from "../src/keyring/service.js";
+
+const PHRASE = "correct horse battery staple";
+const { app } = await kernelApp();
+
+const unlock = (recovery_phrase, remoteAddress = "10.0.0.1") =>
+  app.inject({ method: "POST", url: "/kernel/unlock", payload: { recovery_phrase }, remoteAddress })
+    .then((res) => ({ status: res.statusCode, body: res.json(), retryAfter: res.headers["retry-after"] }));
+
+let operatorKey;
+
+test("setup issues the first operator key and unlocks", async () => {
+  const res = await call(app, "POST", "/kernel/setup", { body: { recovery_phrase: PHRASE } });
+  assert.equal(res.status, 200);
+  assert.match(res.body.operator_key, /^ck_/);
+  assert.equal(isLocked(), false);
+  operatorKey = res.body.operator_key;
+});
+
+test("a wrong phrase does not unlock", async () => {
+  await call(app, "POST", "/kernel/lock", { key: operatorKey });
+  const res = await unlock("not the recovery phrase");
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, "bad_recovery_phrase");
+  assert.equal(isLocked(), true);
+});
+
+test("repeated wrong phrases from one IP are slowed down", async () => {
+  assert.equal((await unlock("still not it")).status, 403);
+  assert.equal((await unlock("wrong again!")).status, 403);
+  const res = await unlock(PHRASE);
+  assert.equal(res.status, 429);
+  assert.equal(res.body.error, "too_many_attempts");
+  assert.ok(Number(res.retryAfter) >= 1);
+  assert.equal(isLocked(), true);
+});
+
+test("other IPs are not held back", async () => {
+  const res = await unlock(PHRASE, "10.0.0.2");
+  assert.equal(res.status, 200);
+  assert.equal(isLocked(), false);
+});
+
+test("only one phrase derivation runs at a time", async () => {
+  await call(app, "POST", "/kernel/lock", { key: operatorKey });
+  const results = await Promise.all([unlock("first guess!", "10.0.1.1"), unlock("second guess", "10.0.1.2")]);
+  assert.deepEqual(results.map((r) => r.status).toSorted(), [403, 429]);
+  assert.equal(results.find((r) => r.status === 429).body.error, "phrase_check_busy");
+});
+
+test("setup with a wrong phrase issues nothing and counts as a failure", async () => {
+  const ip = "10.0.2.1";
+  for (let i = 0; i < 3; i++) {
+    const res = await app.inject({ method: "POST", url: "/kernel/setup", payload: { recovery_phrase: "a wrong phrase" }, remoteAddress: ip });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json().operator_key, undefined);
+  }
+  const res = await app.inject({ method: "POST", url: "/kernel/setup", payload: { recovery_phrase: PHRASE }, remoteAddress: ip });
+  assert.equal(res.statusCode, 429);
+});
+
+test("a legacy kernel's recovery hash is checked, then migrated", async () => {
+  const legacy = await kernelDb();
+  const hash = crypto.createHash("sha256").update(PHRASE, "utf8").digest("hex");
+  legacy.prepare(`INSERT INTO kernel_state(key,value) VALUES('recovery_hash',?)`).run(hash);
+
+  assert.equal(await verifyRecoveryPhrase(legacy, "not the recovery phrase"), false);
+  assert.equal(await verifyRecoveryPhrase(legacy, PHRASE), true);
+  assert.equal(await unlockKeyring(legacy, "not the recovery phrase"), false);
+  assert.equal(await unlockKeyring(legacy, PHRASE), true);
+  assert.ok(legacy.prepare(`SELECT 1 FROM kernel_state WHERE key='keyring'`).get());
+});
@@ -0,0 +1,11 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { providerBaseUrl } from "../src/llm/providers.js";
+
+test("a stored base_url only points the local provider somewhere else", () => {
+  const secrets = { api_key: "sk-test", base_url: "https://attacker.example/v1" };
+  for (const provider of ["openai", "anthropic", "xai"]) {
+    assert.equal(providerBaseUrl(provider, secrets), providerBaseUrl(provider, { api_key: "sk-test" }), provider);
+  }
+  assert.equal(providerBaseUrl("local", { base_url: "http://127.0.0.1:8080/v1/" }), "http://127.0.0.1:8080/v1");
+});
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeCommand } from "../src/sandbox/risk.js";
+import { modeForAssessment } from "../src/policy/engine.js";
+import { action as runShell } from "../src/orchestrator/actions/run_shell.js";
+
+// Host-mode layout: the workspace, and a real home outside it
+const where = { root: "/srv/ws", home: "/home/agent" };
+const rate = (command) => analyzeCommand(command, where);
+const RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+function atLeast(level, commands) {
+  for (const command of commands) {
+    const { risk_level, summary } = rate(command);
+    assert.ok(RANK[risk_level] >= RANK[level], `${command}: ${summary}`);
+  }
+}
+
+test("plain reads inside the workspace stay low", () => {
+  for (const command of [
+    "ls", "ls -la src", "cat README.md", "head -n 5 a.txt", "grep -rn TODO src", "rg -e foo src",
+    "sort -u names.txt", "uniq -c names.txt", "find . -name '*.js'", "git status", "git log -p -- src",
+    "git diff HEAD~1", "date +%F", "sed -n 's/a/b/p' notes.txt", "timeout 5 wc -l a.txt",
+  ]) {
+    assert.equal(rate(command).risk_level, "low", command);
+  }
+});
+
+test("flags that write or run something else are not read-only", () => {
+  atLeast("high", [
+    "sort -o /tmp/kt/PWNED /etc/hostname",
+    "sort --output=/etc/x a.txt",
+    "git log --output=/etc/x",
+    "uniq a /etc/cron.d/x",
+    "uniq -f 1 a.txt /etc/cron.d/x",
+    "find / -fprint /etc/x",
+    "find . -fprintf /etc/x '%p'",
+    "find . -name x -exec rm {} ;",
+    "find . -delete",
+  ]);
+  atLeast("critical", [
+    "find . -exec sh -c 'rm -rf /' \\;",
+    "find . -exec bash -c 'dd if=/dev/zero of=/dev/sda' {} +",
+  ]);
+  atLeast("medium", [
+    "rg --pre 'cmd' x",
+    "rg --pre=./convert.sh pattern",
+    "sort -o out.txt in.txt",
+    "xxd a.bin b.hex",
+    "tree -o listing.txt",
+    "sed '1w out.txt' a.txt",
+    "sed 's/a/b/e' a.txt",
+  ]);
+});
+
+test("env, printenv and the exec / xargs wrappers are not read-only", () => {
+  atLeast("medium", ["printenv", "env", "printenv OPENAI_API_KEY", "echo x | xargs cat", "exec ls"]);
+  atLeast("high", ["env LD_PRELOAD=/tmp/x.so ls", "PATH=/tmp/evil ls", "export LD_PRELOAD=/tmp/x.so; ls"]);
+});
+
+test("setting a variable is never read-only, and program-choosing ones are high", () => {
+  atLeast("high", [
+    "GIT_EXTERNAL_DIFF=/tmp/x git diff",
+    "export GIT_EXTERNAL_DIFF=/tmp/x; git diff",
+    "GIT_CONFIG_COUNT=1 GIT_CONFIG_KEY_0=core.fsmonitor GIT_CONFIG_VALUE_0=id git status",
+    "PAGER=x git log",
+    "LESSOPEN='|/tmp/x %s' less a.txt",
+  ]);
+  atLeast("medium", ["FOO=1 ls", "export FOO=1; ls"]);
+});
+
+test("run_shell's env is rated like an assignment", () => {
+  const env = { GIT_EXTERNAL_DIFF: "/tmp/x" };
+  assert.equal(analyzeCommand("git diff", { ...where, env }).risk_level, "high");
+  const assessed = runShell.assess({ workspace_id: "ws_test", payload: { command: "git diff", env } }, { db: null });
+  assert.equal(assessed.risk_level, "high");
+  assert.equal(assessed.read_only, false);
+  assert.equal(runShell.assess({ workspace_id: "ws_test", payload: { command: "git diff" } }, { db: null }).read_only, true);
+});
+
+test("reads outside the workspace are at least medium, credentials high", () => {
+  atLeast("medium", ["cat /etc/hostname", "ls /", "head ../other/secret.txt", "cd /etc && cat hosts", "grep root /etc/passwd"]);
+  atLeast("high", ["cat ~/.ssh/id_rsa", "cat /etc/shadow", "cd ~/.aws && cat credentials", "cat < /etc/shadow"]);
+});
+
+test("setting the clock or the host name is high", () => {
+  atLeast("high", ["date -s '2020-01-01'", "date --set=2020-01-01", "date 010100002020", "hostname pwned"]);
+  assert.equal(rate("date -Iseconds").risk_level, "low");
+  assert.equal(rate("hostname -f").risk_level, "low");
+});
+
+test("git global options are skipped before the sub-command", () => {
+  for (const command of [
+    "git -C /tmp push --force",
+    "git -C . push -f origin main",
+    "git --git-dir=.git --work-tree=. push --force",
+    "git -c user.name=x reset --hard",
+    "git --no-pager -C . clean -fd",
+  ]) {
+    const { risk_level, summary } = rate(command);
+    assert.equal(risk_level, "high", `${command}: ${summary}`);
+  }
+  assert.match(rate("git -C /tmp push --force").summary, /push --force/);
+  atLeast("medium", ["git -C /tmp status", "git -c core.pager='sh -c id' log", "git -c core.fsmonitor=./x status"]);
+  assert.equal(rate("git -C src status").risk_level, "low");
+  assert.equal(rate("git --no-pager log --oneline").risk_level, "low");
+});
+
+test("read-only commands are only auto-approved when AUTO_APPROVE_READ_ONLY=true", () => {
+  const readOnly = rate("ls");
+  assert.equal(readOnly.read_only, true);
+  assert.equal(process.env.AUTO_APPROVE_READ_ONLY, undefined);
+  assert.equal(modeForAssessment("ask", readOnly), "ask");
+  assert.equal(modeForAssessment("auto", rate("rm -rf src")), "ask");
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kernelDb } from "./helpers.js";
+import {
+  initializeKeyring, unlockKeyring, lockKeyring, rotateKeys, keyInfo,
+  sealSecret, openSecret, signToken, verifyTokenSignature,
+} from "../src/keyring/service.js";
+
+const PHRASE = "correct horse battery staple";
+const db = await kernelDb();
+await initializeKeyring(db, PHRASE);
+
+const ts = new Date().toISOString();
+db.prepare(`INSERT INTO connections (provider, encrypted_json, updated_at) VALUES (?, ?, ?)`)
+  .run("smtp", sealSecret(JSON.stringify({ password: "hunter2" })), ts);
+db.prepare(`INSERT INTO skill_env_vars (env_var, encrypted, updated_at) VALUES (?, ?, ?)`)
+  .run("API_KEY", sealSecret("sk-123"), ts);
+const blob = (table, column, id, key) => db.prepare(`SELECT ${column} AS b FROM ${table} WHERE ${key}=?`).get(id).b;
+
+test("rotating connections re-encrypts every stored secret under the new key", () => {
+  const before = blob("connections", "encrypted_json", "smtp", "provider");
+  assert.match(before, /^c1:/);
+
+  const result = rotateKeys(db, ["connections"]);
+  assert.deepEqual(result.rotated, ["connections"]);
+  assert.deepEqual(result.connections, { active: "c2", reencrypted: { connections: 1, skill_env_vars: 1 } });
+
+  const after = blob("connections", "encrypted_json", "smtp", "provider");
+  assert.match(after, /^c2:/);
+  assert.notEqual(after, before);
+  assert.deepEqual(JSON.parse(openSecret(after)), { password: "hunter2" });
+  assert.equal(openSecret(blob("skill_env_vars", "encrypted", "API_KEY", "env_var")), "sk-123");
+  // The old key is gone
+  assert.throws(() => openSecret(before), { code: "unknown_key" });
+});
+
+test("the rotated keyring unlocks with the same phrase", async () => {
+  lockKeyring("test");
+  assert.equal(await unlockKeyring(db, "a different phrase"), false);
+  assert.equal(await unlockKeyring(db, PHRASE), true);
+  assert.equal(openSecret(blob("skill_env_vars", "encrypted", "API_KEY", "env_var")), "sk-123");
+  assert.equal(keyInfo(db).connections.active, "c2");
+});
+
+test("tokens signed before a signing rotation stay valid", () => {
+  const old = signToken("tok_1");
+  const result = rotateKeys(db, ["signing"]);
+  assert.equal(result.signing.active, "s2");
+  assert.equal(result.signing.retired, "s1");
+  assert.equal(verifyTokenSignature(old), "tok_1");
+  assert.match(signToken("tok_2"), /^tok_2\.s2\./);
+  assert.equal(verifyTokenSignature(`tok_1.s2.${old.split(".")[2]}`), null);
+});
+
+test("a secret that cannot be decrypted aborts the rotation and changes nothing", () => {
+  db.prepare(`INSERT INTO skill_env_vars (env_var, encrypted, updated_at) VALUES (?, ?, ?)`)
+    .run("BROKEN", "c2:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA", ts);
+  const before = blob("connections", "encrypted_json", "smtp", "provider");
+  assert.throws(() => rotateKeys(db, ["connections"]), { code: "reencrypt_failed" });
+  assert.equal(blob("connections", "encrypted_json", "smtp", "provider"), before);
+  assert.equal(keyInfo(db).connections.active, "c2");
+  assert.deepEqual(JSON.parse(openSecret(before)), { password: "hunter2" });
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "node:os";
+import fs from "node:fs";
+import path from "node:path";
+import { kernelApp, call } from "./helpers.js";
+import { envViolation } from "../src/sandbox/service.js";
+import { runSandboxed, sandboxIsolation } from "../src/sandbox/exec.js";
+import { getWorkspaceRoot } from "../src/orchestrator/fs-safe.js";
+
+const limits = { cpu_seconds: 5, memory_mb: 256, timeout_ms: 5_000 };
+
+test("env may not set what decides which binaries and libraries run", () => {
+  for (const name of ["PATH", "HOME", "LD_PRELOAD", "LD_LIBRARY_PATH", "DYLD_INSERT_LIBRARIES", "BASH_ENV", "IFS"]) {
+    assert.match(envViolation({ [name]: "/tmp/x" }), new RegExp(name));
+  }
+  assert.equal(envViolation({ OPENAI_API_KEY: "sk-test", LANG: "C" }), null);
+});
+
+test("sandboxed commands keep the sandbox's PATH and HOME", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-test-"));
+  try {
+    const run = await runSandboxed(`echo "$PATH|$HOME|$SKILL_KEY"`, {
+      root,
+      env:       { PATH: "/tmp/evil", HOME: "/root", SKILL_KEY: "k" },
+      policy:    { network: true, ...limits },
+      maxOutput: 1000,
+    });
+    assert.equal(run.stdout.trim(), `/usr/local/bin:/usr/bin:/bin|${root}|k`);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("the kernel's directory and DB are hidden from sandboxed commands", { skip: sandboxIsolation() === "none" && "no isolation tool" }, async () => {
+  // The default layout: workspaces under the kernel's directory, the DB beside them
+  const root = getWorkspaceRoot("ws_sandbox_test");
+  const dbPath = path.resolve("data/sandbox-test/kernel.db");
+  fs.mkdirSync(root, { recursive: true });
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  fs.writeFileSync(path.join(root, "inside.txt"), "inside");
+  fs.writeFileSync(dbPath, "SQLite format 3");
+  process.env.DB_PATH = dbPath;
+  try {
+    const files = [dbPath, path.resolve("package.json")].map((file) => `"${file}"`).join(" ");
+    const run = await runSandboxed(`for f in ${files}; do test -e "$f" && echo "$f"; done; cat inside.txt`, { root, policy: { network: false, ...limits }, maxOutput: 1000 });
+    assert.equal(run.stdout, "inside");
+    assert.equal(run.code, 0);
+  } finally {
+    delete process.env.DB_PATH;
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  }
+});
+
+test("a host-mode policy warns that its limits do nothing", async () => {
+  const { app } = await kernelApp();
+  const { body: { operator_key: key } } = await call(app, "POST", "/kernel/setup", { body: { recovery_phrase: "correct horse battery staple" } });
+
+  let res = await call(app, "PUT", "/kernel/sandbox_policies/*", { key, body: { mode: "host", network: false, memory_mb: 64 } });
+  assert.equal(res.body.policy.mode, "host");
+  assert.match(res.body.warning, /mode is host/);
+
+  res = await call(app, "PUT", "/kernel/sandbox_policies/*", { key, body: { mode: "sandbox", network: true } });
+  assert.equal(res.body.warning, undefined);
+});
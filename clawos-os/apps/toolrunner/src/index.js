@@ -3,13 +3,17 @@ import Fastify from "fastify";
 const app = Fastify({ logger: true });
 const PORT = Number(process.env.TOOLRUNNER_PORT || 18890);
 const KERNEL_URL = process.env.KERNEL_URL || "http://kernel:18888";
+const KERNEL_API_KEY = process.env.KERNEL_API_KEY || ""; // "bridge" role (tokens/verify)
 
 app.get("/health", async () => ({ ok: true, service: "toolrunner" }));
 
 async function verifyWithKernel({ token, tool_name, workspace_id, action_request_id, destination }) {
   const res = await fetch(`${KERNEL_URL}/kernel/tokens/verify`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: {
+      "Content-Type": "application/json",
+      ...(KERNEL_API_KEY ? { Authorization: `Bearer ${KERNEL_API_KEY}` } : {}),
+    },
     body: JSON.stringify({ token, tool_name, workspace_id, action_request_id, destination })
   });
 
@@ -15,6 +15,15 @@ const PROVIDERS = [
     id: "openai", name: "OpenAI", icon: "🤖", desc: "GPT models",
     fields: [{ key: "api_key", label: "API Key", placeholder: "sk-…" }],
   },
+  {
+    id: "local", name: "Local LLM", icon: "🖥️", desc: "OpenAI-compatible server (llama.cpp, Ollama)",
+    fields: [
+      { key: "base_url", label: "Base URL", placeholder: "http://localhost:11434/v1" },
+      { key: "api_key",  label: "API Key (optional)", placeholder: "" },
+      { key: "model",    label: "Model",    placeholder: "llama3.1" },
+      { key: "context_tokens", label: "Context window (tokens, optional)", placeholder: "4096" },
+    ],
+  },
   {
     id: "brave", name: "Brave Search", icon: "🦁", desc: "Web search API",
     fields: [{ key: "api_key", label: "API Key", placeholder: "BSA…" }],
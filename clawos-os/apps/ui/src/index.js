@@ -8,6 +8,8 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const DIST = join(__dirname, "..", "client", "dist");
 const PORT = Number(process.env.UI_PORT || 18887);
 const KERNEL_URL = process.env.KERNEL_URL || "http://localhost:18888";
+// "ui" role key — or an operator key, to grant approvals from the dashboard
+const KERNEL_API_KEY = process.env.KERNEL_API_KEY || "";
 
 const app = Fastify({ logger: false });
 
@@ -18,7 +20,10 @@ app.all("/api/*", async (req, reply) => {
 
   const init = {
     method: req.method,
-    headers: { "content-type": "application/json" },
+    headers: {
+      "content-type": "application/json",
+      ...(KERNEL_API_KEY ? { authorization: `Bearer ${KERNEL_API_KEY}` } : {}),
+    },
   };
   if (req.method !== "GET" && req.method !== "DELETE") {
     init.body = JSON.stringify(req.body ?? {});
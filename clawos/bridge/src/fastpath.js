@@ -301,6 +301,20 @@ const _VERB_TRIGGERS = {
  * @returns {Array|null} Plan steps or null
  */
 export function planStageA(text) {
+  // "bg <command>" — run_shell as a background shell session
+  const bg = /^bg\s+(.+)$/is.exec(text.trim());
+  if (bg) {
+    return [
+      {
+        type: "action",
+        name: "run_shell",
+        args: { command: bg[1].trim(), session: true },
+        priority: 1,
+        can_run_in_background: true,
+      },
+    ];
+  }
+
   const hits = [];
 
   for (const [action, re] of Object.entries(_VERB_TRIGGERS)) {
@@ -378,6 +392,47 @@ export function planStageA(text) {
   return [{ type: "action", name: action, args, priority: 1, can_run_in_background: false }];
 }
 
+// ── Shell session commands ─────────────────────────────────────────────────────
+// Follow and control run_shell sessions started with "bg <command>":
+//   shells                    — list sessions
+//   shell <id>                — latest output
+//   shell <id> log [page]     — full output, page by page
+//   shell <id> send <text>    — type a line into the session
+//   shell <id> kill           — stop it
+// <id> is the session id or its last characters, as listed by "shells".
+
+const _SHELL_CMD_RE = /^shell\s+(?:sh_)?([0-9a-f]{6,24})(?:\s+(log|send|kill)\b\s*([\s\S]*))?$/i;
+
+/**
+ * Parse a shell session command.
+ *
+ * @returns {{ op: 'list' } | { op: 'tail'|'kill', id: string }
+ *   | { op: 'log', id: string, page: number } | { op: 'send', id: string, text: string } | null}
+ */
+export function parseShellCommand(text) {
+  const t = text.trim();
+  if (/^shells$/i.test(t)) {
+    return { op: "list" };
+  }
+  const m = _SHELL_CMD_RE.exec(t);
+  if (!m) {
+    return null;
+  }
+  const [, id, verb, rest] = m;
+  switch (verb?.toLowerCase()) {
+    case undefined:
+      return { op: "tail", id: id.toLowerCase() };
+    case "log": {
+      const page = Number(rest || 1);
+      return Number.isInteger(page) && page >= 1 ? { op: "log", id: id.toLowerCase(), page } : null;
+    }
+    case "send":
+      return rest ? { op: "send", id: id.toLowerCase(), text: rest } : null;
+    default:
+      return rest ? null : { op: "kill", id: id.toLowerCase() };
+  }
+}
+
 // ── Long-task detector ─────────────────────────────────────────────────────────
 /**
  * True if the message describes a long-running task that should be spawned as a background job.
@@ -9,11 +9,23 @@
  *   yes          — approve the latest pending action
  *   no           — deny the latest pending action
  *   more         — get a detailed explanation of what will happen
+ *                  (for shell commands, the kernel's risk analysis)
  *   edit         — enter edit mode: next message replaces the pending input
  *
- *   <anything>   — classified by Claude Haiku → routed to the best action
+ * Shell commands are rated by the kernel: destructive ones always ask, with a
+ * warning; read-only ones (ls, df …) skip the question only when the kernel
+ * runs with AUTO_APPROVE_READ_ONLY=true.
+ *
+ * Shell sessions (long-running commands, fastpath.js parseShellCommand):
+ *   bg <command>            — run <command> in the background (approval applies)
+ *   shells                  — list sessions
+ *   shell <id> [log [page] | send <text> | kill]
+ *                           — send takes read-only input only; anything else
+ *                             needs an operator key (the kernel rates it)
+ *
+ *   <anything>   — classified by the kernel LLM → routed to the best action
  *                  (web_search, run_shell, write_file, read_file)
- *                  Falls back to keyword heuristics when no Anthropic key.
+ *                  Falls back to keyword heuristics when no LLM provider.
  */
 import Fastify from "fastify";
 import {
@@ -22,11 +34,14 @@ import {
   normalizeApproval,
   planStageA,
   isLongTask,
+  parseShellCommand,
 } from "./fastpath.js";
 import {
   createWorkspace,
   submitActionRequest,
+  submitActionRequestStream,
   approveActionRequest,
+  createApproval,
   denyActionRequest,
   issueToken,
   kernelHealth,
@@ -49,10 +64,22 @@ import {
   kernelCreateJob,
   kernelUpdateJob,
   kernelListJobs,
+  kernelListShellSessions,
+  kernelShellOutput,
+  kernelShellInput,
+  kernelKillShellSession,
   kernelListInstalled,
   kernelSkillEnvExport,
 } from "./kernel.js";
 import { extractPdfText } from "./pdf.js";
+import { withSpan, activeSpan, tracedFetch, flushTraces } from "./tracing.js";
+import {
+  inboundMessages,
+  messageDuration,
+  routes,
+  outboundMessages,
+  renderMetrics,
+} from "./metrics.js";
 import {
   getWorkspaceId,
   saveWorkspaceId,
@@ -61,6 +88,7 @@ import {
   setAgentRegistered,
   clearAgentRegistered,
   getPendingApproval,
+  savePendingApproval,
   removePendingApproval,
   getSenderPending,
   setSenderPending,
@@ -73,6 +101,16 @@ import {
 const PORT = Number(process.env.BRIDGE_PORT ?? 18790);
 const BRIDGE_SECRET = process.env.BRIDGE_SECRET ?? "";
 const BRIDGE_SEND_URL = process.env.BRIDGE_SEND_URL ?? "http://localhost:18791/send";
+const BRIDGE_TYPING_URL =
+  process.env.BRIDGE_TYPING_URL ?? BRIDGE_SEND_URL.replace(/\/send$/, "/typing");
+const BRIDGE_STREAM_CHAT = process.env.BRIDGE_STREAM_CHAT === "true";
+const BRIDGE_TYPING_INDICATOR = process.env.BRIDGE_TYPING_INDICATOR === "true";
+const STREAM_FLUSH_CHARS = Number(process.env.BRIDGE_STREAM_FLUSH_CHARS ?? 600);
+// Ask chat_llm for history mode (real prior turns instead of the summary alone).
+const BRIDGE_CHAT_HISTORY = process.env.BRIDGE_CHAT_HISTORY === "true";
+// Route planner-bound messages through the kernel's agent_run tool loop
+// instead of plan_message → executePlan.
+const BRIDGE_AGENT_LOOP = process.env.BRIDGE_AGENT_LOOP === "true";
 const DEBUG = process.env.DEBUG === "true";
 
 const app = Fastify({ logger: { level: process.env.LOG_LEVEL ?? "info" } });
@@ -93,13 +131,14 @@ function dbgFooter(t) {
   }
   const ws = t.workspace_id ? t.workspace_id.slice(-8) : "?";
   const sess = t.session_id ? t.session_id.slice(-8) : "?";
+  const traceId = t.trace_id ? ` trace=${t.trace_id}` : "";
   // Compact attempt summary: "xai:success" or "xai:policy_block,xai_retry:success"
   const attSummary =
     Array.isArray(t.provider_attempts) && t.provider_attempts.length
       ? t.provider_attempts.map((a) => `${a.provider}:${a.outcome}`).join(",")
       : null;
   return (
-    `\n\n[dbg msg=${t.msg_id ?? "?"} ws=…${ws} sess=…${sess} ` +
+    `\n\n[dbg msg=${t.msg_id ?? "?"}${traceId} ws=…${ws} sess=…${sess} ` +
     `route=${t.router_decision ?? "?"} ` +
     (t.plan_summary ? `plan=${t.plan_summary} ` : "") +
     (t.handler_file ? `handler=${t.handler_file} ` : "") +
@@ -155,7 +194,7 @@ class Responder {
 
 // ── Authentication ────────────────────────────────────────────────────────────
 app.addHook("onRequest", (req, reply, done) => {
-  if (req.url === "/health") {
+  if (req.url === "/health" || req.url === "/metrics") {
     done();
     return;
   }
@@ -168,20 +207,104 @@ app.addHook("onRequest", (req, reply, done) => {
 
 // ── WhatsApp reply helper ─────────────────────────────────────────────────────
 async function sendWhatsApp(to, text) {
-  const res = await fetch(BRIDGE_SEND_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      ...(BRIDGE_SECRET ? { "x-bridge-secret": BRIDGE_SECRET } : {}),
+  const res = await tracedFetch(
+    BRIDGE_SEND_URL,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(BRIDGE_SECRET ? { "x-bridge-secret": BRIDGE_SECRET } : {}),
+      },
+      body: JSON.stringify({ to, text }),
     },
-    body: JSON.stringify({ to, text }),
+    { name: "whatsapp send", attributes: { "clawos.reply_chars": text?.length } },
+  ).catch((err) => {
+    outboundMessages.inc({ result: "error" });
+    throw err;
   });
+  outboundMessages.inc({ result: res.ok ? "ok" : "error" });
   if (!res.ok) {
     const body = await res.text().catch(() => "");
     throw new Error(`WhatsApp send failed (${res.status}): ${body}`);
   }
 }
 
+// ── Typing indicator + progressive replies ────────────────────────────────────
+// WhatsApp drops "composing…" after ~10s, so it is re-sent until stopped.
+// Best effort: a send server without /typing just means no indicator.
+function startTyping(to) {
+  const ping = () =>
+    fetch(BRIDGE_TYPING_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(BRIDGE_SECRET ? { "x-bridge-secret": BRIDGE_SECRET } : {}),
+      },
+      body: JSON.stringify({ to }),
+    }).catch(() => {});
+  void ping();
+  const timer = setInterval(() => void ping(), 8_000);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Deliver a streamed reply in pieces. Deltas are buffered; once the buffer
+ * passes STREAM_FLUSH_CHARS it is cut at the last paragraph (or sentence)
+ * break and sent. finish() sends whatever is left; short replies therefore
+ * still arrive as a single message.
+ */
+function createReplyStream(to) {
+  let buf = "";
+  let parts = 0;
+  let queue = Promise.resolve();
+
+  const send = (text) => {
+    parts++;
+    queue = queue
+      .then(() => sendWhatsApp(to, text))
+      .catch((err) => app.log.warn({ err, to }, "partial reply send failed"));
+  };
+
+  return {
+    push(delta) {
+      buf += delta;
+      if (buf.length < STREAM_FLUSH_CHARS) {
+        return;
+      }
+      let cut = buf.lastIndexOf("\n\n");
+      if (cut <= 0) {
+        cut = Math.max(buf.lastIndexOf(". "), buf.lastIndexOf("! "), buf.lastIndexOf("? ")) + 1;
+      }
+      if (cut <= 0) {
+        return;
+      }
+      const chunk = buf.slice(0, cut).trim();
+      buf = buf.slice(cut).replace(/^\s+/, "");
+      if (chunk) {
+        send(chunk);
+      }
+    },
+    /** Number of partial messages already sent. */
+    get parts() {
+      return parts;
+    },
+    /** Send the remaining text (plus footer) and wait for every send. */
+    async finish(footer = "") {
+      const rest = buf.trim();
+      buf = "";
+      if (rest || footer) {
+        send(rest + footer);
+      }
+      await queue;
+    },
+    /** Drop the unsent remainder; wait for in-flight sends. */
+    async abort() {
+      buf = "";
+      await queue;
+    },
+  };
+}
+
 // ── Workspace + Agent bootstrap ───────────────────────────────────────────────
 // Creates workspace on first message and registers the sender as an AGENT.
 // The sender's E.164/JID IS their agent_id — the WhatsApp number is the identity.
@@ -253,8 +376,8 @@ function formatResult(exec) {
     return prefix + inner.output;
   }
 
-  // Document summary (Anthropic)
-  if (inner.mode === "anthropic" && inner.summary) {
+  // Document summary (LLM; "anthropic" is the pre-provider-layer mode name)
+  if ((inner.mode === "llm" || inner.mode === "anthropic") && inner.summary) {
     return `*${inner.filename}* (${inner.page_count}p)\n\n${inner.summary}`;
   }
 
@@ -274,8 +397,10 @@ function formatResult(exec) {
 }
 
 // ── Approval message builder ───────────────────────────────────────────────────
+// risk_level is lowercase from dispatch and uppercase from the DCT policy engine.
 function buildApprovalMessage(pending) {
-  const { action_type, payload, description, risk_level, reversible } = pending;
+  const { action_type, payload, description, reversible, analysis } = pending;
+  const risk_level = pending.risk_level?.toLowerCase();
 
   const riskLabel =
     {
@@ -291,7 +416,8 @@ function buildApprovalMessage(pending) {
 
   let detailLine = "";
   if (action_type === "run_shell") {
-    detailLine = `Command: \`${payload?.command ?? ""}\`\n`;
+    const background = payload?.session ? " (background session)" : "";
+    detailLine = `Command: \`${payload?.command ?? ""}\`${background}\n`;
   } else if (action_type === "web_search") {
     detailLine = `Query: "${payload?.q ?? ""}"\n`;
   } else if (action_type === "write_file") {
@@ -304,14 +430,25 @@ function buildApprovalMessage(pending) {
     `*Approval needed*\n` +
     `Action: ${description ?? action_type}\n` +
     detailLine +
-    `Risk: ${riskLabel} | Reversible: ${reversibleLabel}\n\n` +
-    `Reply: *yes* · *no* · *more* · *edit*`
+    `Risk: ${riskLabel} | Reversible: ${reversibleLabel}\n` +
+    (analysis?.warning ? `*Warning:* ${analysis.warning}\n` : "") +
+    `\nReply: *yes* · *no* · *more* · *edit*`
   );
 }
 
+// The kernel's analysis of a shell command (sandbox/risk.js): score and findings.
+function formatCommandAnalysis(analysis) {
+  if (analysis.read_only) {
+    return `Command analysis: ${analysis.summary}`;
+  }
+  const findings = analysis.findings.map((f) => `• [${f.level}] ${f.message}`).join("\n");
+  return `Command analysis (risk score ${analysis.score}/100):\n${findings}`;
+}
+
 // ── Detailed "more" message builder ───────────────────────────────────────────
 function buildMoreMessage(pending) {
-  const { action_type, payload, description, risk_level, reversible } = pending;
+  const { action_type, payload, description, reversible, analysis } = pending;
+  const risk_level = pending.risk_level?.toLowerCase();
 
   const riskExplain =
     {
@@ -324,6 +461,12 @@ function buildMoreMessage(pending) {
   let payloadDetail = "";
   if (action_type === "run_shell") {
     payloadDetail = `Shell command to execute:\n\`\`\`\n${payload?.command ?? ""}\n\`\`\``;
+    if (payload?.session) {
+      payloadDetail += "\nRuns in the background as a shell session — follow it with *shells*.";
+    }
+    if (analysis) {
+      payloadDetail += `\n\n${formatCommandAnalysis(analysis)}`;
+    }
   } else if (action_type === "web_search") {
     payloadDetail = `Search query: "${payload?.q ?? ""}"`;
   } else if (action_type === "write_file") {
@@ -384,7 +527,7 @@ const ACTION_META = {
 function buildWorkerInput(actionType, params) {
   switch (actionType) {
     case "run_shell":
-      return { command: params?.command ?? "" };
+      return { command: params?.command ?? "", ...(params?.session ? { session: true } : {}) };
     case "web_search":
       return { query: params?.q ?? "" };
     case "write_file":
@@ -465,13 +608,19 @@ async function routeViaAgent(
   const subagentId = saRes.subagent_id;
 
   // 3. Request Delegation Capability Token
+  // A run_shell token names its command, so the kernel rates that command and
+  // the token runs nothing else.
+  const scope =
+    actionType === "run_shell"
+      ? { ...meta.scope, resource_constraints: { command: params?.command ?? "" } }
+      : meta.scope;
   let dctRes;
   try {
     dctRes = await kernelRequestDCT(
       workspaceId,
       sender,
       { kind: "subagent", id: subagentId },
-      meta.scope,
+      scope,
       taskId,
       600,
     );
@@ -497,10 +646,11 @@ async function routeViaAgent(
       workspace_id: workspaceId,
       action_type: actionType,
       payload: params,
-      scope: meta.scope,
+      scope,
       original_query: originalQuery,
       agent_id: sender,
       risk_level: dctRes.risk_level,
+      analysis: dctRes.analysis ?? null,
       description: meta.description,
       reversible: meta.reversible,
       editing: false,
@@ -612,6 +762,26 @@ async function _executeSubagent(
     return;
   }
 
+  // run_shell session: reply with how to follow it — there is no output to interpret yet
+  if (actionType === "run_shell" && runRes.result?.session) {
+    const id = runRes.result.session.session_id.slice(-8);
+    const msg =
+      `Started in the background: \`${runRes.result.command}\`\n` +
+      `Session \`${id}\` — *shell ${id}* for the latest output, ` +
+      `*shell ${id} log* for the full log, *shell ${id} send <text>* to type into it, ` +
+      `*shell ${id} kill* to stop it.`;
+    app.log.info(
+      { sender, session_id: runRes.result.session.session_id },
+      "run_shell: session started",
+    );
+    if (responder) {
+      responder.collect(msg);
+    } else {
+      await sendWhatsApp(sender, msg + dbgFooter(trace));
+    }
+    return;
+  }
+
   // ── Populate trace with provider / model ──────────────────────────────────
   if (trace) {
     trace.provider = runRes.result?.mode ?? runRes.result?.provider ?? "unknown";
@@ -915,6 +1085,8 @@ async function handleYes(sender) {
   }
   if (sp.pending_type === "dct_approval") {
     await handleDCTApprove(sender, sp);
+  } else if (sp.pending_type === "agent_run") {
+    await handleAgentRunDecision(sender, sp, true);
   } else {
     // Legacy action-request approval path
     await handleApprove(sender, sp.approval_id);
@@ -930,6 +1102,8 @@ async function handleNo(sender) {
   }
   if (sp.pending_type === "dct_approval") {
     await handleDCTDeny(sender, sp);
+  } else if (sp.pending_type === "agent_run") {
+    await handleAgentRunDecision(sender, sp, false);
   } else {
     // Legacy action-request denial path
     await handleDeny(sender, sp.approval_id);
@@ -1018,6 +1192,7 @@ async function handleRun(
   objectiveGoal = "",
   trace = null,
   responder = null,
+  { session = false } = {},
 ) {
   // Always inject configured skill env vars so skills have their API keys available
   const skillEnv = await _getSkillEnv().catch(() => ({}));
@@ -1026,7 +1201,11 @@ async function handleRun(
     sender,
     workspaceId,
     "run_shell",
-    { command, ...(Object.keys(skillEnv).length > 0 ? { env: skillEnv } : {}) },
+    {
+      command,
+      ...(session ? { session: true } : {}),
+      ...(Object.keys(skillEnv).length > 0 ? { env: skillEnv } : {}),
+    },
     originalQuery,
     sessionId,
     contextSummary,
@@ -1138,21 +1317,37 @@ async function handleChatLLM(
   trace = null,
   responder = null,
 ) {
+  // Streaming / typing only apply when the reply goes straight to the user —
+  // a responder buffers it for the plan executor.
+  const stream = !responder && BRIDGE_STREAM_CHAT ? createReplyStream(sender) : null;
+  const stopTyping = !responder && BRIDGE_TYPING_INDICATOR ? startTyping(sender) : () => {};
+  const payload = {
+    message: text,
+    ...(contextSummary ? { context_summary: contextSummary } : {}),
+    ...(sessionId ? { session_id: sessionId } : {}),
+    ...(sessionId && BRIDGE_CHAT_HISTORY ? { history: true } : {}),
+  };
+
   let res;
   try {
-    res = await submitActionRequest(workspaceId, sender, "chat_llm", {
-      message: text,
-      ...(contextSummary ? { context_summary: contextSummary } : {}),
-    });
+    res = stream
+      ? await submitActionRequestStream(workspaceId, sender, "chat_llm", payload, {
+          onDelta: stream.push,
+        })
+      : await submitActionRequest(workspaceId, sender, "chat_llm", payload);
   } catch (err) {
     app.log.error({ err, sender }, "chat_llm: kernel request failed");
+    await stream?.abort();
     await sendWhatsApp(sender, `Chat error: ${err.message}`);
     return;
+  } finally {
+    stopTyping();
   }
 
   if (!res.ok) {
     const errMsg = res.error ?? JSON.stringify(res);
     app.log.error({ sender, err: errMsg }, "chat_llm: kernel error");
+    await stream?.abort();
     await sendWhatsApp(sender, `Chat error: ${errMsg}`);
     return;
   }
@@ -1163,7 +1358,7 @@ async function handleChatLLM(
   if (!reply) {
     const errMsg =
       result.error ??
-      "No LLM provider configured. Add an xAI or Anthropic API key in Settings → Connections.";
+      "No LLM provider configured. Add an xAI, Anthropic or OpenAI API key, or a local LLM endpoint, in Settings → Connections.";
     const providerState = result.provider ?? "none";
     app.log.error(
       {
@@ -1183,6 +1378,7 @@ async function handleChatLLM(
       trace.policy_blocked = result.policy_blocked ?? false;
       trace.provider_attempts = result.provider_attempts ?? [];
     }
+    await stream?.abort();
     await sendWhatsApp(sender, errMsg + dbgFooter(trace));
     return;
   }
@@ -1207,12 +1403,16 @@ async function handleChatLLM(
       fallback_used: result.fallback_used ?? false,
       policy_blocked: result.policy_blocked ?? false,
       provider_attempts: result.provider_attempts ?? [],
+      history_turns: result.history?.turn_ids?.length,
+      streamed_parts: stream?.parts,
     },
     "chat_llm response",
   );
 
   if (responder) {
     responder.collect(reply); // buffered — plan executor flushes with footer
+  } else if (stream) {
+    await stream.finish(dbgFooter(trace));
   } else {
     await sendWhatsApp(sender, reply + dbgFooter(trace));
   }
@@ -1350,7 +1550,16 @@ async function _runJobWorker(sender, workspaceId, jobId, objective, sessionId, c
   const res = await submitActionRequest(workspaceId, sender, "chat_llm", {
     message: objective,
     ...(contextSummary ? { context_summary: contextSummary } : {}),
+    ...(sessionId ? { session_id: sessionId } : {}),
   });
+
+  // Monthly LLM budget spent — relay the kernel's explanation instead of "completed"
+  if (res?.exec?.result?.budget_exceeded) {
+    const errMsg = res.exec.result.error;
+    await kernelUpdateJob(jobId, workspaceId, { status: "failed", error: errMsg }).catch(() => {});
+    await sendWhatsApp(sender, `${errMsg}\nJob: \`${jobId.slice(-12)}\``);
+    return;
+  }
   const result = res?.exec?.result?.reply ?? "Task completed.";
 
   await kernelUpdateJob(jobId, workspaceId, {
@@ -1467,6 +1676,135 @@ function _extractUsage(skillMd) {
   return out.join("\n").trim();
 }
 
+// ── Agent loop: kernel agent_run (BRIDGE_AGENT_LOOP=true) ─────────────────────
+
+/**
+ * Start or resume a kernel agent_run and relay its outcome.
+ *
+ * The kernel runs the whole model ↔ tool loop; the bridge only sees the end
+ * state. When a tool call needs approval the run pauses and the usual
+ * yes / no / more prompt is shown — handleAgentRunDecision() resumes it.
+ *
+ * @param {object} ctx  { sessionId, contextSummary, objectiveId, objectiveGoal, originalQuery, trace }
+ */
+async function handleAgentRun(sender, workspaceId, payload, ctx, opts = {}) {
+  let res;
+  try {
+    res = await submitActionRequest(workspaceId, sender, "agent_run", payload, opts);
+  } catch (err) {
+    app.log.error({ err, sender }, "agent_run: kernel request failed");
+    await sendWhatsApp(sender, `Agent error: ${err.message}`);
+    return;
+  }
+
+  const result = res.exec?.result;
+  if (!res.exec?.ok || !result) {
+    const errMsg = res.exec?.error ?? res.error ?? JSON.stringify(res);
+    app.log.error({ sender, err: errMsg }, "agent_run: failed");
+    await sendWhatsApp(sender, `Agent error: ${errMsg}` + dbgFooter(ctx.trace));
+    return;
+  }
+
+  if (ctx.trace) {
+    ctx.trace.router_decision = "agent_run";
+    ctx.trace.provider = result.provider ?? ctx.trace.provider;
+    ctx.trace.model = result.model ?? null;
+    ctx.trace.tools = (result.tool_calls ?? []).map((c) => c.name).join("+") || "none";
+  }
+
+  if (result.status === "approval_required") {
+    const p = result.pending;
+    const approval = await createApproval(workspaceId, p.request_id, sender);
+    const pendingData = {
+      pending_type: "agent_run",
+      run_id: result.run_id,
+      approval_id: approval.approval_id,
+      action_request_id: p.request_id,
+      workspace_id: workspaceId,
+      agent_id: sender,
+      action_type: p.action_type,
+      payload: p.payload,
+      risk_level: p.risk_level,
+      analysis: p.analysis ?? null,
+      description: p.description,
+      reversible: p.reversible,
+      original_query: ctx.originalQuery,
+      editing: false,
+      session_id: ctx.sessionId,
+      context_summary: ctx.contextSummary,
+      objective_id: ctx.objectiveId,
+      objective_goal: ctx.objectiveGoal,
+    };
+    savePendingApproval(approval.approval_id, pendingData);
+    setSenderPending(sender, pendingData);
+    setSessionPointers(sender, {
+      last_pending_approval_id: approval.approval_id,
+      last_proposed_action_request_id: p.request_id,
+      last_proposed_command: p.action_type === "run_shell" ? (p.payload?.command ?? null) : null,
+      last_proposed_action_type: p.action_type,
+    });
+    await sendWhatsApp(sender, buildApprovalMessage(pendingData));
+    app.log.info(
+      { sender, run_id: result.run_id, action_type: p.action_type, steps: result.steps },
+      "agent_run: approval required",
+    );
+    return;
+  }
+
+  const reply = result.reply || "Done.";
+  app.log.info(
+    { sender, run_id: result.run_id, status: result.status, steps: result.steps, tools: result.tool_calls },
+    "agent_run finished",
+  );
+  await sendWhatsApp(sender, reply + dbgFooter(ctx.trace));
+
+  if (ctx.sessionId) {
+    kernelUpdateSession(ctx.sessionId, workspaceId, ctx.originalQuery, reply, "agent_run").catch((err) =>
+      app.log.warn({ err, session_id: ctx.sessionId }, "session update failed — non-fatal"),
+    );
+  }
+  if (ctx.objectiveId && ctx.sessionId) {
+    void kernelAddSessionTurn(ctx.objectiveId, ctx.sessionId, {
+      user_message: ctx.originalQuery,
+      assistant_response: reply,
+      action_type: "agent_run",
+    });
+  }
+}
+
+/** yes / no on a paused agent_run tool call — approve + token, or deny, then resume. */
+async function handleAgentRunDecision(sender, sp, approved) {
+  clearPending(sender, sp.approval_id);
+  const ctx = {
+    sessionId: sp.session_id ?? null,
+    contextSummary: sp.context_summary ?? "",
+    objectiveId: sp.objective_id ?? null,
+    objectiveGoal: sp.objective_goal ?? "",
+    originalQuery: sp.original_query ?? "",
+    trace: null,
+  };
+  try {
+    if (!approved) {
+      await denyActionRequest(sp.approval_id);
+      await handleAgentRun(sender, sp.workspace_id, { run_id: sp.run_id, denied: true }, ctx);
+      return;
+    }
+    await approveActionRequest(sp.approval_id);
+    const tokenRes = await issueToken(
+      sp.workspace_id,
+      sp.action_type,
+      sp.action_request_id,
+      sp.approval_id,
+    );
+    await handleAgentRun(sender, sp.workspace_id, { run_id: sp.run_id }, ctx, {
+      approvalToken: tokenRes.token,
+    });
+  } catch (err) {
+    await sendWhatsApp(sender, `Approval error: ${err.message}`);
+    app.log.error({ err, sender, run_id: sp.run_id }, "handleAgentRunDecision failed");
+  }
+}
+
 // ── Single router: Stage A → plan_message → executePlan ──────────────────────
 
 /**
@@ -1525,6 +1863,7 @@ async function executePlan(
             objectiveGoal,
             trace,
             responder,
+            { session: params.session === true },
           );
           break;
         case "web_search":
@@ -1608,6 +1947,21 @@ async function routeMessage(
   let plan = planStageA(text);
   let planMode = plan ? "stage_a" : null;
 
+  // ── Stage B′: kernel tool loop replaces planning + executePlan ───────────
+  if (!plan && BRIDGE_AGENT_LOOP) {
+    await handleAgentRun(
+      sender,
+      workspaceId,
+      {
+        objective: objectiveGoal && objectiveGoal !== text ? `${text}\n\n(Objective: ${objectiveGoal})` : text,
+        ...(contextSummary ? { context_summary: contextSummary } : {}),
+        ...(sessionId ? { session_id: sessionId } : {}),
+      },
+      { sessionId, contextSummary, objectiveId, objectiveGoal, originalQuery: text, trace },
+    );
+    return;
+  }
+
   // ── Stage B: LLM planner (plan_message kernel action) ────────────────────
   if (!plan) {
     try {
@@ -1722,6 +2076,91 @@ async function _handleStatusCommand(sender) {
   }
 }
 
+// ── Shell session commands (fast path, no workspace created) ──────────────────
+const SHELL_PAGE_BYTES = 3000;
+
+function _shellLabel(s) {
+  const exit = s.status === "running" ? "" : ` exit ${s.exit_code ?? "?"}`;
+  return `\`${s.session_id.slice(-8)}\` [${s.status}${exit}] ${s.command.slice(0, 60)}`;
+}
+
+async function _handleShellCommand(sender, cmd) {
+  const wsId = getWorkspaceId(sender);
+  if (!wsId) {
+    await sendWhatsApp(sender, "No shell sessions.").catch(() => {});
+    return;
+  }
+  try {
+    const { sessions = [] } = await kernelListShellSessions(wsId);
+    if (cmd.op === "list") {
+      const reply = sessions.length
+        ? `*Shell sessions:*\n\n${sessions.slice(0, 8).map(_shellLabel).join("\n")}`
+        : "No shell sessions. Start one with *bg <command>*.";
+      await sendWhatsApp(sender, reply).catch(() => {});
+      return;
+    }
+
+    const matches = sessions.filter((s) => s.session_id.endsWith(cmd.id));
+    if (matches.length !== 1) {
+      const why = matches.length ? "matches more than one session" : "matches no recent session";
+      await sendWhatsApp(sender, `\`${cmd.id}\` ${why} — send *shells* for the list.`).catch(
+        () => {},
+      );
+      return;
+    }
+    const session = matches[0];
+    const id = session.session_id.slice(-8);
+
+    let reply;
+    switch (cmd.op) {
+      case "tail": {
+        const out = await kernelShellOutput(session.session_id, wsId, { tail: SHELL_PAGE_BYTES });
+        const pages = Math.ceil(out.size / SHELL_PAGE_BYTES);
+        reply =
+          `${_shellLabel(session)}\n\`\`\`\n${out.output || "(no output yet)"}\n\`\`\`` +
+          (pages > 1 ? `\n_Latest output — full log: *shell ${id} log* (${pages} pages)_` : "");
+        break;
+      }
+      case "log": {
+        const out = await kernelShellOutput(session.session_id, wsId, {
+          offset: (cmd.page - 1) * SHELL_PAGE_BYTES,
+          limit: SHELL_PAGE_BYTES,
+        });
+        const pages = Math.max(1, Math.ceil(out.size / SHELL_PAGE_BYTES));
+        if (cmd.page > pages) {
+          reply = `The log has ${pages} page${pages === 1 ? "" : "s"}.`;
+          break;
+        }
+        reply =
+          `${_shellLabel(session)} — page ${cmd.page}/${pages}\n` +
+          `\`\`\`\n${out.output || "(no output yet)"}\n\`\`\`` +
+          (cmd.page < pages ? `\n_Next: *shell ${id} log ${cmd.page + 1}*_` : "");
+        break;
+      }
+      case "send":
+        await kernelShellInput(session.session_id, wsId, cmd.text);
+        reply = `Sent to \`${id}\` — *shell ${id}* to see the output.`;
+        break;
+      case "kill": {
+        const res = await kernelKillShellSession(session.session_id, wsId);
+        reply = `Stopped: ${_shellLabel(res.session)}`;
+        break;
+      }
+    }
+    await sendWhatsApp(sender, reply).catch(() => {});
+  } catch (err) {
+    const msg =
+      err.status === 409
+        ? "That session is no longer running."
+        : err.status === 403 && err.message.includes("input_requires_approval")
+          ? "That input is not read-only, so only an operator can send it."
+          : err.status === 403
+            ? "Refused by this workspace's shell policy."
+            : `Shell session error: ${err.message}`;
+    await sendWhatsApp(sender, msg).catch(() => {});
+  }
+}
+
 /**
  * Single named entry point for all inbound WhatsApp messages.
  *
@@ -1729,9 +2168,41 @@ async function _handleStatusCommand(sender) {
  *   1. FAST PATH   — arithmetic, approval phrases, status command (no I/O)
  *   2. STANDARD PATH — PDF, editing state, then routeMessage (one planner)
  *
+ * Each message is the root span of a trace (tracing.js); every kernel call and
+ * reply made while handling it is a child span, and the kernel continues the
+ * trace through dispatch, actions and provider requests.
+ *
  * Returns { ok: true } or { ok: false, statusCode, error }.
  */
 async function handleInboundWhatsAppMessage(msg) {
+  return withSpan(
+    "whatsapp inbound",
+    {
+      kind: "server",
+      attributes: {
+        "messaging.system": "whatsapp",
+        "whatsapp.chat_type": msg.chatType,
+        "whatsapp.has_media": Boolean(msg.mediaPath),
+      },
+    },
+    async (span) => {
+      const end = messageDuration.startTimer();
+      const result = await processInboundMessage(msg).catch((err) => {
+        end({ result: "error" });
+        inboundMessages.inc({ result: "error" });
+        throw err;
+      });
+      end({ result: result.ok ? "ok" : "error" });
+      inboundMessages.inc({ result: result.ok ? "ok" : "error" });
+      if (!result.ok) {
+        span.setStatus("error", result.error);
+      }
+      return result;
+    },
+  );
+}
+
+async function processInboundMessage(msg) {
   const text = String(msg.body ?? "").trim();
   const mediaPath = msg.mediaPath ? String(msg.mediaPath) : null;
   const sender = msg.senderE164 ?? msg.senderJid ?? msg.from;
@@ -1826,6 +2297,14 @@ async function handleInboundWhatsAppMessage(msg) {
       await _handleStatusCommand(sender);
       return { ok: true };
     }
+
+    // 0.4 Shell session commands — follow and control "bg" commands
+    const shellCmd = parseShellCommand(text);
+    if (shellCmd) {
+      app.log.info({ sender, op: shellCmd.op }, "fast_path:shell");
+      await _handleShellCommand(sender, shellCmd);
+      return { ok: true };
+    }
   }
 
   // ══════════════════════════════════════════════════════════════════════════
@@ -1869,6 +2348,7 @@ async function handleInboundWhatsAppMessage(msg) {
   // Per-request debug trace — populated as routing proceeds, emitted at end.
   const trace = {
     msg_id: newMsgId(),
+    trace_id: activeSpan()?.traceId ?? null,
     workspace_id: null,
     remoteJid: sender,
     session_id: null,
@@ -1994,9 +2474,22 @@ async function handleInboundWhatsAppMessage(msg) {
   }
 
   // ── Structured trace log ──────────────────────────────────────────────────
+  routes.inc({ route: trace.router_decision ?? "none" });
+  activeSpan()?.setAttributes({
+    "clawos.msg_id": trace.msg_id,
+    "clawos.workspace_id": trace.workspace_id,
+    "clawos.session_id": trace.session_id,
+    "clawos.route": trace.router_decision,
+    "clawos.plan": trace.plan_summary,
+    "gen_ai.system": trace.provider,
+    "gen_ai.request.model": trace.model,
+    "clawos.fallback_used": trace.fallback_used,
+    "clawos.policy_blocked": trace.policy_blocked ?? false,
+  });
   app.log.info(
     {
       msg_id: trace.msg_id,
+      trace_id: trace.trace_id,
       workspace_id: trace.workspace_id,
       remoteJid: trace.remoteJid,
       session_id: trace.session_id,
@@ -2052,6 +2545,13 @@ app.get("/health", async () => {
   };
 });
 
+// ── Metrics (Prometheus) ──────────────────────────────────────────────────────
+// Like /health, readable without the bridge secret.
+app.get("/metrics", async (req, reply) => {
+  reply.header("content-type", "text/plain; version=0.0.4; charset=utf-8");
+  return renderMetrics();
+});
+
 // ── Start ─────────────────────────────────────────────────────────────────────
 app.listen({ port: PORT, host: "0.0.0.0" }, (err) => {
   if (err) {
@@ -2059,3 +2559,11 @@ app.listen({ port: PORT, host: "0.0.0.0" }, (err) => {
     process.exit(1);
   }
 });
+
+// Send buffered spans before exiting on docker stop / Ctrl-C
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    setTimeout(() => process.exit(0), 3000).unref();
+    void flushTraces().finally(() => process.exit(0));
+  });
+}
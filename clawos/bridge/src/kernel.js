@@ -1,53 +1,66 @@
 /**
- * Thin HTTP client for the ClawOS Kernel (port 18888).
+ * ClawOS Kernel (port 18888) calls used by the bridge.
  *
- * All functions throw on non-2xx responses so callers can catch and surface
- * the error to the WhatsApp sender.
+ * The HTTP layer is kernel_client.js, generated from the kernel's OpenAPI
+ * document by clawos-os/apps/kernel/scripts/gen_client.js — re-run it after
+ * changing a kernel route. This module keeps the bridge-facing functions
+ * (argument order, defaults, response handling) on top of it. All of them
+ * throw on non-2xx responses so callers can catch and surface the error to the
+ * WhatsApp sender.
+ *
+ * Requests carry KERNEL_API_KEY (a "bridge" role key). Granting an approval
+ * needs the operator role, so approveActionRequest() and kernelGrantDCT() use
+ * KERNEL_OPERATOR_KEY when it is set — without it the kernel answers 403 and
+ * approvals must be granted by the operator directly.
+ *
+ * Every call is a client span carrying a traceparent header (tracing.js), so
+ * the kernel's spans join the trace of the message being handled, and is
+ * counted and timed in the clawos_bridge_kernel_* metrics (metrics.js).
  */
+import { tracedFetch } from "./tracing.js";
+import { kernelRequests, kernelDuration } from "./metrics.js";
+import { createKernelClient } from "./kernel_client.js";
 
 const KERNEL_URL = process.env.KERNEL_URL ?? "http://localhost:18888";
+const KERNEL_API_KEY = process.env.KERNEL_API_KEY ?? "";
+const KERNEL_OPERATOR_KEY = process.env.KERNEL_OPERATOR_KEY ?? "";
 
-async function post(path, body) {
-  const res = await fetch(`${KERNEL_URL}${path}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-  const json = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    throw new Error(`Kernel POST ${path} → ${res.status}: ${JSON.stringify(json)}`);
+/**
+ * One traced, measured request to the kernel — the generated client's fetch.
+ * Spans are named by route template (kernel GET /kernel/jobs/:job_id) so names stay few.
+ *
+ * @type {import("./kernel_client.js").KernelFetch}
+ */
+async function kernelFetch(url, init, { method, route, attributes }) {
+  const end = kernelDuration.startTimer({ method });
+  try {
+    const res = await tracedFetch(url, init, { name: `kernel ${method} ${route}`, attributes });
+    kernelRequests.inc({ method, status: res.status });
+    return res;
+  } catch (err) {
+    kernelRequests.inc({ method, status: "error" });
+    throw err;
+  } finally {
+    end();
   }
-  return json;
 }
 
-async function patch(path, body) {
-  const res = await fetch(`${KERNEL_URL}${path}`, {
-    method: "PATCH",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-  const json = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    throw new Error(`Kernel PATCH ${path} → ${res.status}: ${JSON.stringify(json)}`);
-  }
-  return json;
-}
+/** Generated kernel client with the bridge's key, tracing and metrics. */
+export const kernel = createKernelClient({
+  baseUrl: KERNEL_URL,
+  apiKey: KERNEL_API_KEY,
+  fetch: kernelFetch,
+});
 
-async function get(path) {
-  const res = await fetch(`${KERNEL_URL}${path}`);
-  const json = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    throw new Error(`Kernel GET ${path} → ${res.status}: ${JSON.stringify(json)}`);
-  }
-  return json;
-}
+/** Operator key for operator-only routes; undefined falls back to KERNEL_API_KEY. */
+const operatorKey = KERNEL_OPERATOR_KEY || undefined;
 
 /**
  * Create a new kernel workspace.
  * Returns workspace_id string.
  */
 export async function createWorkspace() {
-  const data = await post("/kernel/workspaces", { type: "whatsapp" });
+  const data = await kernel.postWorkspaces({ body: { type: "whatsapp" } });
   if (!data.workspace_id) {
     throw new Error(`createWorkspace: unexpected response ${JSON.stringify(data)}`);
   }
@@ -68,22 +81,88 @@ export async function createWorkspace() {
  * @param {{ requestId?: string, approvalToken?: string }} [opts]
  */
 export async function submitActionRequest(workspaceId, agentId, actionType, payload, opts = {}) {
-  return post("/kernel/action_requests", {
-    workspace_id: workspaceId,
-    agent_id: agentId,
-    action_type: actionType,
-    payload,
-    ...(opts.requestId ? { request_id: opts.requestId } : {}),
-    ...(opts.approvalToken ? { approval_token: opts.approvalToken } : {}),
+  return kernel.postActionRequests({
+    body: {
+      workspace_id: workspaceId,
+      agent_id: agentId,
+      action_type: actionType,
+      payload,
+      ...(opts.requestId ? { request_id: opts.requestId } : {}),
+      ...(opts.approvalToken ? { approval_token: opts.approvalToken } : {}),
+    },
+  });
+}
+
+/**
+ * Streaming variant of submitActionRequest().
+ *
+ * Reads the kernel's NDJSON stream: every { type: "delta", text } line is
+ * passed to onDelta as it arrives; the final { type: "result" } line is
+ * returned in the same shape submitActionRequest() resolves to. Throws on a
+ * non-2xx result or an { type: "error" } line.
+ *
+ * @param {string}  workspaceId
+ * @param {string}  agentId
+ * @param {string}  actionType
+ * @param {object}  payload
+ * @param {{ onDelta?: (text: string) => void, requestId?: string, approvalToken?: string }} [opts]
+ */
+export async function submitActionRequestStream(workspaceId, agentId, actionType, payload, opts = {}) {
+  const path = "/kernel/action_requests/stream";
+  const lines = kernel.postActionRequestsStream({
+    body: {
+      workspace_id: workspaceId,
+      agent_id: agentId,
+      action_type: actionType,
+      payload,
+      ...(opts.requestId ? { request_id: opts.requestId } : {}),
+      ...(opts.approvalToken ? { approval_token: opts.approvalToken } : {}),
+    },
+    attributes: { "clawos.action_type": actionType },
+  });
+
+  let result = null;
+  for await (const msg of lines) {
+    if (msg.type === "delta") {
+      opts.onDelta?.(msg.text);
+    } else if (msg.type === "result") {
+      result = msg;
+    } else if (msg.type === "error") {
+      throw new Error(`Kernel POST ${path} → stream error: ${msg.error}`);
+    }
+  }
+
+  if (!result) {
+    throw new Error(`Kernel POST ${path} → stream ended without a result`);
+  }
+  const { type: _type, status, ...json } = result;
+  if (status < 200 || status >= 300) {
+    throw new Error(`Kernel POST ${path} → ${status}: ${JSON.stringify(json)}`);
+  }
+  return json;
+}
+
+/**
+ * Create a pending approval for an action request the kernel has not created
+ * one for itself (e.g. a tool call inside an agent_run loop).
+ * Returns { approval_id, status: "pending", expires_at }.
+ */
+export async function createApproval(workspaceId, actionRequestId, requestedBy) {
+  return kernel.postApprovals({
+    body: {
+      workspace_id: workspaceId,
+      action_request_id: actionRequestId,
+      requested_by: requestedBy,
+    },
   });
 }
 
 /**
- * Approve a pending approval by ID.
+ * Approve a pending approval by ID (operator role — uses KERNEL_OPERATOR_KEY).
  * Returns { ok: true, status: "approved" }.
  */
 export async function approveActionRequest(approvalId) {
-  return post(`/kernel/approvals/${approvalId}/approve`, {});
+  return kernel.postApprovalsByIdApprove({ params: { id: approvalId }, apiKey: operatorKey });
 }
 
 /**
@@ -91,7 +170,7 @@ export async function approveActionRequest(approvalId) {
  * Returns { ok: true, status: "rejected" }.
  */
 export async function denyActionRequest(approvalId) {
-  return post(`/kernel/approvals/${approvalId}/reject`, {});
+  return kernel.postApprovalsByIdReject({ params: { id: approvalId } });
 }
 
 /**
@@ -104,11 +183,13 @@ export async function denyActionRequest(approvalId) {
  * @param {string} approvalId
  */
 export async function issueToken(workspaceId, toolName, actionRequestId, approvalId) {
-  return post("/kernel/tokens/issue", {
-    workspace_id: workspaceId,
-    tool_name: toolName,
-    action_request_id: actionRequestId,
-    approval_id: approvalId,
+  return kernel.postTokensIssue({
+    body: {
+      workspace_id: workspaceId,
+      tool_name: toolName,
+      action_request_id: actionRequestId,
+      approval_id: approvalId,
+    },
   });
 }
 
@@ -116,7 +197,7 @@ export async function issueToken(workspaceId, toolName, actionRequestId, approva
  * Health check — returns kernel status.
  */
 export async function kernelHealth() {
-  return get("/kernel/health");
+  return kernel.getHealth();
 }
 
 /**
@@ -124,7 +205,15 @@ export async function kernelHealth() {
  * Returns { connections: { smtp: { status, ... }, xai: { status, ... }, ... } }
  */
 export async function kernelConnections() {
-  return get("/kernel/connections");
+  return kernel.getConnections();
+}
+
+/**
+ * Every action the kernel can run — builtin, plugin and webhook actions.
+ * Returns { ok, actions: [{ name, description, source, writes, risk_level, reversible, input_schema }] }
+ */
+export async function kernelListActions() {
+  return kernel.getActions();
 }
 
 // ── Agent / Task / Subagent / DCT API ────────────────────────────────────────
@@ -134,10 +223,12 @@ export async function kernelConnections() {
  * agent_id = sender's E.164/JID — the WhatsApp number IS the agent identity.
  */
 export async function registerAgent(workspaceId, agentId, role = "orchestrator") {
-  return post("/kernel/agents", {
-    workspace_id: workspaceId,
-    agent_id: agentId,
-    role,
+  return kernel.postAgents({
+    body: {
+      workspace_id: workspaceId,
+      agent_id: agentId,
+      role,
+    },
   });
 }
 
@@ -147,12 +238,14 @@ export async function registerAgent(workspaceId, agentId, role = "orchestrator")
  * plan:     { steps, delegation_plan }  (optional)
  */
 export async function kernelCreateTask(workspaceId, agentId, title, contract, plan = null) {
-  return post("/kernel/tasks", {
-    workspace_id: workspaceId,
-    created_by_agent_id: agentId,
-    title,
-    contract,
-    ...(plan ? { plan } : {}),
+  return kernel.postTasks({
+    body: {
+      workspace_id: workspaceId,
+      created_by_agent_id: agentId,
+      title,
+      contract,
+      ...(plan ? { plan } : {}),
+    },
   });
 }
 
@@ -166,12 +259,14 @@ export async function kernelSpawnSubagent(
   workerType,
   stepId = null,
 ) {
-  return post("/kernel/subagents", {
-    workspace_id: workspaceId,
-    parent_agent_id: parentAgentId,
-    task_id: taskId,
-    worker_type: workerType,
-    ...(stepId ? { step_id: stepId } : {}),
+  return kernel.postSubagents({
+    body: {
+      workspace_id: workspaceId,
+      parent_agent_id: parentAgentId,
+      task_id: taskId,
+      worker_type: workerType,
+      ...(stepId ? { step_id: stepId } : {}),
+    },
   });
 }
 
@@ -195,29 +290,31 @@ export async function kernelRequestDCT(
   ttlSeconds = 600,
   darId = null,
 ) {
-  return post("/kernel/tokens/request", {
-    workspace_id: workspaceId,
-    requested_by_agent_id: agentId,
-    issue_to: issueTo, // { kind: "agent"|"subagent", id: "..." }
-    scope, // { allowed_tools[], operations[], resource_constraints{} }
-    task_id: taskId,
-    ttl_seconds: ttlSeconds,
-    ...(darId ? { dar_id: darId } : {}),
+  return kernel.postTokensRequest({
+    body: {
+      workspace_id: workspaceId,
+      requested_by_agent_id: agentId,
+      issue_to: issueTo, // { kind: "agent"|"subagent", id: "..." }
+      scope, // { allowed_tools[], operations[], resource_constraints{} }
+      task_id: taskId,
+      ttl_seconds: ttlSeconds,
+      ...(darId ? { dar_id: darId } : {}),
+    },
   });
 }
 
 /**
- * Grant a pending DCT approval request.
+ * Grant a pending DCT approval request (operator role — uses KERNEL_OPERATOR_KEY).
  */
 export async function kernelGrantDCT(darId) {
-  return post(`/kernel/dct_approvals/${darId}/grant`, {});
+  return kernel.postDctApprovalsByDarIdGrant({ params: { dar_id: darId }, apiKey: operatorKey });
 }
 
 /**
  * Deny a pending DCT approval request.
  */
 export async function kernelDenyDCT(darId) {
-  return post(`/kernel/dct_approvals/${darId}/deny`, {});
+  return kernel.postDctApprovalsByDarIdDeny({ params: { dar_id: darId } });
 }
 
 // ── Session API ───────────────────────────────────────────────────────────────
@@ -234,11 +331,13 @@ export async function kernelDenyDCT(darId) {
  * @param {string} userMessage    the raw inbound text (used for reset detection + drift)
  */
 export async function kernelResolveSession(workspaceId, channel, remoteJid, userMessage) {
-  return post("/kernel/sessions/resolve", {
-    workspace_id: workspaceId,
-    channel,
-    remote_jid: remoteJid,
-    user_message: userMessage,
+  return kernel.postSessionsResolve({
+    body: {
+      workspace_id: workspaceId,
+      channel,
+      remote_jid: remoteJid,
+      user_message: userMessage,
+    },
   });
 }
 
@@ -261,11 +360,14 @@ export async function kernelUpdateSession(
   assistantResponse,
   actionType,
 ) {
-  return patch(`/kernel/sessions/${sessionId}`, {
-    workspace_id: workspaceId,
-    user_message: userMessage,
-    assistant_response: assistantResponse,
-    action_type: actionType,
+  return kernel.patchSessionsBySessionId({
+    params: { session_id: sessionId },
+    body: {
+      workspace_id: workspaceId,
+      user_message: userMessage,
+      assistant_response: assistantResponse,
+      action_type: actionType,
+    },
   });
 }
 
@@ -274,10 +376,13 @@ export async function kernelUpdateSession(
  * Returns { ok: true, subagent_id, artifact_id, result }.
  */
 export async function kernelRunSubagent(subagentId, workspaceId, token, input) {
-  return post(`/kernel/subagents/${subagentId}/run`, {
-    workspace_id: workspaceId,
-    token,
-    input,
+  return kernel.postSubagentsBySubagentIdRun({
+    params: { subagent_id: subagentId },
+    body: {
+      workspace_id: workspaceId,
+      token,
+      input,
+    },
   });
 }
 
@@ -288,11 +393,13 @@ export async function kernelRunSubagent(subagentId, workspaceId, token, input) {
  * Returns { ok, decision, reason, confidence, objective_id, goal, required_deliverable, title }.
  */
 export async function kernelResolveObjective(workspaceId, agentId, sessionId, userMessage) {
-  return post("/kernel/objectives/resolve", {
-    workspace_id: workspaceId,
-    agent_id: agentId,
-    session_id: sessionId,
-    user_message: userMessage,
+  return kernel.postObjectivesResolve({
+    body: {
+      workspace_id: workspaceId,
+      agent_id: agentId,
+      session_id: sessionId,
+      user_message: userMessage,
+    },
   });
 }
 
@@ -301,7 +408,10 @@ export async function kernelResolveObjective(workspaceId, agentId, sessionId, us
  * status: "completed" | "failed" | "in_progress"
  */
 export async function kernelUpdateObjective(objectiveId, { status, result_summary = "" }) {
-  return patch(`/kernel/objectives/${objectiveId}`, { status, result_summary });
+  return kernel.patchObjectivesById({
+    params: { id: objectiveId },
+    body: { status, result_summary },
+  });
 }
 
 /**
@@ -313,11 +423,14 @@ export async function kernelAddToolEvidence(
   sessionId,
   { action_type, query_text, result_summary },
 ) {
-  return post(`/kernel/objectives/${objectiveId}/evidence`, {
-    session_id: sessionId,
-    action_type,
-    query_text: query_text ?? "",
-    result_summary: result_summary ?? "",
+  return kernel.postObjectivesByIdEvidence({
+    params: { id: objectiveId },
+    body: {
+      session_id: sessionId,
+      action_type,
+      query_text: query_text ?? "",
+      result_summary: result_summary ?? "",
+    },
   });
 }
 
@@ -326,11 +439,13 @@ export async function kernelAddToolEvidence(
  * phase: "validate_deliverable" | "enforce_tool_truth" | "repair_deliverable"
  */
 export async function kernelCognitivePhase(workspaceId, agentId, phase, payload) {
-  return post("/kernel/action_requests", {
-    workspace_id: workspaceId,
-    agent_id: agentId,
-    action_type: "cognitive_execute",
-    payload: { phase, ...payload },
+  return kernel.postActionRequests({
+    body: {
+      workspace_id: workspaceId,
+      agent_id: agentId,
+      action_type: "cognitive_execute",
+      payload: { phase, ...payload },
+    },
   });
 }
 
@@ -339,13 +454,15 @@ export async function kernelCognitivePhase(workspaceId, agentId, phase, payload)
  * Returns { steps: PlanStep[], mode: 'llm'|'fallback' }
  */
 export async function kernelPlanMessage(workspaceId, agentId, text, contextSummary = "") {
-  return post("/kernel/action_requests", {
-    workspace_id: workspaceId,
-    agent_id: agentId,
-    action_type: "plan_message",
-    payload: {
-      text,
-      ...(contextSummary ? { context_summary: contextSummary } : {}),
+  return kernel.postActionRequests({
+    body: {
+      workspace_id: workspaceId,
+      agent_id: agentId,
+      action_type: "plan_message",
+      payload: {
+        text,
+        ...(contextSummary ? { context_summary: contextSummary } : {}),
+      },
     },
   });
 }
@@ -357,11 +474,13 @@ export async function kernelPlanMessage(workspaceId, agentId, text, contextSumma
  * Returns { ok, job_id, status, created_at }
  */
 export async function kernelCreateJob(workspaceId, remoteJid, objective, plan = []) {
-  return post("/kernel/jobs", {
-    workspace_id: workspaceId,
-    remote_jid: remoteJid,
-    objective,
-    plan,
+  return kernel.postJobs({
+    body: {
+      workspace_id: workspaceId,
+      remote_jid: remoteJid,
+      objective,
+      plan,
+    },
   });
 }
 
@@ -370,30 +489,82 @@ export async function kernelCreateJob(workspaceId, remoteJid, objective, plan =
  * Returns { ok, job: { job_id, status, progress, result, error, ... } }
  */
 export async function kernelGetJob(jobId, workspaceId) {
-  return get(`/kernel/jobs/${jobId}?workspace_id=${encodeURIComponent(workspaceId)}`);
+  return kernel.getJobsByJobId({
+    params: { job_id: jobId },
+    query: { workspace_id: workspaceId },
+  });
 }
 
 /**
  * Update job progress / result / status (called by bridge job runner).
  */
 export async function kernelUpdateJob(jobId, workspaceId, updates) {
-  return patch(`/kernel/jobs/${jobId}`, { workspace_id: workspaceId, ...updates });
+  return kernel.patchJobsByJobId({
+    params: { job_id: jobId },
+    body: { workspace_id: workspaceId, ...updates },
+  });
 }
 
 /**
  * List jobs for a sender.
  */
 export async function kernelListJobs(workspaceId, remoteJid) {
-  return get(
-    `/kernel/jobs?workspace_id=${encodeURIComponent(workspaceId)}&remote_jid=${encodeURIComponent(remoteJid)}`,
-  );
+  return kernel.getJobs({ query: { workspace_id: workspaceId, remote_jid: remoteJid } });
+}
+
+// ── Shell session API ──────────────────────────────────────────────────────────
+// Sessions are started by run_shell with payload.session = true (approval applies).
+
+/**
+ * List a workspace's shell sessions, newest first.
+ * Returns { ok, sessions: [{ session_id, command, status, exit_code, bytes, ... }] }
+ */
+export async function kernelListShellSessions(workspaceId) {
+  return kernel.getShellSessions({ query: { workspace_id: workspaceId } });
+}
+
+/**
+ * Read a page of a session's output — from byte `offset`, or the last `tail` bytes.
+ * Returns { ok, status, output, offset, next_offset, size, done }
+ */
+export async function kernelShellOutput(sessionId, workspaceId, { offset, limit, tail } = {}) {
+  return kernel.getShellSessionsBySessionIdOutput({
+    params: { session_id: sessionId },
+    query: {
+      workspace_id: workspaceId,
+      ...(offset !== undefined ? { offset } : {}),
+      ...(limit !== undefined ? { limit } : {}),
+      ...(tail !== undefined ? { tail } : {}),
+    },
+  });
+}
+
+/**
+ * Write a line to a running session's stdin.
+ */
+export async function kernelShellInput(sessionId, workspaceId, text) {
+  return kernel.postShellSessionsBySessionIdInput({
+    params: { session_id: sessionId },
+    body: { workspace_id: workspaceId, text },
+  });
+}
+
+/**
+ * Stop a running session.
+ * Returns { ok, session }
+ */
+export async function kernelKillShellSession(sessionId, workspaceId) {
+  return kernel.postShellSessionsBySessionIdKill({
+    params: { session_id: sessionId },
+    body: { workspace_id: workspaceId },
+  });
 }
 
 /**
  * List installed skills. Pass include_md=true to include full skill_md content.
  */
 export async function kernelListInstalled(includeMd = false) {
-  return get(`/kernel/clawhub/installed${includeMd ? "?include_md=1" : ""}`);
+  return kernel.getClawhubInstalled({ query: includeMd ? { include_md: 1 } : {} });
 }
 
 /**
@@ -401,7 +572,7 @@ export async function kernelListInstalled(includeMd = false) {
  * For trusted local use only (bridge → kernel on localhost).
  */
 export async function kernelSkillEnvExport() {
-  return get("/kernel/clawhub/skill_env_export");
+  return kernel.getClawhubSkillEnvExport();
 }
 
 /**
@@ -412,10 +583,15 @@ export async function kernelAddSessionTurn(
   sessionId,
   { user_message, assistant_response, action_type },
 ) {
-  return post(`/kernel/objectives/${objectiveId}/turns`, {
-    session_id: sessionId,
-    user_message: user_message ?? "",
-    assistant_response: assistant_response ?? "",
-    action_type: action_type ?? "",
-  }).catch(() => {}); // non-fatal
+  return kernel
+    .postObjectivesByIdTurns({
+      params: { id: objectiveId },
+      body: {
+        session_id: sessionId,
+        user_message: user_message ?? "",
+        assistant_response: assistant_response ?? "",
+        action_type: action_type ?? "",
+      },
+    })
+    .catch(() => {}); // non-fatal
 }
@@ -0,0 +1,1530 @@
+/**
+ * ClawOS Kernel API client (v0.1.0) — 114 operations.
+ *
+ * GENERATED by clawos-os/apps/kernel/scripts/gen_client.js from the kernel's
+ * OpenAPI document (GET /kernel/openapi.json). Do not edit: change the kernel
+ * route (and its doc() options) and re-run the generator.
+ */
+
+// ── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * Request body of postSetup (POST /kernel/setup).
+ * @typedef {object} PostSetupBody
+ * @property {string} recovery_phrase
+ */
+
+/**
+ * Request body of postUnlock (POST /kernel/unlock).
+ * @typedef {object} PostUnlockBody
+ * @property {string} recovery_phrase
+ */
+
+/**
+ * Request body of postKeysRotate (POST /kernel/keys/rotate).
+ * @typedef {object} PostKeysRotateBody
+ * @property {Array<"connections"|"signing">} [keys]
+ */
+
+/**
+ * Request body of postRecoveryChange (POST /kernel/recovery/change).
+ * @typedef {object} PostRecoveryChangeBody
+ * @property {string} recovery_phrase
+ * @property {string} new_recovery_phrase
+ */
+
+/**
+ * Request body of postWorkspaces (POST /kernel/workspaces).
+ * @typedef {object} PostWorkspacesBody
+ * @property {string} [type]
+ */
+
+/**
+ * Request body of postActionRequests (POST /kernel/action_requests).
+ * @typedef {object} PostActionRequestsBody
+ * @property {string} workspace_id
+ * @property {string} agent_id
+ * @property {string} action_type
+ * @property {string|null} [destination]
+ * @property {any} [payload]
+ * @property {string} [request_id]
+ * @property {string} [approval_token]
+ */
+
+/**
+ * Request body of postActionRequestsStream (POST /kernel/action_requests/stream).
+ * @typedef {object} PostActionRequestsStreamBody
+ * @property {string} workspace_id
+ * @property {string} agent_id
+ * @property {string} action_type
+ * @property {string|null} [destination]
+ * @property {any} [payload]
+ * @property {string} [request_id]
+ * @property {string} [approval_token]
+ */
+
+/**
+ * Request body of postApprovals (POST /kernel/approvals).
+ * @typedef {object} PostApprovalsBody
+ * @property {string} workspace_id
+ * @property {string} action_request_id
+ * @property {string} [requested_by]
+ * @property {number} [ttl_seconds]
+ */
+
+/**
+ * Request body of postTokensIssue (POST /kernel/tokens/issue).
+ * @typedef {object} PostTokensIssueBody
+ * @property {string} workspace_id
+ * @property {string} tool_name
+ * @property {string} action_request_id
+ * @property {string} [approval_id]
+ * @property {number} [ttl_seconds]
+ */
+
+/**
+ * Request body of postTokensVerify (POST /kernel/tokens/verify).
+ * @typedef {object} PostTokensVerifyBody
+ * @property {string} token
+ * @property {string} tool_name
+ */
+
+/**
+ * Request body of postTokensRequest (POST /kernel/tokens/request).
+ * @typedef {object} PostTokensRequestBody
+ * @property {string} workspace_id
+ * @property {string} requested_by_agent_id
+ * @property {{ kind: "agent"|"subagent", id: string }} issue_to
+ * @property {string|null} [task_id]
+ * @property {{ allowed_tools?: Array<string>, operations?: Array<string>, resource_constraints?: any }} scope
+ * @property {number} [ttl_seconds]
+ * @property {string|null} [dar_id]
+ */
+
+/**
+ * Request body of putRiskPoliciesByActionType (PUT /kernel/risk_policies/:action_type).
+ * @typedef {object} PutRiskPoliciesByActionTypeBody
+ * @property {"auto"|"ask"|"block"} mode
+ * @property {string} [workspace_id]
+ */
+
+/**
+ * Request body of postActions (POST /kernel/actions).
+ * @typedef {object} PostActionsBody
+ * @property {string} name
+ * @property {string} description
+ * @property {string} endpoint
+ * @property {boolean} [writes]
+ * @property {"low"|"medium"|"high"} [risk_level]
+ * @property {boolean} [reversible]
+ * @property {Record<string, any>} [input_schema] JSON Schema (type: object) for the payload
+ * @property {Record<string, any>} [output_schema] JSON Schema (type: object) for the endpoint's reply
+ * @property {boolean} [tool] false keeps an action with an input_schema out of agent_run and plan_message
+ * @property {number} [timeout_ms]
+ */
+
+/**
+ * Request body of putSandboxPoliciesByWorkspaceId (PUT /kernel/sandbox_policies/:workspace_id).
+ * @typedef {object} PutSandboxPoliciesByWorkspaceIdBody
+ * @property {"host"|"sandbox"} [mode] Default sandbox when bwrap or unshare is available, else host (RUN_SHELL_MODE overrides); host ignores network, cpu_seconds and memory_mb
+ * @property {boolean} [network]
+ * @property {number} [cpu_seconds]
+ * @property {number} [memory_mb]
+ * @property {number} [timeout_ms]
+ * @property {Array<string>} [allow_bins] When non-empty, the only programs a command may start
+ * @property {Array<string>} [deny_bins]
+ */
+
+/**
+ * Query string of getShellSessions (GET /kernel/shell_sessions).
+ * @typedef {object} GetShellSessionsQuery
+ * @property {string} workspace_id
+ * @property {"running"|"exited"|"killed"|"timed_out"|"lost"} [status]
+ * @property {number} [limit]
+ */
+
+/**
+ * Query string of getShellSessionsBySessionId (GET /kernel/shell_sessions/:session_id).
+ * @typedef {object} GetShellSessionsBySessionIdQuery
+ * @property {string} [workspace_id]
+ */
+
+/**
+ * Query string of getShellSessionsBySessionIdOutput (GET /kernel/shell_sessions/:session_id/output).
+ * @typedef {object} GetShellSessionsBySessionIdOutputQuery
+ * @property {string} [workspace_id]
+ * @property {number} [offset]
+ * @property {number} [limit]
+ * @property {number} [tail] Read the last tail bytes instead of from offset
+ */
+
+/**
+ * Request body of postShellSessionsBySessionIdInput (POST /kernel/shell_sessions/:session_id/input).
+ * @typedef {object} PostShellSessionsBySessionIdInputBody
+ * @property {string} [workspace_id]
+ * @property {string} [text]
+ * @property {boolean} [eof] Close stdin after writing text
+ */
+
+/**
+ * Request body of postShellSessionsBySessionIdKill (POST /kernel/shell_sessions/:session_id/kill).
+ * @typedef {object} PostShellSessionsBySessionIdKillBody
+ * @property {string} [workspace_id]
+ */
+
+/**
+ * Request body of postAgents (POST /kernel/agents).
+ * @typedef {object} PostAgentsBody
+ * @property {string} workspace_id
+ * @property {string} agent_id
+ * @property {string} [role]
+ * @property {string|null} [policy_profile_id]
+ */
+
+/**
+ * Request body of postTasks (POST /kernel/tasks).
+ * @typedef {object} PostTasksBody
+ * @property {string} workspace_id
+ * @property {string} created_by_agent_id
+ * @property {string} title
+ * @property {string} [intent]
+ * @property {{ objective?: string, scope?: any, deliverables?: Array<string>, acceptance_checks?: Array<any> }} [contract]
+ * @property {any|null} [plan]
+ */
+
+/**
+ * Query string of getTasks (GET /kernel/tasks).
+ * @typedef {object} GetTasksQuery
+ * @property {string} [status]
+ * @property {number} [limit]
+ */
+
+/**
+ * Query string of getTasksByTaskId (GET /kernel/tasks/:task_id).
+ * @typedef {object} GetTasksByTaskIdQuery
+ * @property {string} workspace_id
+ */
+
+/**
+ * Request body of postTasksByTaskIdArtifacts (POST /kernel/tasks/:task_id/artifacts).
+ * @typedef {object} PostTasksByTaskIdArtifactsBody
+ * @property {string} workspace_id
+ * @property {"agent"|"subagent"|"system"} actor_kind
+ * @property {string} actor_id
+ * @property {string} type
+ * @property {string|null} [content]
+ * @property {string|null} [uri]
+ * @property {any} [metadata]
+ */
+
+/**
+ * Request body of postTasksByTaskIdVerify (POST /kernel/tasks/:task_id/verify).
+ * @typedef {object} PostTasksByTaskIdVerifyBody
+ * @property {string} workspace_id
+ * @property {string} requested_by_agent_id
+ */
+
+/**
+ * Query string of getTasksByTaskIdEvents (GET /kernel/tasks/:task_id/events).
+ * @typedef {object} GetTasksByTaskIdEventsQuery
+ * @property {string} workspace_id
+ */
+
+/**
+ * Query string of getEvents (GET /kernel/events).
+ * @typedef {object} GetEventsQuery
+ * @property {number} [limit]
+ * @property {string} [task_id]
+ */
+
+/**
+ * Request body of postSubagents (POST /kernel/subagents).
+ * @typedef {object} PostSubagentsBody
+ * @property {string} workspace_id
+ * @property {string} parent_agent_id
+ * @property {string} task_id
+ * @property {string|null} [step_id]
+ * @property {string} worker_type
+ */
+
+/**
+ * Query string of getSubagentsBySubagentId (GET /kernel/subagents/:subagent_id).
+ * @typedef {object} GetSubagentsBySubagentIdQuery
+ * @property {string} workspace_id
+ */
+
+/**
+ * Request body of postSubagentsBySubagentIdRun (POST /kernel/subagents/:subagent_id/run).
+ * @typedef {object} PostSubagentsBySubagentIdRunBody
+ * @property {string} workspace_id
+ * @property {string} token
+ * @property {any} [input]
+ */
+
+/**
+ * Request body of postSessionsResolve (POST /kernel/sessions/resolve).
+ * @typedef {object} PostSessionsResolveBody
+ * @property {string} workspace_id
+ * @property {string} [channel]
+ * @property {string} remote_jid
+ * @property {string} [user_message]
+ */
+
+/**
+ * Request body of patchSessionsBySessionId (PATCH /kernel/sessions/:session_id).
+ * @typedef {object} PatchSessionsBySessionIdBody
+ * @property {string} workspace_id
+ * @property {string} [user_message]
+ * @property {string} [assistant_response]
+ * @property {string} [action_type]
+ */
+
+/**
+ * Query string of getSessions (GET /kernel/sessions).
+ * @typedef {object} GetSessionsQuery
+ * @property {string} workspace_id
+ * @property {number} [limit]
+ */
+
+/**
+ * Request body of postObjectivesResolve (POST /kernel/objectives/resolve).
+ * @typedef {object} PostObjectivesResolveBody
+ * @property {string} workspace_id
+ * @property {string} session_id
+ * @property {string} agent_id
+ * @property {string} user_message
+ * @property {string} [context_summary]
+ */
+
+/**
+ * Request body of patchObjectivesById (PATCH /kernel/objectives/:id).
+ * @typedef {object} PatchObjectivesByIdBody
+ * @property {"in_progress"|"completed"|"failed"} [status]
+ * @property {string} [result_summary]
+ * @property {any} [required_deliverable]
+ */
+
+/**
+ * Request body of postObjectivesByIdEvidence (POST /kernel/objectives/:id/evidence).
+ * @typedef {object} PostObjectivesByIdEvidenceBody
+ * @property {string} session_id
+ * @property {string} action_type
+ * @property {string} [query_text]
+ * @property {string} [result_summary]
+ */
+
+/**
+ * Query string of getObjectives (GET /kernel/objectives).
+ * @typedef {object} GetObjectivesQuery
+ * @property {string} session_id
+ */
+
+/**
+ * Request body of postObjectivesByIdTurns (POST /kernel/objectives/:id/turns).
+ * @typedef {object} PostObjectivesByIdTurnsBody
+ * @property {string} session_id
+ * @property {string} [user_message]
+ * @property {string} [assistant_response]
+ * @property {string} [action_type]
+ */
+
+/**
+ * Request body of putLlmRoutingByActionType (PUT /kernel/llm_routing/:action_type).
+ * @typedef {object} PutLlmRoutingByActionTypeBody
+ * @property {string} [workspace_id]
+ * @property {Array<{ provider: "xai"|"anthropic"|"openai"|"local", model?: string|null }>} chain
+ * @property {number|null} [temperature]
+ * @property {number|null} [max_tokens]
+ */
+
+/**
+ * Request body of putUsageBudgetsByWorkspaceId (PUT /kernel/usage/budgets/:workspace_id).
+ * @typedef {object} PutUsageBudgetsByWorkspaceIdBody
+ * @property {number} monthly_usd
+ */
+
+/**
+ * Request body of putPromptsByName (PUT /kernel/prompts/:name).
+ * @typedef {object} PutPromptsByNameBody
+ * @property {string} [workspace_id]
+ * @property {string} body
+ * @property {string} [note]
+ */
+
+/**
+ * Request body of postPromptsByNameRollback (POST /kernel/prompts/:name/rollback).
+ * @typedef {object} PostPromptsByNameRollbackBody
+ * @property {string} [workspace_id]
+ * @property {number} version
+ */
+
+/**
+ * Request body of putPromptVariablesByKey (PUT /kernel/prompt_variables/:key).
+ * @typedef {object} PutPromptVariablesByKeyBody
+ * @property {string} [workspace_id]
+ * @property {string} value
+ */
+
+/**
+ * Request body of postApiClients (POST /kernel/api_clients).
+ * @typedef {object} PostApiClientsBody
+ * @property {string} name
+ * @property {"operator"|"bridge"|"ui"|"read-only"} role
+ */
+
+/**
+ * Request body of postBackupExport (POST /kernel/backup/export).
+ * @typedef {object} PostBackupExportBody
+ * @property {string} recovery_phrase
+ */
+
+/**
+ * Request body of postBackupImport (POST /kernel/backup/import).
+ * @typedef {object} PostBackupImportBody
+ * @property {string} recovery_phrase
+ * @property {string} [current_recovery_phrase]
+ * @property {{ format: "clawos-kernel-backup", version: 1, created_at: string, kdf: { alg: "scrypt", salt: string, N: number, r: number, p: number }, ciphertext: string }} backup
+ */
+
+/**
+ * Query string of getAudit (GET /kernel/audit).
+ * @typedef {object} GetAuditQuery
+ * @property {string} [event]
+ * @property {string} [actor]
+ * @property {string} [workspace_id]
+ * @property {string} [subject_type]
+ * @property {string} [subject_id]
+ * @property {string} [since]
+ * @property {string} [until]
+ * @property {number} [before_seq]
+ * @property {number} [after_seq]
+ * @property {number} [limit]
+ */
+
+/**
+ * Query string of getAuditVerify (GET /kernel/audit/verify).
+ * @typedef {object} GetAuditVerifyQuery
+ * @property {number} [anchor_seq]
+ * @property {string} [anchor_hash]
+ */
+
+// ── Client ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} CallOptions
+ * @property {string} [apiKey]  API key for this call instead of the client's (e.g. the operator key)
+ * @property {AbortSignal} [signal]
+ * @property {Record<string, string>} [attributes]  handed to fetch in its third argument (span attributes)
+ */
+
+/**
+ * The fetch a client uses: WHATWG fetch plus a third argument describing the
+ * operation, so a wrapper can trace and measure calls by route template
+ * rather than by concrete URL.
+ *
+ * @typedef {(url: string, init: RequestInit, op: { operationId: string, method: string, route: string, attributes: Record<string, string> }) => Promise<Response>} KernelFetch
+ */
+
+/**
+ * Create a kernel client. Every method takes one object —
+ * { params?, query?, body?, apiKey?, signal?, attributes? } — and throws on a
+ * non-2xx response with the status and response body in the message (and the
+ * status as err.status).
+ *
+ * @param {{ baseUrl?: string, apiKey?: string, fetch?: KernelFetch }} [opts]
+ */
+export function createKernelClient({
+  baseUrl = "http://localhost:18888",
+  apiKey = "",
+  fetch = (url, init) => globalThis.fetch(url, init),
+} = {}) {
+  async function send(operationId, method, route, req = {}) {
+    const { params = {}, query, body, signal, attributes = {} } = req;
+    const key = req.apiKey ?? apiKey;
+    const path = route.replace(/:([A-Za-z0-9_]+)/g, (_, name) => encodeURIComponent(params[name]));
+    const qs = new URLSearchParams(
+      Object.entries(query ?? {})
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => [k, String(v)]),
+    ).toString();
+    const res = await fetch(
+      `${baseUrl}${path}${qs ? `?${qs}` : ""}`,
+      {
+        method,
+        headers: {
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...(key ? { Authorization: `Bearer ${key}` } : {}),
+        },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+        ...(signal ? { signal } : {}),
+      },
+      { operationId, method, route, attributes },
+    );
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw Object.assign(new Error(`Kernel ${method} ${path} → ${res.status}: ${text}`), {
+        status: res.status,
+      });
+    }
+    return res;
+  }
+
+  async function json(...args) {
+    const res = await send(...args);
+    return res.json().catch(() => ({}));
+  }
+
+  async function text(...args) {
+    const res = await send(...args);
+    return res.text();
+  }
+
+  /** NDJSON response — yields each line parsed, as it arrives. */
+  async function* ndjson(...args) {
+    const res = await send(...args);
+    const decoder = new TextDecoder();
+    let buf = "";
+    for await (const chunk of res.body) {
+      buf += decoder.decode(chunk, { stream: true });
+      let idx;
+      while ((idx = buf.indexOf("\n")) !== -1) {
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 1);
+        if (line.trim()) {
+          yield JSON.parse(line);
+        }
+      }
+    }
+    if (buf.trim()) {
+      yield JSON.parse(buf);
+    }
+  }
+
+  return {
+    /**
+     * Kernel health
+     *
+     * `GET /kernel/health`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getHealth: (req) => json("getHealth", "GET", "/kernel/health", req),
+
+    /**
+     * Initialize the keyring with a recovery phrase
+     *
+     * `POST /kernel/setup`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostSetupBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postSetup: (req) => json("postSetup", "POST", "/kernel/setup", req),
+
+    /**
+     * Unlock the kernel with the recovery phrase
+     *
+     * `POST /kernel/unlock`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostUnlockBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postUnlock: (req) => json("postUnlock", "POST", "/kernel/unlock", req),
+
+    /**
+     * Lock the kernel
+     *
+     * `POST /kernel/lock`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    postLock: (req) => json("postLock", "POST", "/kernel/lock", req),
+
+    /**
+     * Lock state
+     *
+     * `GET /kernel/lock`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getLock: (req) => json("getLock", "GET", "/kernel/lock", req),
+
+    /**
+     * Active and retired key IDs
+     *
+     * `GET /kernel/keys`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getKeys: (req) => json("getKeys", "GET", "/kernel/keys", req),
+
+    /**
+     * Rotate keys and re-encrypt stored secrets
+     *
+     * `POST /kernel/keys/rotate`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body?: PostKeysRotateBody } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    postKeysRotate: (req) => json("postKeysRotate", "POST", "/kernel/keys/rotate", req),
+
+    /**
+     * Change the recovery phrase
+     *
+     * `POST /kernel/recovery/change`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostRecoveryChangeBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postRecoveryChange: (req) => json("postRecoveryChange", "POST", "/kernel/recovery/change", req),
+
+    /**
+     * Create a workspace
+     *
+     * `POST /kernel/workspaces`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body?: PostWorkspacesBody } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    postWorkspaces: (req) => json("postWorkspaces", "POST", "/kernel/workspaces", req),
+
+    /**
+     * List workspaces
+     *
+     * `GET /kernel/workspaces`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getWorkspaces: (req) => json("getWorkspaces", "GET", "/kernel/workspaces", req),
+
+    /**
+     * Submit an action request
+     *
+     * `POST /kernel/action_requests`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostActionRequestsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postActionRequests: (req) => json("postActionRequests", "POST", "/kernel/action_requests", req),
+
+    /**
+     * Submit an action request, streaming NDJSON deltas and the result
+     *
+     * `POST /kernel/action_requests/stream`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostActionRequestsStreamBody } & CallOptions} req
+     * @returns {AsyncGenerator<any>}
+     */
+    postActionRequestsStream: (req) => ndjson("postActionRequestsStream", "POST", "/kernel/action_requests/stream", req),
+
+    /**
+     * Get an action request with its payload and result
+     *
+     * `GET /kernel/action_requests/:id`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getActionRequestsById: (req) => json("getActionRequestsById", "GET", "/kernel/action_requests/:id", req),
+
+    /**
+     * Create a pending approval for an action request
+     *
+     * `POST /kernel/approvals`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostApprovalsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postApprovals: (req) => json("postApprovals", "POST", "/kernel/approvals", req),
+
+    /**
+     * List approvals
+     *
+     * `GET /kernel/approvals`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getApprovals: (req) => json("getApprovals", "GET", "/kernel/approvals", req),
+
+    /**
+     * Approve a pending approval (operator)
+     *
+     * `POST /kernel/approvals/:id/approve`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postApprovalsByIdApprove: (req) => json("postApprovalsByIdApprove", "POST", "/kernel/approvals/:id/approve", req),
+
+    /**
+     * Reject a pending approval
+     *
+     * `POST /kernel/approvals/:id/reject`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postApprovalsByIdReject: (req) => json("postApprovalsByIdReject", "POST", "/kernel/approvals/:id/reject", req),
+
+    /**
+     * Issue a tool token for an approved action request
+     *
+     * `POST /kernel/tokens/issue`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostTokensIssueBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postTokensIssue: (req) => json("postTokensIssue", "POST", "/kernel/tokens/issue", req),
+
+    /**
+     * Verify a tool token for a tool
+     *
+     * `POST /kernel/tokens/verify`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostTokensVerifyBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postTokensVerify: (req) => json("postTokensVerify", "POST", "/kernel/tokens/verify", req),
+
+    /**
+     * Request a delegation capability token (DCT)
+     *
+     * `POST /kernel/tokens/request`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostTokensRequestBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postTokensRequest: (req) => json("postTokensRequest", "POST", "/kernel/tokens/request", req),
+
+    /**
+     * Grant a pending DCT approval request (operator)
+     *
+     * `POST /kernel/dct_approvals/:dar_id/grant`
+     * @param {{ params: { dar_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postDctApprovalsByDarIdGrant: (req) => json("postDctApprovalsByDarIdGrant", "POST", "/kernel/dct_approvals/:dar_id/grant", req),
+
+    /**
+     * Deny a pending DCT approval request
+     *
+     * `POST /kernel/dct_approvals/:dar_id/deny`
+     * @param {{ params: { dar_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postDctApprovalsByDarIdDeny: (req) => json("postDctApprovalsByDarIdDeny", "POST", "/kernel/dct_approvals/:dar_id/deny", req),
+
+    /**
+     * Revoke a DCT before it expires (operator)
+     *
+     * `POST /kernel/dct_tokens/:token_id/revoke`
+     * @param {{ params: { token_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postDctTokensByTokenIdRevoke: (req) => json("postDctTokensByTokenIdRevoke", "POST", "/kernel/dct_tokens/:token_id/revoke", req),
+
+    /**
+     * List provider connections with masked secrets
+     *
+     * `GET /kernel/connections`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getConnections: (req) => json("getConnections", "GET", "/kernel/connections", req),
+
+    /**
+     * Set a provider's credentials
+     *
+     * `PUT /kernel/connections/:provider`
+     * @param {{ params: { provider: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    putConnectionsByProvider: (req) => json("putConnectionsByProvider", "PUT", "/kernel/connections/:provider", req),
+
+    /**
+     * Delete a provider's credentials
+     *
+     * `DELETE /kernel/connections/:provider`
+     * @param {{ params: { provider: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteConnectionsByProvider: (req) => json("deleteConnectionsByProvider", "DELETE", "/kernel/connections/:provider", req),
+
+    /**
+     * Test a provider's stored credentials
+     *
+     * `POST /kernel/connections/:provider/test`
+     * @param {{ params: { provider: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postConnectionsByProviderTest: (req) => json("postConnectionsByProviderTest", "POST", "/kernel/connections/:provider/test", req),
+
+    /**
+     * List risk policies
+     *
+     * `GET /kernel/risk_policies`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getRiskPolicies: (req) => json("getRiskPolicies", "GET", "/kernel/risk_policies", req),
+
+    /**
+     * Set an action type's approval mode
+     *
+     * `PUT /kernel/risk_policies/:action_type`
+     * @param {{ params: { action_type: string }, query?: Record<string, string|number|boolean|undefined>, body: PutRiskPoliciesByActionTypeBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    putRiskPoliciesByActionType: (req) => json("putRiskPoliciesByActionType", "PUT", "/kernel/risk_policies/:action_type", req),
+
+    /**
+     * List registered actions
+     *
+     * `GET /kernel/actions`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getActions: (req) => json("getActions", "GET", "/kernel/actions", req),
+
+    /**
+     * Register a webhook action (operator)
+     *
+     * `POST /kernel/actions`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostActionsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postActions: (req) => json("postActions", "POST", "/kernel/actions", req),
+
+    /**
+     * Get one action
+     *
+     * `GET /kernel/actions/:name`
+     * @param {{ params: { name: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getActionsByName: (req) => json("getActionsByName", "GET", "/kernel/actions/:name", req),
+
+    /**
+     * Remove a webhook action (operator)
+     *
+     * `DELETE /kernel/actions/:name`
+     * @param {{ params: { name: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteActionsByName: (req) => json("deleteActionsByName", "DELETE", "/kernel/actions/:name", req),
+
+    /**
+     * List run_shell sandbox policies
+     *
+     * `GET /kernel/sandbox_policies`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getSandboxPolicies: (req) => json("getSandboxPolicies", "GET", "/kernel/sandbox_policies", req),
+
+    /**
+     * Effective sandbox policy for a workspace
+     *
+     * `GET /kernel/sandbox_policies/:workspace_id`
+     * @param {{ params: { workspace_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getSandboxPoliciesByWorkspaceId: (req) => json("getSandboxPoliciesByWorkspaceId", "GET", "/kernel/sandbox_policies/:workspace_id", req),
+
+    /**
+     * Set a workspace's sandbox policy (operator)
+     *
+     * `PUT /kernel/sandbox_policies/:workspace_id`
+     * @param {{ params: { workspace_id: string }, query?: Record<string, string|number|boolean|undefined>, body?: PutSandboxPoliciesByWorkspaceIdBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    putSandboxPoliciesByWorkspaceId: (req) => json("putSandboxPoliciesByWorkspaceId", "PUT", "/kernel/sandbox_policies/:workspace_id", req),
+
+    /**
+     * Remove a workspace's sandbox policy (operator)
+     *
+     * `DELETE /kernel/sandbox_policies/:workspace_id`
+     * @param {{ params: { workspace_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteSandboxPoliciesByWorkspaceId: (req) => json("deleteSandboxPoliciesByWorkspaceId", "DELETE", "/kernel/sandbox_policies/:workspace_id", req),
+
+    /**
+     * List a workspace's shell sessions
+     *
+     * `GET /kernel/shell_sessions`
+     * @param {{ query: GetShellSessionsQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getShellSessions: (req) => json("getShellSessions", "GET", "/kernel/shell_sessions", req),
+
+    /**
+     * Get a shell session
+     *
+     * `GET /kernel/shell_sessions/:session_id`
+     * @param {{ params: { session_id: string }, query?: GetShellSessionsBySessionIdQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getShellSessionsBySessionId: (req) => json("getShellSessionsBySessionId", "GET", "/kernel/shell_sessions/:session_id", req),
+
+    /**
+     * Page through a shell session's output
+     *
+     * `GET /kernel/shell_sessions/:session_id/output`
+     * @param {{ params: { session_id: string }, query?: GetShellSessionsBySessionIdOutputQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getShellSessionsBySessionIdOutput: (req) => json("getShellSessionsBySessionIdOutput", "GET", "/kernel/shell_sessions/:session_id/output", req),
+
+    /**
+     * Send input to a running shell session
+     *
+     * `POST /kernel/shell_sessions/:session_id/input`
+     * @param {{ params: { session_id: string }, query?: Record<string, string|number|boolean|undefined>, body?: PostShellSessionsBySessionIdInputBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postShellSessionsBySessionIdInput: (req) => json("postShellSessionsBySessionIdInput", "POST", "/kernel/shell_sessions/:session_id/input", req),
+
+    /**
+     * Stop a running shell session
+     *
+     * `POST /kernel/shell_sessions/:session_id/kill`
+     * @param {{ params: { session_id: string }, query?: Record<string, string|number|boolean|undefined>, body?: PostShellSessionsBySessionIdKillBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postShellSessionsBySessionIdKill: (req) => json("postShellSessionsBySessionIdKill", "POST", "/kernel/shell_sessions/:session_id/kill", req),
+
+    /**
+     * Register an agent
+     *
+     * `POST /kernel/agents`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostAgentsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postAgents: (req) => json("postAgents", "POST", "/kernel/agents", req),
+
+    /**
+     * Get an agent
+     *
+     * `GET /kernel/agents/:agent_id`
+     * @param {{ params: { agent_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getAgentsByAgentId: (req) => json("getAgentsByAgentId", "GET", "/kernel/agents/:agent_id", req),
+
+    /**
+     * Create a contract-first task (agents only)
+     *
+     * `POST /kernel/tasks`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostTasksBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postTasks: (req) => json("postTasks", "POST", "/kernel/tasks", req),
+
+    /**
+     * List recent tasks
+     *
+     * `GET /kernel/tasks`
+     * @param {{ query?: GetTasksQuery } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getTasks: (req) => json("getTasks", "GET", "/kernel/tasks", req),
+
+    /**
+     * Get a task with its artifacts and subagents
+     *
+     * `GET /kernel/tasks/:task_id`
+     * @param {{ params: { task_id: string }, query: GetTasksByTaskIdQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getTasksByTaskId: (req) => json("getTasksByTaskId", "GET", "/kernel/tasks/:task_id", req),
+
+    /**
+     * Record a task artifact
+     *
+     * `POST /kernel/tasks/:task_id/artifacts`
+     * @param {{ params: { task_id: string }, query?: Record<string, string|number|boolean|undefined>, body: PostTasksByTaskIdArtifactsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postTasksByTaskIdArtifacts: (req) => json("postTasksByTaskIdArtifacts", "POST", "/kernel/tasks/:task_id/artifacts", req),
+
+    /**
+     * Run a task's acceptance checks (agents only)
+     *
+     * `POST /kernel/tasks/:task_id/verify`
+     * @param {{ params: { task_id: string }, query?: Record<string, string|number|boolean|undefined>, body: PostTasksByTaskIdVerifyBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postTasksByTaskIdVerify: (req) => json("postTasksByTaskIdVerify", "POST", "/kernel/tasks/:task_id/verify", req),
+
+    /**
+     * List a task's events
+     *
+     * `GET /kernel/tasks/:task_id/events`
+     * @param {{ params: { task_id: string }, query: GetTasksByTaskIdEventsQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getTasksByTaskIdEvents: (req) => json("getTasksByTaskIdEvents", "GET", "/kernel/tasks/:task_id/events", req),
+
+    /**
+     * List recent task events
+     *
+     * `GET /kernel/events`
+     * @param {{ query?: GetEventsQuery } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getEvents: (req) => json("getEvents", "GET", "/kernel/events", req),
+
+    /**
+     * Spawn a subagent under a task (agents only)
+     *
+     * `POST /kernel/subagents`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostSubagentsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postSubagents: (req) => json("postSubagents", "POST", "/kernel/subagents", req),
+
+    /**
+     * Get a subagent
+     *
+     * `GET /kernel/subagents/:subagent_id`
+     * @param {{ params: { subagent_id: string }, query: GetSubagentsBySubagentIdQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getSubagentsBySubagentId: (req) => json("getSubagentsBySubagentId", "GET", "/kernel/subagents/:subagent_id", req),
+
+    /**
+     * Run a subagent's worker with its DCT
+     *
+     * `POST /kernel/subagents/:subagent_id/run`
+     * @param {{ params: { subagent_id: string }, query?: Record<string, string|number|boolean|undefined>, body: PostSubagentsBySubagentIdRunBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postSubagentsBySubagentIdRun: (req) => json("postSubagentsBySubagentIdRun", "POST", "/kernel/subagents/:subagent_id/run", req),
+
+    /**
+     * Browse ClawHub skills
+     *
+     * `GET /kernel/clawhub/explore`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getClawhubExplore: (req) => json("getClawhubExplore", "GET", "/kernel/clawhub/explore", req),
+
+    /**
+     * Search ClawHub skills
+     *
+     * `GET /kernel/clawhub/search`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getClawhubSearch: (req) => json("getClawhubSearch", "GET", "/kernel/clawhub/search", req),
+
+    /**
+     * Get a ClawHub skill
+     *
+     * `GET /kernel/clawhub/skill/:slug`
+     * @param {{ params: { slug: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getClawhubSkillBySlug: (req) => json("getClawhubSkillBySlug", "GET", "/kernel/clawhub/skill/:slug", req),
+
+    /**
+     * Vet and install a skill
+     *
+     * `POST /kernel/clawhub/install`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    postClawhubInstall: (req) => json("postClawhubInstall", "POST", "/kernel/clawhub/install", req),
+
+    /**
+     * Uninstall a skill
+     *
+     * `DELETE /kernel/clawhub/install/:slug`
+     * @param {{ params: { slug: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteClawhubInstallBySlug: (req) => json("deleteClawhubInstallBySlug", "DELETE", "/kernel/clawhub/install/:slug", req),
+
+    /**
+     * List installed skills
+     *
+     * `GET /kernel/clawhub/installed`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getClawhubInstalled: (req) => json("getClawhubInstalled", "GET", "/kernel/clawhub/installed", req),
+
+    /**
+     * Decrypted skill env vars (bridge only)
+     *
+     * `GET /kernel/clawhub/skill_env_export`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getClawhubSkillEnvExport: (req) => json("getClawhubSkillEnvExport", "GET", "/kernel/clawhub/skill_env_export", req),
+
+    /**
+     * Enable or disable an installed skill
+     *
+     * `PATCH /kernel/clawhub/installed/:slug`
+     * @param {{ params: { slug: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    patchClawhubInstalledBySlug: (req) => json("patchClawhubInstalledBySlug", "PATCH", "/kernel/clawhub/installed/:slug", req),
+
+    /**
+     * Env vars the installed skills need
+     *
+     * `GET /kernel/clawhub/skill_keys`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getClawhubSkillKeys: (req) => json("getClawhubSkillKeys", "GET", "/kernel/clawhub/skill_keys", req),
+
+    /**
+     * Set a skill env var
+     *
+     * `PATCH /kernel/clawhub/skill_keys/:varName`
+     * @param {{ params: { varName: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    patchClawhubSkillKeysByVarName: (req) => json("patchClawhubSkillKeysByVarName", "PATCH", "/kernel/clawhub/skill_keys/:varName", req),
+
+    /**
+     * Remove a skill env var
+     *
+     * `DELETE /kernel/clawhub/skill_keys/:varName`
+     * @param {{ params: { varName: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteClawhubSkillKeysByVarName: (req) => json("deleteClawhubSkillKeysByVarName", "DELETE", "/kernel/clawhub/skill_keys/:varName", req),
+
+    /**
+     * Build a skill from a description
+     *
+     * `POST /kernel/clawhub/build`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    postClawhubBuild: (req) => json("postClawhubBuild", "POST", "/kernel/clawhub/build", req),
+
+    /**
+     * Activate a built skill
+     *
+     * `POST /kernel/clawhub/activate`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    postClawhubActivate: (req) => json("postClawhubActivate", "POST", "/kernel/clawhub/activate", req),
+
+    /**
+     * Find or create the session for an inbound message
+     *
+     * `POST /kernel/sessions/resolve`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostSessionsResolveBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postSessionsResolve: (req) => json("postSessionsResolve", "POST", "/kernel/sessions/resolve", req),
+
+    /**
+     * Get a session
+     *
+     * `GET /kernel/sessions/:session_id`
+     * @param {{ params: { session_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getSessionsBySessionId: (req) => json("getSessionsBySessionId", "GET", "/kernel/sessions/:session_id", req),
+
+    /**
+     * Advance a session after a turn
+     *
+     * `PATCH /kernel/sessions/:session_id`
+     * @param {{ params: { session_id: string }, query?: Record<string, string|number|boolean|undefined>, body: PatchSessionsBySessionIdBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    patchSessionsBySessionId: (req) => json("patchSessionsBySessionId", "PATCH", "/kernel/sessions/:session_id", req),
+
+    /**
+     * Close a session
+     *
+     * `POST /kernel/sessions/:session_id/close`
+     * @param {{ params: { session_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postSessionsBySessionIdClose: (req) => json("postSessionsBySessionIdClose", "POST", "/kernel/sessions/:session_id/close", req),
+
+    /**
+     * List sessions
+     *
+     * `GET /kernel/sessions`
+     * @param {{ query: GetSessionsQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getSessions: (req) => json("getSessions", "GET", "/kernel/sessions", req),
+
+    /**
+     * Resolve or create the objective for a message
+     *
+     * `POST /kernel/objectives/resolve`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostObjectivesResolveBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postObjectivesResolve: (req) => json("postObjectivesResolve", "POST", "/kernel/objectives/resolve", req),
+
+    /**
+     * Get an objective
+     *
+     * `GET /kernel/objectives/:id`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getObjectivesById: (req) => json("getObjectivesById", "GET", "/kernel/objectives/:id", req),
+
+    /**
+     * Update an objective's status or result
+     *
+     * `PATCH /kernel/objectives/:id`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined>, body?: PatchObjectivesByIdBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    patchObjectivesById: (req) => json("patchObjectivesById", "PATCH", "/kernel/objectives/:id", req),
+
+    /**
+     * Record tool evidence for an objective
+     *
+     * `POST /kernel/objectives/:id/evidence`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined>, body: PostObjectivesByIdEvidenceBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postObjectivesByIdEvidence: (req) => json("postObjectivesByIdEvidence", "POST", "/kernel/objectives/:id/evidence", req),
+
+    /**
+     * List an objective's tool evidence
+     *
+     * `GET /kernel/objectives/:id/evidence`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getObjectivesByIdEvidence: (req) => json("getObjectivesByIdEvidence", "GET", "/kernel/objectives/:id/evidence", req),
+
+    /**
+     * List a session's objectives
+     *
+     * `GET /kernel/objectives`
+     * @param {{ query: GetObjectivesQuery } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getObjectives: (req) => json("getObjectives", "GET", "/kernel/objectives", req),
+
+    /**
+     * Append a turn to the session's working memory
+     *
+     * `POST /kernel/objectives/:id/turns`
+     * @param {{ params: { id: string }, query?: Record<string, string|number|boolean|undefined>, body: PostObjectivesByIdTurnsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postObjectivesByIdTurns: (req) => json("postObjectivesByIdTurns", "POST", "/kernel/objectives/:id/turns", req),
+
+    /**
+     * Recent turns of a session
+     *
+     * `GET /kernel/sessions/:session_id/turns`
+     * @param {{ params: { session_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getSessionsBySessionIdTurns: (req) => json("getSessionsBySessionIdTurns", "GET", "/kernel/sessions/:session_id/turns", req),
+
+    /**
+     * Create a background job
+     *
+     * `POST /kernel/jobs`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    postJobs: (req) => json("postJobs", "POST", "/kernel/jobs", req),
+
+    /**
+     * List a sender's jobs
+     *
+     * `GET /kernel/jobs`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getJobs: (req) => json("getJobs", "GET", "/kernel/jobs", req),
+
+    /**
+     * Get a job's status and result
+     *
+     * `GET /kernel/jobs/:job_id`
+     * @param {{ params: { job_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getJobsByJobId: (req) => json("getJobsByJobId", "GET", "/kernel/jobs/:job_id", req),
+
+    /**
+     * Update a job's progress, result or status
+     *
+     * `PATCH /kernel/jobs/:job_id`
+     * @param {{ params: { job_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    patchJobsByJobId: (req) => json("patchJobsByJobId", "PATCH", "/kernel/jobs/:job_id", req),
+
+    /**
+     * List LLM routing rules
+     *
+     * `GET /kernel/llm_routing`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getLlmRouting: (req) => json("getLlmRouting", "GET", "/kernel/llm_routing", req),
+
+    /**
+     * Effective provider chain for an action
+     *
+     * `GET /kernel/llm_routing/resolve`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getLlmRoutingResolve: (req) => json("getLlmRoutingResolve", "GET", "/kernel/llm_routing/resolve", req),
+
+    /**
+     * Set an action type's provider chain
+     *
+     * `PUT /kernel/llm_routing/:action_type`
+     * @param {{ params: { action_type: string }, query?: Record<string, string|number|boolean|undefined>, body: PutLlmRoutingByActionTypeBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    putLlmRoutingByActionType: (req) => json("putLlmRoutingByActionType", "PUT", "/kernel/llm_routing/:action_type", req),
+
+    /**
+     * Remove a routing rule
+     *
+     * `DELETE /kernel/llm_routing/:action_type`
+     * @param {{ params: { action_type: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteLlmRoutingByActionType: (req) => json("deleteLlmRoutingByActionType", "DELETE", "/kernel/llm_routing/:action_type", req),
+
+    /**
+     * Aggregated LLM usage
+     *
+     * `GET /kernel/usage`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getUsage: (req) => json("getUsage", "GET", "/kernel/usage", req),
+
+    /**
+     * Workspace budgets with month-to-date spend
+     *
+     * `GET /kernel/usage/budgets`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getUsageBudgets: (req) => json("getUsageBudgets", "GET", "/kernel/usage/budgets", req),
+
+    /**
+     * Get a workspace budget
+     *
+     * `GET /kernel/usage/budgets/:workspace_id`
+     * @param {{ params: { workspace_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getUsageBudgetsByWorkspaceId: (req) => json("getUsageBudgetsByWorkspaceId", "GET", "/kernel/usage/budgets/:workspace_id", req),
+
+    /**
+     * Set a workspace's monthly budget
+     *
+     * `PUT /kernel/usage/budgets/:workspace_id`
+     * @param {{ params: { workspace_id: string }, query?: Record<string, string|number|boolean|undefined>, body: PutUsageBudgetsByWorkspaceIdBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    putUsageBudgetsByWorkspaceId: (req) => json("putUsageBudgetsByWorkspaceId", "PUT", "/kernel/usage/budgets/:workspace_id", req),
+
+    /**
+     * Remove a workspace budget
+     *
+     * `DELETE /kernel/usage/budgets/:workspace_id`
+     * @param {{ params: { workspace_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteUsageBudgetsByWorkspaceId: (req) => json("deleteUsageBudgetsByWorkspaceId", "DELETE", "/kernel/usage/budgets/:workspace_id", req),
+
+    /**
+     * Recent agent runs for a workspace
+     *
+     * `GET /kernel/agent_runs`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getAgentRuns: (req) => json("getAgentRuns", "GET", "/kernel/agent_runs", req),
+
+    /**
+     * Get an agent run with its transcript
+     *
+     * `GET /kernel/agent_runs/:run_id`
+     * @param {{ params: { run_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getAgentRunsByRunId: (req) => json("getAgentRunsByRunId", "GET", "/kernel/agent_runs/:run_id", req),
+
+    /**
+     * List prompts with their active versions
+     *
+     * `GET /kernel/prompts`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getPrompts: (req) => json("getPrompts", "GET", "/kernel/prompts", req),
+
+    /**
+     * Version history of a prompt
+     *
+     * `GET /kernel/prompts/:name`
+     * @param {{ params: { name: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getPromptsByName: (req) => json("getPromptsByName", "GET", "/kernel/prompts/:name", req),
+
+    /**
+     * Save a new prompt version
+     *
+     * `PUT /kernel/prompts/:name`
+     * @param {{ params: { name: string }, query?: Record<string, string|number|boolean|undefined>, body: PutPromptsByNameBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    putPromptsByName: (req) => json("putPromptsByName", "PUT", "/kernel/prompts/:name", req),
+
+    /**
+     * Drop a workspace prompt override
+     *
+     * `DELETE /kernel/prompts/:name`
+     * @param {{ params: { name: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deletePromptsByName: (req) => json("deletePromptsByName", "DELETE", "/kernel/prompts/:name", req),
+
+    /**
+     * Preview a rendered prompt
+     *
+     * `GET /kernel/prompts/:name/render`
+     * @param {{ params: { name: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    getPromptsByNameRender: (req) => json("getPromptsByNameRender", "GET", "/kernel/prompts/:name/render", req),
+
+    /**
+     * Activate an earlier prompt version
+     *
+     * `POST /kernel/prompts/:name/rollback`
+     * @param {{ params: { name: string }, query?: Record<string, string|number|boolean|undefined>, body: PostPromptsByNameRollbackBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postPromptsByNameRollback: (req) => json("postPromptsByNameRollback", "POST", "/kernel/prompts/:name/rollback", req),
+
+    /**
+     * Stored and effective prompt variables
+     *
+     * `GET /kernel/prompt_variables`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getPromptVariables: (req) => json("getPromptVariables", "GET", "/kernel/prompt_variables", req),
+
+    /**
+     * Set a prompt variable
+     *
+     * `PUT /kernel/prompt_variables/:key`
+     * @param {{ params: { key: string }, query?: Record<string, string|number|boolean|undefined>, body: PutPromptVariablesByKeyBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    putPromptVariablesByKey: (req) => json("putPromptVariablesByKey", "PUT", "/kernel/prompt_variables/:key", req),
+
+    /**
+     * Remove a prompt variable
+     *
+     * `DELETE /kernel/prompt_variables/:key`
+     * @param {{ params: { key: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deletePromptVariablesByKey: (req) => json("deletePromptVariablesByKey", "DELETE", "/kernel/prompt_variables/:key", req),
+
+    /**
+     * The calling API client
+     *
+     * `GET /kernel/auth/whoami`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getAuthWhoami: (req) => json("getAuthWhoami", "GET", "/kernel/auth/whoami", req),
+
+    /**
+     * List API clients
+     *
+     * `GET /kernel/api_clients`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getApiClients: (req) => json("getApiClients", "GET", "/kernel/api_clients", req),
+
+    /**
+     * Create an API client (the key is shown once)
+     *
+     * `POST /kernel/api_clients`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostApiClientsBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postApiClients: (req) => json("postApiClients", "POST", "/kernel/api_clients", req),
+
+    /**
+     * Revoke an API client
+     *
+     * `DELETE /kernel/api_clients/:client_id`
+     * @param {{ params: { client_id: string }, query?: Record<string, string|number|boolean|undefined> } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    deleteApiClientsByClientId: (req) => json("deleteApiClientsByClientId", "DELETE", "/kernel/api_clients/:client_id", req),
+
+    /**
+     * Export an encrypted backup of the kernel
+     *
+     * `POST /kernel/backup/export`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostBackupExportBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postBackupExport: (req) => json("postBackupExport", "POST", "/kernel/backup/export", req),
+
+    /**
+     * Restore the kernel from an encrypted backup
+     *
+     * `POST /kernel/backup/import`
+     * @param {{ query?: Record<string, string|number|boolean|undefined>, body: PostBackupImportBody } & CallOptions} req
+     * @returns {Promise<any>}
+     */
+    postBackupImport: (req) => json("postBackupImport", "POST", "/kernel/backup/import", req),
+
+    /**
+     * Query the audit log
+     *
+     * `GET /kernel/audit`
+     * @param {{ query?: GetAuditQuery } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getAudit: (req) => json("getAudit", "GET", "/kernel/audit", req),
+
+    /**
+     * Verify the audit log hash chain
+     *
+     * `GET /kernel/audit/verify`
+     * @param {{ query?: GetAuditVerifyQuery } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getAuditVerify: (req) => json("getAuditVerify", "GET", "/kernel/audit/verify", req),
+
+    /**
+     * Prometheus metrics
+     *
+     * `GET /metrics`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<string>}
+     */
+    getMetrics: (req) => text("getMetrics", "GET", "/metrics", req),
+
+    /**
+     * This OpenAPI document
+     *
+     * `GET /kernel/openapi.json`
+     * @param {{ query?: Record<string, string|number|boolean|undefined> } & CallOptions} [req]
+     * @returns {Promise<any>}
+     */
+    getOpenapiJson: (req) => json("getOpenapiJson", "GET", "/kernel/openapi.json", req),
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Prometheus metrics for the bridge — served by GET /metrics in index.js.
+ *
+ *   clawos_bridge_inbound_messages_total{result}            webhook messages handled (ok | error)
+ *   clawos_bridge_message_duration_seconds{result}          time from webhook to last reply
+ *   clawos_bridge_routes_total{route}                       standard-path messages by router decision
+ *   clawos_bridge_outbound_messages_total{result}           WhatsApp sends (ok | error)
+ *   clawos_bridge_kernel_requests_total{method,status}      kernel API calls by HTTP status ("error" = no response)
+ *   clawos_bridge_kernel_request_duration_seconds{method}   kernel API call latency
+ *
+ * Same exposition format as the kernel's registry (apps/kernel/src/metrics/
+ * registry.js), trimmed to counters and histograms.
+ */
+
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = [];
+
+function formatLabels(pairs) {
+  const parts = pairs
+    .filter(([, v]) => v !== "")
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function labelPairs(labelNames, key) {
+  const values = JSON.parse(key);
+  return labelNames.map((n, i) => [n, values[i]]);
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((n) => String(labels?.[n] ?? "")));
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) ?? 0) + n);
+    },
+    render() {
+      return [...values].map(([key, v]) => `${name}${formatLabels(labelPairs(labelNames, key))} ${v}`);
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: BUCKETS.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      for (const [i, le] of BUCKETS.entries()) {
+        if (value <= le) {
+          s.counts[i]++;
+        }
+      }
+      s.sum += value;
+      s.count++;
+    },
+    /** Returns end(); calling it observes the seconds elapsed since startTimer(). */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (more = {}) =>
+        metric.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render() {
+      const lines = [];
+      for (const [key, s] of series) {
+        const pairs = labelPairs(labelNames, key);
+        for (const [i, le] of BUCKETS.entries()) {
+          lines.push(`${name}_bucket${formatLabels([...pairs, ["le", String(le)]])} ${s.counts[i]}`);
+        }
+        lines.push(`${name}_bucket${formatLabels([...pairs, ["le", "+Inf"]])} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(pairs)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(pairs)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+export const inboundMessages = counter(
+  "clawos_bridge_inbound_messages_total",
+  "Inbound WhatsApp messages handled, by result",
+  ["result"],
+);
+export const messageDuration = histogram(
+  "clawos_bridge_message_duration_seconds",
+  "Time to handle one inbound message, replies included",
+  ["result"],
+);
+export const routes = counter(
+  "clawos_bridge_routes_total",
+  "Standard-path messages by router decision",
+  ["route"],
+);
+export const outboundMessages = counter(
+  "clawos_bridge_outbound_messages_total",
+  "WhatsApp messages sent, by result",
+  ["result"],
+);
+export const kernelRequests = counter(
+  "clawos_bridge_kernel_requests_total",
+  "Kernel API calls by method and HTTP status",
+  ["method", "status"],
+);
+export const kernelDuration = histogram(
+  "clawos_bridge_kernel_request_duration_seconds",
+  "Kernel API call latency by method",
+  ["method"],
+);
+
+/** All metrics in the Prometheus text format. */
+export function renderMetrics() {
+  const out = [];
+  for (const m of metrics) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render());
+  }
+  return `${out.join("\n")}\n`;
+}
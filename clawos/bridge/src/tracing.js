@@ -0,0 +1,282 @@
+/**
+ * Distributed tracing for the bridge — spans exported as OTLP/JSON, W3C
+ * trace context sent to the kernel.
+ *
+ * handleInboundWhatsAppMessage() opens the root span for each message; every
+ * kernel.js call and WhatsApp send made while handling it becomes a client span
+ * whose traceparent header the kernel continues (apps/kernel/src/orchestrator/
+ * tracing.js), so one message is one trace from webhook to provider fetch.
+ * Spans find their parent through AsyncLocalStorage.
+ *
+ *   TRACE_OTLP_ENDPOINT   e.g. http://127.0.0.1:4318/v1/traces (unset = no export)
+ *   TRACE_OTLP_HEADERS    k=v,k2=v2 — e.g. an auth header for the collector
+ *
+ * Without an endpoint trace ids are still created and propagated. Spans are
+ * sent in batches; a failing collector backs off and drops the oldest spans
+ * beyond MAX_QUEUE rather than slowing replies down.
+ */
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const ENDPOINT = process.env.TRACE_OTLP_ENDPOINT ?? "";
+const SERVICE_NAME = "clawos-bridge";
+const SCOPE = "clawos.bridge";
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const STATUS_CODE = { ok: 1, error: 2 };
+
+const BATCH_SIZE = 100;
+const FLUSH_MS = 1000;
+const MAX_QUEUE = 2000;
+const MAX_BACKOFF_MS = 60_000;
+const TIMEOUT_MS = 5000;
+
+const storage = new AsyncLocalStorage();
+
+// Wall-clock anchor for hrtime, so span timestamps are both absolute and precise
+const EPOCH_NS = BigInt(Date.now()) * 1_000_000n - process.hrtime.bigint();
+function nowNs() {
+  return EPOCH_NS + process.hrtime.bigint();
+}
+
+function parseHeaders(raw) {
+  const headers = {};
+  for (const pair of String(raw ?? "").split(",")) {
+    const i = pair.indexOf("=");
+    if (i > 0) {
+      headers[pair.slice(0, i).trim()] = decodeURIComponent(pair.slice(i + 1).trim());
+    }
+  }
+  return headers;
+}
+
+function toAttributes(fields) {
+  return Object.entries(fields)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([key, v]) => {
+      if (typeof v === "boolean") {
+        return { key, value: { boolValue: v } };
+      }
+      if (typeof v === "number") {
+        return { key, value: Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v } };
+      }
+      return { key, value: { stringValue: typeof v === "string" ? v : JSON.stringify(v) } };
+    });
+}
+
+// ── Exporter ──────────────────────────────────────────────────────────────────
+const EXPORT_HEADERS = parseHeaders(process.env.TRACE_OTLP_HEADERS);
+let queue = [];
+let sending = null;
+let timer = null;
+let backoffMs = 0;
+let retryAt = 0;
+let lastErrorAt = 0;
+
+async function send() {
+  while (queue.length && Date.now() >= retryAt) {
+    const batch = queue.slice(0, BATCH_SIZE);
+    try {
+      const res = await fetch(ENDPOINT, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...EXPORT_HEADERS },
+        body: JSON.stringify({
+          resourceSpans: [
+            {
+              resource: { attributes: toAttributes({ "service.name": SERVICE_NAME }) },
+              scopeSpans: [{ scope: { name: SCOPE }, spans: batch }],
+            },
+          ],
+        }),
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      // 4xx other than 429 will not get better on retry — drop the batch
+      if (!res.ok && (res.status === 429 || res.status >= 500)) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      queue = queue.slice(batch.length);
+      backoffMs = 0;
+    } catch (err) {
+      backoffMs = Math.min(MAX_BACKOFF_MS, backoffMs ? backoffMs * 2 : FLUSH_MS);
+      retryAt = Date.now() + backoffMs;
+      if (Date.now() - lastErrorAt >= MAX_BACKOFF_MS) {
+        lastErrorAt = Date.now();
+        process.stderr.write(
+          `[trace] OTLP export to ${ENDPOINT} failed: ${err.message} (${queue.length} queued)\n`,
+        );
+      }
+    }
+  }
+}
+
+/** Send queued spans. */
+export function flushTraces() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (!ENDPOINT) {
+    return Promise.resolve();
+  }
+  if (!sending) {
+    sending = send().finally(() => {
+      sending = null;
+      if (queue.length) {
+        schedule();
+      }
+    });
+  }
+  return sending;
+}
+
+function schedule() {
+  if (timer) {
+    return;
+  }
+  timer = setTimeout(
+    () => {
+      timer = null;
+      void flushTraces();
+    },
+    Math.max(FLUSH_MS, retryAt - Date.now()),
+  );
+  timer.unref();
+}
+
+function exportSpan(span) {
+  queue.push(span);
+  if (queue.length > MAX_QUEUE) {
+    queue = queue.slice(queue.length - MAX_QUEUE);
+  }
+  if (queue.length >= BATCH_SIZE && Date.now() >= retryAt) {
+    void flushTraces();
+  } else {
+    schedule();
+  }
+}
+
+// ── Spans ─────────────────────────────────────────────────────────────────────
+/**
+ * Open a child span of the active one (or a new trace). Call end() once.
+ *
+ * @param {string} name
+ * @param {{ kind?: "internal"|"server"|"client", attributes?: object }} [opts]
+ */
+function startSpan(name, { kind = "internal", attributes = {} } = {}) {
+  const parent = storage.getStore() ?? null;
+  const attrs = { ...attributes };
+  const events = [];
+  let status = null;
+  let ended = false;
+  const startNs = nowNs();
+
+  return {
+    traceId: parent?.traceId ?? crypto.randomBytes(16).toString("hex"),
+    spanId: crypto.randomBytes(8).toString("hex"),
+    parentSpanId: parent?.spanId ?? null,
+
+    setAttributes(more) {
+      Object.assign(attrs, more);
+      return this;
+    },
+
+    setStatus(code, message) {
+      status = { code: STATUS_CODE[code], ...(message ? { message: String(message) } : {}) };
+      return this;
+    },
+
+    recordException(err) {
+      events.push({
+        timeUnixNano: `${nowNs()}`,
+        name: "exception",
+        attributes: toAttributes({
+          "exception.type": err?.name ?? "Error",
+          "exception.message": err?.message ?? String(err),
+        }),
+      });
+      return this.setStatus("error", err?.message ?? String(err));
+    },
+
+    end() {
+      if (ended || !ENDPOINT) {
+        return;
+      }
+      ended = true;
+      exportSpan({
+        traceId: this.traceId,
+        spanId: this.spanId,
+        ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+        name,
+        kind: SPAN_KIND[kind] ?? SPAN_KIND.internal,
+        startTimeUnixNano: `${startNs}`,
+        endTimeUnixNano: `${nowNs()}`,
+        attributes: toAttributes(attrs),
+        ...(events.length ? { events } : {}),
+        ...(status ? { status } : {}),
+      });
+    },
+  };
+}
+
+/**
+ * Run fn(span) inside a new child span of the active one. The span ends when
+ * fn settles; a throw is recorded on it and rethrown.
+ *
+ * @template T
+ * @param {string} name
+ * @param {{ kind?: "internal"|"server"|"client", attributes?: object }} opts
+ * @param {(span: ReturnType<typeof startSpan>) => Promise<T> | T} fn
+ * @returns {Promise<T>}
+ */
+export async function withSpan(name, opts, fn) {
+  const span = startSpan(name, opts);
+  try {
+    return await storage.run(span, () => fn(span));
+  } catch (err) {
+    span.recordException(err);
+    throw err;
+  } finally {
+    span.end();
+  }
+}
+
+/** The span the current code runs in, or null. */
+export function activeSpan() {
+  return storage.getStore() ?? null;
+}
+
+/**
+ * fetch() inside a client span, with the span's traceparent sent along.
+ * Records method, host, path and response status; 4xx / 5xx and network
+ * errors mark the span failed.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @param {{ name?: string, attributes?: object }} [opts]
+ */
+export function tracedFetch(url, init = {}, { name, attributes = {} } = {}) {
+  const u = new URL(url);
+  const method = (init.method ?? "GET").toUpperCase();
+  return withSpan(
+    name ?? `${method} ${u.host}`,
+    {
+      kind: "client",
+      attributes: {
+        "http.request.method": method,
+        "server.address": u.hostname,
+        "url.path": u.pathname,
+        ...attributes,
+      },
+    },
+    async (span) => {
+      const res = await fetch(url, {
+        ...init,
+        headers: { ...init.headers, traceparent: `00-${span.traceId}-${span.spanId}-01` },
+      });
+      span.setAttributes({ "http.response.status_code": res.status });
+      if (res.status >= 400) {
+        span.setStatus("error", `HTTP ${res.status}`);
+      }
+      return res;
+    },
+  );
+}
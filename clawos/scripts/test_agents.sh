@@ -15,6 +15,10 @@
 set -euo pipefail
 
 KERNEL="${KERNEL_URL:-http://localhost:18888}"
+# KERNEL_API_KEY: operator key, unless the kernel runs with KERNEL_AUTH=off
+curl() {
+  if [ -n "${KERNEL_API_KEY:-}" ]; then command curl -H "Authorization: Bearer $KERNEL_API_KEY" "$@"; else command curl "$@"; fi
+}
 PASS=0; FAIL=0
 
 # ── Colours ───────────────────────────────────────────────────────────────────
@@ -339,7 +343,7 @@ python3 <<EOF
 import json, sys
 with open('/dev/stdin') as f: pass  # no-op
 import subprocess
-result = subprocess.run(['curl','-s',"${KERNEL}/kernel/tasks/${TASK_ID}/events?workspace_id=${WS_ID}"], capture_output=True, text=True)
+result = subprocess.run(['curl','-s','-H','Authorization: Bearer ${KERNEL_API_KEY:-}',"${KERNEL}/kernel/tasks/${TASK_ID}/events?workspace_id=${WS_ID}"], capture_output=True, text=True)
 d = json.loads(result.stdout)
 for ev in d.get('events', []):
     print(f"  {ev['ts'][11:19]}  [{ev['actor_kind']:8s}] {ev['type']}")
@@ -19,6 +19,10 @@
 set -euo pipefail
 
 KERNEL="${KERNEL_URL:-http://localhost:18888}"
+# KERNEL_API_KEY: operator key, unless the kernel runs with KERNEL_AUTH=off
+curl() {
+  if [ -n "${KERNEL_API_KEY:-}" ]; then command curl -H "Authorization: Bearer $KERNEL_API_KEY" "$@"; else command curl "$@"; fi
+}
 BRIDGE="${BRIDGE_URL:-http://localhost:18790}"
 BRIDGE_LOG="${BRIDGE_LOG:-}"
 BRIDGE_SECRET="${BRIDGE_SECRET:-}"
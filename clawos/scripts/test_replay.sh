@@ -0,0 +1,117 @@
+#!/usr/bin/env bash
+# test_replay.sh — run kernel test scenarios against recorded LLM fixtures
+#
+# Boots a throwaway kernel (temp DB, own port, KERNEL_AUTH=off) with LLM_CASSETTE=replay, runs
+# the given test_*.sh scripts against it, then fails if any LLM prompt had no
+# fixture (see clawos-os/apps/kernel/src/llm/cassette.js). No network access or
+# API keys are needed, so this is what CI runs.
+#
+# Usage:
+#   bash clawos/scripts/test_replay.sh                       # default scenarios
+#   bash clawos/scripts/test_replay.sh test_cognitive.sh     # specific scripts
+#
+# Recording / refreshing fixtures (needs live provider keys):
+#   RECORD_DB=/path/to/kernel.db RECORD_PHRASE='<recovery phrase>' \
+#     bash clawos/scripts/test_replay.sh --record
+#   → copies RECORD_DB (your configured kernel DB) to a temp file, boots the
+#     kernel with LLM_CASSETTE=record, unlocks it with RECORD_PHRASE and writes
+#     one fixture per prompt.
+#     Commit the new files under clawos-os/apps/kernel/fixtures/llm/.
+#
+# Environment:
+#   REPLAY_PORT       (default: 18890)
+#   LLM_CASSETTE_DIR  (default: clawos-os/apps/kernel/fixtures/llm)
+#
+# Requirements: node, curl, jq
+
+set -euo pipefail
+
+ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+KERNEL_DIR="$ROOT/clawos-os/apps/kernel"
+SCRIPTS_DIR="$ROOT/clawos/scripts"
+PORT="${REPLAY_PORT:-18890}"
+MODE="replay"
+DEFAULT_SCRIPTS=(test_cognitive.sh test_multi_intent.sh)
+
+if [ "${1:-}" = "--record" ]; then
+  MODE="record"
+  shift
+  if [ -z "${RECORD_DB:-}" ] || [ ! -f "$RECORD_DB" ]; then
+    echo "RECORD_DB must point to a kernel DB with provider connections configured" >&2
+    exit 2
+  fi
+  if [ -z "${RECORD_PHRASE:-}" ]; then
+    echo "RECORD_PHRASE must be the recovery phrase of RECORD_DB (to unlock its connection keys)" >&2
+    exit 2
+  fi
+fi
+SCRIPTS=("$@")
+[ "${#SCRIPTS[@]}" -eq 0 ] && SCRIPTS=("${DEFAULT_SCRIPTS[@]}")
+
+TMP="$(mktemp -d)"
+KERNEL_PID=""
+cleanup() {
+  [ -n "$KERNEL_PID" ] && kill "$KERNEL_PID" 2>/dev/null || true
+  rm -rf "$TMP"
+}
+trap cleanup EXIT
+
+if [ "$MODE" = "record" ]; then
+  cp "$RECORD_DB" "$TMP/kernel.db"
+  # The kernel runs SQLite in WAL mode — recent writes may only be in the -wal file.
+  [ -f "$RECORD_DB-wal" ] && cp "$RECORD_DB-wal" "$TMP/kernel.db-wal"
+fi
+
+echo "=== Kernel LLM $MODE run (port $PORT) ==="
+# exec so that $! is the node process itself, not a subshell around it
+(cd "$KERNEL_DIR" && \
+  DB_PATH="$TMP/kernel.db" KERNEL_PORT="$PORT" LLM_CASSETTE="$MODE" KERNEL_AUTH=off \
+  exec node src/index.js > "$TMP/kernel.log" 2>&1) &
+KERNEL_PID=$!
+
+KERNEL="http://127.0.0.1:$PORT"
+for _ in $(seq 1 50); do
+  curl -sf "$KERNEL/kernel/health" > /dev/null 2>&1 && break
+  sleep 0.2
+done
+if ! curl -sf "$KERNEL/kernel/health" > /dev/null 2>&1; then
+  echo "kernel did not start:" >&2
+  cat "$TMP/kernel.log" >&2
+  exit 1
+fi
+
+# The kernel starts locked: set up the throwaway DB, or unlock the recorded one
+if [ "$MODE" = "record" ]; then
+  UNLOCK=$(curl -s -X POST "$KERNEL/kernel/unlock" -H "Content-Type: application/json" \
+    -d "$(jq -n --arg p "$RECORD_PHRASE" '{recovery_phrase: $p}')")
+else
+  UNLOCK=$(curl -s -X POST "$KERNEL/kernel/setup" -H "Content-Type: application/json" \
+    -d '{"recovery_phrase":"replay-run-throwaway-phrase"}')
+fi
+if [ "$(echo "$UNLOCK" | jq -r '.locked')" != "false" ]; then
+  echo "could not unlock the kernel: $UNLOCK" >&2
+  exit 1
+fi
+
+FAILED=0
+for script in "${SCRIPTS[@]}"; do
+  echo
+  echo "── $script ──"
+  KERNEL_URL="$KERNEL" bash "$SCRIPTS_DIR/$script" || FAILED=$((FAILED + 1))
+done
+
+CASSETTE=$(curl -sf "$KERNEL/kernel/health" | jq -c '.llm_cassette')
+MISSES=$(echo "$CASSETTE" | jq -r '.misses | length')
+echo
+echo "llm_cassette: $CASSETTE"
+
+if [ "$MODE" = "replay" ] && [ "$MISSES" -gt 0 ]; then
+  printf '\033[31m✗ %d prompt(s) had no fixture — re-record with --record\033[0m\n' "$MISSES"
+  grep "REPLAY MISS" "$TMP/kernel.log" >&2 || true
+  exit 1
+fi
+if [ "$FAILED" -gt 0 ]; then
+  printf '\033[31m✗ %d script(s) failed\033[0m\n' "$FAILED"
+  exit 1
+fi
+printf '\033[32m✓ All scenarios passed (%s)\033[0m\n' "$MODE"
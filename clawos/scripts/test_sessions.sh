@@ -9,12 +9,16 @@
 #   bash clawos/scripts/test_sessions.sh
 #
 # Requirements:
-#   - Kernel running on port 18888 and already set up (POST /kernel/setup done)
+#   - Kernel running on port 18888, set up and unlocked (POST /kernel/setup or /kernel/unlock)
 #   - jq installed
 
 set -euo pipefail
 
 KERNEL="${KERNEL_URL:-http://localhost:18888}"
+# KERNEL_API_KEY: operator key, unless the kernel runs with KERNEL_AUTH=off
+curl() {
+  if [ -n "${KERNEL_API_KEY:-}" ]; then command curl -H "Authorization: Bearer $KERNEL_API_KEY" "$@"; else command curl "$@"; fi
+}
 PASS=0
 FAIL=0
 
@@ -7,14 +7,15 @@ import { getWhatsAppRuntime, setWhatsAppRuntime } from "./src/runtime.js";
 /**
  * Minimal bridge send server.
  * When BRIDGE_SEND_PORT is set, binds localhost:<port> and accepts:
- *   POST /send  { to: string, text: string, accountId?: string }
+ *   POST /send    { to: string, text: string, accountId?: string }
+ *   POST /typing  { to: string, accountId?: string }  — show "typing…" to `to`
  * Protected by x-bridge-secret header (matches BRIDGE_SECRET env var).
  * This lets the clawos/bridge process send WhatsApp replies through the
  * existing Baileys session without starting a second connection.
  */
 function startBridgeSendServer(port: number, secret: string | undefined): void {
   const server = createServer((req, res) => {
-    if (req.method !== "POST" || req.url !== "/send") {
+    if (req.method !== "POST" || (req.url !== "/send" && req.url !== "/typing")) {
       res.writeHead(404, { "Content-Type": "application/json" });
       res.end(JSON.stringify({ error: "not_found" }));
       return;
@@ -34,6 +35,25 @@ function startBridgeSendServer(port: number, secret: string | undefined): void {
             text?: string;
             accountId?: string;
           };
+          if (req.url === "/typing") {
+            if (!body.to) {
+              res.writeHead(400, { "Content-Type": "application/json" });
+              res.end(JSON.stringify({ error: "missing to" }));
+              return;
+            }
+            const listener = getWhatsAppRuntime().channel.whatsapp.getActiveWebListener(
+              body.accountId ?? undefined,
+            );
+            if (!listener) {
+              res.writeHead(503, { "Content-Type": "application/json" });
+              res.end(JSON.stringify({ error: "no_active_listener" }));
+              return;
+            }
+            await listener.sendComposingTo(body.to);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ ok: true }));
+            return;
+          }
           if (!body.to || !body.text) {
             res.writeHead(400, { "Content-Type": "application/json" });
             res.end(JSON.stringify({ error: "missing to or text" }));